@@ -0,0 +1,329 @@
+/**
+ * Auth Providers
+ * Pluggable authentication applied by HttpClient to every request
+ *
+ *   AuthProvider     interface: authorize() adds headers, challenge() handles a 401
+ *   ├── BasicAuth    username and password (RFC 7617)
+ *   ├── BearerAuth   token, refreshed through a callback when it expires or is rejected
+ *   ├── HeaderAuth   headers computed per request by a function
+ *   └── DigestAuth   HTTP Digest (RFC 7616), MD5 or SHA-256
+ *
+ * AuthProvider.fromEnv() builds a provider from environment variables so
+ * credentials stay out of the code
+ *
+ * @module auth-providers
+ * @version 1.0.0
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * Base class of the auth providers
+ * A provider is any object with authorize(); subclassing is optional
+ */
+export class AuthProvider {
+  /**
+   * Returns the headers that authenticate a request
+   *
+   * @param {Object} request - { url, method } of the request about to be sent
+   * @returns {Promise<Object>|Object} Headers to add (e.g. { Authorization: '...' })
+   */
+  authorize() {
+    return {};
+  }
+
+  /**
+   * Reacts to a 401 response; HttpClient resends the request once if this returns true
+   *
+   * @param {Object} response - { status, headers } of the rejected attempt
+   * @param {Object} request - { url, method } of the request
+   * @returns {Promise<boolean>|boolean} True if new credentials are available
+   */
+  challenge() {
+    return false;
+  }
+
+  /**
+   * Creates a provider from environment variables
+   * PREFIX_TOKEN selects bearer auth; PREFIX_USERNAME and PREFIX_PASSWORD
+   * select basic auth, or digest auth when PREFIX_AUTH is 'digest'.
+   * PREFIX_AUTH ('basic', 'bearer' or 'digest') can also force a scheme
+   *
+   * @param {string} [prefix='FUSEKI'] - Variable name prefix
+   * @param {Object} [env=process.env] - Environment to read
+   * @returns {AuthProvider|null} Provider, or null if no credentials are set
+   * @throws {Error} If PREFIX_AUTH names an unknown scheme or its credentials are missing
+   */
+  static fromEnv(prefix = 'FUSEKI', env = process.env) {
+    const read = name => env[`${prefix}_${name}`] || undefined;
+    const username = read('USERNAME');
+    const password = read('PASSWORD');
+    const token = read('TOKEN');
+    const scheme = (read('AUTH') ?? (token ? 'bearer' : username ? 'basic' : '')).toLowerCase();
+
+    switch (scheme) {
+      case '':
+        return null;
+      case 'basic':
+        return new BasicAuth({ username, password });
+      case 'digest':
+        return new DigestAuth({ username, password });
+      case 'bearer':
+        if (!token) {
+          throw new Error(`${prefix}_TOKEN is required for bearer auth`);
+        }
+        return new BearerAuth({ token });
+      default:
+        throw new Error(`Unknown auth scheme "${scheme}" in ${prefix}_AUTH; use basic, bearer or digest`);
+    }
+  }
+}
+
+/**
+ * HTTP Basic authentication
+ */
+export class BasicAuth extends AuthProvider {
+  #header;
+
+  /**
+   * @param {Object} credentials - Credentials
+   * @param {string} credentials.username - User name
+   * @param {string} credentials.password - Password
+   * @throws {Error} If the username or password is missing
+   */
+  constructor({ username, password } = {}) {
+    super();
+    if (!username || password === undefined) {
+      throw new Error('username and password are required for basic auth');
+    }
+    this.#header = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  /**
+   * @returns {Object} The Basic Authorization header
+   */
+  authorize() {
+    return { Authorization: this.#header };
+  }
+}
+
+/**
+ * Bearer token authentication
+ * The refresh callback is called when there is no token yet, when the token
+ * has expired and when the server rejects it; concurrent requests share one
+ * refresh
+ */
+export class BearerAuth extends AuthProvider {
+  #token;
+  #expiresAt;
+  #refresh;
+  #pending = null;
+
+  /**
+   * @param {Object} options - Token options
+   * @param {string} [options.token] - Initial token
+   * @param {Date|number} [options.expiresAt] - Expiry of the initial token (Date or epoch milliseconds)
+   * @param {Function} [options.refresh] - async () => token or { token, expiresAt?, expiresIn? },
+   *   expiresIn in seconds
+   * @throws {Error} If neither a token nor a refresh callback is given
+   */
+  constructor({ token, expiresAt, refresh } = {}) {
+    super();
+    if (!token && typeof refresh !== 'function') {
+      throw new Error('A token or a refresh callback is required for bearer auth');
+    }
+    this.#token = token ?? null;
+    this.#expiresAt = expiresAt === undefined ? null : Number(expiresAt);
+    this.#refresh = refresh ?? null;
+  }
+
+  /**
+   * Refreshes a missing or expired token first
+   * @returns {Promise<Object>} The Bearer Authorization header
+   */
+  async authorize() {
+    const expired = this.#expiresAt !== null && Date.now() >= this.#expiresAt;
+    if (this.#refresh && (!this.#token || expired)) {
+      await this.#renew();
+    }
+    return { Authorization: `Bearer ${this.#token}` };
+  }
+
+  /**
+   * Refreshes the token the server rejected
+   * @returns {Promise<boolean>} True if a refresh callback is configured
+   */
+  async challenge() {
+    if (!this.#refresh) {
+      return false;
+    }
+    await this.#renew();
+    return true;
+  }
+
+  /**
+   * Calls the refresh callback, sharing the call between concurrent requests
+   * @private
+   */
+  #renew() {
+    this.#pending ??= (async () => {
+      try {
+        const result = await this.#refresh();
+        const { token, expiresAt, expiresIn } = typeof result === 'string' ? { token: result } : result ?? {};
+        if (!token) {
+          throw new Error('Token refresh returned no token');
+        }
+        this.#token = token;
+        this.#expiresAt = expiresAt !== undefined ? Number(expiresAt)
+          : expiresIn !== undefined ? Date.now() + expiresIn * 1000 : null;
+      } finally {
+        this.#pending = null;
+      }
+    })();
+    return this.#pending;
+  }
+}
+
+/**
+ * Custom headers computed for each request, e.g. API keys or signed requests
+ */
+export class HeaderAuth extends AuthProvider {
+  #headers;
+
+  /**
+   * @param {Function|Object} headers - Headers, or (request) => headers (may be async)
+   */
+  constructor(headers) {
+    super();
+    if (typeof headers !== 'function' && (headers === null || typeof headers !== 'object')) {
+      throw new Error('headers must be an object or a function');
+    }
+    this.#headers = headers;
+  }
+
+  /**
+   * @param {Object} request - { url, method } of the request
+   * @returns {Promise<Object>} The configured headers
+   */
+  async authorize(request) {
+    return typeof this.#headers === 'function' ? await this.#headers(request) ?? {} : this.#headers;
+  }
+}
+
+/**
+ * HTTP Digest authentication (qop "auth"; MD5, SHA-256 and their -sess variants)
+ * The first request is sent without credentials; later requests reuse the
+ * server's nonce with an increasing nonce count until the server asks again
+ */
+export class DigestAuth extends AuthProvider {
+  #username;
+  #password;
+  #challenge = null;
+  #nonceCount = 0;
+
+  /**
+   * @param {Object} credentials - Credentials
+   * @param {string} credentials.username - User name
+   * @param {string} credentials.password - Password
+   * @throws {Error} If the username or password is missing
+   */
+  constructor({ username, password } = {}) {
+    super();
+    if (!username || password === undefined) {
+      throw new Error('username and password are required for digest auth');
+    }
+    this.#username = username;
+    this.#password = password;
+  }
+
+  /**
+   * Answers the last challenge; nothing is sent before the first one
+   * @param {Object} request - { url, method } of the request
+   * @returns {Object} The Digest Authorization header, or no headers
+   */
+  authorize({ url, method }) {
+    if (!this.#challenge) {
+      return {};
+    }
+
+    const { realm, nonce, opaque, qop, algorithm } = this.#challenge;
+    const hash = DigestAuth.#hasher(algorithm);
+    const { pathname, search } = new URL(url);
+    const uri = `${pathname}${search}`;
+    const nc = (++this.#nonceCount).toString(16).padStart(8, '0');
+    const cnonce = randomBytes(8).toString('hex');
+
+    let ha1 = hash(`${this.#username}:${realm}:${this.#password}`);
+    if (algorithm.toUpperCase().endsWith('-SESS')) {
+      ha1 = hash(`${ha1}:${nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method.toUpperCase()}:${uri}`);
+    const response = qop ? hash(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`) : hash(`${ha1}:${nonce}:${ha2}`);
+
+    const fields = [
+      `username="${this.#username}"`, `realm="${realm}"`, `nonce="${nonce}"`, `uri="${uri}"`,
+      `algorithm=${algorithm}`, `response="${response}"`
+    ];
+    if (qop) {
+      fields.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    }
+    if (opaque !== undefined) {
+      fields.push(`opaque="${opaque}"`);
+    }
+    return { Authorization: `Digest ${fields.join(', ')}` };
+  }
+
+  /**
+   * Stores the server's Digest challenge
+   * @param {Object} response - Rejected response with a WWW-Authenticate header
+   * @returns {boolean} True if the request should be resent with the new challenge
+   */
+  challenge(response) {
+    const header = response.headers.get('WWW-Authenticate') ?? '';
+    const match = /(?:^|,\s*)Digest\s+(.*)$/i.exec(header);
+    if (!match) {
+      return false;
+    }
+
+    const params = DigestAuth.#parseParams(match[1]);
+    const qops = (params.qop ?? '').split(',').map(value => value.trim());
+    if (params.qop && !qops.includes('auth')) {
+      return false;
+    }
+    // A rejected nonce that is not stale means the credentials are wrong
+    const retry = !this.#challenge || params.stale?.toLowerCase() === 'true' || params.nonce !== this.#challenge.nonce;
+    this.#challenge = {
+      realm: params.realm ?? '',
+      nonce: params.nonce ?? '',
+      opaque: params.opaque,
+      qop: params.qop ? 'auth' : null,
+      algorithm: params.algorithm ?? 'MD5'
+    };
+    this.#nonceCount = 0;
+    return retry;
+  }
+
+  /**
+   * Parses the name=value pairs of a challenge
+   * @private
+   */
+  static #parseParams(text) {
+    const params = {};
+    for (const [, name, quoted, token] of text.matchAll(/([A-Za-z-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g)) {
+      params[name.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : token;
+    }
+    return params;
+  }
+
+  /**
+   * Returns the hex digest function of an algorithm
+   * @private
+   */
+  static #hasher(algorithm) {
+    const name = { 'MD5': 'md5', 'SHA-256': 'sha256' }[algorithm.toUpperCase().replace(/-SESS$/, '')];
+    if (!name) {
+      throw new Error(`Unsupported digest algorithm "${algorithm}"`);
+    }
+    return text => createHash(name).update(text).digest('hex');
+  }
+}
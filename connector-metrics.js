@@ -0,0 +1,124 @@
+/**
+ * ConnectorMetrics Class
+ * HttpClient interceptor that counts requests, failures and bytes and keeps
+ * a latency histogram per operation (query, update, construct, ...).
+ * SparqlProtocolConnector registers one and exposes it as getMetrics()
+ *
+ * @class ConnectorMetrics
+ * @version 1.0.0
+ */
+
+// Upper bounds of the latency buckets in milliseconds
+const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+export class ConnectorMetrics {
+  #buckets;
+  #operations = new Map();
+  #since = new Date();
+
+  /**
+   * Creates a new ConnectorMetrics instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {Array<number>} [config.buckets] - Ascending latency bucket bounds in milliseconds;
+   *   a final Infinity bucket is always added
+   * @throws {Error} If the bounds are not ascending positive numbers
+   */
+  constructor({ buckets = DEFAULT_BUCKETS } = {}) {
+    if (!buckets.every((bound, i) => Number.isFinite(bound) && bound > 0 && (i === 0 || bound > buckets[i - 1]))) {
+      throw new Error('buckets must be ascending positive numbers');
+    }
+    this.#buckets = [...buckets, Infinity];
+  }
+
+  /**
+   * Records a response; 4xx and 5xx responses count as errors
+   *
+   * @param {Object} response - Response as passed by HttpClient
+   * @param {Object} request - Request as passed by HttpClient
+   */
+  onResponse(response, request) {
+    this.#record(request, response.duration, response.bytes, !response.ok);
+  }
+
+  /**
+   * Records a request that got no response
+   *
+   * @param {Error} error - Failure
+   * @param {Object} request - Request as passed by HttpClient
+   * @param {Object} timing - { duration, attempts }
+   */
+  onError(error, request, { duration }) {
+    this.#record(request, duration, 0, true);
+  }
+
+  /**
+   * Gets the metrics collected since creation or the last reset()
+   *
+   * @returns {Object} { since, operations } where operations maps each operation to
+   *   { requests, errors, bytesSent, bytesReceived, latency: { count, sum, min, max, mean, buckets } };
+   *   buckets are cumulative, as [{ le, count }] with count the requests that took at most le ms
+   */
+  snapshot() {
+    const operations = {};
+    for (const [name, entry] of this.#operations) {
+      let cumulative = 0;
+      operations[name] = {
+        requests: entry.requests,
+        errors: entry.errors,
+        bytesSent: entry.bytesSent,
+        bytesReceived: entry.bytesReceived,
+        latency: {
+          count: entry.requests,
+          sum: entry.sum,
+          min: entry.min,
+          max: entry.max,
+          mean: entry.sum / entry.requests,
+          buckets: this.#buckets.map((le, i) => ({ le, count: cumulative += entry.counts[i] }))
+        }
+      };
+    }
+    return { since: this.#since, operations };
+  }
+
+  /**
+   * Discards the collected metrics
+   */
+  reset() {
+    this.#operations.clear();
+    this.#since = new Date();
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the metrics
+   */
+  toString() {
+    const requests = [...this.#operations.values()].reduce((total, entry) => total + entry.requests, 0);
+    return `ConnectorMetrics { ${requests} requests, ${this.#operations.size} operations }`;
+  }
+
+  /**
+   * Adds one request to its operation's counters
+   * @private
+   */
+  #record(request, duration, bytes, failed) {
+    const name = request.operation ?? request.method;
+    if (!this.#operations.has(name)) {
+      this.#operations.set(name, {
+        requests: 0, errors: 0, bytesSent: 0, bytesReceived: 0,
+        sum: 0, min: Infinity, max: 0, counts: this.#buckets.map(() => 0)
+      });
+    }
+
+    const entry = this.#operations.get(name);
+    entry.requests++;
+    entry.errors += failed ? 1 : 0;
+    entry.bytesSent += typeof request.body === 'string' ? Buffer.byteLength(request.body) : 0;
+    entry.bytesReceived += bytes;
+    entry.sum += duration;
+    entry.min = Math.min(entry.min, duration);
+    entry.max = Math.max(entry.max, duration);
+    entry.counts[this.#buckets.findIndex(bound => duration <= bound)]++;
+  }
+}
@@ -9,13 +9,26 @@
 
 import { Person } from './person.js';
 import { TransformedPerson } from './transformed-person.js';
+import { ShaclValidator } from './shacl-validator.js';
+import { ValidationReport } from './validation-report.js';
+import { JsonLdProcessor } from './json-ld.js';
+import { TurtleWriter } from './turtle-writer.js';
+import { TurtleParser, normalizeFormat } from './turtle-parser.js';
+import { TripleIndex } from './triple-index.js';
+import { QuadStore } from './quad-store.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { SparqlParser } from './sparql-parser.js';
+import { NS, defaultGraph, namedNode, quad } from './rdf-terms.js';
 
 export class DataModel {
   // Private static registry
   static #registry = new Map();
   static #instances = new Map();
+  static #store = new QuadStore();
   static #transformers = new Map();
   static #validators = new Map();
+  static #shaclValidator = null;
 
   /**
    * Registers a class with the DataModel
@@ -25,6 +38,9 @@ export class DataModel {
    * @param {Object} options - Registration options
    * @param {string} options.rdfType - RDF type URI
    * @param {string} options.namespace - Namespace prefix
+   * @param {string} [options.graph] - Named graph IRI holding the class in the store and in N-Quads/TriG (defaults to rdfType)
+   * @param {string} [options.saveGraph] - Triple store graph the connectors save instances to
+   *   (see setSaveGraph())
    * @param {Function} [options.transformer] - Transformation function
    * @param {Function} [options.validator] - Validation function
    */
@@ -37,10 +53,14 @@ export class DataModel {
       constructor: classConstructor,
       rdfType: options.rdfType,
       namespace: options.namespace,
-      instances: []
+      graph: options.graph,
+      saveGraph: null
     });
+    if (options.saveGraph) {
+      this.setSaveGraph(name, options.saveGraph);
+    }
 
-    this.#instances.set(name, []);
+    this.#instances.set(name, new Map());
 
     if (options.transformer) {
       this.#transformers.set(name, options.transformer);
@@ -67,6 +87,8 @@ export class DataModel {
 
   /**
    * Creates an instance of a registered class
+   * An instance already tracked with the same URI is replaced; the earlier one
+   * is detached from the store and keeps its values
    * 
    * @param {string} className - Name of the registered class
    * @param {Object} data - Data for the instance
@@ -77,8 +99,7 @@ export class DataModel {
     const instance = new ClassConstructor(data);
     
     // Track the instance
-    const instances = this.#instances.get(className);
-    instances.push(instance);
+    this.#track(className, instance);
     
     return instance;
   }
@@ -93,7 +114,18 @@ export class DataModel {
     if (!this.#instances.has(className)) {
       throw new Error(`Class "${className}" is not registered`);
     }
-    return [...this.#instances.get(className)];
+    return [...this.#instances.get(className).values()];
+  }
+
+  /**
+   * Gets the quad store holding the triples of every tracked instance
+   * Each class lives in the graph named by getGraphName(); instances that
+   * support attach() are views over it, so setters update the store directly
+   *
+   * @returns {QuadStore} Shared quad store
+   */
+  static getStore() {
+    return this.#store;
   }
 
   /**
@@ -114,30 +146,62 @@ export class DataModel {
     const transformed = transformer(instance, options);
     
     // Track the transformed instance
-    const instances = this.#instances.get(targetClassName);
-    if (instances) {
-      instances.push(transformed);
+    if (this.#instances.has(targetClassName)) {
+      this.#track(targetClassName, transformed);
     }
     
     return transformed;
   }
 
+  /**
+   * Gets the SHACL validator used for classes without a registered validator
+   * Defaults to the shapes in person-transformation-shacl.ttl
+   * 
+   * @returns {ShaclValidator} Shared SHACL validator
+   */
+  static getShaclValidator() {
+    return this.#shaclValidator || ShaclValidator.getDefault();
+  }
+
+  /**
+   * Replaces the SHACL validator (e.g. to validate against another shapes file)
+   * 
+   * @param {ShaclValidator|null} validator - Validator, or null to reload the default shapes
+   */
+  static setShaclValidator(validator) {
+    this.#shaclValidator = validator;
+  }
+
   /**
    * Validates an instance against its registered validator
+   * Falls back to the SHACL shapes targeting the class's rdfType, then to the
+   * instance's own validate() method
    * 
    * @param {string} className - Name of the class
    * @param {Object} instance - Instance to validate
-   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   * @returns {ValidationReport|Object} SHACL validation report, or the custom
+   *   validator's result { valid: boolean, errors: string[] }
    */
   static validateInstance(className, instance) {
     const validator = this.#validators.get(className);
     
     if (!validator) {
+      const rdfType = this.#registry.get(className)?.rdfType;
+      const shacl = this.getShaclValidator();
+
+      if (rdfType && (instance.toQuads || instance.toTurtle) && shacl.hasShapesFor(rdfType)) {
+        // Tracked instances are validated in place, against the whole store
+        if (instance.uri && this.#instances.get(className)?.get(instance.uri) === instance) {
+          return shacl.validate(this.#store, { focusNodes: [namedNode(instance.uri)] });
+        }
+        return shacl.validateInstance(instance);
+      }
+
       // Use built-in validate method if available
       if (typeof instance.validate === 'function') {
         return instance.validate();
       }
-      return { valid: true, errors: [] };
+      return new ValidationReport();
     }
 
     return validator(instance);
@@ -157,14 +221,35 @@ export class DataModel {
     }));
   }
 
+  /**
+   * Builds a single SHACL validation report for tracked instances
+   * Results from custom validators that do not return a ValidationReport are omitted
+   * 
+   * @param {string} [className] - Optional class name to validate only that class
+   * @returns {ValidationReport} Combined validation report
+   */
+  static getValidationReport(className) {
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const reports = classNames
+      .flatMap(name => this.validateAll(name))
+      .map(({ validation }) => validation)
+      .filter(validation => validation instanceof ValidationReport);
+
+    return ValidationReport.merge(reports);
+  }
+
   /**
    * Clears all instances of a class
    * 
    * @param {string} className - Name of the class
    */
   static clearInstances(className) {
-    if (this.#instances.has(className)) {
-      this.#instances.set(className, []);
+    const tracked = this.#instances.get(className);
+    if (tracked) {
+      for (const instance of tracked.values()) {
+        this.#untrack(className, instance);
+      }
+      tracked.clear();
     }
   }
 
@@ -173,7 +258,7 @@ export class DataModel {
    */
   static clearAll() {
     for (const className of this.#instances.keys()) {
-      this.#instances.set(className, []);
+      this.clearInstances(className);
     }
   }
 
@@ -186,11 +271,68 @@ export class DataModel {
     return Array.from(this.#registry.keys());
   }
 
+  /**
+   * Gets the named graph a class is stored in and exported to in N-Quads and TriG
+   *
+   * @param {string} className - Name of the class
+   * @returns {string|null} Graph IRI (the class's graph option, else its rdfType)
+   */
+  static getGraphName(className) {
+    const entry = this.#registry.get(className);
+    if (!entry) {
+      throw new Error(`Class "${className}" is not registered`);
+    }
+    return entry.graph || entry.rdfType || null;
+  }
+
+  /**
+   * Sets the triple store graph a class is saved to and loaded from
+   * Connector methods that take a graph (save, upsert, saveAll, delete,
+   * bulkLoad, load, loadAll) and sync() use it when no graph is passed
+   *
+   * @param {string} className - Name of the class
+   * @param {string|null} graph - Graph IRI, e.g. getGraphName(className); null
+   *   to save to the triple store's default graph again
+   * @throws {Error} If the class is not registered or the graph is not an absolute IRI
+   */
+  static setSaveGraph(className, graph) {
+    const entry = this.#registry.get(className);
+    if (!entry) {
+      throw new Error(`Class "${className}" is not registered`);
+    }
+    if (graph !== null && (typeof graph !== 'string' || !/^[A-Za-z][A-Za-z0-9+.-]*:/.test(graph))) {
+      throw new Error(`Save graph of "${className}" must be an absolute IRI or null`);
+    }
+    entry.saveGraph = graph;
+  }
+
+  /**
+   * Gets the triple store graph a class is saved to
+   *
+   * @param {string|Object} classNameOrInstance - Name of a class, or an instance of one
+   * @returns {string|null} Graph IRI, or null for the default graph (also for
+   *   instances of unregistered classes)
+   */
+  static getSaveGraph(classNameOrInstance) {
+    const className = typeof classNameOrInstance === 'string'
+      ? classNameOrInstance
+      : this.getRegisteredClasses().find(name => this.#registry.get(name).constructor === classNameOrInstance?.constructor);
+    if (className === undefined) {
+      return null;
+    }
+
+    const entry = this.#registry.get(className);
+    if (!entry) {
+      throw new Error(`Class "${className}" is not registered`);
+    }
+    return entry.saveGraph;
+  }
+
   /**
    * Gets metadata for a registered class
    * 
    * @param {string} className - Name of the class
-   * @returns {Object} Class metadata
+   * @returns {Object} Class metadata, including the properties constrained by its shapes
    */
   static getClassMetadata(className) {
     const entry = this.#registry.get(className);
@@ -202,7 +344,10 @@ export class DataModel {
       name: className,
       rdfType: entry.rdfType,
       namespace: entry.namespace,
-      instanceCount: this.#instances.get(className)?.length || 0,
+      graph: this.getGraphName(className),
+      saveGraph: this.getSaveGraph(className),
+      properties: entry.rdfType ? this.getShaclValidator().getClassProperties(entry.rdfType) : {},
+      instanceCount: this.#instances.get(className)?.size || 0,
       hasTransformer: this.#transformers.has(className),
       hasValidator: this.#validators.has(className)
     };
@@ -224,40 +369,186 @@ export class DataModel {
     }
 
     const result = {};
-    for (const [name, instances] of this.#instances.entries()) {
-      result[name] = instances.map(inst => inst.toJSON ? inst.toJSON() : inst);
+    for (const name of this.#instances.keys()) {
+      result[name] = this.getInstances(name).map(inst => inst.toJSON ? inst.toJSON() : inst);
     }
     return result;
   }
 
   /**
    * Exports all instances to Turtle RDF
+   * Writes the store's triples as a single document declaring the prefixes of
+   * every exported class
    * 
    * @param {string} [className] - Optional class name to export only that class
    * @returns {string} Turtle RDF representation
    */
   static exportToTurtle(className) {
-    if (className) {
-      const instances = this.getInstances(className);
-      return instances
-        .map((inst, index) => inst.toTurtle ? inst.toTurtle(index === 0) : '')
-        .filter(Boolean)
-        .join('\n\n');
-    }
+    return this.exportTo('text/turtle', { className });
+  }
 
-    const parts = [];
-    let isFirst = true;
-    
-    for (const [name, instances] of this.#instances.entries()) {
-      for (const inst of instances) {
-        if (inst.toTurtle) {
-          parts.push(inst.toTurtle(isFirst));
-          isFirst = false;
+  /**
+   * Exports instances as Turtle, TriG, N-Triples or N-Quads
+   * In TriG and N-Quads each class is written to its own named graph
+   *
+   * @param {string} mediaType - 'text/turtle', 'application/trig',
+   *   'application/n-triples' or 'application/n-quads'
+   * @param {Object} [options={}] - Export options
+   * @param {string} [options.className] - Export only this class
+   * @param {boolean} [options.namedGraphs=true] - Put each class in its own graph (TriG/N-Quads)
+   * @returns {string} Serialized RDF
+   * @throws {Error} If the media type is not supported
+   */
+  static exportTo(mediaType, { className, namedGraphs = true } = {}) {
+    const format = normalizeFormat(mediaType);
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const useGraphs = namedGraphs && (format === 'application/trig' || format === 'application/n-quads');
+    const prefixes = Object.assign({}, ...classNames.map(name => this.getClass(name).prefixes));
+    const quads = classNames.flatMap(name => this.#store.match(null, null, null, this.#graphOf(name)))
+      .map(q => useGraphs ? q : quad(q.subject, q.predicate, q.object));
+
+    return TurtleWriter.write(quads, { prefixes, format });
+  }
+
+  /**
+   * Imports instances from Turtle, TriG, N-Triples or N-Quads
+   * Every subject typed with a registered class's rdfType is hydrated with that
+   * class's static fromQuads(), regardless of the graph it appears in
+   *
+   * @param {string} mediaType - RDF media type of the document
+   * @param {string} text - Serialized RDF
+   * @param {Object} [options={}] - Import options
+   * @param {string} [options.className] - Import only this class
+   * @param {string} [options.baseIRI] - Base IRI for relative IRIs (Turtle/TriG)
+   * @param {boolean} [options.refresh=false] - Update instances already tracked under
+   *   the same URI in place (when they are views over the store) instead of replacing them
+   * @returns {Array} Created or refreshed instances
+   * @throws {Error} If the media type is not supported or the document is invalid
+   */
+  static importFrom(mediaType, text, { className, baseIRI, refresh = false } = {}) {
+    const format = normalizeFormat(mediaType);
+    return this.#hydrate(new TurtleParser({ format, baseIRI }).parse(text), className, refresh);
+  }
+
+  /**
+   * Exports instances as a single flattened JSON-LD document
+   * The context merges the jsonLdContext of every exported class
+   *
+   * @param {string} [className] - Optional class name to export only that class
+   * @returns {Object} JSON-LD document { @context, @graph }
+   */
+  static exportToJsonLd(className) {
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const quads = classNames.flatMap(name => this.#store.match(null, null, null, this.#graphOf(name)))
+      .map(q => quad(q.subject, q.predicate, q.object));
+    const context = Object.assign({}, ...classNames.map(name => this.getClass(name).jsonLdContext));
+
+    const expanded = JsonLdProcessor.fromRdf(quads);
+    return JsonLdProcessor.flatten(expanded, context);
+  }
+
+  /**
+   * Imports instances from a JSON-LD document
+   * Compacted, expanded, flattened and @graph documents are accepted; documents
+   * without a context are read with the registered classes' contexts
+   *
+   * @param {Object|Array|string} jsonLd - JSON-LD document
+   * @param {Object} [options={}] - Import options
+   * @param {string} [options.className] - Import only this class
+   * @param {Object} [options.documents] - Locally available remote contexts (URL to context)
+   * @param {string} [options.base] - Base IRI for relative @id values
+   * @returns {Array} Created instances
+   * @throws {Error} If the document is invalid
+   */
+  static importFromJsonLd(jsonLd, { className, documents, base } = {}) {
+    const document = typeof jsonLd === 'string' ? JSON.parse(jsonLd) : jsonLd;
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const expandContext = Object.assign({}, ...classNames.map(name => this.getClass(name).jsonLdContext));
+    const quads = new JsonLdProcessor({ documents, base }).toRdf(document, { expandContext });
+    return this.#hydrate(quads, className);
+  }
+
+  /**
+   * Creates and tracks an instance for every subject typed with a registered rdfType
+   * @private
+   */
+  static #hydrate(quads, className, refresh = false) {
+    const graph = new TripleIndex(quads);
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const created = [];
+
+    for (const name of classNames) {
+      const entry = this.#registry.get(name);
+      if (!entry) {
+        throw new Error(`Class "${name}" is not registered`);
+      }
+      if (!entry.rdfType || typeof entry.constructor.fromQuads !== 'function') {
+        continue;
+      }
+
+      // The same subject may be typed in several graphs
+      const uris = new Set(graph.subjects(`${NS.rdf}type`, namedNode(entry.rdfType))
+        .filter(subject => subject.termType === 'NamedNode')
+        .map(subject => subject.value));
+      for (const uri of uris) {
+        const instance = entry.constructor.fromQuads(graph, uri);
+        const tracked = refresh ? this.#instances.get(name).get(uri) : null;
+        if (typeof tracked?.attach === 'function') {
+          // The tracked instance reads its triples from the store, so replacing them refreshes it
+          const target = this.#graphOf(name);
+          this.#store.removeMatches(namedNode(uri), null, null, target);
+          this.#store.addAll(instance.toQuads().map(q => quad(q.subject, q.predicate, q.object, target)));
+          created.push(tracked);
+        } else {
+          this.#track(name, instance);
+          created.push(instance);
         }
       }
     }
-    
-    return parts.join('\n\n');
+
+    return created;
+  }
+
+  /**
+   * Keys an instance by URI and moves its triples into the class's graph
+   * An instance already tracked under the same URI is detached and replaced
+   * @private
+   */
+  static #track(className, instance) {
+    const tracked = this.#instances.get(className);
+    const key = instance.uri ?? instance;
+    const previous = tracked.get(key);
+
+    if (previous && previous !== instance) {
+      this.#untrack(className, previous);
+    }
+
+    const graph = this.#graphOf(className);
+    if (typeof instance.attach === 'function') {
+      instance.attach(this.#store, graph);
+    } else if (instance.toQuads || instance.toTurtle) {
+      this.#store.addAll(TurtleWriter.quadsOf(instance).map(q => quad(q.subject, q.predicate, q.object, graph)));
+    }
+    tracked.set(key, instance);
+  }
+
+  /**
+   * Removes an instance's triples from the store, detaching views into a private store
+   * @private
+   */
+  static #untrack(className, instance) {
+    if (typeof instance.attach === 'function') {
+      instance.attach();
+    } else if (instance.toQuads || instance.toTurtle) {
+      for (const q of TurtleWriter.quadsOf(instance)) {
+        this.#store.delete(quad(q.subject, q.predicate, q.object, this.#graphOf(className)));
+      }
+    }
+  }
+
+  static #graphOf(className) {
+    const graphName = this.getGraphName(className);
+    return graphName ? namedNode(graphName) : defaultGraph();
   }
 
   /**
@@ -278,13 +569,32 @@ export class DataModel {
       instances.push(instance);
       
       // Track the instance
-      const tracked = this.#instances.get(className);
-      tracked.push(instance);
+      this.#track(className, instance);
     }
 
     return instances;
   }
 
+  /**
+   * Imports every instance of a class found in a Turtle document
+   * Accepts FusekiConnector.retrieve() output directly
+   *
+   * @param {string} className - Name of the class (must provide static fromTurtleAll)
+   * @param {string} turtle - Turtle RDF string
+   * @param {Object} [options] - Parser options (e.g. baseIRI)
+   * @returns {Array} Created instances
+   */
+  static importFromTurtle(className, turtle, options) {
+    const ClassConstructor = this.getClass(className);
+    if (typeof ClassConstructor.fromTurtleAll !== 'function') {
+      throw new Error(`Class "${className}" does not support Turtle import`);
+    }
+
+    const instances = ClassConstructor.fromTurtleAll(turtle, options);
+    instances.forEach(instance => this.#track(className, instance));
+    return instances;
+  }
+
   /**
    * Finds instances matching a predicate function
    * 
@@ -311,13 +621,162 @@ export class DataModel {
 
   /**
    * Finds an instance by URI
+   * Instances are keyed by URI, so the lookup does not scan the class
    * 
    * @param {string} className - Name of the class
    * @param {string} uri - URI to search for
    * @returns {Object|null} Matching instance or null
    */
   static findByUri(className, uri) {
-    return this.findOne(className, inst => inst.uri === uri);
+    if (!this.#instances.has(className)) {
+      throw new Error(`Class "${className}" is not registered`);
+    }
+    return this.#instances.get(className).get(uri) ?? null;
+  }
+
+  /**
+   * Executes a SPARQL SELECT or ASK query over the tracked instances
+   * The default graph is the union of every class graph; GRAPH patterns see
+   * each class's graph (getGraphName()). The result has the same
+   * application/sparql-results+json structure as FusekiConnector.query()
+   *
+   * @param {string} query - SPARQL SELECT or ASK query
+   * @param {Object} [params={}] - Values bound to query variables (see SparqlTemplate)
+   * @returns {Object} { head: { vars }, results: { bindings } } or { head, boolean }
+   * @throws {Error} If the query is invalid or is a CONSTRUCT/DESCRIBE query
+   */
+  static query(query, params = {}) {
+    const parsed = SparqlParser.parse(SparqlTemplate.bind(query, params));
+    if (parsed.queryType !== 'SELECT' && parsed.queryType !== 'ASK') {
+      throw new Error(`Use ${parsed.queryType.toLowerCase()}() for ${parsed.queryType} queries`);
+    }
+    return new SparqlEngine({ source: this.#store }).execute(parsed);
+  }
+
+  /**
+   * Executes a SPARQL ASK query over the tracked instances
+   *
+   * @param {string} query - SPARQL ASK query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {boolean} Query result
+   */
+  static ask(query, params = {}) {
+    return new SparqlEngine({ source: this.#store }).ask(SparqlTemplate.bind(query, params));
+  }
+
+  /**
+   * Executes a SPARQL CONSTRUCT query over the tracked instances
+   *
+   * @param {string} query - SPARQL CONSTRUCT query
+   * @param {string} [format='text/turtle'] - Output format (any format TurtleWriter supports)
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {string} RDF data in the requested format
+   */
+  static construct(query, format = 'text/turtle', params = {}) {
+    const parsed = SparqlParser.parse(SparqlTemplate.bind(query, params));
+    return this.#writeGraph(new SparqlEngine({ source: this.#store }).construct(parsed), parsed, format);
+  }
+
+  /**
+   * Executes a SPARQL DESCRIBE query over the tracked instances
+   * Each resource is described by its concise bounded description
+   *
+   * @param {string} query - SPARQL DESCRIBE query
+   * @param {string} [format='text/turtle'] - Output format (any format TurtleWriter supports)
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {string} RDF data in the requested format
+   */
+  static describe(query, format = 'text/turtle', params = {}) {
+    const parsed = SparqlParser.parse(SparqlTemplate.bind(query, params));
+    return this.#writeGraph(new SparqlEngine({ source: this.#store }).describe(parsed), parsed, format);
+  }
+
+  /**
+   * Serializes query results with the class prefixes plus the query's own
+   * @private
+   */
+  static #writeGraph(quads, parsed, format) {
+    const prefixes = Object.assign({}, ...this.getRegisteredClasses().map(name => this.getClass(name).prefixes), parsed.prefixes);
+    return TurtleWriter.write(quads, { prefixes, format });
+  }
+
+  /**
+   * Sends the changes made to tracked instances to a triple store
+   * Only the triples added and removed since each instance's last sync are
+   * sent, as one DELETE DATA / INSERT DATA request; instances that were never
+   * synced are inserted whole. Instances without change tracking (getChanges)
+   * are skipped
+   *
+   * @param {TripleStoreConnector} connector - Connector to update
+   * @param {Object} [options={}] - Sync options
+   * @param {string} [options.className] - Only sync this class
+   * @param {string|null} [options.graph] - Graph to write to (each class's
+   *   getSaveGraph() if omitted; null for the default graph)
+   * @returns {Promise<Object>} { inserted, deleted, changed, unchanged }: inserted
+   *   and deleted quads, and the URIs of changed and unchanged instances
+   */
+  static async sync(connector, { className, graph } = {}) {
+    const classNames = className ? [className] : this.getRegisteredClasses();
+    const report = { inserted: [], deleted: [], changed: [], unchanged: [] };
+    const changes = new Map(); // Target graph ('' for the default graph) -> { inserted, deleted }
+    const synced = [];
+
+    for (const name of classNames) {
+      for (const instance of this.getInstances(name)) {
+        if (typeof instance.getChanges !== 'function') {
+          continue;
+        }
+
+        const { inserted, deleted } = instance.getChanges();
+        if (inserted.length === 0 && deleted.length === 0) {
+          report.unchanged.push(instance.uri);
+        } else {
+          report.inserted.push(...inserted);
+          report.deleted.push(...deleted);
+          report.changed.push(instance.uri);
+
+          const target = (graph === undefined ? this.getSaveGraph(name) : graph) ?? '';
+          if (!changes.has(target)) {
+            changes.set(target, { inserted: [], deleted: [] });
+          }
+          changes.get(target).inserted.push(...inserted);
+          changes.get(target).deleted.push(...deleted);
+        }
+        synced.push(instance);
+      }
+    }
+
+    if (report.changed.length > 0) {
+      await connector.update(this.#dataUpdate(changes));
+    }
+    synced.forEach(instance => instance.markClean());
+    return report;
+  }
+
+  /**
+   * Builds DELETE DATA / INSERT DATA operations for a set of changes
+   * @private
+   */
+  static #dataUpdate(changes) {
+    const block = kind => [...changes]
+      .filter(([, change]) => change[kind].length > 0)
+      .map(([graph, change]) => {
+        const triples = TurtleWriter.write(change[kind].map(q => quad(q.subject, q.predicate, q.object)),
+          { format: 'application/n-triples' });
+        return graph ? `GRAPH ${SparqlTemplate.serialize(namedNode(graph), 'graph')} {\n${triples}}` : triples;
+      })
+      .join('\n');
+
+    const operations = [];
+    const deleted = block('deleted');
+    if (deleted) {
+      operations.push(`DELETE DATA {\n${deleted}}`);
+    }
+    const inserted = block('inserted');
+    if (inserted) {
+      operations.push(`INSERT DATA {\n${inserted}}`);
+    }
+    return operations.join(' ;\n');
   }
 
   /**
@@ -329,13 +788,14 @@ export class DataModel {
     const stats = {
       totalClasses: this.#registry.size,
       totalInstances: 0,
+      totalTriples: this.#store.size,
       classes: {}
     };
 
     for (const [name, instances] of this.#instances.entries()) {
-      stats.totalInstances += instances.length;
+      stats.totalInstances += instances.size;
       stats.classes[name] = {
-        count: instances.length,
+        count: instances.size,
         metadata: this.getClassMetadata(name)
       };
     }
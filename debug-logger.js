@@ -0,0 +1,178 @@
+/**
+ * DebugLogger Class
+ * HttpClient interceptor that logs each request with its SPARQL pretty-printed,
+ * followed by its status, duration and response size. With a slow threshold
+ * only requests that took at least that long are logged
+ *
+ * @class DebugLogger
+ * @version 1.0.0
+ */
+
+const SPARQL_TYPES = new Set(['application/sparql-query', 'application/sparql-update']);
+
+// Sticky patterns matched at the formatter's position: tokens copied
+// verbatim, keywords that start a new line outside braces, and what may
+// follow a closing brace on the same line
+const VERBATIM = /"""[\s\S]*?"""|'''[\s\S]*?'''|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|<[^<>"{}|^`\\\s]*>|#[^\n]*/y;
+const CLAUSE_KEYWORDS = /(?:PREFIX|BASE|SELECT|CONSTRUCT|ASK|DESCRIBE|WHERE|FROM|WITH|INSERT|DELETE|USING|ORDER|GROUP|HAVING|LIMIT|OFFSET|VALUES|CLEAR|DROP|CREATE|ADD|COPY|MOVE|LOAD)\b/iy;
+const SAME_LINE = /\s*(?:[}.;,)]|UNION\b)/iy;
+
+export class DebugLogger {
+  #log;
+  #slowThreshold;
+  #maxLength;
+
+  /**
+   * Creates a new DebugLogger instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {Function} [config.log=console.debug] - Receives each log entry as one string
+   * @param {number} [config.slowThreshold=0] - Only log requests taking at least this many
+   *   milliseconds (0 logs every request as it is sent)
+   * @param {number} [config.maxLength=2000] - Truncate logged bodies to this many characters
+   */
+  constructor({ log = console.debug, slowThreshold = 0, maxLength = 2000 } = {}) {
+    this.#log = log;
+    this.#slowThreshold = slowThreshold;
+    this.#maxLength = maxLength;
+  }
+
+  /**
+   * Logs the request, unless only slow requests are logged
+   * @param {Object} request - Request as passed by HttpClient
+   */
+  onRequest(request) {
+    if (this.#slowThreshold === 0) {
+      this.#log(`→ ${this.#describe(request)}${this.#body(request)}`);
+    }
+  }
+
+  /**
+   * Logs the outcome; slow requests are logged with their body
+   * @param {Object} response - Response as passed by HttpClient
+   * @param {Object} request - Request as passed by HttpClient
+   */
+  onResponse(response, request) {
+    if (response.duration < this.#slowThreshold) {
+      return;
+    }
+    const size = `${response.bytes} bytes`;
+    const retries = response.attempts > 1 ? `, ${response.attempts} attempts` : '';
+    const outcome = `${response.status} ${response.statusText} in ${DebugLogger.#ms(response.duration)}, ${size}${retries}`;
+    const error = !response.ok && response.body ? `\n${this.#truncate(response.body)}` : '';
+    this.#log(this.#slowThreshold > 0
+      ? `slow ${this.#describe(request)}: ${outcome}${this.#body(request)}`
+      : `← ${this.#describe(request)}: ${outcome}${error}`);
+  }
+
+  /**
+   * Logs a request that got no response
+   * @param {Error} error - Failure
+   * @param {Object} request - Request as passed by HttpClient
+   * @param {Object} timing - { duration, attempts }
+   */
+  onError(error, request, { duration }) {
+    const body = this.#slowThreshold > 0 ? this.#body(request) : '';
+    this.#log(`✗ ${this.#describe(request)}: ${error.name}: ${error.message} after ${DebugLogger.#ms(duration)}${body}`);
+  }
+
+  /**
+   * Lays out a SPARQL query or update with one clause or triple per line
+   * Strings, IRIs and comments are kept as they are
+   *
+   * @param {string} sparql - SPARQL text
+   * @param {string} [indent='  '] - Indentation per brace level
+   * @returns {string} Formatted SPARQL
+   */
+  static formatSparql(sparql, indent = '  ') {
+    const lines = [];
+    let line = '';
+    let depth = 0;
+    const newLine = () => {
+      if (line.trim()) {
+        lines.push(indent.repeat(depth) + line.trim());
+      }
+      line = '';
+    };
+
+    const at = (pattern, index) => {
+      pattern.lastIndex = index;
+      return pattern.exec(sparql);
+    };
+
+    for (let i = 0; i < sparql.length; i++) {
+      const ch = sparql[i];
+      const token = at(VERBATIM, i);
+
+      if (token) {
+        line += token[0];
+        i += token[0].length - 1;
+        if (ch === '#') {
+          newLine();
+        }
+      } else if (/\s/.test(ch)) {
+        line += line.endsWith(' ') || line === '' ? '' : ' ';
+      } else if (ch === '{') {
+        line += '{';
+        newLine();
+        depth++;
+      } else if (ch === '}') {
+        newLine();
+        depth = Math.max(0, depth - 1);
+        line = '}';
+        if (!at(SAME_LINE, i + 1)) {
+          newLine();
+        }
+      } else if ((ch === '.' || ch === ';') && (i + 1 === sparql.length || /\s/.test(sparql[i + 1]))) {
+        line += ch;
+        if (ch === '.' || depth === 0) {
+          newLine();
+        }
+      } else {
+        if (depth === 0 && (i === 0 || /[\s}]/.test(sparql[i - 1])) && at(CLAUSE_KEYWORDS, i)) {
+          newLine();
+        }
+        line += ch;
+      }
+    }
+    newLine();
+    return lines.join('\n');
+  }
+
+  /**
+   * Operation, method and URL of a request
+   * @private
+   */
+  #describe(request) {
+    return `${request.operation ?? 'request'} ${request.method} ${request.url}`;
+  }
+
+  /**
+   * Request body for the log: SPARQL formatted, anything else truncated
+   * @private
+   */
+  #body(request) {
+    if (typeof request.body !== 'string' || request.body === '') {
+      return '';
+    }
+    const type = (request.headers['Content-Type'] ?? request.headers['content-type'] ?? '').split(';')[0].trim();
+    const text = this.#truncate(request.body);
+    return `\n${SPARQL_TYPES.has(type) ? DebugLogger.formatSparql(text) : text}`;
+  }
+
+  /**
+   * Cuts text down to the configured maximum length
+   * @private
+   */
+  #truncate(text) {
+    return text.length > this.#maxLength ? `${text.slice(0, this.#maxLength)}\n… (${text.length} characters)` : text;
+  }
+
+  /**
+   * Formats a duration in milliseconds
+   * @private
+   */
+  static #ms(duration) {
+    return `${duration < 10 ? duration.toFixed(1) : Math.round(duration)}ms`;
+  }
+}
@@ -0,0 +1,363 @@
+/**
+ * FusekiAdmin Class
+ * Apache Jena Fuseki administration protocol (/$/ endpoints)
+ * Kept apart from the SPARQL connectors because no other server offers it
+ * Failures are raised as the errors in triple-store-errors.js
+ *
+ * @class FusekiAdmin
+ * @version 1.0.0
+ */
+
+import { HttpClient } from './http-client.js';
+import { BasicAuth } from './auth-providers.js';
+import { DebugLogger } from './debug-logger.js';
+import { HttpError, TripleStoreError } from './triple-store-errors.js';
+
+const DATASET_TYPES = new Set(['mem', 'tdb2', 'tdb']);
+
+export class FusekiAdmin {
+  #baseUrl;
+  #dataset;
+  #http;
+
+  /**
+   * Creates a new FusekiAdmin instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} config.baseUrl - Base URL of Fuseki server (e.g., 'http://localhost:3030')
+   * @param {string} [config.dataset] - Default dataset of getStats(), getDataset(), backup(), compact() and reloadDataset()
+   * @param {string} [config.username] - Username for authentication
+   * @param {string} [config.password] - Password for authentication
+   * @param {AuthProvider} [config.auth] - Auth provider (see auth-providers.js); replaces username/password
+   * @param {Object} [config.dispatcher] - fetch() dispatcher, e.g. an undici Agent with a client
+   *   certificate (see HttpClient)
+   * @param {number} [config.timeout] - Per-attempt request timeout in milliseconds (see HttpClient)
+   * @param {number} [config.retries] - Retries on connection errors and 502/503/504 responses
+   * @param {number} [config.retryDelay] - First retry delay in milliseconds
+   * @param {number} [config.maxRetryDelay] - Upper bound of the retry delay in milliseconds
+   * @param {Array<Object>} [config.interceptors=[]] - Request interceptors (see HttpClient.use)
+   * @param {boolean|Object} [config.debug=false] - Log every request; an object configures the DebugLogger
+   * @param {HttpClient} [config.http] - Client to send requests with; replaces the auth and request options above
+   */
+  constructor({ baseUrl, dataset, username, password, auth, dispatcher, timeout, retries, retryDelay, maxRetryDelay,
+    interceptors = [], debug = false, http } = {}) {
+    if (!baseUrl) {
+      throw new Error('baseUrl is required');
+    }
+
+    this.#baseUrl = baseUrl.replace(/\/$/, ''); // Remove trailing slash
+    this.#dataset = dataset;
+    this.#http = http ?? new HttpClient({
+      timeout,
+      retries,
+      retryDelay,
+      maxRetryDelay,
+      auth: auth ?? (username && password ? new BasicAuth({ username, password }) : null),
+      dispatcher,
+      interceptors: [...(debug ? [new DebugLogger(debug === true ? {} : debug)] : []), ...interceptors]
+    });
+  }
+
+  /**
+   * Gets the admin endpoint URL
+   * @returns {string} Admin endpoint URL
+   */
+  get adminEndpoint() {
+    return `${this.#baseUrl}/$`;
+  }
+
+  /**
+   * Adds a request interceptor (see HttpClient.use)
+   * Admin requests are named after their endpoint: 'admin:datasets', 'admin:stats', ...
+   * @param {Object} interceptor - Object with onRequest, onResponse and/or onError hooks
+   * @returns {Function} Removes the interceptor again
+   */
+  use(interceptor) {
+    return this.#http.use(interceptor);
+  }
+
+  /**
+   * Lists all datasets on the Fuseki server
+   *
+   * @param {Object} [options={}] - Request options (timeout, retries, signal; see HttpClient.request)
+   * @returns {Promise<Array<string>>} Array of dataset names
+   */
+  async listDatasets(options = {}) {
+    const data = await this.#json('GET', 'datasets', 'List datasets failed', options);
+    return data.datasets.map(ds => ds['ds.name'].replace(/^\//, ''));
+  }
+
+  /**
+   * Describes a dataset
+   *
+   * @param {string} [name] - Dataset name (defaults to the configured dataset)
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Object>} { name, active, services: [{ type, endpoints }] }
+   * @throws {HttpError} With status 404 if the dataset does not exist
+   */
+  async getDataset(name = this.#dataset, options = {}) {
+    const data = await this.#json('GET', FusekiAdmin.#path('datasets', name), 'Get dataset failed', options);
+    return FusekiAdmin.#datasetInfo(data);
+  }
+
+  /**
+   * Creates a dataset
+   *
+   * @param {string} name - Dataset name
+   * @param {Object} [config={}] - Dataset options, plus request options
+   * @param {string} [config.type='mem'] - 'mem' (in memory), 'tdb2' or 'tdb' (persistent)
+   * @returns {Promise<Object>} The new dataset, as returned by getDataset()
+   * @throws {HttpError} With status 409 if the dataset already exists
+   */
+  async createDataset(name, { type = 'mem', ...options } = {}) {
+    if (!DATASET_TYPES.has(type)) {
+      throw new Error(`Unknown dataset type "${type}"; use ${[...DATASET_TYPES].join(', ')}`);
+    }
+
+    const body = new URLSearchParams({ dbName: FusekiAdmin.#name(name), dbType: type }).toString();
+    await this.#send('POST', 'datasets', 'Create dataset failed', options, {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body
+    });
+    return this.getDataset(name, options);
+  }
+
+  /**
+   * Deletes a dataset and, for persistent datasets, its configuration
+   *
+   * @param {string} name - Dataset name
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<void>}
+   */
+  async deleteDataset(name, options = {}) {
+    await this.#send('DELETE', FusekiAdmin.#path('datasets', name), 'Delete dataset failed', options);
+  }
+
+  /**
+   * Takes a dataset offline and makes it active again
+   * Fuseki's admin protocol has no reload operation: the dataset keeps its data
+   * and configuration, and requests made while it is offline get a 503. To
+   * apply a changed configuration, delete and recreate the dataset or restart
+   * the server. If making the dataset active fails, it is tried once more
+   *
+   * @param {string} [name] - Dataset name (defaults to the configured dataset)
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Object>} The dataset, as returned by getDataset()
+   * @throws {TripleStoreError} If the dataset could not be made active again; it is left offline
+   */
+  async reloadDataset(name = this.#dataset, options = {}) {
+    const path = FusekiAdmin.#path('datasets', name);
+    await this.#send('POST', `${path}?state=offline`, 'Reload dataset failed', options);
+    const activate = () => this.#send('POST', `${path}?state=active`, 'Reload dataset failed', options);
+    try {
+      await activate().catch(activate);
+    } catch (error) {
+      throw new TripleStoreError(`Reload dataset failed: dataset "${name}" is still offline (${error.message})`,
+        { cause: error });
+    }
+    return this.getDataset(name, options);
+  }
+
+  /**
+   * Starts a backup of a dataset
+   * Fuseki writes the backup to its backups directory in the background
+   *
+   * @param {string} [name] - Dataset name (defaults to the configured dataset)
+   * @param {Object} [options={}] - Task options, plus request options
+   * @param {boolean} [options.wait=false] - Resolve once the task has finished (see waitForTask())
+   * @returns {Promise<Object>} The task, as returned by getTask()
+   */
+  async backup(name = this.#dataset, { wait = false, ...options } = {}) {
+    return this.#startTask(FusekiAdmin.#path('backup', name), 'Backup failed', wait, options);
+  }
+
+  /**
+   * Starts compacting a TDB2 dataset
+   *
+   * @param {string} [name] - Dataset name (defaults to the configured dataset)
+   * @param {Object} [options={}] - Task options, plus request options
+   * @param {boolean} [options.deleteOld=false] - Delete the storage generation being replaced
+   * @param {boolean} [options.wait=false] - Resolve once the task has finished
+   * @returns {Promise<Object>} The task, as returned by getTask()
+   */
+  async compact(name = this.#dataset, { deleteOld = false, wait = false, ...options } = {}) {
+    const path = `${FusekiAdmin.#path('compact', name)}${deleteOld ? '?deleteOld=true' : ''}`;
+    return this.#startTask(path, 'Compact failed', wait, options);
+  }
+
+  /**
+   * Lists the server's running and recently finished tasks
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Array<Object>>} Tasks, as returned by getTask()
+   */
+  async listTasks(options = {}) {
+    const data = await this.#json('GET', 'tasks', 'List tasks failed', options);
+    return data.map(FusekiAdmin.#taskInfo);
+  }
+
+  /**
+   * Gets the state of a task
+   *
+   * @param {string} id - Task id
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Object>} { id, type, started, finished, success }; finished and
+   *   success are null while the task runs
+   */
+  async getTask(id, options = {}) {
+    const data = await this.#json('GET', `tasks/${encodeURIComponent(id)}`, 'Get task failed', options);
+    return FusekiAdmin.#taskInfo(data);
+  }
+
+  /**
+   * Polls a task until it finishes
+   *
+   * @param {string} id - Task id
+   * @param {Object} [options={}] - Polling options, plus request options
+   * @param {number} [options.interval=500] - Delay between polls in milliseconds
+   * @param {number} [options.maxWait=0] - Give up after this many milliseconds (0 waits indefinitely)
+   * @returns {Promise<Object>} The finished task (success is null if the server does not report it)
+   * @throws {TripleStoreError} If the task reports failure or does not finish in time
+   */
+  async waitForTask(id, { interval = 500, maxWait = 0, ...options } = {}) {
+    const started = Date.now();
+    for (;;) {
+      const task = await this.getTask(id, options);
+      if (task.finished) {
+        if (task.success === false) {
+          throw new TripleStoreError(`${task.type} task ${id} failed`);
+        }
+        return task;
+      }
+      if (maxWait > 0 && Date.now() - started + interval > maxWait) {
+        throw new TripleStoreError(`${task.type} task ${id} did not finish within ${maxWait}ms`);
+      }
+      await HttpClient.sleep(interval, options.signal);
+    }
+  }
+
+  /**
+   * Checks if the server is accessible
+   * Not retried unless options.retries says so
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<boolean>} True if server is accessible
+   */
+  async ping(options = {}) {
+    try {
+      const response = await this.#http.request(`${this.adminEndpoint}/ping`, {
+        method: 'GET'
+      }, { operation: 'admin:ping', retries: 0, ...options });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Gets server statistics
+   *
+   * @param {string} [dataset] - Dataset name (defaults to the configured dataset)
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Object>} Server statistics
+   */
+  async getStats(dataset = this.#dataset, options = {}) {
+    return this.#json('GET', dataset ? FusekiAdmin.#path('stats', dataset) : 'stats', 'Get stats failed', options);
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the admin client
+   */
+  toString() {
+    return `FusekiAdmin { ${this.adminEndpoint} }`;
+  }
+
+  /**
+   * Sends an admin request; only GET requests are retried
+   * @private
+   */
+  async #send(method, path, operation, options, { headers = {}, body } = {}) {
+    const url = `${this.adminEndpoint}/${path}`;
+    const response = await this.#http.request(url, {
+      method,
+      headers,
+      body
+    }, { operation: `admin:${path.split(/[/?]/)[0]}`, idempotent: method === 'GET', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from(operation, response, url);
+    }
+    return response;
+  }
+
+  /**
+   * Sends an admin request and parses the JSON response
+   * @private
+   */
+  async #json(method, path, operation, options) {
+    const response = await this.#send(method, path, operation, options, { headers: { 'Accept': 'application/json' } });
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new TripleStoreError(`${operation}: invalid JSON response`, { cause: error });
+    }
+  }
+
+  /**
+   * Starts a background task and returns its state
+   * @private
+   */
+  async #startTask(path, operation, wait, options) {
+    const { taskId } = await this.#json('POST', path, operation, options);
+    return wait ? this.waitForTask(String(taskId), options) : this.getTask(String(taskId), options);
+  }
+
+  /**
+   * Validates a dataset name, dropping a leading "/"
+   * @private
+   */
+  static #name(name) {
+    if (typeof name !== 'string' || name.replace(/^\//, '') === '') {
+      throw new Error('A dataset name is required');
+    }
+    return name.replace(/^\//, '');
+  }
+
+  /**
+   * Builds the path of a per-dataset admin endpoint
+   * @private
+   */
+  static #path(endpoint, name) {
+    return `${endpoint}/${encodeURIComponent(FusekiAdmin.#name(name))}`;
+  }
+
+  /**
+   * Converts a dataset description
+   * @private
+   */
+  static #datasetInfo(data) {
+    return {
+      name: data['ds.name'].replace(/^\//, ''),
+      active: data['ds.state'] === true || data['ds.state'] === 'active',
+      services: (data['ds.services'] ?? []).map(service => ({
+        type: service['srv.type'],
+        endpoints: service['srv.endpoints'] ?? []
+      }))
+    };
+  }
+
+  /**
+   * Converts a task description
+   * @private
+   */
+  static #taskInfo(data) {
+    return {
+      id: String(data.taskId),
+      type: data.task,
+      started: data.started ? new Date(data.started) : null,
+      finished: data.finished ? new Date(data.finished) : null,
+      success: typeof data.success === 'boolean' ? data.success : null
+    };
+  }
+}
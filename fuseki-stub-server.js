@@ -0,0 +1,459 @@
+/**
+ * FusekiStubServer Class
+ * In-process HTTP server that answers the Apache Jena Fuseki endpoints used
+ * by FusekiConnector and FusekiAdmin, so connector code can be tested
+ * without a running Fuseki. Each dataset is a QuadStore queried and updated
+ * through SparqlEngine; data lives only as long as the server
+ *
+ * Dataset services: /{dataset}/query (also /sparql), /{dataset}/update and
+ * /{dataset}/data (Graph Store Protocol). Admin: /$/ping, /$/datasets and
+ * /$/stats. SELECT and ASK results are always SPARQL results JSON; graphs
+ * are served as Turtle, TriG, N-Triples or N-Quads
+ *
+ * @class FusekiStubServer
+ * @version 1.0.0
+ */
+
+import { createServer } from 'node:http';
+import { QuadStore } from './quad-store.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { SparqlParser } from './sparql-parser.js';
+import { TurtleParser, RDF_FORMATS } from './turtle-parser.js';
+import { TurtleWriter } from './turtle-writer.js';
+import { namedNode, defaultGraph, quad } from './rdf-terms.js';
+import { FusekiConnector } from './fuseki-connector.js';
+
+const DATASET_TYPES = new Set(['mem', 'tdb2', 'tdb']);
+
+// Service name -> [operation, srv.type, description] (Fuseki's dataset services)
+const SERVICES = {
+  query: ['query', 'query', 'SPARQL Query'],
+  sparql: ['query', 'query', 'SPARQL Query'],
+  update: ['update', 'update', 'SPARQL Update'],
+  data: ['gsp', 'gsp-rw', 'Graph Store Protocol']
+};
+
+export class FusekiStubServer {
+  #server = null;
+  #host;
+  #port;
+  #unionDefaultGraph;
+  #datasets = new Map();
+
+  /**
+   * Creates a new FusekiStubServer instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {Array<string>} [config.datasets=['test']] - In-memory datasets to create
+   * @param {number} [config.port=0] - Port to listen on (0 picks a free port)
+   * @param {string} [config.host='127.0.0.1'] - Interface to listen on
+   * @param {boolean} [config.unionDefaultGraph=false] - Query the union of all graphs as
+   *   the default graph, like Fuseki's tdb2:unionDefaultGraph
+   */
+  constructor({ datasets = ['test'], port = 0, host = '127.0.0.1', unionDefaultGraph = false } = {}) {
+    this.#port = port;
+    this.#host = host;
+    this.#unionDefaultGraph = unionDefaultGraph;
+    datasets.forEach(name => this.createDataset(name));
+  }
+
+  /**
+   * Gets the server's base URL, to be passed to FusekiConnector and FusekiAdmin
+   * @returns {string|null} Base URL (e.g. 'http://127.0.0.1:41234'), or null if not started
+   */
+  get baseUrl() {
+    return this.#server ? `http://${this.#host}:${this.#server.address().port}` : null;
+  }
+
+  /**
+   * Gets the names of the datasets
+   * @returns {Array<string>} Dataset names
+   */
+  get datasets() {
+    return [...this.#datasets.keys()];
+  }
+
+  /**
+   * Starts listening
+   *
+   * @returns {Promise<string>} Base URL of the server
+   * @throws {Error} If the server is already running or the port is taken
+   */
+  async start() {
+    if (this.#server) {
+      throw new Error('Server is already running');
+    }
+
+    const server = createServer((req, res) => this.#handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.#port, this.#host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+    this.#server = server;
+    return this.baseUrl;
+  }
+
+  /**
+   * Stops listening and closes open connections; the datasets are kept
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    const server = this.#server;
+    if (!server) {
+      return;
+    }
+    this.#server = null;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+
+  /**
+   * Creates an empty dataset
+   *
+   * @param {string} name - Dataset name
+   * @param {string} [type='mem'] - 'mem', 'tdb2' or 'tdb'; every type is kept in memory
+   * @returns {QuadStore} The dataset's store
+   * @throws {Error} If the name is taken or the type is unknown
+   */
+  createDataset(name, type = 'mem') {
+    name = String(name ?? '').replace(/^\//, '');
+    if (!name || name.startsWith('$') || name.includes('/')) {
+      throw new Error(`Invalid dataset name "${name}"`);
+    }
+    if (this.#datasets.has(name)) {
+      throw new Error(`Dataset "${name}" already exists`);
+    }
+    if (!DATASET_TYPES.has(type)) {
+      throw new Error(`Unknown dataset type "${type}"; use ${[...DATASET_TYPES].join(', ')}`);
+    }
+
+    const store = new QuadStore();
+    this.#datasets.set(name, {
+      type,
+      store,
+      engine: new SparqlEngine({ source: store, unionDefaultGraph: this.#unionDefaultGraph }),
+      active: true,
+      stats: FusekiStubServer.#counters()
+    });
+    return store;
+  }
+
+  /**
+   * Gets the store of a dataset, e.g. to seed or inspect data in tests
+   *
+   * @param {string} name - Dataset name
+   * @returns {QuadStore|undefined} The dataset's store
+   */
+  store(name) {
+    return this.#datasets.get(name)?.store;
+  }
+
+  /**
+   * Creates a FusekiConnector for one of the datasets
+   *
+   * @param {string} [dataset] - Dataset name (defaults to the first dataset)
+   * @param {Object} [options={}] - Further FusekiConnector options (timeout, retries, ...)
+   * @returns {FusekiConnector} Connector bound to this server
+   * @throws {Error} If the server is not running
+   */
+  connector(dataset = this.datasets[0], options = {}) {
+    if (!this.#server) {
+      throw new Error('Server is not running; call start() first');
+    }
+    return new FusekiConnector({ baseUrl: this.baseUrl, dataset, ...options });
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the server
+   */
+  toString() {
+    return `FusekiStubServer { ${this.baseUrl ?? 'stopped'}, datasets: ${this.datasets.join(', ')} }`;
+  }
+
+  /**
+   * Routes a request and turns unexpected failures into 500 responses
+   * @private
+   */
+  async #handle(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const body = await FusekiStubServer.#readBody(req);
+      const [first, second, ...rest] = url.pathname.split('/').slice(1).map(decodeURIComponent);
+
+      if (first === '$') {
+        this.#admin(req.method, second, rest.join('/'), url, body, res);
+      } else if (rest.length > 0) {
+        FusekiStubServer.#send(res, 404, `No endpoint for ${url.pathname}`);
+      } else {
+        this.#service(req, first, second, url, body, res);
+      }
+    } catch (error) {
+      FusekiStubServer.#send(res, 500, `Internal error: ${error.message}`);
+    }
+  }
+
+  // Dataset services
+
+  #service(req, name, service, url, body, res) {
+    const dataset = this.#datasets.get(name);
+    if (!dataset || !SERVICES[service]) {
+      return FusekiStubServer.#send(res, 404, `No endpoint for ${url.pathname}`);
+    }
+    if (!dataset.active) {
+      return FusekiStubServer.#send(res, 503, `Dataset /${name} is offline`);
+    }
+
+    const [operation] = SERVICES[service];
+    const status = operation === 'query' ? this.#query(dataset, req, url, body, res)
+      : operation === 'update' ? this.#update(dataset, req, body, res)
+        : this.#graphStore(dataset, req, url, body, res);
+
+    for (const counters of [dataset.stats, dataset.stats.endpoints[service]]) {
+      counters.Requests++;
+      counters[status < 400 ? 'RequestsGood' : 'RequestsBad']++;
+    }
+  }
+
+  #query(dataset, req, url, body, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return FusekiStubServer.#send(res, 405, `Method ${req.method} not allowed`);
+    }
+    const form = FusekiStubServer.#form(req, body);
+    const text = req.method === 'GET' ? url.searchParams.get('query')
+      : form ? form.get('query')
+        : FusekiStubServer.#mediaType(req) === 'application/sparql-query' ? body : null;
+    if (!text) {
+      return FusekiStubServer.#send(res, 400, 'No query string');
+    }
+
+    let parsed;
+    try {
+      parsed = SparqlParser.parse(text);
+    } catch (error) {
+      return FusekiStubServer.#send(res, 400, error.message);
+    }
+
+    const result = dataset.engine.execute(parsed);
+    if (parsed.queryType === 'SELECT' || parsed.queryType === 'ASK') {
+      return FusekiStubServer.#send(res, 200, JSON.stringify(result), 'application/sparql-results+json');
+    }
+    const format = FusekiStubServer.#accept(req, 'text/turtle');
+    return FusekiStubServer.#send(res, 200, TurtleWriter.write(result, { format }), format);
+  }
+
+  #update(dataset, req, body, res) {
+    if (req.method !== 'POST') {
+      return FusekiStubServer.#send(res, 405, `Method ${req.method} not allowed`);
+    }
+    const form = FusekiStubServer.#form(req, body);
+    const text = form ? form.get('update')
+      : FusekiStubServer.#mediaType(req) === 'application/sparql-update' ? body : null;
+    if (text === null) {
+      return FusekiStubServer.#send(res, 400, 'No update request');
+    }
+
+    try {
+      dataset.engine.update(SparqlParser.parseUpdate(text));
+    } catch (error) {
+      return FusekiStubServer.#send(res, 400, error.message);
+    }
+    return FusekiStubServer.#send(res, 204);
+  }
+
+  /**
+   * Graph Store Protocol: ?default or ?graph=<iri> selects a graph, neither
+   * the whole dataset (read and append only)
+   * @private
+   */
+  #graphStore(dataset, req, url, body, res) {
+    const { store } = dataset;
+    const iri = url.searchParams.get('graph');
+    const graph = iri ? namedNode(iri) : url.searchParams.has('default') ? defaultGraph() : null;
+
+    switch (req.method) {
+      case 'GET':
+      case 'HEAD': {
+        if (graph?.termType === 'NamedNode' && store.match(null, null, null, graph).length === 0) {
+          return FusekiStubServer.#send(res, 404, req.method === 'GET' ? `No such graph: <${iri}>` : '');
+        }
+        const format = FusekiStubServer.#accept(req, graph ? 'text/turtle' : 'application/trig');
+        const quads = graph ? store.match(null, null, null, graph).map(q => quad(q.subject, q.predicate, q.object)) : store.quads;
+        const text = TurtleWriter.write(quads, { format });
+        return FusekiStubServer.#send(res, 200, req.method === 'GET' ? text : '', format);
+      }
+      case 'PUT':
+      case 'POST': {
+        if (!graph && req.method === 'PUT') {
+          return FusekiStubServer.#send(res, 400, 'PUT needs ?default or ?graph=');
+        }
+        let parser;
+        try {
+          parser = new TurtleParser({ format: FusekiStubServer.#mediaType(req) || 'text/turtle' });
+        } catch (error) {
+          return FusekiStubServer.#send(res, 415, error.message);
+        }
+        let quads;
+        try {
+          quads = parser.parse(body);
+        } catch (error) {
+          return FusekiStubServer.#send(res, 400, error.message);
+        }
+        const created = graph && store.match(null, null, null, graph).length === 0;
+        if (req.method === 'PUT') {
+          store.deleteGraph(graph);
+        }
+        store.addAll(graph ? quads.map(q => quad(q.subject, q.predicate, q.object, graph)) : quads);
+
+        const quadCount = graph ? 0 : quads.filter(q => q.graph.termType !== 'DefaultGraph').length;
+        const counts = { count: quads.length, tripleCount: quads.length - quadCount, quadCount };
+        return FusekiStubServer.#send(res, created ? 201 : 200, JSON.stringify(counts), 'application/json');
+      }
+      case 'DELETE':
+        if (!graph) {
+          return FusekiStubServer.#send(res, 400, 'DELETE needs ?default or ?graph=');
+        }
+        if (graph.termType === 'NamedNode' && store.match(null, null, null, graph).length === 0) {
+          return FusekiStubServer.#send(res, 404, `No such graph: <${iri}>`);
+        }
+        store.deleteGraph(graph);
+        return FusekiStubServer.#send(res, 204);
+      default:
+        return FusekiStubServer.#send(res, 405, `Method ${req.method} not allowed`);
+    }
+  }
+
+  // Admin protocol (/$/...)
+
+  #admin(method, endpoint, name, url, body, res) {
+    const json = (status, data) => FusekiStubServer.#send(res, status, JSON.stringify(data), 'application/json');
+
+    if (endpoint === 'ping' && (method === 'GET' || method === 'POST')) {
+      return FusekiStubServer.#send(res, 200, new Date().toISOString());
+    }
+
+    if (endpoint === 'datasets' && !name) {
+      if (method === 'GET') {
+        return json(200, { datasets: this.datasets.map(ds => this.#describe(ds)) });
+      }
+      if (method === 'POST') {
+        const form = new URLSearchParams(body);
+        const dbName = (form.get('dbName') ?? '').replace(/^\//, '');
+        if (this.#datasets.has(dbName)) {
+          return FusekiStubServer.#send(res, 409, `Name already registered /${dbName}`);
+        }
+        try {
+          this.createDataset(dbName, form.get('dbType') ?? 'mem');
+        } catch (error) {
+          return FusekiStubServer.#send(res, 400, error.message);
+        }
+        return FusekiStubServer.#send(res, 200);
+      }
+    }
+
+    if (endpoint === 'datasets' && name) {
+      const dataset = this.#datasets.get(name);
+      if (!dataset) {
+        return FusekiStubServer.#send(res, 404, `No such dataset registered: /${name}`);
+      }
+      if (method === 'GET') {
+        return json(200, this.#describe(name));
+      }
+      if (method === 'DELETE') {
+        this.#datasets.delete(name);
+        return FusekiStubServer.#send(res, 200);
+      }
+      if (method === 'POST' && ['active', 'offline'].includes(url.searchParams.get('state'))) {
+        dataset.active = url.searchParams.get('state') === 'active';
+        return FusekiStubServer.#send(res, 200);
+      }
+    }
+
+    if (endpoint === 'stats' && method === 'GET') {
+      const names = name ? [name] : this.datasets;
+      if (name && !this.#datasets.has(name)) {
+        return FusekiStubServer.#send(res, 404, `No such dataset registered: /${name}`);
+      }
+      return json(200, { datasets: Object.fromEntries(names.map(ds => [`/${ds}`, this.#datasets.get(ds).stats])) });
+    }
+
+    return FusekiStubServer.#send(res, 404, `No endpoint for /$/${endpoint}${name ? `/${name}` : ''}`);
+  }
+
+  /**
+   * Describes a dataset the way /$/datasets does
+   * @private
+   */
+  #describe(name) {
+    const services = new Map();
+    for (const [endpoint, [, type, description]] of Object.entries(SERVICES)) {
+      if (!services.has(type)) {
+        services.set(type, { 'srv.type': type, 'srv.description': description, 'srv.endpoints': [] });
+      }
+      services.get(type)['srv.endpoints'].push(endpoint);
+    }
+    return { 'ds.name': `/${name}`, 'ds.state': this.#datasets.get(name).active, 'ds.services': [...services.values()] };
+  }
+
+  /**
+   * Request counters in the layout of /$/stats
+   * @private
+   */
+  static #counters() {
+    const counters = () => ({ Requests: 0, RequestsGood: 0, RequestsBad: 0 });
+    return {
+      ...counters(),
+      endpoints: Object.fromEntries(Object.entries(SERVICES).map(([endpoint, [operation, , description]]) =>
+        [endpoint, { ...counters(), operation, description }]))
+    };
+  }
+
+  static async #readBody(req) {
+    req.setEncoding('utf8');
+    let body = '';
+    for await (const chunk of req) {
+      body += chunk;
+    }
+    return body;
+  }
+
+  static #mediaType(req) {
+    return (req.headers['content-type'] ?? '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Parses an HTML form body; null if the request is not a form
+   * @private
+   */
+  static #form(req, body) {
+    return FusekiStubServer.#mediaType(req) === 'application/x-www-form-urlencoded' ? new URLSearchParams(body) : null;
+  }
+
+  /**
+   * Picks the first RDF format named in the Accept header
+   * @private
+   */
+  static #accept(req, fallback) {
+    for (const range of (req.headers['accept'] ?? '').split(',')) {
+      const type = range.split(';')[0].trim().toLowerCase();
+      if (type in RDF_FORMATS) {
+        return type;
+      }
+    }
+    return fallback;
+  }
+
+  /**
+   * Writes a response and returns its status
+   * @private
+   */
+  static #send(res, status, body = '', contentType = 'text/plain; charset=utf-8') {
+    const headers = body === '' && status === 204 ? {} : { 'Content-Type': contentType };
+    res.writeHead(status, headers);
+    res.end(body);
+    return status;
+  }
+}
@@ -0,0 +1,405 @@
+/**
+ * HttpClient Class
+ * fetch() wrapper shared by the connectors and FusekiAdmin
+ * Adds a per-attempt timeout, AbortSignal passthrough and exponential
+ * backoff retries on connection errors and 502/503/504 responses. Requests
+ * that are not idempotent (SPARQL updates, GSP POST) are only retried when
+ * the connection was never established, so the server cannot have applied them.
+ * Network failures reject with ConnectionError or TimeoutError; an aborted
+ * signal rejects with its reason. stream() hands over the body as it arrives.
+ * An auth provider (see auth-providers.js) adds credentials to every attempt
+ * and may resend a request once after a 401. A dispatcher (e.g. an undici
+ * Agent with a client certificate) replaces fetch()'s connection handling,
+ * which is how mutual TLS is configured. Interceptors observe each
+ * request once, however many attempts it takes: onRequest(request) before it
+ * is sent, then onResponse(response, request) or onError(error, request, timing)
+ *
+ * @class HttpClient
+ * @version 1.0.0
+ */
+
+import { ConnectionError, TimeoutError } from './triple-store-errors.js';
+
+const RETRY_STATUSES = new Set([502, 503, 504]);
+
+// Failures that happen before any byte of the request reaches the server
+const NOT_SENT_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_CONNECT_TIMEOUT']);
+
+export class HttpClient {
+  #timeout;
+  #retries;
+  #retryDelay;
+  #maxRetryDelay;
+  #auth;
+  #dispatcher;
+  #interceptors = [];
+
+  /**
+   * Creates a new HttpClient instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {number} [config.timeout=60000] - Per-attempt timeout in milliseconds (0 disables it)
+   * @param {number} [config.retries=3] - Retries after the first attempt
+   * @param {number} [config.retryDelay=500] - Delay before the first retry in milliseconds; doubles on each retry
+   * @param {number} [config.maxRetryDelay=10000] - Upper bound of the retry delay in milliseconds
+   * @param {AuthProvider} [config.auth] - Adds credentials to each request (BasicAuth, BearerAuth, ...)
+   * @param {Object} [config.dispatcher] - fetch() dispatcher, e.g. an undici Agent configured with
+   *   connect: { cert, key, ca } for client certificates
+   * @param {Array<Object>} [config.interceptors=[]] - Interceptors, as for use()
+   */
+  constructor({ timeout = 60000, retries = 3, retryDelay = 500, maxRetryDelay = 10000, auth = null,
+    dispatcher = null, interceptors = [] } = {}) {
+    if (auth && typeof auth.authorize !== 'function') {
+      throw new Error('auth must have an authorize() method');
+    }
+    if (dispatcher && typeof dispatcher.dispatch !== 'function') {
+      throw new Error('dispatcher must have a dispatch() method');
+    }
+    this.#timeout = HttpClient.#duration(timeout, 'timeout');
+    this.#retries = HttpClient.#duration(retries, 'retries');
+    this.#retryDelay = HttpClient.#duration(retryDelay, 'retryDelay');
+    this.#maxRetryDelay = HttpClient.#duration(maxRetryDelay, 'maxRetryDelay');
+    this.#auth = auth;
+    this.#dispatcher = dispatcher;
+    interceptors.forEach(interceptor => this.use(interceptor));
+  }
+
+  /**
+   * Gets the auth provider
+   * @returns {AuthProvider|null} Provider applied to each request
+   */
+  get auth() {
+    return this.#auth;
+  }
+
+  /**
+   * Gets the registered interceptors
+   * @returns {Array<Object>} Interceptors, in the order they are called
+   */
+  get interceptors() {
+    return [...this.#interceptors];
+  }
+
+  /**
+   * Registers an interceptor
+   * onRequest may change request.url, request.headers and request.body before
+   * the request is sent; credentials are added afterwards and are not shown
+   * to it. A hook that throws fails the request
+   *
+   * @param {Object} interceptor - Object with any of the hooks below (sync or async)
+   * @param {Function} [interceptor.onRequest] - (request) with { operation, method, url, headers, body }
+   * @param {Function} [interceptor.onResponse] - (response, request) with response as
+   *   { ok, status, statusText, headers, body, bytes, duration, attempts }; called for error
+   *   statuses too, and for stream() once the body has been read (body is then null)
+   * @param {Function} [interceptor.onError] - (error, request, { duration, attempts }) when no
+   *   response arrives or a streamed body fails
+   * @returns {Function} Call to remove the interceptor again
+   * @throws {Error} If the object has none of the hooks
+   */
+  use(interceptor) {
+    if (!interceptor || !['onRequest', 'onResponse', 'onError'].some(hook => typeof interceptor[hook] === 'function')) {
+      throw new Error('An interceptor needs an onRequest, onResponse or onError function');
+    }
+    this.#interceptors.push(interceptor);
+    return () => {
+      const index = this.#interceptors.indexOf(interceptor);
+      if (index >= 0) {
+        this.#interceptors.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * Gets the default request options
+   * @returns {Object} { timeout, retries, retryDelay, maxRetryDelay }
+   */
+  get options() {
+    return {
+      timeout: this.#timeout,
+      retries: this.#retries,
+      retryDelay: this.#retryDelay,
+      maxRetryDelay: this.#maxRetryDelay
+    };
+  }
+
+  /**
+   * Sends a request and reads the response body
+   * The timeout covers each attempt, including reading the body
+   *
+   * @param {string} url - Request URL
+   * @param {Object} [init={}] - fetch() options (method, headers, body)
+   * @param {Object} [options={}] - Per-call options overriding the defaults
+   * @param {number} [options.timeout] - Per-attempt timeout in milliseconds
+   * @param {number} [options.retries] - Retries after the first attempt
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @param {boolean} [options.idempotent=true] - Whether the request may be sent twice
+   * @param {string} [options.operation] - Name of the operation, passed to interceptors (e.g. 'query')
+   * @returns {Promise<Object>} { ok, status, statusText, headers, body } with the body as text
+   * @throws {ConnectionError|TimeoutError} If no response arrives (after any retries)
+   */
+  async request(url, init = {}, options = {}) {
+    return this.#send(url, init, options, false);
+  }
+
+  /**
+   * Sends a request and hands over the response body as it arrives
+   * The timeout covers waiting for the response headers; the signal can still
+   * cancel the body. Error responses (non-2xx) are read in full
+   *
+   * @param {string} url - Request URL
+   * @param {Object} [init={}] - fetch() options (method, headers, body)
+   * @param {Object} [options={}] - Per-call options, as for request()
+   * @returns {Promise<Object>} { ok, status, statusText, headers, body } with the body as an
+   *   AsyncIterable of text chunks when ok, as text otherwise
+   * @throws {ConnectionError|TimeoutError} If no response arrives (after any retries)
+   */
+  async stream(url, init = {}, options = {}) {
+    return this.#send(url, init, options, true);
+  }
+
+  /**
+   * Waits, stopping early if the signal aborts
+   * Used between retries and by pollers such as FusekiAdmin.waitForTask()
+   *
+   * @param {number} ms - Delay in milliseconds
+   * @param {AbortSignal} [signal] - Rejects with the signal's reason when aborted
+   * @returns {Promise<void>}
+   */
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      signal?.throwIfAborted();
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the client
+   */
+  toString() {
+    return `HttpClient { timeout ${this.#timeout}ms, ${this.#retries} retries }`;
+  }
+
+  /**
+   * Sends a request through the interceptors
+   * @private
+   */
+  async #send(url, init, options, streaming) {
+    const request = {
+      operation: options.operation ?? null,
+      method: (init.method ?? 'GET').toUpperCase(),
+      url,
+      headers: { ...init.headers },
+      body: init.body
+    };
+    await this.#notify('onRequest', request);
+
+    const started = performance.now();
+    const timing = { attempts: 0 };
+    const elapsed = () => ({ duration: performance.now() - started, attempts: timing.attempts });
+
+    let response;
+    try {
+      response = await this.#retry(request, init, options, streaming, timing);
+    } catch (error) {
+      await this.#notify('onError', error, request, elapsed());
+      throw error;
+    }
+
+    if (streaming && response.ok) {
+      return { ...response, body: this.#observe(response, request, elapsed) };
+    }
+    await this.#notify('onResponse', { ...response, bytes: Buffer.byteLength(response.body), ...elapsed() }, request);
+    return response;
+  }
+
+  /**
+   * Sends a request, retrying failed attempts
+   * @private
+   */
+  async #retry(request, init, options, streaming, timing) {
+    const { timeout, retries, retryDelay, maxRetryDelay } = { ...this.options, ...HttpClient.#defined(options) };
+    const { signal, idempotent = true } = options;
+    const { url } = request;
+    const target = { url, method: request.method };
+    let challenged = false;
+
+    for (let attempt = 0; ; attempt++) {
+      signal?.throwIfAborted();
+
+      let response;
+      try {
+        const headers = this.#auth ? { ...request.headers, ...await this.#auth.authorize(target) } : request.headers;
+        timing.attempts++;
+        const sent = { ...init, headers, body: request.body, ...(this.#dispatcher && { dispatcher: this.#dispatcher }) };
+        response = await HttpClient.#attempt(url, sent, timeout, signal, streaming);
+      } catch (error) {
+        if (attempt >= retries || !HttpClient.#isRetryable(error, idempotent)) {
+          throw error;
+        }
+        await HttpClient.sleep(Math.min(maxRetryDelay, retryDelay * 2 ** attempt), signal);
+        continue;
+      }
+
+      // A 401 was rejected before the server acted on it, so even updates can be resent
+      if (response.status === 401 && !challenged && typeof this.#auth?.challenge === 'function') {
+        challenged = true;
+        if (await this.#auth.challenge(response, target)) {
+          attempt--;
+          continue;
+        }
+      }
+
+      if (attempt >= retries || !idempotent || !RETRY_STATUSES.has(response.status)) {
+        return response;
+      }
+      const retryAfter = Number(response.headers.get('Retry-After')) * 1000;
+      const delay = Math.max(retryDelay * 2 ** attempt, Number.isFinite(retryAfter) ? retryAfter : 0);
+      await HttpClient.sleep(Math.min(maxRetryDelay, delay), signal);
+    }
+  }
+
+  /**
+   * Counts a streamed body and reports it once it has been read or abandoned
+   * @private
+   */
+  async *#observe(response, request, elapsed) {
+    let bytes = 0;
+    let failed = false;
+    try {
+      for await (const chunk of response.body) {
+        bytes += Buffer.byteLength(chunk);
+        yield chunk;
+      }
+    } catch (error) {
+      failed = true;
+      await this.#notify('onError', error, request, elapsed());
+      throw error;
+    } finally {
+      if (!failed) {
+        await this.#notify('onResponse', { ...response, body: null, bytes, ...elapsed() }, request);
+      }
+    }
+  }
+
+  /**
+   * Calls one hook of every interceptor, in registration order
+   * @private
+   */
+  async #notify(hook, ...args) {
+    for (const interceptor of this.#interceptors) {
+      await interceptor[hook]?.(...args);
+    }
+  }
+
+  /**
+   * Sends one attempt, aborting it when the timeout expires or the caller aborts
+   * @private
+   */
+  static async #attempt(url, init, timeout, signal, streaming) {
+    const controller = new AbortController();
+    const timeoutError = new TimeoutError(timeout);
+
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(timeoutError), timeout) : null;
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    const release = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    let streamed = false;
+    try {
+      const response = await fetch(url, { ...init, signal: controller.signal });
+      const result = {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers
+      };
+      if (streaming && response.ok) {
+        clearTimeout(timer);
+        streamed = true;
+        return { ...result, body: HttpClient.#chunks(response, url, controller, release) };
+      }
+      return { ...result, body: await response.text() };
+    } catch (error) {
+      throw HttpClient.#failure(error, url, controller);
+    } finally {
+      if (!streamed) {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Decodes a response body chunk by chunk
+   * Stopping the iteration early cancels the body
+   * @private
+   */
+  static async *#chunks(response, url, controller, release) {
+    const decoder = new TextDecoder();
+    try {
+      for await (const bytes of response.body) {
+        yield decoder.decode(bytes, { stream: true });
+      }
+      const rest = decoder.decode();
+      if (rest) {
+        yield rest;
+      }
+    } catch (error) {
+      throw HttpClient.#failure(error, url, controller);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Maps a fetch() failure to the abort reason or a ConnectionError
+   * @private
+   */
+  static #failure(error, url, controller) {
+    if (controller.signal.aborted) {
+      return controller.signal.reason;
+    }
+    const cause = error.cause ?? error;
+    return new ConnectionError(`Cannot reach ${url}: ${cause.message || cause.code || error.message}`, {
+      code: cause.code,
+      cause: error
+    });
+  }
+
+  /**
+   * Checks whether a failed attempt may be repeated
+   * Timeouts are not retried: the server may still be working on the request
+   * @private
+   */
+  static #isRetryable(error, idempotent) {
+    if (!(error instanceof ConnectionError) || error instanceof TimeoutError) {
+      return false;
+    }
+    return idempotent || NOT_SENT_CODES.has(error.code);
+  }
+
+  static #defined(options) {
+    const { timeout, retries, retryDelay, maxRetryDelay } = options;
+    return Object.fromEntries(Object.entries({ timeout, retries, retryDelay, maxRetryDelay })
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => [name, HttpClient.#duration(value, name)]));
+  }
+
+  static #duration(value, name) {
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number`);
+    }
+    return value;
+  }
+}
@@ -249,7 +249,7 @@ async function example7_fusekiOperations() {
     console.log('✅ Found', uris.length, 'person(s) in triple store');
     
     // Get stats
-    const stats = await connector.getStats();
+    const stats = await connector.admin.getStats();
     console.log('✅ Server statistics available');
     
   } catch (error) {
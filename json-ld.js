@@ -0,0 +1,1382 @@
+/**
+ * JsonLdProcessor Class
+ * JSON-LD 1.1 expansion, compaction, flattening and RDF conversion
+ * (https://www.w3.org/TR/json-ld11-api/)
+ * Contexts are never fetched: string references must be supplied through the
+ * documents option, so processing works offline against bundled contexts
+ *
+ * Not supported: @json literals, @nest, @included, @direction, and @id, @type
+ * and @graph containers
+ *
+ * @class JsonLdProcessor
+ * @version 1.0.0
+ */
+
+import { NS, namedNode, blankNode, literal, quad, defaultGraph } from './rdf-terms.js';
+import { resolveIri } from './turtle-parser.js';
+
+const RDF_TYPE = `${NS.rdf}type`;
+const RDF_FIRST = `${NS.rdf}first`;
+const RDF_REST = `${NS.rdf}rest`;
+const RDF_NIL = `${NS.rdf}nil`;
+const RDF_LANG_STRING = `${NS.rdf}langString`;
+const XSD_STRING = `${NS.xsd}string`;
+const XSD_BOOLEAN = `${NS.xsd}boolean`;
+const XSD_INTEGER = `${NS.xsd}integer`;
+const XSD_DOUBLE = `${NS.xsd}double`;
+
+const KEYWORDS = new Set([
+  '@base', '@container', '@context', '@direction', '@graph', '@id', '@import', '@included',
+  '@index', '@json', '@language', '@list', '@nest', '@none', '@prefix', '@propagate',
+  '@protected', '@reverse', '@set', '@type', '@value', '@version', '@vocab'
+]);
+const SUPPORTED_CONTAINERS = new Set(['@list', '@set', '@language', '@index']);
+const GEN_DELIMS = new Set([':', '/', '?', '#', '[', ']', '@']);
+const MAX_CONTEXT_DEPTH = 32;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const asArray = value => Array.isArray(value) ? value : [value];
+const isAbsoluteIri = value => /^[A-Za-z][A-Za-z0-9+.-]*:/.test(value);
+const isKeywordLike = value => /^@[A-Za-z]+$/.test(value);
+const isBlankNode = value => typeof value === 'string' && value.startsWith('_:');
+const isValueObject = value => isObject(value) && '@value' in value;
+const isListObject = value => isObject(value) && '@list' in value;
+const isNodeReference = value => isObject(value) && '@id' in value &&
+  Object.keys(value).every(key => key === '@id' || key === '@index');
+
+function fail(code, detail) {
+  throw new Error(`JSON-LD ${code}: ${detail}`);
+}
+
+function addValue(node, property, value, { unique = true } = {}) {
+  if (!(property in node)) {
+    node[property] = [];
+  }
+  for (const item of asArray(value)) {
+    if (!unique || !node[property].some(existing => JSON.stringify(existing) === JSON.stringify(item))) {
+      node[property].push(item);
+    }
+  }
+}
+
+export class JsonLdProcessor {
+  #documents;
+  #base;
+
+  /**
+   * Creates a new JsonLdProcessor instance
+   *
+   * @param {Object} [options={}] - Processor options
+   * @param {Object} [options.documents] - Map of context URL to context document
+   * @param {string} [options.base] - Base IRI for relative @id values
+   */
+  constructor({ documents = {}, base = null } = {}) {
+    this.#documents = { ...documents };
+    this.#base = base;
+  }
+
+  /**
+   * Gets the locally available context documents
+   * @returns {Object} Map of context URL to context document
+   */
+  get documents() {
+    return { ...this.#documents };
+  }
+
+  /**
+   * Expands a document in one call
+   * @see JsonLdProcessor#expand
+   */
+  static expand(input, options) {
+    return new JsonLdProcessor(options).expand(input, options);
+  }
+
+  /**
+   * Compacts a document in one call
+   * @see JsonLdProcessor#compact
+   */
+  static compact(input, context, options) {
+    return new JsonLdProcessor(options).compact(input, context, options);
+  }
+
+  /**
+   * Flattens a document in one call
+   * @see JsonLdProcessor#flatten
+   */
+  static flatten(input, context, options) {
+    return new JsonLdProcessor(options).flatten(input, context, options);
+  }
+
+  /**
+   * Converts a document to quads in one call
+   * @see JsonLdProcessor#toRdf
+   */
+  static toRdf(input, options) {
+    return new JsonLdProcessor(options).toRdf(input, options);
+  }
+
+  /**
+   * Converts quads to expanded JSON-LD in one call
+   * @see JsonLdProcessor#fromRdf
+   */
+  static fromRdf(quads, options) {
+    return new JsonLdProcessor(options).fromRdf(quads);
+  }
+
+  /**
+   * Expands a JSON-LD document: every term, compact IRI and value is made explicit
+   *
+   * @param {Object|Array} input - JSON-LD document
+   * @param {Object} [options={}] - Expansion options
+   * @param {Object} [options.expandContext] - Context applied before the document's own
+   * @returns {Array<Object>} Expanded document
+   * @throws {Error} If the document or one of its contexts is invalid
+   */
+  expand(input, { expandContext } = {}) {
+    let context = this.#initialContext();
+    if (expandContext) {
+      context = this.#processContext(context, expandContext['@context'] ?? expandContext);
+    }
+
+    let expanded = this.#expand(context, null, input);
+    if (isObject(expanded) && Object.keys(expanded).length === 1 && '@graph' in expanded) {
+      expanded = expanded['@graph'];
+    }
+    return expanded === null ? [] : asArray(expanded);
+  }
+
+  /**
+   * Compacts a JSON-LD document against a context
+   *
+   * @param {Object|Array} input - JSON-LD document
+   * @param {Object} context - Context (or document with @context) to compact against
+   * @param {Object} [options={}] - Compaction options
+   * @param {boolean} [options.compactArrays=true] - Replace single-element arrays by their element
+   * @returns {Object} Compacted document
+   */
+  compact(input, context, { compactArrays = true } = {}) {
+    return this.#compactDocument(this.expand(input), context, { compactArrays, graph: false });
+  }
+
+  /**
+   * Flattens a JSON-LD document into a list of top-level node objects
+   * Blank nodes are relabeled; named graphs are kept under their graph node
+   *
+   * @param {Object|Array} input - JSON-LD document
+   * @param {Object} [context] - Optional context; the result is then compacted into { @context, @graph }
+   * @param {Object} [options] - Compaction options
+   * @returns {Array<Object>|Object} Flattened document
+   */
+  flatten(input, context, options) {
+    const nodeMap = { '@default': {} };
+    this.#generateNodeMap(this.expand(input), nodeMap, '@default', null, null, null, { counter: 0, labels: new Map() });
+
+    const defaultGraphNodes = nodeMap['@default'];
+    for (const [graphName, graph] of Object.entries(nodeMap)) {
+      if (graphName === '@default') {
+        continue;
+      }
+      if (!defaultGraphNodes[graphName]) {
+        defaultGraphNodes[graphName] = { '@id': graphName };
+      }
+      defaultGraphNodes[graphName]['@graph'] = this.#sortedNodes(graph);
+    }
+    const flattened = this.#sortedNodes(defaultGraphNodes);
+
+    if (context === undefined || context === null) {
+      return flattened;
+    }
+    return this.#compactDocument(flattened, context, { compactArrays: options?.compactArrays ?? true, graph: true });
+  }
+
+  /**
+   * Converts a JSON-LD document to RDF quads
+   * Triples with relative IRIs and blank node predicates are skipped
+   *
+   * @param {Object|Array} input - JSON-LD document
+   * @param {Object} [options] - Expansion options (expandContext)
+   * @returns {Array<Object>} Quads
+   */
+  toRdf(input, { expandContext } = {}) {
+    const nodeMap = { '@default': {} };
+    this.#generateNodeMap(this.expand(input, { expandContext }), nodeMap, '@default', null, null, null, { counter: 0, labels: new Map() });
+    const quads = [];
+    const lists = { counter: 0 };
+
+    for (const graphName of Object.keys(nodeMap).sort()) {
+      if (graphName !== '@default' && !isAbsoluteIri(graphName) && !isBlankNode(graphName)) {
+        continue;
+      }
+      const graph = graphName === '@default' ? defaultGraph() : this.#toTerm(graphName);
+
+      for (const id of Object.keys(nodeMap[graphName]).sort()) {
+        const node = nodeMap[graphName][id];
+        const subject = this.#toTerm(id);
+        if (!subject) {
+          continue;
+        }
+
+        for (const property of Object.keys(node).sort()) {
+          if (property === '@type') {
+            for (const type of node['@type']) {
+              const object = this.#toTerm(type);
+              if (object) {
+                quads.push(quad(subject, namedNode(RDF_TYPE), object, graph));
+              }
+            }
+            continue;
+          }
+          if (KEYWORDS.has(property) || isBlankNode(property) || !isAbsoluteIri(property)) {
+            continue;
+          }
+          for (const item of node[property]) {
+            const object = this.#objectToRdf(item, quads, graph, lists);
+            if (object) {
+              quads.push(quad(subject, namedNode(property), object, graph));
+            }
+          }
+        }
+      }
+    }
+
+    return quads;
+  }
+
+  /**
+   * Converts RDF quads to expanded JSON-LD
+   * Well-formed rdf:first/rdf:rest chains become @list values
+   *
+   * @param {Array<Object>} quads - Quads to convert
+   * @returns {Array<Object>} Expanded document, nodes sorted by @id
+   */
+  fromRdf(quads) {
+    const graphMap = { '@default': {} };
+    const usages = new Map();
+    const idOf = term => term.termType === 'BlankNode' ? `_:${term.value}` : term.value;
+
+    for (const q of quads) {
+      const graphName = !q.graph || q.graph.termType === 'DefaultGraph' ? '@default' : idOf(q.graph);
+      if (!graphMap[graphName]) {
+        graphMap[graphName] = {};
+      }
+      if (graphName !== '@default' && !graphMap['@default'][graphName]) {
+        graphMap['@default'][graphName] = { '@id': graphName };
+      }
+      const nodes = graphMap[graphName];
+      const subject = idOf(q.subject);
+      if (!nodes[subject]) {
+        nodes[subject] = { '@id': subject };
+      }
+      const node = nodes[subject];
+
+      if (q.object.termType !== 'Literal' && !nodes[idOf(q.object)]) {
+        nodes[idOf(q.object)] = { '@id': idOf(q.object) };
+      }
+      if (q.predicate.value === RDF_TYPE && q.object.termType !== 'Literal') {
+        addValue(node, '@type', idOf(q.object));
+        continue;
+      }
+
+      const value = this.#rdfToObject(q.object);
+      addValue(node, q.predicate.value, value);
+
+      // Track how blank nodes are referenced so that lists can be folded
+      if (q.object.termType === 'BlankNode' || q.object.value === RDF_NIL) {
+        const key = `${graphName} ${idOf(q.object)}`;
+        if (!usages.has(key)) {
+          usages.set(key, []);
+        }
+        usages.get(key).push({ node, property: q.predicate.value, value });
+      }
+    }
+
+    for (const [graphName, nodes] of Object.entries(graphMap)) {
+      this.#foldLists(graphName, nodes, usages);
+    }
+
+    const result = [];
+    for (const id of Object.keys(graphMap['@default']).sort()) {
+      const node = graphMap['@default'][id];
+      if (graphMap[id] && id !== '@default') {
+        node['@graph'] = this.#sortedNodes(graphMap[id]);
+      }
+      if (Object.keys(node).length > 1) {
+        result.push(node);
+      }
+    }
+    return result;
+  }
+
+  // ====================
+  // Context processing
+  // ====================
+
+  #initialContext() {
+    return { terms: new Map(), base: this.#base, vocab: null, language: null };
+  }
+
+  #processContext(active, local, remote = [], depth = 0) {
+    if (depth > MAX_CONTEXT_DEPTH) {
+      fail('context overflow', 'too many nested contexts');
+    }
+    let result = { ...active, terms: new Map(active.terms) };
+
+    for (const context of asArray(local)) {
+      if (context === null) {
+        result = { ...this.#initialContext(), base: active.base };
+        continue;
+      }
+      if (typeof context === 'string') {
+        const url = result.base ? resolveIri(context, result.base) : context;
+        if (remote.includes(url)) {
+          fail('recursive context inclusion', url);
+        }
+        result = this.#processContext(result, this.#loadContext(url), [...remote, url], depth + 1);
+        continue;
+      }
+      if (!isObject(context)) {
+        fail('invalid local context', JSON.stringify(context));
+      }
+
+      let definitions = context;
+      if ('@version' in definitions && definitions['@version'] !== 1.1) {
+        fail('invalid @version value', String(definitions['@version']));
+      }
+      if ('@import' in definitions) {
+        const source = definitions['@import'];
+        const imported = this.#loadContext(result.base ? resolveIri(source, result.base) : source);
+        if ('@import' in imported) {
+          fail('invalid context entry', '@import inside an imported context');
+        }
+        definitions = { ...imported, ...definitions };
+      }
+      if ('@base' in definitions && remote.length === 0) {
+        const base = definitions['@base'];
+        result.base = base === null ? null : (result.base ? resolveIri(base, result.base) : base);
+      }
+      if ('@vocab' in definitions) {
+        const vocab = definitions['@vocab'];
+        result.vocab = vocab === null
+          ? null
+          : this.#expandIri(result, vocab, { vocab: true, documentRelative: true });
+      }
+      if ('@language' in definitions) {
+        const language = definitions['@language'];
+        if (language !== null && typeof language !== 'string') {
+          fail('invalid default language', String(language));
+        }
+        result.language = language === null ? null : language.toLowerCase();
+      }
+
+      const defined = new Map();
+      for (const term of Object.keys(definitions)) {
+        if (!['@base', '@vocab', '@language', '@version', '@import', '@protected', '@propagate', '@direction'].includes(term)) {
+          this.#createTermDefinition(result, definitions, term, defined);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  #loadContext(url) {
+    const document = this.#documents[url];
+    if (document === undefined) {
+      fail('loading remote context failed', `${url} is not available locally`);
+    }
+    const context = isObject(document) && '@context' in document ? document['@context'] : document;
+    if (!isObject(context) && !Array.isArray(context)) {
+      fail('invalid remote context', url);
+    }
+    return context;
+  }
+
+  #createTermDefinition(active, local, term, defined) {
+    if (defined.get(term) === true) {
+      return;
+    }
+    if (defined.get(term) === false) {
+      fail('cyclic IRI mapping', term);
+    }
+    if (term === '') {
+      fail('invalid term definition', 'empty term');
+    }
+    if (KEYWORDS.has(term)) {
+      fail('keyword redefinition', term);
+    }
+    if (isKeywordLike(term)) {
+      return;
+    }
+
+    defined.set(term, false);
+    active.terms.delete(term);
+
+    let value = local[term];
+    if (value === null || (isObject(value) && value['@id'] === null)) {
+      active.terms.set(term, null);
+      defined.set(term, true);
+      return;
+    }
+    const simple = typeof value === 'string';
+    if (simple) {
+      value = { '@id': value };
+    }
+    if (!isObject(value)) {
+      fail('invalid term definition', term);
+    }
+
+    const definition = { reverse: false, prefix: false, container: [] };
+
+    if ('@type' in value) {
+      const type = this.#expandIri(active, value['@type'], { vocab: true, local, defined });
+      if (!['@id', '@vocab', '@none'].includes(type) && !isAbsoluteIri(type)) {
+        fail('invalid type mapping', `${term}: ${value['@type']}`);
+      }
+      definition.type = type;
+    }
+
+    if ('@reverse' in value) {
+      if ('@id' in value) {
+        fail('invalid reverse property', term);
+      }
+      definition.id = this.#expandIri(active, value['@reverse'], { vocab: true, local, defined });
+      if (!isAbsoluteIri(definition.id)) {
+        fail('invalid IRI mapping', `${term}: ${value['@reverse']}`);
+      }
+      definition.reverse = true;
+    } else if ('@id' in value && value['@id'] !== term) {
+      const id = value['@id'];
+      if (typeof id !== 'string') {
+        fail('invalid IRI mapping', term);
+      }
+      definition.id = KEYWORDS.has(id) ? id : this.#expandIri(active, id, { vocab: true, local, defined });
+      if (!KEYWORDS.has(definition.id) && !isAbsoluteIri(definition.id) && !isBlankNode(definition.id)) {
+        fail('invalid IRI mapping', `${term}: ${id}`);
+      }
+      if (definition.id === '@context') {
+        fail('invalid keyword alias', term);
+      }
+      definition.prefix = !term.includes(':') && !term.includes('/') &&
+        (value['@prefix'] ?? (simple && GEN_DELIMS.has(definition.id.at(-1))));
+    } else if (term.includes(':') && term.indexOf(':') > 0) {
+      const prefix = term.slice(0, term.indexOf(':'));
+      if (prefix in local) {
+        this.#createTermDefinition(active, local, prefix, defined);
+      }
+      const prefixDefinition = active.terms.get(prefix);
+      definition.id = prefixDefinition ? prefixDefinition.id + term.slice(prefix.length + 1) : term;
+    } else if (active.vocab !== null) {
+      definition.id = active.vocab + term;
+    } else {
+      fail('invalid IRI mapping', `${term} has no @id and no @vocab is set`);
+    }
+
+    if ('@container' in value) {
+      definition.container = asArray(value['@container']);
+      for (const container of definition.container) {
+        if (!SUPPORTED_CONTAINERS.has(container)) {
+          fail('invalid container mapping', `${term}: ${container} is not supported`);
+        }
+      }
+    }
+    if ('@language' in value && !('@type' in value)) {
+      const language = value['@language'];
+      if (language !== null && typeof language !== 'string') {
+        fail('invalid language mapping', term);
+      }
+      definition.language = language === null ? null : language.toLowerCase();
+    }
+    if ('@context' in value) {
+      definition.context = value['@context'];
+    }
+    if ('@nest' in value) {
+      fail('invalid term definition', `${term}: @nest is not supported`);
+    }
+
+    active.terms.set(term, definition);
+    defined.set(term, true);
+  }
+
+  #expandIri(active, value, { vocab = false, documentRelative = false, local = null, defined = null } = {}) {
+    if (value === null || typeof value !== 'string' || KEYWORDS.has(value)) {
+      return value;
+    }
+    if (isKeywordLike(value)) {
+      return null;
+    }
+    if (local && value in local && defined && defined.get(value) !== true) {
+      this.#createTermDefinition(active, local, value, defined);
+    }
+
+    const definition = active.terms.get(value);
+    if (definition !== undefined && (vocab || KEYWORDS.has(definition?.id))) {
+      return definition === null ? null : definition.id;
+    }
+
+    const colon = value.indexOf(':');
+    if (colon > 0) {
+      const prefix = value.slice(0, colon);
+      const suffix = value.slice(colon + 1);
+      if (prefix === '_' || suffix.startsWith('//')) {
+        return value;
+      }
+      if (local && prefix in local && defined) {
+        this.#createTermDefinition(active, local, prefix, defined);
+      }
+      const prefixDefinition = active.terms.get(prefix);
+      if (prefixDefinition?.prefix) {
+        return prefixDefinition.id + suffix;
+      }
+      if (isAbsoluteIri(value)) {
+        return value;
+      }
+    }
+
+    if (vocab && active.vocab !== null) {
+      return active.vocab + value;
+    }
+    if (documentRelative) {
+      return active.base ? resolveIri(value, active.base) : value;
+    }
+    return value;
+  }
+
+  // ====================
+  // Expansion
+  // ====================
+
+  #expand(active, activeProperty, element) {
+    if (element === null || element === undefined) {
+      return null;
+    }
+
+    if (!isObject(element) && !Array.isArray(element)) {
+      if (activeProperty === null || activeProperty === '@graph') {
+        return null;
+      }
+      return this.#expandValue(active, activeProperty, element);
+    }
+
+    if (Array.isArray(element)) {
+      const result = [];
+      for (const item of element) {
+        const expanded = this.#expand(active, activeProperty, item);
+        if (expanded !== null) {
+          result.push(...asArray(expanded));
+        }
+      }
+      return result;
+    }
+
+    const propertyScoped = active.terms.get(activeProperty)?.context;
+    if (propertyScoped !== undefined) {
+      active = this.#processContext(active, propertyScoped);
+    }
+    if ('@context' in element) {
+      active = this.#processContext(active, element['@context']);
+    }
+
+    // Type-scoped contexts apply to the node's own properties
+    const typeScope = active;
+    for (const key of Object.keys(element)) {
+      if (this.#expandIri(active, key, { vocab: true }) === '@type') {
+        for (const type of asArray(element[key]).filter(t => typeof t === 'string').sort()) {
+          const scoped = typeScope.terms.get(type)?.context;
+          if (scoped !== undefined) {
+            active = this.#processContext(active, scoped);
+          }
+        }
+      }
+    }
+
+    const result = {};
+    for (const key of Object.keys(element)) {
+      if (key === '@context') {
+        continue;
+      }
+      const value = element[key];
+      const property = this.#expandIri(active, key, { vocab: true });
+      if (property === null || (!property.includes(':') && !KEYWORDS.has(property))) {
+        continue;
+      }
+
+      if (KEYWORDS.has(property)) {
+        if (activeProperty === '@reverse') {
+          fail('invalid reverse property map', key);
+        }
+        if (property in result && property !== '@type') {
+          fail('colliding keywords', property);
+        }
+        this.#expandKeyword(active, activeProperty, result, property, value);
+        continue;
+      }
+
+      const definition = active.terms.get(key);
+      const container = definition?.container ?? [];
+      let expanded;
+
+      if (container.includes('@language') && isObject(value)) {
+        expanded = [];
+        for (const language of Object.keys(value).sort()) {
+          for (const item of asArray(value[language])) {
+            if (item === null) {
+              continue;
+            }
+            if (typeof item !== 'string') {
+              fail('invalid language map value', String(item));
+            }
+            const entry = { '@value': item };
+            if (this.#expandIri(active, language, { vocab: true }) !== '@none') {
+              entry['@language'] = language.toLowerCase();
+            }
+            expanded.push(entry);
+          }
+        }
+      } else if (container.includes('@index') && isObject(value)) {
+        expanded = [];
+        for (const index of Object.keys(value).sort()) {
+          for (const item of asArray(this.#expand(active, key, asArray(value[index])))) {
+            if (!('@index' in item) && this.#expandIri(active, index, { vocab: true }) !== '@none') {
+              item['@index'] = index;
+            }
+            expanded.push(item);
+          }
+        }
+      } else {
+        expanded = this.#expand(active, key, value);
+      }
+
+      if (expanded === null) {
+        continue;
+      }
+      if (container.includes('@list') && !isListObject(expanded)) {
+        expanded = { '@list': asArray(expanded) };
+      }
+
+      if (definition?.reverse) {
+        if (!result['@reverse']) {
+          result['@reverse'] = {};
+        }
+        for (const item of asArray(expanded)) {
+          if (isValueObject(item) || isListObject(item)) {
+            fail('invalid reverse property value', key);
+          }
+          addValue(result['@reverse'], property, item, { unique: false });
+        }
+      } else {
+        addValue(result, property, expanded, { unique: false });
+      }
+    }
+
+    return this.#finishExpandedObject(activeProperty, result);
+  }
+
+  #expandKeyword(active, activeProperty, result, keyword, value) {
+    switch (keyword) {
+      case '@id':
+        if (typeof value !== 'string') {
+          fail('invalid @id value', JSON.stringify(value));
+        }
+        result['@id'] = this.#expandIri(active, value, { documentRelative: true });
+        break;
+      case '@type':
+        for (const type of asArray(value)) {
+          if (typeof type !== 'string') {
+            fail('invalid type value', JSON.stringify(type));
+          }
+        }
+        result['@type'] = [...(result['@type'] || []), ...asArray(value)
+          .map(type => this.#expandIri(active, type, { vocab: true, documentRelative: true }))];
+        break;
+      case '@graph':
+        result['@graph'] = asArray(this.#expand(active, '@graph', value) ?? []);
+        break;
+      case '@value':
+        if (isObject(value) || Array.isArray(value)) {
+          fail('invalid value object value', JSON.stringify(value));
+        }
+        result['@value'] = value;
+        break;
+      case '@language':
+        if (typeof value !== 'string') {
+          fail('invalid language-tagged string', JSON.stringify(value));
+        }
+        result['@language'] = value.toLowerCase();
+        break;
+      case '@index':
+        if (typeof value !== 'string') {
+          fail('invalid @index value', JSON.stringify(value));
+        }
+        result['@index'] = value;
+        break;
+      case '@list':
+        if (activeProperty === null || activeProperty === '@graph') {
+          return;
+        }
+        result['@list'] = asArray(this.#expand(active, activeProperty, asArray(value)) ?? []);
+        break;
+      case '@set':
+        result['@set'] = this.#expand(active, activeProperty, value);
+        break;
+      case '@reverse': {
+        if (!isObject(value)) {
+          fail('invalid @reverse value', JSON.stringify(value));
+        }
+        const expanded = this.#expand(active, '@reverse', value) ?? {};
+        if (expanded['@reverse']) {
+          for (const [property, items] of Object.entries(expanded['@reverse'])) {
+            addValue(result, property, items, { unique: false });
+          }
+        }
+        for (const [property, items] of Object.entries(expanded)) {
+          if (property === '@reverse') {
+            continue;
+          }
+          if (!result['@reverse']) {
+            result['@reverse'] = {};
+          }
+          for (const item of items) {
+            if (isValueObject(item) || isListObject(item)) {
+              fail('invalid reverse property value', property);
+            }
+          }
+          addValue(result['@reverse'], property, items, { unique: false });
+        }
+        break;
+      }
+      case '@json':
+      case '@nest':
+      case '@included':
+      case '@direction':
+        fail('invalid keyword', `${keyword} is not supported`);
+        break;
+      default:
+        break;
+    }
+  }
+
+  #finishExpandedObject(activeProperty, result) {
+    if ('@value' in result) {
+      const extra = Object.keys(result).filter(key => !['@value', '@type', '@language', '@index'].includes(key));
+      if (extra.length > 0 || ('@type' in result && '@language' in result)) {
+        fail('invalid value object', JSON.stringify(result));
+      }
+      if (result['@value'] === null) {
+        return null;
+      }
+      if ('@language' in result && typeof result['@value'] !== 'string') {
+        fail('invalid language-tagged value', JSON.stringify(result['@value']));
+      }
+      if ('@type' in result) {
+        if (result['@type'].length !== 1 || !isAbsoluteIri(result['@type'][0])) {
+          fail('invalid typed value', JSON.stringify(result['@type']));
+        }
+        result['@type'] = result['@type'][0];
+      }
+    } else if ('@set' in result || '@list' in result) {
+      const keyword = '@set' in result ? '@set' : '@list';
+      if (Object.keys(result).some(key => key !== keyword && key !== '@index')) {
+        fail('invalid set or list object', JSON.stringify(result));
+      }
+      if (keyword === '@set') {
+        return result['@set'];
+      }
+    }
+
+    if (Object.keys(result).length === 1 && '@language' in result) {
+      return null;
+    }
+
+    // Drop free-floating values at the top level
+    if (activeProperty === null || activeProperty === '@graph') {
+      const keys = Object.keys(result);
+      if (keys.length === 0 || '@value' in result || '@list' in result ||
+          (keys.length === 1 && '@id' in result)) {
+        return null;
+      }
+    }
+    return result;
+  }
+
+  #expandValue(active, activeProperty, value) {
+    const definition = active.terms.get(activeProperty);
+    const type = definition?.type;
+
+    if (type === '@id' && typeof value === 'string') {
+      return { '@id': this.#expandIri(active, value, { documentRelative: true }) };
+    }
+    if (type === '@vocab' && typeof value === 'string') {
+      return { '@id': this.#expandIri(active, value, { vocab: true, documentRelative: true }) };
+    }
+
+    const result = { '@value': value };
+    if (type && !['@id', '@vocab', '@none'].includes(type)) {
+      result['@type'] = type;
+    } else if (typeof value === 'string') {
+      const language = definition && 'language' in definition ? definition.language : active.language;
+      if (language) {
+        result['@language'] = language;
+      }
+    }
+    return result;
+  }
+
+  #container(active, property) {
+    return active.terms.get(property)?.container ?? [];
+  }
+
+  // ====================
+  // Compaction
+  // ====================
+
+  #compactDocument(expanded, context, { compactArrays, graph }) {
+    const localContext = context?.['@context'] ?? context ?? {};
+    const active = this.#processContext(this.#initialContext(), localContext);
+
+    let compacted = this.#compact(active, null, expanded, { compactArrays });
+    // Flattened output always lists its nodes under @graph
+    if (graph && !Array.isArray(compacted)) {
+      compacted = [compacted];
+    }
+    if (Array.isArray(compacted)) {
+      compacted = compacted.length === 0 && !graph
+        ? {}
+        : { [this.#compactIri(active, '@graph', { vocab: true })]: compacted };
+    }
+    const hasContext = isObject(localContext) ? Object.keys(localContext).length > 0 : localContext !== null;
+    return hasContext ? { '@context': localContext, ...compacted } : compacted;
+  }
+
+  #compact(active, activeProperty, element, options) {
+    if (!isObject(element) && !Array.isArray(element)) {
+      return element;
+    }
+
+    if (Array.isArray(element)) {
+      const result = element
+        .map(item => this.#compact(active, activeProperty, item, options))
+        .filter(item => item !== null);
+      const container = this.#container(active, activeProperty);
+      if (options.compactArrays && result.length === 1 && !container.includes('@list') &&
+          !container.includes('@set') && activeProperty !== '@graph') {
+        return result[0];
+      }
+      return result;
+    }
+
+    const propertyScoped = active.terms.get(activeProperty)?.context;
+    if (propertyScoped !== undefined) {
+      active = this.#processContext(active, propertyScoped);
+    }
+
+    if (isValueObject(element) || isNodeReference(element)) {
+      const compacted = this.#compactValue(active, activeProperty, element);
+      if (!isObject(compacted) || !isNodeReference(element)) {
+        return compacted;
+      }
+    }
+
+    if (isListObject(element) && this.#container(active, activeProperty).includes('@list')) {
+      return this.#compact(active, activeProperty, element['@list'], options);
+    }
+
+    const typeScope = active;
+    for (const type of [...(element['@type'] || [])].map(t => this.#compactIri(typeScope, t, { vocab: true })).sort()) {
+      const scoped = typeScope.terms.get(type)?.context;
+      if (scoped !== undefined) {
+        active = this.#processContext(active, scoped);
+      }
+    }
+
+    const result = {};
+    const multiValued = new Set();
+    for (const property of Object.keys(element).sort()) {
+      const value = element[property];
+
+      if (property === '@id') {
+        result[this.#compactIri(active, '@id', { vocab: true })] = this.#compactIri(active, value);
+        continue;
+      }
+      if (property === '@type') {
+        const types = value.map(type => this.#compactIri(typeScope, type, { vocab: true }));
+        result[this.#compactIri(active, '@type', { vocab: true })] = types.length === 1 && options.compactArrays ? types[0] : types;
+        continue;
+      }
+      if (property === '@reverse') {
+        const compacted = this.#compact(active, '@reverse', value, options);
+        const remaining = {};
+        for (const [term, items] of Object.entries(compacted)) {
+          if (active.terms.get(term)?.reverse) {
+            result[term] = this.#container(active, term).includes('@set') || !options.compactArrays
+              ? asArray(items)
+              : items;
+          } else {
+            remaining[term] = items;
+          }
+        }
+        if (Object.keys(remaining).length > 0) {
+          result[this.#compactIri(active, '@reverse', { vocab: true })] = remaining;
+        }
+        continue;
+      }
+      if (property === '@index' || property === '@value' || property === '@language') {
+        result[this.#compactIri(active, property, { vocab: true })] = value;
+        continue;
+      }
+      if (property === '@graph' || property === '@list') {
+        const compacted = this.#compact(active, property, value, options);
+        result[this.#compactIri(active, property, { vocab: true })] = asArray(compacted);
+        continue;
+      }
+
+      const insideReverse = activeProperty === '@reverse';
+      if (value.length === 0) {
+        const term = this.#compactIri(active, property, { vocab: true, value: null, reverse: insideReverse });
+        if (!(term in result)) {
+          result[term] = [];
+        }
+        continue;
+      }
+
+      for (const item of value) {
+        const term = this.#compactIri(active, property, { vocab: true, value: item, reverse: insideReverse });
+        const container = this.#container(active, term);
+        const inner = isListObject(item) ? item['@list'] : item;
+        let compacted = this.#compact(active, term, inner, options);
+
+        if (isListObject(item)) {
+          compacted = asArray(compacted);
+          if (!container.includes('@list')) {
+            compacted = { [this.#compactIri(active, '@list', { vocab: true })]: compacted };
+            if ('@index' in item) {
+              compacted[this.#compactIri(active, '@index', { vocab: true })] = item['@index'];
+            }
+          } else if (term in result) {
+            fail('compaction to list of lists', term);
+          }
+        }
+
+        if (container.includes('@language') && isValueObject(item) && '@language' in item) {
+          if (!result[term]) {
+            result[term] = {};
+          }
+          addValue(result[term], item['@language'], item['@value'], { unique: false });
+        } else if (container.includes('@index') && '@index' in item) {
+          if (!result[term]) {
+            result[term] = {};
+          }
+          addValue(result[term], item['@index'], isObject(compacted) ? this.#withoutIndex(active, compacted) : compacted, { unique: false });
+        } else if (container.includes('@list')) {
+          result[term] = compacted;
+        } else {
+          addValue(result, term, compacted, { unique: false });
+          multiValued.add(term);
+        }
+      }
+    }
+
+    // Values are collected as arrays; unwrap single values unless the term is a @set
+    if (options.compactArrays) {
+      for (const [term, value] of Object.entries(result)) {
+        const container = this.#container(active, term);
+        if (container.includes('@set')) {
+          continue;
+        }
+        if (multiValued.has(term) && value.length === 1) {
+          result[term] = value[0];
+        } else if (isObject(value) && (container.includes('@language') || container.includes('@index'))) {
+          for (const [key, items] of Object.entries(value)) {
+            if (Array.isArray(items) && items.length === 1) {
+              value[key] = items[0];
+            }
+          }
+        }
+      }
+    }
+
+    return result;
+  }
+
+  #withoutIndex(active, compacted) {
+    const indexKey = this.#compactIri(active, '@index', { vocab: true });
+    const rest = { ...compacted };
+    delete rest[indexKey];
+    return rest;
+  }
+
+  #compactValue(active, activeProperty, value) {
+    const definition = active.terms.get(activeProperty);
+    const type = definition?.type;
+    const hasIndex = '@index' in value;
+
+    if (isNodeReference(value)) {
+      if (type === '@id' && !hasIndex) {
+        return this.#compactIri(active, value['@id']);
+      }
+      if (type === '@vocab' && !hasIndex) {
+        return this.#compactIri(active, value['@id'], { vocab: true });
+      }
+      return { [this.#compactIri(active, '@id', { vocab: true })]: this.#compactIri(active, value['@id']) };
+    }
+
+    const container = definition?.container ?? [];
+    const indexHandled = !hasIndex || container.includes('@index');
+    const language = definition && 'language' in definition ? definition.language : active.language;
+
+    if (indexHandled) {
+      if ('@type' in value && value['@type'] === type) {
+        return value['@value'];
+      }
+      if (!('@type' in value) && type === undefined) {
+        if ('@language' in value) {
+          if (value['@language'] === language || container.includes('@language')) {
+            return value['@value'];
+          }
+        } else if (typeof value['@value'] !== 'string' || !language) {
+          return value['@value'];
+        }
+      }
+    }
+
+    const result = {};
+    for (const key of Object.keys(value)) {
+      if (key === '@index' && container.includes('@index')) {
+        continue;
+      }
+      const compactedKey = this.#compactIri(active, key, { vocab: true });
+      result[compactedKey] = key === '@type' ? this.#compactIri(active, value[key], { vocab: true }) : value[key];
+    }
+    return result;
+  }
+
+  #compactIri(active, iri, { vocab = false, value, reverse = false } = {}) {
+    if (iri === null || iri === undefined) {
+      return iri;
+    }
+
+    if (vocab) {
+      const term = this.#selectTerm(active, iri, value, reverse);
+      if (term !== null) {
+        return term;
+      }
+      if (KEYWORDS.has(iri)) {
+        return iri;
+      }
+      if (active.vocab && iri.startsWith(active.vocab) && iri.length > active.vocab.length) {
+        const suffix = iri.slice(active.vocab.length);
+        if (!active.terms.has(suffix)) {
+          return suffix;
+        }
+      }
+    }
+    if (KEYWORDS.has(iri)) {
+      return iri;
+    }
+
+    let best = null;
+    for (const [term, definition] of active.terms) {
+      if (!definition?.prefix || !iri.startsWith(definition.id) || iri === definition.id) {
+        continue;
+      }
+      const candidate = `${term}:${iri.slice(definition.id.length)}`;
+      const clash = active.terms.get(candidate);
+      if (clash !== undefined && !(clash?.id === iri && value === undefined)) {
+        continue;
+      }
+      if (best === null || candidate.length < best.length || (candidate.length === best.length && candidate < best)) {
+        best = candidate;
+      }
+    }
+    if (best !== null) {
+      return best;
+    }
+
+    if (!vocab && active.base && iri.startsWith(active.base) && iri.length > active.base.length &&
+        /^[#?]/.test(iri.slice(active.base.length))) {
+      return iri.slice(active.base.length);
+    }
+    return iri;
+  }
+
+  /**
+   * Picks the term that maps to an IRI and can represent the value losslessly
+   * @private
+   */
+  #selectTerm(active, iri, value, reverse) {
+    let best = null;
+    let bestScore = -1;
+
+    for (const [term, definition] of active.terms) {
+      if (!definition || definition.id !== iri || definition.reverse !== reverse) {
+        continue;
+      }
+      const score = value === undefined ? 1 : this.#termScore(active, definition, value);
+      if (score < 0) {
+        continue;
+      }
+      if (score > bestScore || (score === bestScore &&
+          (term.length < best.length || (term.length === best.length && term < best)))) {
+        best = term;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  #termScore(active, definition, value) {
+    const container = definition.container;
+    const isList = isListObject(value);
+    if (isList !== container.includes('@list')) {
+      return -1;
+    }
+    if (value === null) {
+      return container.includes('@set') ? 2 : 1;
+    }
+
+    const sample = isList ? value['@list'][0] : value;
+    if (container.includes('@language') && !(isValueObject(sample) && '@language' in sample)) {
+      return -1;
+    }
+    if (container.includes('@index') && !('@index' in value)) {
+      return -1;
+    }
+    if (sample === undefined) {
+      return 1;
+    }
+
+    const hasType = 'type' in definition && definition.type !== '@none';
+    const hasLanguage = 'language' in definition;
+
+    if (isNodeReference(sample) || (isObject(sample) && !isValueObject(sample))) {
+      if (hasLanguage) {
+        return -1;
+      }
+      if (definition.type === '@id' || definition.type === '@vocab') {
+        return isNodeReference(sample) ? 3 : 2;
+      }
+      return hasType ? -1 : 1;
+    }
+
+    if ('@type' in sample) {
+      if (definition.type === sample['@type']) {
+        return 3;
+      }
+      return hasType || hasLanguage ? -1 : 1;
+    }
+    if (hasType) {
+      return -1;
+    }
+    if ('@language' in sample) {
+      if (container.includes('@language')) {
+        return 3;
+      }
+      if (hasLanguage) {
+        return definition.language === sample['@language'] ? 3 : -1;
+      }
+      return 1;
+    }
+    if (hasLanguage) {
+      return definition.language === null && typeof sample['@value'] === 'string' ? 2 : -1;
+    }
+    return 1;
+  }
+
+  // ====================
+  // Flattening and RDF
+  // ====================
+
+  #generateNodeMap(element, nodeMap, graph, activeSubject, activeProperty, list, issuer) {
+    if (Array.isArray(element)) {
+      for (const item of element) {
+        this.#generateNodeMap(item, nodeMap, graph, activeSubject, activeProperty, list, issuer);
+      }
+      return;
+    }
+
+    const relabel = id => {
+      if (!isBlankNode(id)) {
+        return id;
+      }
+      if (!issuer.labels.has(id)) {
+        issuer.labels.set(id, `_:b${issuer.counter++}`);
+      }
+      return issuer.labels.get(id);
+    };
+
+    if (!nodeMap[graph]) {
+      nodeMap[graph] = {};
+    }
+    const nodes = nodeMap[graph];
+
+    if (isValueObject(element)) {
+      const value = { ...element };
+      if (list) {
+        list['@list'].push(value);
+      } else {
+        addValue(nodes[activeSubject], activeProperty, value);
+      }
+      return;
+    }
+
+    if (isListObject(element)) {
+      const result = { '@list': [] };
+      this.#generateNodeMap(element['@list'], nodeMap, graph, activeSubject, activeProperty, result, issuer);
+      if (list) {
+        list['@list'].push(result);
+      } else {
+        addValue(nodes[activeSubject], activeProperty, result, { unique: false });
+      }
+      return;
+    }
+
+    const id = '@id' in element ? relabel(element['@id']) : `_:b${issuer.counter++}`;
+    if (!nodes[id]) {
+      nodes[id] = { '@id': id };
+    }
+    const node = nodes[id];
+
+    if (isObject(activeSubject)) {
+      addValue(node, activeProperty, activeSubject);
+    } else if (activeProperty !== null) {
+      const reference = { '@id': id };
+      if (list) {
+        list['@list'].push(reference);
+      } else {
+        addValue(nodes[activeSubject], activeProperty, reference);
+      }
+    }
+
+    if ('@type' in element) {
+      addValue(node, '@type', element['@type'].map(relabel));
+    }
+    if ('@index' in element) {
+      if ('@index' in node && node['@index'] !== element['@index']) {
+        fail('conflicting indexes', id);
+      }
+      node['@index'] = element['@index'];
+    }
+    if ('@reverse' in element) {
+      const referenced = { '@id': id };
+      for (const [property, values] of Object.entries(element['@reverse'])) {
+        for (const value of values) {
+          this.#generateNodeMap(value, nodeMap, graph, referenced, property, null, issuer);
+        }
+      }
+    }
+    if ('@graph' in element) {
+      this.#generateNodeMap(element['@graph'], nodeMap, id, null, null, null, issuer);
+    }
+
+    for (const property of Object.keys(element).sort()) {
+      if (KEYWORDS.has(property)) {
+        continue;
+      }
+      const key = relabel(property);
+      if (!(key in node)) {
+        node[key] = [];
+      }
+      this.#generateNodeMap(element[property], nodeMap, graph, id, key, null, issuer);
+    }
+  }
+
+  #sortedNodes(nodes) {
+    return Object.keys(nodes).sort()
+      .map(id => nodes[id])
+      .filter(node => Object.keys(node).length > 1 || '@graph' in node);
+  }
+
+  #toTerm(id) {
+    if (isBlankNode(id)) {
+      return blankNode(id.slice(2));
+    }
+    return isAbsoluteIri(id) ? namedNode(id) : null;
+  }
+
+  #objectToRdf(item, quads, graph, lists) {
+    if (isNodeReference(item) || (isObject(item) && '@id' in item && !isValueObject(item))) {
+      return this.#toTerm(item['@id']);
+    }
+    if (isListObject(item)) {
+      return this.#listToRdf(item['@list'], quads, graph, lists);
+    }
+
+    let value = item['@value'];
+    let datatype = item['@type'] ?? null;
+    if (datatype !== null && !isAbsoluteIri(datatype)) {
+      return null;
+    }
+
+    if (typeof value === 'boolean') {
+      value = String(value);
+      datatype = datatype ?? XSD_BOOLEAN;
+    } else if (typeof value === 'number' && (!Number.isInteger(value) || datatype === XSD_DOUBLE || Math.abs(value) >= 1e21)) {
+      value = value.toExponential().replace(/e\+?/, 'E').replace(/^(-?\d)E/, '$1.0E');
+      datatype = datatype ?? XSD_DOUBLE;
+    } else if (typeof value === 'number') {
+      value = value.toFixed(0);
+      datatype = datatype ?? XSD_INTEGER;
+    }
+
+    if ('@language' in item) {
+      return literal(value, item['@language']);
+    }
+    return literal(value, datatype === null || datatype === XSD_STRING ? undefined : namedNode(datatype));
+  }
+
+  #listToRdf(items, quads, graph, lists) {
+    if (items.length === 0) {
+      return namedNode(RDF_NIL);
+    }
+    const nodes = items.map(() => blankNode(`l${lists.counter++}`));
+    items.forEach((item, i) => {
+      const object = this.#objectToRdf(item, quads, graph, lists);
+      if (object) {
+        quads.push(quad(nodes[i], namedNode(RDF_FIRST), object, graph));
+      }
+      quads.push(quad(nodes[i], namedNode(RDF_REST), nodes[i + 1] ?? namedNode(RDF_NIL), graph));
+    });
+    return nodes[0];
+  }
+
+  #rdfToObject(term) {
+    if (term.termType !== 'Literal') {
+      return { '@id': term.termType === 'BlankNode' ? `_:${term.value}` : term.value };
+    }
+    const datatype = term.datatype?.value;
+    if (term.language || datatype === RDF_LANG_STRING) {
+      return { '@value': term.value, '@language': term.language };
+    }
+    if (!datatype || datatype === XSD_STRING) {
+      return { '@value': term.value };
+    }
+    return { '@value': term.value, '@type': datatype };
+  }
+
+  #foldLists(graphName, nodes, usages) {
+    for (const usage of usages.get(`${graphName} ${RDF_NIL}`) || []) {
+      let { node, property, value: head } = usage;
+      const list = [];
+      const listNodes = [];
+
+      // Walk back from rdf:nil while the chain is a well-formed list
+      while (property === RDF_REST && isBlankNode(node['@id']) &&
+             usages.get(`${graphName} ${node['@id']}`)?.length === 1 &&
+             Object.keys(node).every(key => key === '@id' || key === RDF_FIRST || key === RDF_REST) &&
+             node[RDF_FIRST]?.length === 1 && node[RDF_REST]?.length === 1) {
+        list.push(node[RDF_FIRST][0]);
+        listNodes.push(node['@id']);
+        const [previous] = usages.get(`${graphName} ${node['@id']}`);
+        ({ node, property, value: head } = previous);
+      }
+
+      if (listNodes.length === 0 && property === RDF_REST) {
+        continue;
+      }
+      delete head['@id'];
+      head['@list'] = list.reverse();
+      for (const id of listNodes) {
+        delete nodes[id];
+      }
+    }
+  }
+}
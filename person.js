@@ -7,12 +7,43 @@
  * @version 1.0.0
  */
 
+import { NS, namedNode, literal, quad, defaultGraph, fromLiteral, diffQuads } from './rdf-terms.js';
+import { JsonLdProcessor } from './json-ld.js';
+import { QuadStore } from './quad-store.js';
+import { ShaclValidator } from './shacl-validator.js';
+import { TripleIndex } from './triple-index.js';
+import { TurtleParser } from './turtle-parser.js';
+import { TurtleWriter } from './turtle-writer.js';
+
+// Prefixes used when serializing to Turtle
+const PREFIXES = {
+  ex: NS.ex,
+  xsd: NS.xsd
+};
+
+const RDF_TYPE = `${NS.rdf}type`;
+const FIRST_NAME = `${NS.ex}firstName`;
+const LAST_NAME = `${NS.ex}lastName`;
+const BIRTH_DATE = `${NS.ex}birthDate`;
+
+// JSON-LD context used by toJsonLd() and when reading JSON-LD without its own context
+const CONTEXT = {
+  ex: NS.ex,
+  xsd: NS.xsd,
+  firstName: 'ex:firstName',
+  lastName: 'ex:lastName',
+  birthDate: { '@id': 'ex:birthDate', '@type': 'xsd:date' }
+};
+
 export class Person {
-  // Private fields
+  // Private fields; property values live as triples in #store
   #uri;
-  #firstName;
-  #lastName;
-  #birthDate;
+  #store = new QuadStore();
+  #graph = defaultGraph();
+  // Quads at the last sync with a triple store (null until synced) and
+  // whether a setter ran since then
+  #baseline = null;
+  #dirty = true;
 
   /**
    * Creates a new Person instance
@@ -40,22 +71,10 @@ export class Person {
     this.#uri = uri || this.#generateUri(firstName, lastName);
 
     // Set properties
-    this.#firstName = firstName.trim();
-    this.#lastName = lastName.trim();
-    
-    // Convert birthDate to Date object if string
-    if (typeof birthDate === 'string') {
-      this.#birthDate = new Date(birthDate);
-    } else if (birthDate instanceof Date) {
-      this.#birthDate = birthDate;
-    } else {
-      throw new Error('birthDate must be a Date object or ISO string');
-    }
-
-    // Validate birthDate is in the past
-    if (this.#birthDate > new Date()) {
-      throw new Error('birthDate must be in the past');
-    }
+    this.#store.add(quad(namedNode(this.#uri), namedNode(RDF_TYPE), namedNode(`${NS.ex}Person`)));
+    this.#set(FIRST_NAME, literal(firstName.trim()));
+    this.#set(LAST_NAME, literal(lastName.trim()));
+    this.birthDate = birthDate;
   }
 
   /**
@@ -66,7 +85,9 @@ export class Person {
    * @returns {string} Generated URI
    */
   #generateUri(firstName, lastName) {
-    const localName = `${firstName}${lastName}`.replace(/\s+/g, '');
+    const localName = `${firstName}${lastName}`
+      .replace(/\s+/g, '')
+      .replace(/[<>"{}|^`\\#%/?]/g, ch => encodeURIComponent(ch));
     return `http://example.com/ex#${localName}`;
   }
 
@@ -93,7 +114,7 @@ export class Person {
    * @returns {string} First name
    */
   get firstName() {
-    return this.#firstName;
+    return this.#value(FIRST_NAME);
   }
 
   /**
@@ -101,7 +122,7 @@ export class Person {
    * @returns {string} Last name
    */
   get lastName() {
-    return this.#lastName;
+    return this.#value(LAST_NAME);
   }
 
   /**
@@ -109,7 +130,7 @@ export class Person {
    * @returns {Date} Birth date
    */
   get birthDate() {
-    return this.#birthDate;
+    return new Date(this.#value(BIRTH_DATE));
   }
 
   /**
@@ -117,7 +138,7 @@ export class Person {
    * @returns {string} Birth date in ISO format
    */
   get birthDateISO() {
-    return this.#birthDate.toISOString().split('T')[0];
+    return this.birthDate.toISOString().split('T')[0];
   }
 
   /**
@@ -125,7 +146,7 @@ export class Person {
    * @returns {string} Full name
    */
   get fullName() {
-    return `${this.#firstName} ${this.#lastName}`;
+    return `${this.firstName} ${this.lastName}`;
   }
 
   /**
@@ -134,9 +155,10 @@ export class Person {
    * @returns {number} Age in years
    */
   getAge(referenceDate = new Date()) {
-    const birthYear = this.#birthDate.getFullYear();
-    const birthMonth = this.#birthDate.getMonth();
-    const birthDay = this.#birthDate.getDate();
+    const birthDate = this.birthDate;
+    const birthYear = birthDate.getFullYear();
+    const birthMonth = birthDate.getMonth();
+    const birthDay = birthDate.getDate();
 
     const refYear = referenceDate.getFullYear();
     const refMonth = referenceDate.getMonth();
@@ -163,7 +185,7 @@ export class Person {
     if (!value || typeof value !== 'string' || value.trim().length === 0) {
       throw new Error('firstName must be a non-empty string');
     }
-    this.#firstName = value.trim();
+    this.#set(FIRST_NAME, literal(value.trim()));
   }
 
   /**
@@ -175,7 +197,7 @@ export class Person {
     if (!value || typeof value !== 'string' || value.trim().length === 0) {
       throw new Error('lastName must be a non-empty string');
     }
-    this.#lastName = value.trim();
+    this.#set(LAST_NAME, literal(value.trim()));
   }
 
   /**
@@ -197,37 +219,92 @@ export class Person {
       throw new Error('birthDate must be in the past');
     }
 
-    this.#birthDate = date;
+    // Unparseable dates keep their lexical form so that validation can report them
+    const lexical = Number.isNaN(date.getTime()) ? String(value) : date.toISOString().split('T')[0];
+    this.#set(BIRTH_DATE, literal(lexical, `${NS.xsd}date`));
   }
 
   /**
-   * Validates the person data against SHACL constraints
-   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   * Moves the person's triples into a quad store and reads them from there
+   * DataModel attaches tracked instances so that they are views over its store;
+   * without arguments the person is detached into a private store
+   *
+   * @param {QuadStore} [store] - Store to keep the triples in
+   * @param {Object} [graph] - Graph to keep the triples in (defaults to the default graph)
    */
-  validate() {
-    const errors = [];
+  attach(store = new QuadStore(), graph = defaultGraph()) {
+    const subject = namedNode(this.#uri);
+    const quads = this.#store.match(subject, null, null, this.#graph);
+
+    this.#store.removeMatches(subject, null, null, this.#graph);
+    store.removeMatches(subject, null, null, graph);
+    store.addAll(quads.map(q => quad(q.subject, q.predicate, q.object, graph)));
+    this.#store = store;
+    this.#graph = graph;
+  }
 
-    // Check firstName
-    if (!this.#firstName || this.#firstName.length === 0) {
-      errors.push('firstName is required and must be non-empty');
-    }
+  #value(predicate) {
+    return this.#store.object(namedNode(this.#uri), predicate, this.#graph)?.value;
+  }
 
-    // Check lastName
-    if (!this.#lastName || this.#lastName.length === 0) {
-      errors.push('lastName is required and must be non-empty');
-    }
+  #set(predicate, object) {
+    const subject = namedNode(this.#uri);
+    this.#store.removeMatches(subject, namedNode(predicate), null, this.#graph);
+    this.#store.add(quad(subject, namedNode(predicate), object, this.#graph));
+    this.#dirty = true;
+  }
+
+  /**
+   * Checks whether a setter changed the person since the last sync
+   * New instances are dirty until they are first synced
+   * @returns {boolean} True if the person may differ from the triple store
+   */
+  get isDirty() {
+    return this.#dirty;
+  }
 
-    // Check birthDate
-    if (!this.#birthDate) {
-      errors.push('birthDate is required');
-    } else if (this.#birthDate > new Date()) {
-      errors.push('birthDate must be in the past');
+  /**
+   * Gets the triples to add and remove to bring the triple store up to date
+   *
+   * @returns {Object} { inserted, deleted } quads; everything is inserted for
+   *   an instance that was never synced
+   */
+  getChanges() {
+    if (!this.#dirty) {
+      return { inserted: [], deleted: [] };
     }
+    return diffQuads(this.#baseline ?? [], this.toQuads());
+  }
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+  /**
+   * Records the current triples as what the triple store holds
+   * Called after the person is saved to, loaded from or synced with a store
+   */
+  markClean() {
+    this.#baseline = this.toQuads();
+    this.#dirty = false;
+  }
+
+  /**
+   * Validates the person data against the SHACL shapes targeting ex:Person
+   * @returns {ValidationReport} SHACL validation report (also exposes valid/errors)
+   */
+  validate() {
+    return ShaclValidator.getDefault().validateInstance(this);
+  }
+
+  /**
+   * Converts the person to RDF quads
+   * @returns {Array<Object>} Quads describing the person
+   */
+  toQuads() {
+    const subject = namedNode(this.#uri);
+    return [
+      quad(subject, namedNode(RDF_TYPE), namedNode(`${NS.ex}Person`)),
+      quad(subject, namedNode(FIRST_NAME), literal(this.firstName)),
+      quad(subject, namedNode(LAST_NAME), literal(this.lastName)),
+      quad(subject, namedNode(BIRTH_DATE), literal(this.#value(BIRTH_DATE), `${NS.xsd}date`))
+    ];
   }
 
   /**
@@ -236,17 +313,7 @@ export class Person {
    * @returns {string} Turtle RDF representation
    */
   toTurtle(includePrefix = true) {
-    const prefix = includePrefix 
-      ? `@prefix ex: <http://example.com/ex#> .
-@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
-
-`
-      : '';
-
-    return `${prefix}ex:${this.localName} a ex:Person ;
-    ex:firstName "${this.#firstName}" ;
-    ex:lastName "${this.#lastName}" ;
-    ex:birthDate "${this.birthDateISO}"^^xsd:date .`;
+    return TurtleWriter.write(this.toQuads(), { prefixes: PREFIXES, includePrefix });
   }
 
   /**
@@ -255,17 +322,11 @@ export class Person {
    */
   toJsonLd() {
     return {
-      '@context': {
-        ex: 'http://example.com/ex#',
-        xsd: 'http://www.w3.org/2001/XMLSchema#',
-        firstName: 'ex:firstName',
-        lastName: 'ex:lastName',
-        birthDate: { '@id': 'ex:birthDate', '@type': 'xsd:date' }
-      },
+      '@context': Person.jsonLdContext,
       '@id': this.#uri,
       '@type': 'ex:Person',
-      firstName: this.#firstName,
-      lastName: this.#lastName,
+      firstName: this.firstName,
+      lastName: this.lastName,
       birthDate: this.birthDateISO
     };
   }
@@ -278,14 +339,30 @@ export class Person {
     return {
       uri: this.#uri,
       localName: this.localName,
-      firstName: this.#firstName,
-      lastName: this.#lastName,
+      firstName: this.firstName,
+      lastName: this.lastName,
       birthDate: this.birthDateISO,
       fullName: this.fullName,
       age: this.getAge()
     };
   }
 
+  /**
+   * Gets the prefixes used when serializing instances to Turtle
+   * @returns {Object} Map of prefix name to namespace IRI
+   */
+  static get prefixes() {
+    return { ...PREFIXES };
+  }
+
+  /**
+   * Gets the JSON-LD context of the class
+   * @returns {Object} JSON-LD context
+   */
+  static get jsonLdContext() {
+    return structuredClone(CONTEXT);
+  }
+
   /**
    * Creates a Person instance from a plain JavaScript object
    * @param {Object} obj - Object with person properties
@@ -302,43 +379,91 @@ export class Person {
 
   /**
    * Creates a Person instance from Turtle RDF string
+   * Returns the first ex:Person in the document
    * @param {string} turtle - Turtle RDF string
+   * @param {Object} [options] - Parser options (e.g. baseIRI)
    * @returns {Person} New Person instance
-   * @throws {Error} If parsing fails
+   * @throws {Error} If parsing fails or the document contains no ex:Person
    */
-  static fromTurtle(turtle) {
-    // Simple parser for the specific format
-    const uriMatch = turtle.match(/ex:(\w+)\s+a\s+ex:Person/);
-    const firstNameMatch = turtle.match(/ex:firstName\s+"([^"]+)"/);
-    const lastNameMatch = turtle.match(/ex:lastName\s+"([^"]+)"/);
-    const birthDateMatch = turtle.match(/ex:birthDate\s+"([^"]+)"\^\^xsd:date/);
-
-    if (!uriMatch || !firstNameMatch || !lastNameMatch || !birthDateMatch) {
-      throw new Error('Invalid Turtle format');
+  static fromTurtle(turtle, options) {
+    const graph = new TripleIndex(TurtleParser.parse(turtle, options));
+    const [subject] = Person.#subjects(graph);
+    if (!subject) {
+      throw new Error('No ex:Person found in Turtle');
     }
+    return Person.fromQuads(graph, subject.value);
+  }
 
-    return new Person({
-      uri: `http://example.com/ex#${uriMatch[1]}`,
-      firstName: firstNameMatch[1],
-      lastName: lastNameMatch[1],
-      birthDate: birthDateMatch[1]
-    });
+  /**
+   * Creates a Person instance for every ex:Person in a Turtle document
+   * @param {string} turtle - Turtle RDF string (e.g. FusekiConnector.retrieve() output)
+   * @param {Object} [options] - Parser options (e.g. baseIRI)
+   * @returns {Array<Person>} New Person instances, in document order
+   * @throws {Error} If parsing fails or a person is incomplete
+   */
+  static fromTurtleAll(turtle, options) {
+    const graph = new TripleIndex(TurtleParser.parse(turtle, options));
+    return Person.#subjects(graph).map(subject => Person.fromQuads(graph, subject.value));
   }
 
   /**
-   * Creates a Person instance from JSON-LD
-   * @param {Object} jsonLd - JSON-LD object
+   * Creates a Person instance from RDF quads
+   * @param {Array<Object>|TripleIndex} quads - Quads describing an ex:Person
+   * @param {string} [uri] - Subject to read (defaults to the first ex:Person)
    * @returns {Person} New Person instance
+   * @throws {Error} If no ex:Person is found or a required property is missing
    */
-  static fromJsonLd(jsonLd) {
+  static fromQuads(quads, uri) {
+    const graph = TripleIndex.from(quads);
+    const subject = uri ? namedNode(uri) : Person.#subjects(graph)[0];
+    if (!subject) {
+      throw new Error('No ex:Person found in quads');
+    }
+
+    const birthDate = graph.object(subject, BIRTH_DATE);
     return new Person({
-      uri: jsonLd['@id'],
-      firstName: jsonLd.firstName,
-      lastName: jsonLd.lastName,
-      birthDate: jsonLd.birthDate
+      uri: subject.value,
+      firstName: graph.object(subject, FIRST_NAME)?.value,
+      lastName: graph.object(subject, LAST_NAME)?.value,
+      birthDate: birthDate && fromLiteral(birthDate)
     });
   }
 
+  static #subjects(graph) {
+    return graph.subjects(RDF_TYPE, namedNode(`${NS.ex}Person`))
+      .filter(subject => subject.termType === 'NamedNode');
+  }
+
+  /**
+   * Creates a Person instance from JSON-LD
+   * Accepts compacted, expanded and flattened documents, @graph documents and
+   * full IRIs as keys; documents without a context are read with the class context
+   * @param {Object|Array|string} jsonLd - JSON-LD document
+   * @param {Object} [options] - JsonLdProcessor options (documents, base, expandContext)
+   * @returns {Person} New Person instance (the first ex:Person in the document)
+   * @throws {Error} If the document is invalid or contains no ex:Person
+   */
+  static fromJsonLd(jsonLd, options) {
+    const [person] = Person.fromJsonLdAll(jsonLd, options);
+    if (!person) {
+      throw new Error('No ex:Person found in JSON-LD');
+    }
+    return person;
+  }
+
+  /**
+   * Creates a Person instance for every ex:Person in a JSON-LD document
+   * @param {Object|Array|string} jsonLd - JSON-LD document
+   * @param {Object} [options] - JsonLdProcessor options (documents, base, expandContext)
+   * @returns {Array<Person>} New Person instances, ordered by URI
+   * @throws {Error} If the document is invalid or a person is incomplete
+   */
+  static fromJsonLdAll(jsonLd, options = {}) {
+    const document = typeof jsonLd === 'string' ? JSON.parse(jsonLd) : jsonLd;
+    const graph = new TripleIndex(JsonLdProcessor.toRdf(document, { expandContext: CONTEXT, ...options }));
+    return Person.#subjects(graph).map(subject => Person.fromQuads(graph, subject.value));
+  }
+
   /**
    * String representation
    * @returns {string} String representation of the person
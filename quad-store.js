@@ -0,0 +1,305 @@
+/**
+ * QuadStore Class
+ * Indexed in-memory RDF dataset with named graphs
+ * Every graph keeps SPO, POS and OSP indexes so that any triple pattern is
+ * answered from the index whose bound positions come first. Reads without a
+ * graph see the union of all graphs, which is what ShaclValidator,
+ * SparqlEngine and the model classes expect from a data graph
+ *
+ * @class QuadStore
+ * @version 1.0.0
+ */
+
+import { defaultGraph, namedNode, quad, termToString } from './rdf-terms.js';
+
+const DEFAULT_GRAPH_KEY = '';
+
+export class QuadStore {
+  #graphs = new Map();
+  #size = 0;
+
+  /**
+   * Creates a new QuadStore instance
+   * @param {Iterable<Object>} [quads=[]] - Initial quads
+   */
+  constructor(quads = []) {
+    this.addAll(quads);
+  }
+
+  /**
+   * Gets the number of quads in the store
+   * @returns {number} Quad count
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Gets all quads in the store
+   * @returns {Array<Object>} Quads, grouped by graph
+   */
+  get quads() {
+    return this.match();
+  }
+
+  /**
+   * Adds a quad; quads without a graph go to the default graph
+   *
+   * @param {Object} q - Quad to add
+   * @returns {boolean} True if the quad was not already present
+   */
+  add(q) {
+    const graph = q.graph ?? defaultGraph();
+    const graphKey = this.#graphKey(graph);
+    if (!this.#graphs.has(graphKey)) {
+      this.#graphs.set(graphKey, { term: graph, spo: new Map(), pos: new Map(), osp: new Map() });
+    }
+    const index = this.#graphs.get(graphKey);
+    const s = termToString(q.subject);
+    const p = termToString(q.predicate);
+    const o = termToString(q.object);
+
+    if (index.spo.get(s)?.get(p)?.has(o)) {
+      return false;
+    }
+
+    const stored = quad(q.subject, q.predicate, q.object, graph);
+    this.#insert(index.spo, s, p, o, stored);
+    this.#insert(index.pos, p, o, s, stored);
+    this.#insert(index.osp, o, s, p, stored);
+    this.#size++;
+    return true;
+  }
+
+  /**
+   * Adds several quads
+   *
+   * @param {Iterable<Object>} quads - Quads to add
+   * @returns {number} Number of quads that were added
+   */
+  addAll(quads) {
+    let added = 0;
+    for (const q of quads) {
+      if (this.add(q)) {
+        added++;
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Removes a quad; quads without a graph are removed from the default graph
+   *
+   * @param {Object} q - Quad to remove
+   * @returns {boolean} True if the quad was present
+   */
+  delete(q) {
+    const graphKey = this.#graphKey(q.graph ?? defaultGraph());
+    const index = this.#graphs.get(graphKey);
+    const s = termToString(q.subject);
+    const p = termToString(q.predicate);
+    const o = termToString(q.object);
+
+    if (!index?.spo.get(s)?.get(p)?.has(o)) {
+      return false;
+    }
+
+    this.#remove(index.spo, s, p, o);
+    this.#remove(index.pos, p, o, s);
+    this.#remove(index.osp, o, s, p);
+    this.#size--;
+    if (index.spo.size === 0) {
+      this.#graphs.delete(graphKey);
+    }
+    return true;
+  }
+
+  /**
+   * Checks whether a quad is in the store
+   *
+   * @param {Object} q - Quad to look up (default graph if it has none)
+   * @returns {boolean} True if present
+   */
+  has(q) {
+    const index = this.#graphs.get(this.#graphKey(q.graph ?? defaultGraph()));
+    return Boolean(index?.spo.get(termToString(q.subject))?.get(termToString(q.predicate))?.has(termToString(q.object)));
+  }
+
+  /**
+   * Finds quads matching a pattern; null or undefined terms match anything
+   *
+   * @param {Object} [subject] - Subject term
+   * @param {Object} [predicate] - Predicate term
+   * @param {Object} [object] - Object term
+   * @param {Object} [graph] - Graph term (omit to search every graph)
+   * @returns {Array<Object>} Matching quads
+   */
+  match(subject, predicate, object, graph) {
+    const s = subject ? termToString(subject) : null;
+    const p = predicate ? termToString(predicate) : null;
+    const o = object ? termToString(object) : null;
+    const results = [];
+
+    for (const index of this.#indexes(graph)) {
+      if (s !== null) {
+        this.#collect(index.spo, s, p, o, results);
+      } else if (p !== null) {
+        this.#collect(index.pos, p, o, null, results);
+      } else if (o !== null) {
+        this.#collect(index.osp, o, null, null, results);
+      } else {
+        this.#collect(index.spo, null, null, null, results);
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Removes every quad matching a pattern
+   *
+   * @param {Object} [subject] - Subject term
+   * @param {Object} [predicate] - Predicate term
+   * @param {Object} [object] - Object term
+   * @param {Object} [graph] - Graph term (omit to remove from every graph)
+   * @returns {number} Number of removed quads
+   */
+  removeMatches(subject, predicate, object, graph) {
+    const matches = this.match(subject, predicate, object, graph);
+    for (const q of matches) {
+      this.delete(q);
+    }
+    return matches.length;
+  }
+
+  /**
+   * Gets the graphs that contain at least one quad
+   * @returns {Array<Object>} Graph terms (DefaultGraph included when not empty)
+   */
+  graphs() {
+    return [...this.#graphs.values()].map(index => index.term);
+  }
+
+  /**
+   * Removes every quad of a graph
+   *
+   * @param {Object} graph - Graph term
+   * @returns {number} Number of removed quads
+   */
+  deleteGraph(graph) {
+    const graphKey = this.#graphKey(graph);
+    const count = this.#graphs.has(graphKey) ? this.match(null, null, null, graph).length : 0;
+    this.#graphs.delete(graphKey);
+    this.#size -= count;
+    return count;
+  }
+
+  /**
+   * Removes every quad
+   */
+  clear() {
+    this.#graphs.clear();
+    this.#size = 0;
+  }
+
+  /**
+   * Gets the objects of a subject/predicate pair
+   *
+   * @param {Object} subject - Subject term
+   * @param {string} predicate - Predicate IRI
+   * @param {Object} [graph] - Graph term (omit to search every graph)
+   * @returns {Array<Object>} Object terms
+   */
+  objects(subject, predicate, graph) {
+    return this.match(subject, namedNode(predicate), null, graph).map(q => q.object);
+  }
+
+  /**
+   * Gets the first object of a subject/predicate pair
+   *
+   * @param {Object} subject - Subject term
+   * @param {string} predicate - Predicate IRI
+   * @param {Object} [graph] - Graph term (omit to search every graph)
+   * @returns {Object|undefined} Object term
+   */
+  object(subject, predicate, graph) {
+    return this.objects(subject, predicate, graph)[0];
+  }
+
+  /**
+   * Gets the subjects of a predicate/object pair
+   *
+   * @param {string} predicate - Predicate IRI
+   * @param {Object} object - Object term
+   * @param {Object} [graph] - Graph term (omit to search every graph)
+   * @returns {Array<Object>} Subject terms
+   */
+  subjects(predicate, object, graph) {
+    return this.match(null, namedNode(predicate), object, graph).map(q => q.subject);
+  }
+
+  /**
+   * Gets the predicates used by a subject
+   *
+   * @param {Object} subject - Subject term
+   * @param {Object} [graph] - Graph term (omit to search every graph)
+   * @returns {Array<Object>} Predicate terms (may contain duplicates)
+   */
+  predicates(subject, graph) {
+    return this.match(subject, null, null, graph).map(q => q.predicate);
+  }
+
+  #graphKey(graph) {
+    return !graph || graph.termType === 'DefaultGraph' ? DEFAULT_GRAPH_KEY : termToString(graph);
+  }
+
+  #indexes(graph) {
+    if (graph === undefined || graph === null) {
+      return [...this.#graphs.values()];
+    }
+    const index = this.#graphs.get(this.#graphKey(graph));
+    return index ? [index] : [];
+  }
+
+  #insert(index, a, b, c, q) {
+    if (!index.has(a)) {
+      index.set(a, new Map());
+    }
+    const second = index.get(a);
+    if (!second.has(b)) {
+      second.set(b, new Map());
+    }
+    second.get(b).set(c, q);
+  }
+
+  #remove(index, a, b, c) {
+    const second = index.get(a);
+    const third = second.get(b);
+    third.delete(c);
+    if (third.size === 0) {
+      second.delete(b);
+      if (second.size === 0) {
+        index.delete(a);
+      }
+    }
+  }
+
+  #collect(index, a, b, c, results) {
+    const firsts = a === null ? index.values() : [index.get(a)];
+    for (const second of firsts) {
+      if (!second) {
+        continue;
+      }
+      const seconds = b === null ? second.values() : [second.get(b)];
+      for (const third of seconds) {
+        if (!third) {
+          continue;
+        }
+        if (c === null) {
+          results.push(...third.values());
+        } else if (third.has(c)) {
+          results.push(third.get(c));
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * QueryBuilder Class
+ * Fluent SPARQL SELECT builder for registered DataModel classes
+ * Property names resolve to IRIs and datatypes through
+ * DataModel.getClassMetadata(), i.e. the SHACL property shapes targeting the
+ * class's rdfType; every value is bound through SparqlTemplate
+ *
+ * @class QueryBuilder
+ * @version 1.0.0
+ */
+
+import { DataModel } from './data-model.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { NS, namedNode, literal } from './rdf-terms.js';
+
+const XSD = NS.xsd;
+
+// Filter operators: SPARQL expression for a variable and a serialized value
+const OPERATORS = {
+  '=': (v, value) => `${v} = ${value}`,
+  '!=': (v, value) => `${v} != ${value}`,
+  '<': (v, value) => `${v} < ${value}`,
+  '<=': (v, value) => `${v} <= ${value}`,
+  '>': (v, value) => `${v} > ${value}`,
+  '>=': (v, value) => `${v} >= ${value}`,
+  'in': (v, values) => `${v} IN (${values.join(', ')})`,
+  'contains': (v, value) => `CONTAINS(STR(${v}), ${value})`,
+  'startsWith': (v, value) => `STRSTARTS(STR(${v}), ${value})`,
+  'endsWith': (v, value) => `STRENDS(STR(${v}), ${value})`
+};
+
+const STRING_OPERATORS = new Set(['contains', 'startsWith', 'endsWith']);
+
+export class QueryBuilder {
+  #className;
+  #rdfType;
+  #properties;
+  #projection;
+  #conditions = [];
+  #order = [];
+  #limit = null;
+  #offset = null;
+
+  /**
+   * Creates a new QueryBuilder instance
+   *
+   * @param {string} className - Name of a registered class with an rdfType
+   * @param {Array<string>} [properties] - Properties to select (all known properties if omitted)
+   * @throws {Error} If the class is not registered, has no rdfType, or a property is unknown
+   */
+  constructor(className, properties) {
+    const metadata = DataModel.getClassMetadata(className);
+    if (!metadata.rdfType) {
+      throw new Error(`Class "${className}" has no rdfType to query`);
+    }
+
+    this.#className = className;
+    this.#rdfType = metadata.rdfType;
+    this.#properties = metadata.properties;
+    this.#projection = properties ?? Object.keys(this.#properties);
+    this.#projection.forEach(name => this.#property(name));
+  }
+
+  /**
+   * Gets the class being queried
+   * @returns {string} Class name
+   */
+  get className() {
+    return this.#className;
+  }
+
+  /**
+   * Adds a filter; all filters must hold
+   * where(property, value) is shorthand for where(property, '=', value)
+   *
+   * @param {string} property - Property name, or 'uri' for the subject
+   * @param {string} operator - One of =, !=, <, <=, >, >=, in, contains, startsWith, endsWith
+   * @param {*} [value] - RDF term or plain value (typed with the property's sh:datatype);
+   *   an array for 'in'
+   * @returns {QueryBuilder} This builder
+   * @throws {Error} If the property or operator is unknown
+   */
+  where(property, operator, value) {
+    if (arguments.length === 2) {
+      [operator, value] = ['=', operator];
+    }
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unknown operator "${operator}"`);
+    }
+    if (operator === 'in' && !Array.isArray(value)) {
+      throw new Error('Operator "in" expects an array of values');
+    }
+
+    this.#property(property);
+    this.#conditions.push({ property, operator, value });
+    return this;
+  }
+
+  /**
+   * Adds a sort key; later calls break ties of earlier ones
+   *
+   * @param {string} property - Property name, or 'uri'
+   * @param {string} [direction='asc'] - 'asc' or 'desc'
+   * @returns {QueryBuilder} This builder
+   * @throws {Error} If the property or direction is unknown
+   */
+  orderBy(property, direction = 'asc') {
+    const normalized = String(direction).toUpperCase();
+    if (normalized !== 'ASC' && normalized !== 'DESC') {
+      throw new Error(`Unknown sort direction "${direction}"`);
+    }
+
+    this.#property(property);
+    this.#order.push({ property, direction: normalized });
+    return this;
+  }
+
+  /**
+   * Limits the number of results
+   *
+   * @param {number} count - Maximum number of rows
+   * @returns {QueryBuilder} This builder
+   */
+  limit(count) {
+    this.#limit = QueryBuilder.#count(count, 'limit');
+    return this;
+  }
+
+  /**
+   * Skips the first results
+   *
+   * @param {number} count - Number of rows to skip
+   * @returns {QueryBuilder} This builder
+   */
+  offset(count) {
+    this.#offset = QueryBuilder.#count(count, 'offset');
+    return this;
+  }
+
+  /**
+   * Compiles the query to SPARQL
+   * Properties the shapes require (sh:minCount >= 1) are matched directly,
+   * others with OPTIONAL; filtered and sorted properties are always selected
+   *
+   * @param {Object} [options={}] - Compile options
+   * @param {string|null} [options.graph] - Graph to match in (the default graph if omitted)
+   * @returns {string} SPARQL SELECT query
+   */
+  toSparql({ graph } = {}) {
+    const used = [...this.#conditions, ...this.#order].map(entry => entry.property);
+    const names = [...new Set([...this.#projection, ...used])].filter(name => name !== 'uri');
+
+    const patterns = [`?uri a ${SparqlTemplate.serialize(namedNode(this.#rdfType))} .`];
+    for (const name of names) {
+      const { path, minCount } = this.#properties[name];
+      const triple = `?uri ${SparqlTemplate.serialize(namedNode(path))} ${QueryBuilder.#variable(name)} .`;
+      patterns.push(minCount > 0 ? triple : `OPTIONAL { ${triple} }`);
+    }
+    for (const { property, operator, value } of this.#conditions) {
+      const serialized = operator === 'in'
+        ? value.map(v => this.#serialize(property, operator, v))
+        : this.#serialize(property, operator, value);
+      patterns.push(`FILTER(${OPERATORS[operator](QueryBuilder.#variable(property), serialized)})`);
+    }
+
+    const projection = ['uri', ...this.#projection.filter(name => name !== 'uri')];
+    const body = graph
+      ? `  GRAPH ${SparqlTemplate.serialize(namedNode(graph), 'graph')} {\n${patterns.map(p => `    ${p}`).join('\n')}\n  }`
+      : patterns.map(p => `  ${p}`).join('\n');
+    let query = `SELECT ${projection.map(QueryBuilder.#variable).join(' ')}\nWHERE {\n${body}\n}`;
+
+    if (this.#order.length > 0) {
+      query += `\nORDER BY ${this.#order.map(({ property, direction }) => `${direction}(${QueryBuilder.#variable(property)})`).join(' ')}`;
+    }
+    if (this.#limit !== null) {
+      query += `\nLIMIT ${this.#limit}`;
+    }
+    if (this.#offset !== null) {
+      query += `\nOFFSET ${this.#offset}`;
+    }
+    return query;
+  }
+
+  /**
+   * Runs the query
+   * On a connector the class's save graph is queried (see DataModel.setSaveGraph());
+   * locally, every class graph is part of the default graph
+   *
+   * @param {TripleStoreConnector|QuadStore|Array<Object>} [source=DataModel] - A connector
+   *   (or anything with a query() method), a local graph, or the DataModel store by default
+   * @param {Object} [options={}] - Execution options
+   * @param {string|null} [options.graph] - Graph to query on a connector (the class's save
+   *   graph if omitted; null for the default graph)
+   * @returns {Promise<Array<Object>>} One row per solution: { uri, ...selected properties },
+   *   with the lexical form of each value (undefined if unbound)
+   */
+  async execute(source = DataModel, { graph } = {}) {
+    const remote = typeof source.query === 'function' && source !== DataModel;
+    const query = this.toSparql({ graph: remote && graph === undefined ? DataModel.getSaveGraph(this.#className) : graph });
+    const results = typeof source.query === 'function'
+      ? await source.query(query)
+      : new SparqlEngine({ source }).select(query);
+
+    const projection = ['uri', ...this.#projection.filter(name => name !== 'uri')];
+    return results.results.bindings.map(binding => Object.fromEntries(
+      projection.map(name => [name, binding[QueryBuilder.#variable(name).slice(1)]?.value])
+    ));
+  }
+
+  /**
+   * String representation
+   * @returns {string} Compiled SPARQL query
+   */
+  toString() {
+    return this.toSparql();
+  }
+
+  /**
+   * Resolves a property name
+   * @private
+   */
+  #property(name) {
+    if (name !== 'uri' && !Object.hasOwn(this.#properties, name)) {
+      throw new Error(`Unknown property "${name}" for class "${this.#className}"`);
+    }
+    return this.#properties[name];
+  }
+
+  /**
+   * Serializes a filter value, typed with the property's datatype
+   * @private
+   */
+  #serialize(property, operator, value) {
+    if (value?.termType || STRING_OPERATORS.has(operator)) {
+      return SparqlTemplate.serialize(value?.termType ? value : String(value), property);
+    }
+    if (property === 'uri') {
+      return SparqlTemplate.serialize(namedNode(String(value)), property);
+    }
+
+    const datatype = this.#properties[property].datatype;
+    if (value instanceof Date) {
+      return SparqlTemplate.serialize(datatype === `${XSD}date`
+        ? literal(value.toISOString().slice(0, 10), datatype)
+        : value, property);
+    }
+    return SparqlTemplate.serialize(datatype ? literal(String(value), datatype) : value, property);
+  }
+
+  /**
+   * Maps a property name to a SPARQL variable
+   * @private
+   */
+  static #variable(name) {
+    return `?${name.replace(/[^A-Za-z0-9_]/g, '_')}`;
+  }
+
+  /**
+   * Validates a LIMIT/OFFSET count
+   * @private
+   */
+  static #count(count, clause) {
+    if (!Number.isInteger(count) || count < 0) {
+      throw new Error(`${clause} must be a non-negative integer`);
+    }
+    return count;
+  }
+}
+
+/**
+ * Starts a query over a registered class
+ *
+ * @param {string} className - Name of a registered class
+ * @param {Array<string>} [properties] - Properties to select (all known properties if omitted)
+ * @returns {QueryBuilder} New query builder
+ *
+ * @example
+ * const people = await select('Person').where('lastName', 'Doe').orderBy('birthDate').limit(10).execute(connector);
+ */
+export function select(className, properties) {
+  return new QueryBuilder(className, properties);
+}
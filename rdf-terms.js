@@ -0,0 +1,204 @@
+/**
+ * RDF Terms
+ * Minimal RDF/JS-compatible term factory and namespace constants
+ * shared by the parser, validator and serializers
+ *
+ * @module rdf-terms
+ * @version 1.0.0
+ */
+
+/**
+ * Well-known namespace IRIs
+ */
+export const NS = {
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+  xsd: 'http://www.w3.org/2001/XMLSchema#',
+  sh: 'http://www.w3.org/ns/shacl#',
+  ex: 'http://example.com/ex#',
+  Person: 'http://example.com/ns/Person#',
+  Class: 'http://example.com/ns/Class#'
+};
+
+/**
+ * Creates a named node (IRI) term
+ * @param {string} value - IRI
+ * @returns {Object} NamedNode term
+ */
+export function namedNode(value) {
+  return { termType: 'NamedNode', value };
+}
+
+/**
+ * Creates a blank node term
+ * @param {string} value - Blank node label (without "_:")
+ * @returns {Object} BlankNode term
+ */
+export function blankNode(value) {
+  return { termType: 'BlankNode', value };
+}
+
+/**
+ * Creates a literal term
+ *
+ * @param {string} value - Lexical form
+ * @param {string|Object} [languageOrDatatype] - Language tag, or datatype IRI / NamedNode
+ * @returns {Object} Literal term
+ */
+export function literal(value, languageOrDatatype) {
+  if (typeof languageOrDatatype === 'string' && !languageOrDatatype.includes(':')) {
+    return {
+      termType: 'Literal',
+      value: String(value),
+      language: languageOrDatatype.toLowerCase(),
+      datatype: namedNode(`${NS.rdf}langString`)
+    };
+  }
+
+  let datatype = languageOrDatatype;
+  if (typeof datatype === 'string') {
+    datatype = namedNode(datatype);
+  }
+
+  return {
+    termType: 'Literal',
+    value: String(value),
+    language: '',
+    datatype: datatype || namedNode(`${NS.xsd}string`)
+  };
+}
+
+/**
+ * Creates a variable term
+ * @param {string} value - Variable name (without "?" or "$")
+ * @returns {Object} Variable term
+ */
+export function variable(value) {
+  return { termType: 'Variable', value };
+}
+
+/**
+ * Returns the default graph term
+ * @returns {Object} DefaultGraph term
+ */
+export function defaultGraph() {
+  return { termType: 'DefaultGraph', value: '' };
+}
+
+/**
+ * Creates a quad
+ *
+ * @param {Object} subject - Subject term
+ * @param {Object} predicate - Predicate term
+ * @param {Object} object - Object term
+ * @param {Object} [graph] - Graph term (default graph if omitted)
+ * @returns {Object} Quad
+ */
+export function quad(subject, predicate, object, graph) {
+  return { subject, predicate, object, graph: graph || defaultGraph() };
+}
+
+/**
+ * Checks two terms for equality
+ *
+ * @param {Object} a - First term
+ * @param {Object} b - Second term
+ * @returns {boolean} True if both terms denote the same RDF term
+ */
+export function termEquals(a, b) {
+  if (!a || !b) {
+    return a === b;
+  }
+  if (a.termType !== b.termType || a.value !== b.value) {
+    return false;
+  }
+  if (a.termType === 'Literal') {
+    return a.language === b.language && a.datatype.value === b.datatype.value;
+  }
+  return true;
+}
+
+/**
+ * Returns a stable string key for a term, usable in Maps and Sets
+ *
+ * @param {Object} term - RDF term
+ * @returns {string} Term key in N-Triples-like syntax
+ */
+export function termToString(term) {
+  switch (term.termType) {
+    case 'NamedNode':
+      return `<${term.value}>`;
+    case 'BlankNode':
+      return `_:${term.value}`;
+    case 'Variable':
+      return `?${term.value}`;
+    case 'DefaultGraph':
+      return '';
+    case 'Literal':
+      if (term.language) {
+        return `${JSON.stringify(term.value)}@${term.language}`;
+      }
+      return `${JSON.stringify(term.value)}^^<${term.datatype.value}>`;
+    default:
+      throw new Error(`Unknown term type "${term.termType}"`);
+  }
+}
+
+const NUMERIC_DATATYPES = new Set([
+  'integer', 'decimal', 'float', 'double', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'nonPositiveInteger', 'positiveInteger', 'negativeInteger',
+  'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte'
+].map(name => `${NS.xsd}${name}`));
+
+/**
+ * Converts a literal to the matching JavaScript value
+ * Numeric datatypes become numbers, xsd:boolean a boolean, xsd:date the UTC
+ * midnight of its calendar date (any timezone is dropped) and xsd:dateTime a
+ * Date; other literals, and lexical forms that are not valid for their
+ * datatype, are returned as strings
+ *
+ * @param {Object} term - Literal term
+ * @returns {string|number|boolean|Date} JavaScript value
+ */
+export function fromLiteral(term) {
+  const { value } = term;
+  const datatype = term.datatype?.value;
+
+  if (NUMERIC_DATATYPES.has(datatype)) {
+    if (!/^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/.test(value)) {
+      return value;
+    }
+    return Number(value.replace('INF', 'Infinity'));
+  }
+  if (datatype === `${NS.xsd}boolean`) {
+    return /^(true|1)$/.test(value) ? true : /^(false|0)$/.test(value) ? false : value;
+  }
+  if (datatype === `${NS.xsd}date`) {
+    const match = /^(\d{4,})-(\d{2})-(\d{2})(Z|[+-]\d{2}:\d{2})?$/.exec(value);
+    const date = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return date && date.getUTCDate() === Number(match[3]) ? date : value;
+  }
+  if (datatype === `${NS.xsd}dateTime`) {
+    const date = new Date(value);
+    return /^-?\d{4,}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(date.getTime()) ? date : value;
+  }
+  return value;
+}
+
+/**
+ * Compares two sets of quads
+ *
+ * @param {Array<Object>} before - Earlier quads
+ * @param {Array<Object>} after - Later quads
+ * @returns {Object} { inserted, deleted }: quads only in after, and only in before
+ */
+export function diffQuads(before, after) {
+  const key = q => [q.subject, q.predicate, q.object, q.graph ?? defaultGraph()].map(termToString).join(' ');
+  const beforeKeys = new Set(before.map(key));
+  const afterKeys = new Set(after.map(key));
+
+  return {
+    inserted: after.filter(q => !beforeKeys.has(key(q))),
+    deleted: before.filter(q => !afterKeys.has(key(q)))
+  };
+}
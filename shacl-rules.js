@@ -0,0 +1,215 @@
+/**
+ * ShaclRuleEngine Class
+ * Executes SHACL-AF sh:SPARQLRule transformations declared in a shapes graph
+ * Rules run in-process over an in-memory graph, or are pushed down to a
+ * SPARQL endpoint through a connector's construct() method. Rules see the
+ * focus node as $this and the date to compute with as $referenceDate
+ *
+ * @class ShaclRuleEngine
+ * @version 1.0.0
+ */
+
+import { NS, literal, termToString } from './rdf-terms.js';
+import { ShaclValidator } from './shacl-validator.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { SparqlParser } from './sparql-parser.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { TripleIndex } from './triple-index.js';
+import { TurtleParser } from './turtle-parser.js';
+
+const SH = NS.sh;
+const RDF_TYPE = `${NS.rdf}type`;
+
+export class ShaclRuleEngine {
+  static #default = null;
+
+  #validator;
+  #rules = null;
+
+  /**
+   * Creates a new ShaclRuleEngine instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {ShaclValidator|string|Array<Object>} config.shapes - Validator, or shapes graph as Turtle or quads
+   * @throws {Error} If the shapes graph cannot be parsed
+   */
+  constructor({ shapes }) {
+    this.#validator = shapes instanceof ShaclValidator ? shapes : new ShaclValidator({ shapes });
+  }
+
+  /**
+   * Gets the shared rule engine for person-transformation-shacl.ttl
+   * Shares the shapes graph with ShaclValidator.getDefault()
+   *
+   * @returns {ShaclRuleEngine} Default rule engine
+   */
+  static getDefault() {
+    if (!this.#default) {
+      this.#default = new ShaclRuleEngine({ shapes: ShaclValidator.getDefault() });
+    }
+    return this.#default;
+  }
+
+  /**
+   * Gets the active SPARQL rules, ordered by shape and sh:order
+   * @returns {Array<Object>} Rules as { shape, node, name, order, query, source }
+   */
+  get rules() {
+    if (!this.#rules) {
+      this.#rules = this.#collectRules();
+    }
+    return [...this.#rules];
+  }
+
+  /**
+   * Executes all rules in-process and returns the inferred triples
+   * The input graph is not modified
+   *
+   * @param {string|Array<Object>} data - Data graph as Turtle or as quads
+   * @param {Object} [options={}] - Execution options
+   * @param {Date} [options.referenceDate=new Date()] - Bound to $referenceDate as an xsd:date
+   * @param {Array<Object>} [options.focusNodes] - Restrict execution to these focus nodes
+   * @returns {Array<Object>} Inferred quads (duplicates removed)
+   */
+  execute(data, { referenceDate = new Date(), focusNodes } = {}) {
+    const dataGraph = TripleIndex.from(typeof data === 'string' ? TurtleParser.parse(data) : data);
+    const engine = new SparqlEngine({ source: dataGraph });
+    const date = ShaclRuleEngine.#date(referenceDate);
+    const allowed = focusNodes ? new Set(focusNodes.map(termToString)) : null;
+    const inferred = new Map();
+
+    for (const rule of this.rules) {
+      for (const focusNode of this.#validator.getFocusNodes(rule.shape, dataGraph)) {
+        if (allowed && !allowed.has(termToString(focusNode))) {
+          continue;
+        }
+        for (const q of engine.construct(rule.query, { bindings: { this: focusNode, referenceDate: date } })) {
+          inferred.set(`${termToString(q.subject)} ${termToString(q.predicate)} ${termToString(q.object)}`, q);
+        }
+      }
+    }
+
+    return [...inferred.values()];
+  }
+
+  /**
+   * Executes all rules on a SPARQL endpoint and returns the inferred triples
+   * Each rule's WHERE clause is scoped to the shape's targets before it is sent,
+   * and $referenceDate is bound with VALUES ($this and ?this are the same variable)
+   *
+   * @param {TripleStoreConnector} connector - Connector exposing construct(query, format)
+   * @param {Object} [options={}] - Execution options
+   * @param {Date} [options.referenceDate=new Date()] - Bound to $referenceDate as an xsd:date
+   * @param {Array<Object>} [options.focusNodes] - Restrict execution to these focus nodes (IRIs)
+   * @returns {Promise<Array<Object>>} Inferred quads
+   * @throws {Error} If a focus node or target is a blank node, which cannot be named in a query
+   */
+  async executeRemote(connector, { referenceDate = new Date(), focusNodes } = {}) {
+    const date = SparqlTemplate.serialize(ShaclRuleEngine.#date(referenceDate));
+    const inferred = new Map();
+
+    for (const rule of this.rules) {
+      const scope = this.#targetPattern(rule.shape, focusNodes);
+      if (scope === null) {
+        continue;
+      }
+
+      const bindings = `VALUES ?referenceDate { ${date} }\n  ${scope}`;
+      const query = rule.source.replace(/\bWHERE\s*\{/i, match => `${match}\n  ${bindings}\n`);
+      const ntriples = await connector.construct(query, 'application/n-triples');
+      for (const q of TurtleParser.parse(ntriples)) {
+        inferred.set(`${termToString(q.subject)} ${termToString(q.predicate)} ${termToString(q.object)}`, q);
+      }
+    }
+
+    return [...inferred.values()];
+  }
+
+  #collectRules() {
+    const shapes = this.#validator.shapesGraph;
+    const rules = [];
+    const shapeOrders = new Map();
+
+    for (const shape of this.#validator.targetedShapes) {
+      if (this.#isTrue(shapes.object(shape, `${SH}deactivated`))) {
+        continue;
+      }
+      shapeOrders.set(shape, Number(shapes.object(shape, `${SH}order`)?.value ?? 0));
+
+      for (const node of shapes.objects(shape, `${SH}rule`)) {
+        const isSparqlRule = shapes.objects(node, RDF_TYPE).some(t => t.value === `${SH}SPARQLRule`);
+        const source = shapes.object(node, `${SH}construct`)?.value;
+        if (!isSparqlRule || !source || this.#isTrue(shapes.object(node, `${SH}deactivated`))) {
+          continue;
+        }
+
+        rules.push({
+          shape,
+          node,
+          name: shapes.object(node, `${SH}codeIdentifier`)?.value ?? termToString(node),
+          order: Number(shapes.object(node, `${SH}order`)?.value ?? 0),
+          query: SparqlParser.parse(source),
+          source
+        });
+      }
+    }
+
+    // Array.prototype.sort is stable, so rules without sh:order keep document order
+    return rules.sort((a, b) =>
+      shapeOrders.get(a.shape) - shapeOrders.get(b.shape) || a.order - b.order);
+  }
+
+  /**
+   * Builds the graph pattern that binds ?this to a shape's focus nodes
+   * @private
+   */
+  #targetPattern(shape, focusNodes) {
+    const shapes = this.#validator.shapesGraph;
+    const iri = term => ShaclRuleEngine.#serialize(term, 'IRI');
+
+    if (focusNodes) {
+      return focusNodes.length > 0 ? `VALUES ?this { ${focusNodes.map(iri).join(' ')} }` : null;
+    }
+
+    const alternatives = [
+      ...shapes.objects(shape, `${SH}targetClass`).map(cls => `{ ?this a/<${NS.rdfs}subClassOf>* ${iri(cls)} }`),
+      ...shapes.objects(shape, `${SH}targetSubjectsOf`).map(p => `{ ?this ${iri(p)} [] }`),
+      ...shapes.objects(shape, `${SH}targetObjectsOf`).map(p => `{ [] ${iri(p)} ?this }`)
+    ];
+    const nodes = shapes.objects(shape, `${SH}targetNode`);
+    if (nodes.length > 0) {
+      alternatives.push(`{ VALUES ?this { ${nodes.map(term => ShaclRuleEngine.#serialize(term)).join(' ')} } }`);
+    }
+
+    return alternatives.length > 0 ? alternatives.join(' UNION ') : null;
+  }
+
+  #isTrue(term) {
+    return term?.value === 'true';
+  }
+
+  /**
+   * Serializes a focus node or target for a remote query
+   * @private
+   */
+  static #serialize(term, expected) {
+    if (term.termType === 'BlankNode') {
+      throw new Error(`Blank node ${termToString(term)} cannot be sent to a remote endpoint`);
+    }
+    if (expected === 'IRI' && term.termType !== 'NamedNode') {
+      throw new Error(`Expected an IRI but got ${termToString(term)}`);
+    }
+    return SparqlTemplate.serialize(term, 'this');
+  }
+
+  /**
+   * Converts the reference date to the xsd:date bound to $referenceDate
+   * @private
+   */
+  static #date(referenceDate) {
+    if (!(referenceDate instanceof Date) || Number.isNaN(referenceDate.getTime())) {
+      throw new Error('referenceDate must be a valid Date');
+    }
+    return literal(referenceDate.toISOString().split('T')[0], `${NS.xsd}date`);
+  }
+}
@@ -0,0 +1,782 @@
+/**
+ * ShaclValidator Class
+ * Runtime SHACL Core validation engine
+ * Loads a shapes graph (e.g. person-transformation-shacl.ttl) and evaluates
+ * its targets, property paths and Core constraint components against
+ * model instances or arbitrary RDF data. SPARQL-based constraints
+ * (sh:sparql with sh:select) run on the in-memory SparqlEngine
+ *
+ * @class ShaclValidator
+ * @version 1.0.0
+ */
+
+import { readFileSync } from 'node:fs';
+import { NS, namedNode, blankNode, literal, termEquals, termToString } from './rdf-terms.js';
+import { TurtleParser } from './turtle-parser.js';
+import { SparqlParser } from './sparql-parser.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { TripleIndex } from './triple-index.js';
+import { ValidationReport, ValidationResult } from './validation-report.js';
+
+const DEFAULT_SHAPES_FILE = new URL('./person-transformation-shacl.ttl', import.meta.url);
+
+const SH = NS.sh;
+const RDF_TYPE = `${NS.rdf}type`;
+const RDF_FIRST = `${NS.rdf}first`;
+const RDF_REST = `${NS.rdf}rest`;
+const RDF_NIL = `${NS.rdf}nil`;
+const RDFS_SUBCLASS_OF = `${NS.rdfs}subClassOf`;
+const XSD = NS.xsd;
+
+const NUMERIC_DATATYPES = new Set([
+  'integer', 'decimal', 'float', 'double', 'int', 'long', 'short', 'byte',
+  'nonNegativeInteger', 'nonPositiveInteger', 'positiveInteger', 'negativeInteger',
+  'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte'
+].map(name => `${XSD}${name}`));
+
+const DATE_DATATYPES = new Set([`${XSD}date`, `${XSD}dateTime`]);
+
+const LEXICAL_FORMS = {
+  [`${XSD}integer`]: /^[+-]?\d+$/,
+  [`${XSD}int`]: /^[+-]?\d+$/,
+  [`${XSD}long`]: /^[+-]?\d+$/,
+  [`${XSD}nonNegativeInteger`]: /^\+?\d+$/,
+  [`${XSD}positiveInteger`]: /^\+?0*[1-9]\d*$/,
+  [`${XSD}decimal`]: /^[+-]?(\d+(\.\d*)?|\.\d+)$/,
+  [`${XSD}double`]: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [`${XSD}float`]: /^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|[+-]?INF|NaN)$/,
+  [`${XSD}boolean`]: /^(true|false|1|0)$/,
+  [`${XSD}date`]: /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])(Z|[+-]\d{2}:\d{2})?$/,
+  [`${XSD}dateTime`]: /^-?\d{4,}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])T([01]\d|2[0-3]):[0-5]\d:[0-5]\d(\.\d+)?(Z|[+-]\d{2}:\d{2})?$/
+};
+
+export class ShaclValidator {
+  static #default = null;
+
+  #shapes;
+  #prefixes;
+  #componentTable = null;
+  #sparqlQueries = new Map();
+
+  /**
+   * Creates a new ShaclValidator instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {string|Array<Object>} config.shapes - Shapes graph as Turtle or as quads
+   * @param {Object} [config.prefixes] - Prefixes used to abbreviate IRIs in messages
+   * @throws {Error} If the shapes graph cannot be parsed
+   */
+  constructor({ shapes, prefixes = {} }) {
+    if (!shapes) {
+      throw new Error('shapes is required');
+    }
+
+    if (typeof shapes === 'string') {
+      const parser = new TurtleParser();
+      this.#shapes = new TripleIndex(parser.parse(shapes));
+      this.#prefixes = { ...parser.prefixes, ...prefixes };
+    } else {
+      this.#shapes = new TripleIndex(shapes);
+      this.#prefixes = { ...prefixes };
+    }
+  }
+
+  /**
+   * Creates a validator from a Turtle shapes file
+   *
+   * @param {string|URL} path - Path to the shapes file
+   * @returns {ShaclValidator} New ShaclValidator instance
+   */
+  static fromFile(path) {
+    return new ShaclValidator({ shapes: readFileSync(path, 'utf8') });
+  }
+
+  /**
+   * Gets the shared validator for person-transformation-shacl.ttl
+   * The shapes file is read once, on first use
+   *
+   * @returns {ShaclValidator} Default validator
+   */
+  static getDefault() {
+    if (!this.#default) {
+      this.#default = this.fromFile(DEFAULT_SHAPES_FILE);
+    }
+    return this.#default;
+  }
+
+  /**
+   * Gets all shapes that have at least one target declaration
+   * @returns {Array<Object>} Shape terms
+   */
+  get targetedShapes() {
+    const seen = new Map();
+    const targetPredicates = ['targetClass', 'targetNode', 'targetSubjectsOf', 'targetObjectsOf'];
+
+    for (const predicate of targetPredicates) {
+      for (const q of this.#shapes.quads) {
+        if (q.predicate.value === `${SH}${predicate}`) {
+          seen.set(termToString(q.subject), q.subject);
+        }
+      }
+    }
+    for (const shape of this.#shapes.subjects(RDF_TYPE, namedNode(`${NS.rdfs}Class`))) {
+      if (this.#isShape(shape)) {
+        seen.set(termToString(shape), shape);
+      }
+    }
+
+    return [...seen.values()];
+  }
+
+  /**
+   * Checks whether any shape targets the given class
+   *
+   * @param {string} classIri - RDF class IRI
+   * @returns {boolean} True if a shape declares sh:targetClass for the class
+   */
+  hasShapesFor(classIri) {
+    return this.#shapes.subjects(`${SH}targetClass`, namedNode(classIri)).length > 0;
+  }
+
+  /**
+   * Describes the properties constrained by the shapes targeting a class
+   * Only property shapes whose sh:path is a single IRI are included, keyed by
+   * the local name of that IRI
+   *
+   * @param {string} classIri - RDF class IRI
+   * @returns {Object} Map of property name to { path, datatype, minCount, maxCount }
+   */
+  getClassProperties(classIri) {
+    const cls = namedNode(classIri);
+    const shapes = this.#shapes.subjects(`${SH}targetClass`, cls);
+    if (this.#isShape(cls)) {
+      shapes.push(cls);
+    }
+
+    const properties = {};
+    for (const shape of shapes.filter(s => !this.#isDeactivated(s))) {
+      for (const property of this.#shapes.objects(shape, `${SH}property`)) {
+        const path = this.#shapes.object(property, `${SH}path`);
+        if (path?.termType !== 'NamedNode' || this.#isDeactivated(property)) {
+          continue;
+        }
+
+        const name = path.value.slice(Math.max(path.value.lastIndexOf('#'), path.value.lastIndexOf('/')) + 1);
+        const entry = properties[name] ??= { path: path.value, datatype: null, minCount: 0, maxCount: null };
+        if (entry.path !== path.value) {
+          continue;
+        }
+
+        const datatype = this.#shapes.object(property, `${SH}datatype`);
+        const minCount = this.#shapes.object(property, `${SH}minCount`);
+        const maxCount = this.#shapes.object(property, `${SH}maxCount`);
+        entry.datatype ??= datatype?.value ?? null;
+        entry.minCount = Math.max(entry.minCount, minCount ? Number(minCount.value) : 0);
+        if (maxCount) {
+          entry.maxCount = Math.min(entry.maxCount ?? Infinity, Number(maxCount.value));
+        }
+      }
+    }
+    return properties;
+  }
+
+  /**
+   * Validates RDF data against the shapes graph
+   *
+   * @param {string|Array<Object>|TripleIndex|QuadStore} data - Data graph as Turtle, quads or an indexed graph
+   * @param {Object} [options={}] - Validation options
+   * @param {Array<Object>} [options.focusNodes] - Only validate these focus nodes
+   * @returns {ValidationReport} Validation report
+   */
+  validate(data, { focusNodes } = {}) {
+    const dataGraph = TripleIndex.from(typeof data === 'string' ? TurtleParser.parse(data) : data);
+    const results = [];
+
+    for (const shape of this.targetedShapes) {
+      if (this.#isDeactivated(shape)) {
+        continue;
+      }
+      const targets = focusNodes
+        ? focusNodes.filter(node => this.#isFocusNode(shape, node, dataGraph))
+        : this.getFocusNodes(shape, dataGraph);
+      for (const focusNode of targets) {
+        this.#validateShape(shape, focusNode, dataGraph, results, []);
+      }
+    }
+
+    return new ValidationReport({ results, prefixes: this.#prefixes });
+  }
+
+  /**
+   * Validates a model instance (any object with a toQuads() or toTurtle() method)
+   *
+   * @param {Object} instance - Instance to validate
+   * @returns {ValidationReport} Validation report
+   */
+  validateInstance(instance) {
+    if (typeof instance.toQuads === 'function') {
+      return this.validate(instance.toQuads());
+    }
+    if (typeof instance.toTurtle !== 'function') {
+      throw new Error('Instance must have a toQuads() or toTurtle() method');
+    }
+    return this.validate(instance.toTurtle(true));
+  }
+
+  /**
+   * Abbreviates an IRI using the known prefixes
+   *
+   * @param {Object|string} term - Term or IRI
+   * @returns {string} Prefixed name, <IRI>, or literal text
+   */
+  compact(term) {
+    if (typeof term === 'string') {
+      term = namedNode(term);
+    }
+    if (term.termType !== 'NamedNode') {
+      return term.termType === 'Literal' ? JSON.stringify(term.value) : termToString(term);
+    }
+    for (const [prefix, namespace] of Object.entries(this.#prefixes)) {
+      if (term.value.startsWith(namespace) && /^[A-Za-z0-9_-]*$/.test(term.value.slice(namespace.length))) {
+        return `${prefix}:${term.value.slice(namespace.length)}`;
+      }
+    }
+    return `<${term.value}>`;
+  }
+
+  /**
+   * Gets the shapes graph
+   * @returns {TripleIndex} Indexed shapes graph
+   */
+  get shapesGraph() {
+    return this.#shapes;
+  }
+
+  /**
+   * Resolves the focus nodes of a shape's targets in a data graph
+   *
+   * @param {Object} shape - Shape term
+   * @param {TripleIndex|Array<Object>} data - Data graph
+   * @returns {Array<Object>} Focus node terms
+   */
+  getFocusNodes(shape, data) {
+    const dataGraph = TripleIndex.from(data);
+    const nodes = new Map();
+    const add = term => nodes.set(termToString(term), term);
+
+    const classes = this.#shapes.objects(shape, `${SH}targetClass`);
+    if (this.#shapes.objects(shape, RDF_TYPE).some(t => t.value === `${NS.rdfs}Class`)) {
+      classes.push(shape);
+    }
+    for (const cls of classes) {
+      for (const subclass of this.#subclassesOf(cls, dataGraph)) {
+        dataGraph.subjects(RDF_TYPE, subclass).forEach(add);
+      }
+    }
+
+    this.#shapes.objects(shape, `${SH}targetNode`).forEach(add);
+
+    for (const predicate of this.#shapes.objects(shape, `${SH}targetSubjectsOf`)) {
+      dataGraph.match(null, predicate, null).forEach(q => add(q.subject));
+    }
+    for (const predicate of this.#shapes.objects(shape, `${SH}targetObjectsOf`)) {
+      dataGraph.match(null, predicate, null).forEach(q => add(q.object));
+    }
+
+    return [...nodes.values()];
+  }
+
+  // Targets
+
+  #isFocusNode(shape, node, dataGraph) {
+    const classes = this.#shapes.objects(shape, `${SH}targetClass`);
+    if (this.#shapes.objects(shape, RDF_TYPE).some(t => t.value === `${NS.rdfs}Class`)) {
+      classes.push(shape);
+    }
+
+    return classes.some(cls => this.#isInstanceOf(node, cls, dataGraph)) ||
+      this.#shapes.objects(shape, `${SH}targetNode`).some(target => termEquals(target, node)) ||
+      this.#shapes.objects(shape, `${SH}targetSubjectsOf`).some(p => dataGraph.match(node, p, null).length > 0) ||
+      this.#shapes.objects(shape, `${SH}targetObjectsOf`).some(p => dataGraph.match(null, p, node).length > 0);
+  }
+
+  #isShape(term) {
+    const types = this.#shapes.objects(term, RDF_TYPE).map(t => t.value);
+    return types.includes(`${SH}NodeShape`) || types.includes(`${SH}PropertyShape`);
+  }
+
+  #isDeactivated(shape) {
+    return this.#shapes.object(shape, `${SH}deactivated`)?.value === 'true';
+  }
+
+  #subclassesOf(cls, dataGraph) {
+    const result = new Map([[termToString(cls), cls]]);
+    const queue = [cls];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const sub of dataGraph.subjects(RDFS_SUBCLASS_OF, current)) {
+        const key = termToString(sub);
+        if (!result.has(key)) {
+          result.set(key, sub);
+          queue.push(sub);
+        }
+      }
+    }
+    return [...result.values()];
+  }
+
+  #isInstanceOf(node, cls, dataGraph) {
+    const classes = this.#subclassesOf(cls, dataGraph);
+    return dataGraph.objects(node, RDF_TYPE).some(type => classes.some(c => termEquals(c, type)));
+  }
+
+  // Shape evaluation
+
+  #validateShape(shape, focusNode, dataGraph, results, stack) {
+    const key = `${termToString(shape)} ${termToString(focusNode)}`;
+    if (stack.includes(key) || this.#isDeactivated(shape)) {
+      return;
+    }
+    stack = [...stack, key];
+
+    const path = this.#shapes.object(shape, `${SH}path`);
+    const valueNodes = path ? this.#evaluatePath(focusNode, path, dataGraph) : [focusNode];
+    const context = { shape, focusNode, path, valueNodes, dataGraph, stack };
+
+    this.#componentTable ??= this.#components();
+    for (const [component, evaluate] of this.#componentTable) {
+      const parameter = this.#shapes.objects(shape, `${SH}${component.parameter}`);
+      if (parameter.length === 0) {
+        continue;
+      }
+      for (const value of parameter) {
+        for (const violation of [...evaluate(value, context, results)]) {
+          results.push(this.#result(context, component.name, violation));
+        }
+      }
+    }
+  }
+
+  #conformsTo(node, shape, dataGraph, stack) {
+    const results = [];
+    this.#validateShape(shape, node, dataGraph, results, stack);
+    return results.length === 0;
+  }
+
+  #result({ shape, focusNode, path }, componentName, { value, message }) {
+    const customMessage = this.#shapes.object(shape, `${SH}message`);
+    const severity = this.#shapes.object(shape, `${SH}severity`) || namedNode(`${SH}Violation`);
+    const prefix = path ? `${this.#pathToString(path)}: ` : '';
+
+    return new ValidationResult({
+      focusNode,
+      resultPath: path || null,
+      value: value ?? null,
+      sourceShape: shape,
+      sourceConstraintComponent: namedNode(`${SH}${componentName}ConstraintComponent`),
+      resultSeverity: severity,
+      resultMessage: customMessage ? customMessage.value : `${prefix}${message}`
+    });
+  }
+
+  /**
+   * Table of supported SHACL Core constraint components
+   * Each entry yields zero or more { value, message } violations
+   * @private
+   * @returns {Array<Array>} [{ name, parameter }, evaluate] pairs
+   */
+  #components() {
+    const c = (name, parameter) => ({ name, parameter });
+    const each = (test, message) => function* (param, context) {
+      for (const value of context.valueNodes) {
+        if (!test(value, param, context)) {
+          yield { value, message: message(value, param) };
+        }
+      }
+    };
+
+    return [
+      [c('Class', 'class'), each(
+        (value, cls, { dataGraph }) => this.#isInstanceOf(value, cls, dataGraph),
+        (value, cls) => `Value ${this.compact(value)} is not an instance of ${this.compact(cls)}`
+      )],
+      [c('Datatype', 'datatype'), each(
+        (value, datatype) => value.termType === 'Literal' &&
+          value.datatype.value === datatype.value &&
+          this.#isWellFormed(value),
+        (value, datatype) => `Value ${this.compact(value)} does not have datatype ${this.compact(datatype)}`
+      )],
+      [c('NodeKind', 'nodeKind'), each(
+        (value, kind) => this.#matchesNodeKind(value, kind),
+        (value, kind) => `Value ${this.compact(value)} does not have node kind ${this.compact(kind)}`
+      )],
+      [c('MinCount', 'minCount'), function* (param, { valueNodes }) {
+        if (valueNodes.length < Number(param.value)) {
+          yield { message: `Less than ${param.value} values` };
+        }
+      }],
+      [c('MaxCount', 'maxCount'), function* (param, { valueNodes }) {
+        if (valueNodes.length > Number(param.value)) {
+          yield { message: `More than ${param.value} values` };
+        }
+      }],
+      [c('MinExclusive', 'minExclusive'), each(
+        (value, bound) => this.#compare(value, bound) > 0,
+        (value, bound) => `Value ${this.compact(value)} is not > ${bound.value}`
+      )],
+      [c('MinInclusive', 'minInclusive'), each(
+        (value, bound) => this.#compare(value, bound) >= 0,
+        (value, bound) => `Value ${this.compact(value)} is not >= ${bound.value}`
+      )],
+      [c('MaxExclusive', 'maxExclusive'), each(
+        (value, bound) => this.#compare(value, bound) < 0,
+        (value, bound) => `Value ${this.compact(value)} is not < ${bound.value}`
+      )],
+      [c('MaxInclusive', 'maxInclusive'), each(
+        (value, bound) => this.#compare(value, bound) <= 0,
+        (value, bound) => `Value ${this.compact(value)} is not <= ${bound.value}`
+      )],
+      [c('MinLength', 'minLength'), each(
+        (value, length) => value.termType !== 'BlankNode' && value.value.length >= Number(length.value),
+        (value, length) => `Value ${this.compact(value)} has less than ${length.value} characters`
+      )],
+      [c('MaxLength', 'maxLength'), each(
+        (value, length) => value.termType !== 'BlankNode' && value.value.length <= Number(length.value),
+        (value, length) => `Value ${this.compact(value)} has more than ${length.value} characters`
+      )],
+      [c('Pattern', 'pattern'), (param, context) => {
+        const flags = this.#shapes.object(context.shape, `${SH}flags`)?.value || '';
+        const regex = new RegExp(param.value, flags);
+        return each(
+          value => value.termType !== 'BlankNode' && regex.test(value.value),
+          value => `Value ${this.compact(value)} does not match pattern "${param.value}"`
+        )(param, context);
+      }],
+      [c('LanguageIn', 'languageIn'), each(
+        (value, list) => value.termType === 'Literal' && this.#list(list).some(lang =>
+          value.language === lang.value.toLowerCase() || value.language.startsWith(`${lang.value.toLowerCase()}-`)),
+        value => `Language of ${this.compact(value)} is not allowed`
+      )],
+      [c('UniqueLang', 'uniqueLang'), function* (param, { valueNodes }) {
+        if (param.value !== 'true') {
+          return;
+        }
+        const counts = new Map();
+        for (const value of valueNodes) {
+          if (value.termType === 'Literal' && value.language) {
+            counts.set(value.language, (counts.get(value.language) || 0) + 1);
+          }
+        }
+        for (const [language, count] of counts) {
+          if (count > 1) {
+            yield { message: `Language "${language}" used more than once` };
+          }
+        }
+      }],
+      [c('Equals', 'equals'), (param, context) => this.#comparePropertyValues(param, context, 'equals')],
+      [c('Disjoint', 'disjoint'), (param, context) => this.#comparePropertyValues(param, context, 'disjoint')],
+      [c('LessThan', 'lessThan'), (param, context) => this.#comparePropertyValues(param, context, 'lessThan')],
+      [c('LessThanOrEquals', 'lessThanOrEquals'), (param, context) => this.#comparePropertyValues(param, context, 'lessThanOrEquals')],
+      [c('Not', 'not'), each(
+        (value, shape, { dataGraph, stack }) => !this.#conformsTo(value, shape, dataGraph, stack),
+        (value, shape) => `Value ${this.compact(value)} conforms to ${this.compact(shape)}`
+      )],
+      [c('And', 'and'), each(
+        (value, list, { dataGraph, stack }) => this.#list(list).every(shape => this.#conformsTo(value, shape, dataGraph, stack)),
+        value => `Value ${this.compact(value)} does not conform to all shapes in sh:and`
+      )],
+      [c('Or', 'or'), each(
+        (value, list, { dataGraph, stack }) => this.#list(list).some(shape => this.#conformsTo(value, shape, dataGraph, stack)),
+        value => `Value ${this.compact(value)} does not conform to any shape in sh:or`
+      )],
+      [c('Xone', 'xone'), each(
+        (value, list, { dataGraph, stack }) => this.#list(list).filter(shape => this.#conformsTo(value, shape, dataGraph, stack)).length === 1,
+        value => `Value ${this.compact(value)} does not conform to exactly one shape in sh:xone`
+      )],
+      [c('Node', 'node'), each(
+        (value, shape, { dataGraph, stack }) => this.#conformsTo(value, shape, dataGraph, stack),
+        (value, shape) => `Value ${this.compact(value)} does not conform to ${this.compact(shape)}`
+      )],
+      [c('Property', 'property'), (propertyShape, { valueNodes, dataGraph, stack }, results) => {
+        for (const value of valueNodes) {
+          this.#validateShape(propertyShape, value, dataGraph, results, stack);
+        }
+        return [];
+      }],
+      [c('QualifiedMinCount', 'qualifiedMinCount'), (param, context) => this.#qualifiedCount(param, context, 'min')],
+      [c('QualifiedMaxCount', 'qualifiedMaxCount'), (param, context) => this.#qualifiedCount(param, context, 'max')],
+      [c('Closed', 'closed'), (param, context) => this.#closed(param, context)],
+      [c('HasValue', 'hasValue'), function* (param, { valueNodes }) {
+        if (!valueNodes.some(value => termEquals(value, param))) {
+          yield { message: `Missing expected value ${termToString(param)}` };
+        }
+      }],
+      [c('In', 'in'), each(
+        (value, list) => this.#list(list).some(member => termEquals(member, value)),
+        value => `Value ${this.compact(value)} is not in the list of allowed values`
+      )],
+      [c('SPARQL', 'sparql'), (constraint, context) => this.#sparqlConstraint(constraint, context)]
+    ];
+  }
+
+  /**
+   * Runs a SPARQL-based constraint: every solution of its SELECT query, with
+   * $this bound to the focus node, is a violation. sh:message may refer to
+   * solution variables as {?name}
+   * @private
+   */
+  *#sparqlConstraint(constraint, { shape, focusNode, dataGraph }) {
+    const select = this.#shapes.object(constraint, `${SH}select`);
+    if (!select || this.#isDeactivated(constraint)) {
+      return;
+    }
+    if (!this.#sparqlQueries.has(select.value)) {
+      this.#sparqlQueries.set(select.value, SparqlParser.parse(select.value));
+    }
+
+    const engine = new SparqlEngine({ source: dataGraph });
+    const { results } = engine.select(this.#sparqlQueries.get(select.value), {
+      bindings: { this: focusNode, currentShape: shape }
+    });
+    const template = this.#shapes.object(constraint, `${SH}message`)?.value;
+
+    for (const solution of results.bindings) {
+      const value = solution.value ? ShaclValidator.#fromBinding(solution.value) : null;
+      const message = template
+        ? template.replace(/\{[?$](\w+)\}/g, (match, name) => solution[name] ? this.compact(ShaclValidator.#fromBinding(solution[name])) : match)
+        : `Value ${value ? this.compact(value) : this.compact(focusNode)} violates a SPARQL constraint`;
+      yield { value, message };
+    }
+  }
+
+  /**
+   * Converts a SPARQL JSON results binding to a term
+   * @private
+   */
+  static #fromBinding({ type, value, datatype, 'xml:lang': language }) {
+    if (type === 'uri') {
+      return namedNode(value);
+    }
+    if (type === 'bnode') {
+      return blankNode(value);
+    }
+    return literal(value, language || datatype);
+  }
+
+  *#comparePropertyValues(param, { focusNode, valueNodes, dataGraph }, mode) {
+    const others = dataGraph.objects(focusNode, param.value);
+    const label = this.compact(param);
+
+    if (mode === 'equals') {
+      for (const value of valueNodes) {
+        if (!others.some(other => termEquals(other, value))) {
+          yield { value, message: `Value ${this.compact(value)} is not a value of ${label}` };
+        }
+      }
+      for (const other of others) {
+        if (!valueNodes.some(value => termEquals(other, value))) {
+          yield { value: other, message: `Value ${this.compact(other)} of ${label} is missing` };
+        }
+      }
+      return;
+    }
+
+    for (const value of valueNodes) {
+      for (const other of others) {
+        if (mode === 'disjoint' && termEquals(value, other)) {
+          yield { value, message: `Value ${this.compact(value)} is also a value of ${label}` };
+        }
+        if (mode === 'lessThan' && !(this.#compare(value, other) < 0)) {
+          yield { value, message: `Value ${this.compact(value)} is not < ${this.compact(other)}` };
+        }
+        if (mode === 'lessThanOrEquals' && !(this.#compare(value, other) <= 0)) {
+          yield { value, message: `Value ${this.compact(value)} is not <= ${this.compact(other)}` };
+        }
+      }
+    }
+  }
+
+  *#qualifiedCount(param, { shape, valueNodes, dataGraph, stack }, mode) {
+    const qualifiedShape = this.#shapes.object(shape, `${SH}qualifiedValueShape`);
+    if (!qualifiedShape) {
+      return;
+    }
+    const count = valueNodes.filter(value => this.#conformsTo(value, qualifiedShape, dataGraph, stack)).length;
+    if (mode === 'min' && count < Number(param.value)) {
+      yield { message: `Less than ${param.value} values conform to ${this.compact(qualifiedShape)}` };
+    }
+    if (mode === 'max' && count > Number(param.value)) {
+      yield { message: `More than ${param.value} values conform to ${this.compact(qualifiedShape)}` };
+    }
+  }
+
+  *#closed(param, { shape, focusNode, dataGraph }) {
+    if (param.value !== 'true') {
+      return;
+    }
+    const allowed = new Set(
+      this.#shapes.objects(shape, `${SH}property`)
+        .map(property => this.#shapes.object(property, `${SH}path`))
+        .filter(path => path?.termType === 'NamedNode')
+        .map(path => path.value)
+    );
+    for (const ignored of this.#shapes.objects(shape, `${SH}ignoredProperties`)) {
+      this.#list(ignored).forEach(term => allowed.add(term.value));
+    }
+
+    for (const predicate of dataGraph.predicates(focusNode)) {
+      if (!allowed.has(predicate.value)) {
+        for (const value of dataGraph.objects(focusNode, predicate.value)) {
+          yield { value, message: `Predicate ${this.compact(predicate)} is not allowed (closed shape)` };
+        }
+      }
+    }
+  }
+
+  // Property paths
+
+  #evaluatePath(focusNode, path, dataGraph) {
+    const nodes = new Map();
+    for (const node of this.#pathValues([focusNode], path, dataGraph)) {
+      nodes.set(termToString(node), node);
+    }
+    return [...nodes.values()];
+  }
+
+  #pathValues(nodes, path, dataGraph) {
+    if (path.termType === 'NamedNode') {
+      return nodes.flatMap(node => dataGraph.objects(node, path.value));
+    }
+
+    const inverse = this.#shapes.object(path, `${SH}inversePath`);
+    if (inverse) {
+      if (inverse.termType !== 'NamedNode') {
+        throw new Error('Only predicate IRIs are supported inside sh:inversePath');
+      }
+      return nodes.flatMap(node => dataGraph.subjects(inverse.value, node));
+    }
+
+    const alternatives = this.#shapes.object(path, `${SH}alternativePath`);
+    if (alternatives) {
+      return this.#list(alternatives).flatMap(alt => this.#pathValues(nodes, alt, dataGraph));
+    }
+
+    const zeroOrMore = this.#shapes.object(path, `${SH}zeroOrMorePath`);
+    if (zeroOrMore) {
+      return this.#closure(nodes, zeroOrMore, dataGraph, true);
+    }
+
+    const oneOrMore = this.#shapes.object(path, `${SH}oneOrMorePath`);
+    if (oneOrMore) {
+      return this.#closure(nodes, oneOrMore, dataGraph, false);
+    }
+
+    const zeroOrOne = this.#shapes.object(path, `${SH}zeroOrOnePath`);
+    if (zeroOrOne) {
+      return [...nodes, ...this.#pathValues(nodes, zeroOrOne, dataGraph)];
+    }
+
+    if (this.#shapes.object(path, RDF_FIRST)) {
+      return this.#list(path).reduce((current, step) => this.#pathValues(current, step, dataGraph), nodes);
+    }
+
+    throw new Error(`Unsupported property path ${termToString(path)}`);
+  }
+
+  #closure(nodes, path, dataGraph, includeStart) {
+    const seen = new Map(includeStart ? nodes.map(n => [termToString(n), n]) : []);
+    let frontier = nodes;
+    while (frontier.length > 0) {
+      const next = [];
+      for (const node of this.#pathValues(frontier, path, dataGraph)) {
+        const key = termToString(node);
+        if (!seen.has(key)) {
+          seen.set(key, node);
+          next.push(node);
+        }
+      }
+      frontier = next;
+    }
+    return [...seen.values()];
+  }
+
+  #pathToString(path) {
+    if (path.termType === 'NamedNode') {
+      return this.compact(path);
+    }
+    const inverse = this.#shapes.object(path, `${SH}inversePath`);
+    if (inverse) {
+      return `^${this.#pathToString(inverse)}`;
+    }
+    if (this.#shapes.object(path, RDF_FIRST)) {
+      return this.#list(path).map(step => this.#pathToString(step)).join('/');
+    }
+    return termToString(path);
+  }
+
+  // Helpers
+
+  #list(head) {
+    const items = [];
+    let node = head;
+    while (node && node.value !== RDF_NIL) {
+      const first = this.#shapes.object(node, RDF_FIRST);
+      if (!first) {
+        break;
+      }
+      items.push(first);
+      node = this.#shapes.object(node, RDF_REST);
+    }
+    return items;
+  }
+
+  #matchesNodeKind(value, kind) {
+    const allowed = {
+      [`${SH}IRI`]: ['NamedNode'],
+      [`${SH}BlankNode`]: ['BlankNode'],
+      [`${SH}Literal`]: ['Literal'],
+      [`${SH}BlankNodeOrIRI`]: ['BlankNode', 'NamedNode'],
+      [`${SH}BlankNodeOrLiteral`]: ['BlankNode', 'Literal'],
+      [`${SH}IRIOrLiteral`]: ['NamedNode', 'Literal']
+    }[kind.value] || [];
+    return allowed.includes(value.termType);
+  }
+
+  #isWellFormed(value) {
+    const pattern = LEXICAL_FORMS[value.datatype.value];
+    if (!pattern) {
+      return true;
+    }
+    if (!pattern.test(value.value)) {
+      return false;
+    }
+    if (DATE_DATATYPES.has(value.datatype.value)) {
+      return !Number.isNaN(Date.parse(value.value));
+    }
+    return true;
+  }
+
+  /**
+   * Compares two literals
+   * @private
+   * @returns {number} Negative, zero or positive; NaN if the values are not comparable
+   */
+  #compare(a, b) {
+    if (a.termType !== 'Literal' || b.termType !== 'Literal') {
+      return NaN;
+    }
+    const aType = a.datatype.value;
+    const bType = b.datatype.value;
+
+    if (NUMERIC_DATATYPES.has(aType) && NUMERIC_DATATYPES.has(bType)) {
+      return Number(a.value) - Number(b.value);
+    }
+    if (DATE_DATATYPES.has(aType) && DATE_DATATYPES.has(bType)) {
+      return Date.parse(a.value) - Date.parse(b.value);
+    }
+    if (aType === bType && aType === `${XSD}string`) {
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    }
+    return NaN;
+  }
+}
@@ -0,0 +1,1325 @@
+/**
+ * SparqlEngine Class
+ * In-process SPARQL 1.1 evaluator over an in-memory graph
+ * Evaluates SELECT, ASK, CONSTRUCT and DESCRIBE queries parsed by SparqlParser
+ * against any source exposing match(subject, predicate, object, graph). The
+ * default graph is the union of the source's graphs unless unionDefaultGraph
+ * is turned off; GRAPH patterns see each named graph when the source also
+ * exposes graphs(). Update requests need a mutable source such as a QuadStore
+ *
+ * @class SparqlEngine
+ * @version 1.0.0
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { NS, namedNode, blankNode, literal, quad, defaultGraph, termEquals, termToString } from './rdf-terms.js';
+import { SparqlParser } from './sparql-parser.js';
+import { QuadStore } from './quad-store.js';
+
+const XSD = NS.xsd;
+const XSD_STRING = `${XSD}string`;
+const XSD_BOOLEAN = `${XSD}boolean`;
+const XSD_INTEGER = `${XSD}integer`;
+const XSD_DECIMAL = `${XSD}decimal`;
+const XSD_FLOAT = `${XSD}float`;
+const XSD_DOUBLE = `${XSD}double`;
+const XSD_DATE = `${XSD}date`;
+const XSD_DATETIME = `${XSD}dateTime`;
+const RDF_LANGSTRING = `${NS.rdf}langString`;
+
+const INTEGER_TYPES = new Set([
+  'integer', 'int', 'long', 'short', 'byte', 'nonNegativeInteger', 'nonPositiveInteger',
+  'positiveInteger', 'negativeInteger', 'unsignedInt', 'unsignedLong', 'unsignedShort', 'unsignedByte'
+].map(name => `${XSD}${name}`));
+
+const NUMERIC_RANK = new Map([[XSD_INTEGER, 0], [XSD_DECIMAL, 1], [XSD_FLOAT, 2], [XSD_DOUBLE, 3]]);
+
+const DATE_PARTS = /^(-?\d{4,})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}):(\d{2}(?:\.\d+)?))?(Z|[+-]\d{2}:\d{2})?$/;
+
+const TRUE = literal('true', XSD_BOOLEAN);
+const FALSE = literal('false', XSD_BOOLEAN);
+const ZERO = literal('0', XSD_INTEGER);
+
+// ORDER BY sorts unbound < blank nodes < IRIs < literals (SPARQL 15.1)
+const TERM_ORDER = { BlankNode: 1, NamedNode: 2, Literal: 3 };
+
+/**
+ * Raised when an expression cannot be evaluated (SPARQL "type error")
+ * @private
+ */
+class ExpressionError extends Error {}
+
+export class SparqlEngine {
+  #source;
+  #now;
+  #unionDefaultGraph;
+  #blankNodeCount = 0;
+
+  /**
+   * Creates a new SparqlEngine instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {Array<Object>|Object} config.source - Quads, or an object with match(s, p, o, g)
+   *   (a QuadStore, a TripleIndex, ...)
+   * @param {Date} [config.now] - Value returned by NOW() (defaults to the evaluation time)
+   * @param {boolean} [config.unionDefaultGraph=true] - Query the union of all graphs as the
+   *   default graph; when false the default graph holds only the quads stored without a graph
+   */
+  constructor({ source, now, unionDefaultGraph = true } = {}) {
+    if (!source) {
+      throw new Error('source is required');
+    }
+    this.#source = Array.isArray(source) ? new QuadStore(source) : source;
+    this.#now = now;
+    this.#unionDefaultGraph = unionDefaultGraph;
+  }
+
+  /**
+   * Executes a query of any form
+   * SELECT and ASK results use the application/sparql-results+json structure
+   * returned by FusekiConnector.query(); CONSTRUCT and DESCRIBE return quads
+   *
+   * @param {string|Object} query - SPARQL query string or parsed query
+   * @param {Object} [options={}] - Evaluation options (see select())
+   * @returns {Object|Array<Object>} SPARQL results JSON, or quads
+   */
+  execute(query, options = {}) {
+    const parsed = this.#parse(query);
+    switch (parsed.queryType) {
+      case 'SELECT':
+        return this.select(parsed, options);
+      case 'ASK':
+        return { head: {}, boolean: this.ask(parsed, options) };
+      case 'CONSTRUCT':
+        return this.construct(parsed, options);
+      default:
+        return this.describe(parsed, options);
+    }
+  }
+
+  /**
+   * Executes a SELECT query
+   *
+   * @param {string|Object} query - SPARQL query string or parsed query
+   * @param {Object} [options={}] - Evaluation options
+   * @param {Object} [options.bindings] - Pre-bound variables, e.g. { this: namedNode(...) }
+   * @returns {Object} Results as { head: { vars }, results: { bindings } }
+   */
+  select(query, { bindings = {} } = {}) {
+    const parsed = this.#parse(query, 'SELECT');
+    const { variables, solutions } = this.#solve(parsed, bindings, this.#context(parsed));
+
+    return {
+      head: { vars: variables },
+      results: {
+        bindings: solutions.map(solution => Object.fromEntries(
+          variables.filter(name => solution[name]).map(name => [name, this.#toJson(solution[name])])
+        ))
+      }
+    };
+  }
+
+  /**
+   * Lists the variables a SELECT query returns, in result order
+   * For SELECT * these are the variables the WHERE clause can bind
+   *
+   * @param {string|Object} query - SPARQL SELECT query string or parsed query
+   * @returns {Array<string>} Variable names without "?"
+   * @throws {Error} If the query cannot be parsed or is not a SELECT query
+   */
+  static projection(query) {
+    const parsed = typeof query === 'string' ? SparqlParser.parse(query) : query;
+    if (parsed.queryType !== 'SELECT') {
+      throw new Error(`Expected a SELECT query but got ${parsed.queryType}`);
+    }
+    return parsed.variables === '*'
+      ? SparqlEngine.#inScope(parsed.where, new Set(parsed.values?.variables))
+      : parsed.variables.map(item => item.variable);
+  }
+
+  /**
+   * Executes an ASK query
+   *
+   * @param {string|Object} query - SPARQL query string or parsed query
+   * @param {Object} [options={}] - Evaluation options (see select())
+   * @returns {boolean} True if the pattern has at least one solution
+   */
+  ask(query, { bindings = {} } = {}) {
+    const parsed = this.#parse(query, 'ASK');
+    return this.#solve(parsed, bindings, this.#context(parsed)).solutions.length > 0;
+  }
+
+  /**
+   * Executes a CONSTRUCT query
+   *
+   * @param {string|Object} query - SPARQL query string or parsed query
+   * @param {Object} [options={}] - Evaluation options
+   * @param {Object} [options.bindings] - Pre-bound variables, e.g. { this: namedNode(...) }
+   * @returns {Array<Object>} Constructed quads (duplicates removed)
+   */
+  construct(query, { bindings = {} } = {}) {
+    const parsed = this.#parse(query, 'CONSTRUCT');
+    const { solutions } = this.#solve(parsed, bindings, this.#context(parsed));
+    return this.#instantiate(parsed.template, solutions);
+  }
+
+  /**
+   * Executes a DESCRIBE query
+   * Each described resource yields its concise bounded description: its
+   * outgoing triples, following blank node objects recursively
+   *
+   * @param {string|Object} query - SPARQL query string or parsed query
+   * @param {Object} [options={}] - Evaluation options (see select())
+   * @returns {Array<Object>} Description quads (duplicates removed)
+   */
+  describe(query, { bindings = {} } = {}) {
+    const parsed = this.#parse(query, 'DESCRIBE');
+    const context = this.#context(parsed);
+    const solutions = parsed.where ? this.#solve(parsed, bindings, context).solutions : [{ ...bindings }];
+    const resources = new Map();
+
+    for (const solution of solutions) {
+      const terms = parsed.terms === '*'
+        ? Object.entries(solution).filter(([name]) => !name.startsWith('_:')).map(([, term]) => term)
+        : parsed.terms.map(term => term.termType === 'Variable' ? solution[term.value] : term);
+      for (const term of terms) {
+        if (term && term.termType !== 'Literal') {
+          resources.set(termToString(term), term);
+        }
+      }
+    }
+
+    return this.#conciseBoundedDescription([...resources.values()], context);
+  }
+
+  /**
+   * Executes a SPARQL update request against the source
+   * Operations run in order and each sees the changes of the ones before.
+   * Graphs that do not exist are treated as empty, so SILENT has no effect
+   *
+   * @param {string|Object} request - SPARQL update string or parsed request
+   * @param {Object} [options={}] - Evaluation options
+   * @param {Object} [options.bindings] - Pre-bound variables of the WHERE clauses
+   * @returns {Object} { inserted, deleted } quad counts
+   * @throws {Error} If the request cannot be parsed or the source is read-only
+   */
+  update(request, { bindings = {} } = {}) {
+    const parsed = typeof request === 'string' ? SparqlParser.parseUpdate(request) : request;
+    if (typeof this.#source.add !== 'function' || typeof this.#source.delete !== 'function') {
+      throw new Error('Updates need a source with add() and delete(), such as a QuadStore');
+    }
+
+    const counts = { inserted: 0, deleted: 0 };
+    for (const operation of parsed.operations) {
+      this.#applyUpdate(operation, bindings, counts);
+    }
+    return counts;
+  }
+
+  #parse(query, expected) {
+    const parsed = typeof query === 'string' ? SparqlParser.parse(query) : query;
+    if (expected && parsed.queryType !== expected) {
+      throw new Error(`Expected a ${expected} query but got ${parsed.queryType}`);
+    }
+    return parsed;
+  }
+
+  /**
+   * Evaluation state shared by a query and its patterns: the NOW() value, the
+   * active graph (undefined for the default graph), the FROM/FROM NAMED
+   * dataset and, while evaluating aggregates, the solutions of the group
+   * @private
+   */
+  #context(query) {
+    return { now: this.#clock(), graph: undefined, dataset: query.dataset ?? null, group: null };
+  }
+
+  #clock() {
+    return literal((this.#now || new Date()).toISOString(), XSD_DATETIME);
+  }
+
+  // Update operations (SPARQL 1.1 Update 3.1 and 3.2)
+
+  #applyUpdate(operation, bindings, counts) {
+    const source = this.#source;
+    const remove = quads => {
+      for (const q of quads) {
+        counts.deleted += source.delete(q) ? 1 : 0;
+      }
+    };
+    const add = quads => {
+      for (const q of quads) {
+        counts.inserted += source.add(q) ? 1 : 0;
+      }
+    };
+    const dropGraph = graph => {
+      counts.deleted += source.deleteGraph(graph ?? defaultGraph());
+    };
+
+    switch (operation.updateType) {
+      case 'insertData':
+        add(this.#instantiate(operation.quads, [{}], defaultGraph()));
+        break;
+      case 'deleteData':
+        remove(this.#instantiate(operation.quads, [{}], defaultGraph()));
+        break;
+      case 'modify': {
+        const graph = operation.with ?? defaultGraph();
+        // USING replaces the dataset of the WHERE clause, WITH only its default graph
+        const context = this.#context({ dataset: operation.using });
+        if (operation.with && !operation.using) {
+          context.graph = operation.with;
+        }
+        const solutions = this.#evaluate(operation.where, [{ ...bindings }], context);
+        const deleted = this.#instantiate(operation.delete, solutions, graph);
+        const inserted = this.#instantiate(operation.insert, solutions, graph);
+        remove(deleted);
+        add(inserted);
+        break;
+      }
+      case 'clear':
+      case 'drop':
+        if (operation.target === 'ALL' || operation.target === 'NAMED') {
+          const graphs = source.graphs().filter(g => operation.target === 'ALL' || g.termType !== 'DefaultGraph');
+          graphs.forEach(dropGraph);
+        } else {
+          dropGraph(operation.target === 'DEFAULT' ? null : operation.target);
+        }
+        break;
+      case 'create':
+        // Graphs exist while they hold quads
+        break;
+      default: {
+        // ADD, COPY and MOVE
+        const { source: from, target: to } = operation;
+        if (from === to || (from && to && termEquals(from, to))) {
+          break;
+        }
+        const quads = source.match(null, null, null, from ?? defaultGraph());
+        if (operation.updateType !== 'add') {
+          dropGraph(to);
+        }
+        add(quads.map(q => quad(q.subject, q.predicate, q.object, to ?? defaultGraph())));
+        if (operation.updateType === 'move') {
+          dropGraph(from);
+        }
+      }
+    }
+  }
+
+  // Query evaluation (SPARQL 18.2.4: grouping, HAVING, select expressions,
+  // ORDER BY, projection, DISTINCT, OFFSET/LIMIT)
+
+  #solve(query, bindings, context) {
+    let solutions = this.#evaluate(query.where, [{ ...bindings }], context);
+    if (query.values) {
+      solutions = this.#join(solutions, this.#valuesSolutions(query.values));
+    }
+
+    let rows = this.#isAggregateQuery(query)
+      ? this.#group(query, solutions, context)
+      : solutions.map(solution => ({ solution, group: null }));
+
+    if (query.having) {
+      rows = rows.filter(row => query.having.every(expression => {
+        const value = this.#tryEvaluate(expression, row.solution, { ...context, group: row.group });
+        return value !== null && this.#effectiveBooleanValue(value, true);
+      }));
+    }
+
+    const projection = Array.isArray(query.variables) ? query.variables : [];
+    for (const { variable, expression } of projection.filter(item => item.expression)) {
+      for (const row of rows) {
+        if (row.solution[variable]) {
+          throw new Error(`Variable ?${variable} is already bound before AS`);
+        }
+        const value = this.#tryEvaluate(expression, row.solution, { ...context, group: row.group });
+        if (value) {
+          row.solution = { ...row.solution, [variable]: value };
+        }
+      }
+    }
+
+    if (query.order) {
+      rows = this.#orderBy(rows, query.order, context);
+    }
+
+    let results = rows.map(row => row.solution);
+    let variables;
+    if (query.queryType === 'SELECT') {
+      variables = SparqlEngine.projection(query);
+      results = results.map(solution => Object.fromEntries(
+        variables.filter(name => solution[name]).map(name => [name, solution[name]])
+      ));
+    }
+
+    if (query.distinct || query.reduced) {
+      const seen = new Set();
+      results = results.filter(solution => {
+        const key = this.#solutionKey(solution);
+        return !seen.has(key) && seen.add(key);
+      });
+    }
+
+    const offset = query.offset ?? 0;
+    results = results.slice(offset, query.limit === undefined ? undefined : offset + query.limit);
+    return { variables, solutions: results };
+  }
+
+  #isAggregateQuery(query) {
+    const hasAggregate = expression => expression.type === 'aggregate' ||
+      (expression.args ?? []).some(hasAggregate);
+
+    return Boolean(query.group) ||
+      (Array.isArray(query.variables) && query.variables.some(item => item.expression && hasAggregate(item.expression))) ||
+      (query.having ?? []).some(hasAggregate) ||
+      (query.order ?? []).some(condition => hasAggregate(condition.expression));
+  }
+
+  #group(query, solutions, context) {
+    const conditions = query.group ?? [];
+    const groups = new Map();
+
+    for (const solution of solutions) {
+      const keys = conditions.map(condition => this.#tryEvaluate(condition.expression, solution, context));
+      const key = keys.map(term => term ? termToString(term) : '').join('\u0000');
+
+      if (!groups.has(key)) {
+        const bound = {};
+        conditions.forEach((condition, i) => {
+          const name = condition.variable ?? (condition.expression.type === 'variable' ? condition.expression.name : null);
+          if (name && keys[i]) {
+            bound[name] = keys[i];
+          }
+        });
+        groups.set(key, { solution: bound, group: [] });
+      }
+      groups.get(key).group.push(solution);
+    }
+
+    // Aggregating without GROUP BY yields one group, even over no solutions
+    if (groups.size === 0 && conditions.length === 0) {
+      return [{ solution: {}, group: [] }];
+    }
+    return [...groups.values()];
+  }
+
+  #orderBy(rows, conditions, context) {
+    const keyed = rows.map(row => ({
+      row,
+      keys: conditions.map(condition =>
+        this.#tryEvaluate(condition.expression, row.solution, { ...context, group: row.group }))
+    }));
+
+    keyed.sort((a, b) => {
+      for (let i = 0; i < conditions.length; i++) {
+        const comparison = this.#orderCompare(a.keys[i], b.keys[i]);
+        if (comparison !== 0) {
+          return conditions[i].descending ? -comparison : comparison;
+        }
+      }
+      return 0;
+    });
+    return keyed.map(({ row }) => row);
+  }
+
+  #orderCompare(a, b) {
+    if (!a || !b) {
+      return (a ? 1 : 0) - (b ? 1 : 0);
+    }
+    if (a.termType !== b.termType) {
+      return (TERM_ORDER[a.termType] ?? 0) - (TERM_ORDER[b.termType] ?? 0);
+    }
+    if (a.termType === 'Literal') {
+      const comparison = this.#tryCompare(a, b);
+      if (comparison !== null && !Number.isNaN(comparison) && comparison !== 0) {
+        return Math.sign(comparison);
+      }
+    }
+    const left = termToString(a);
+    const right = termToString(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  /**
+   * Variables a pattern can bind, in order of appearance (SELECT *)
+   * @private
+   */
+  static #inScope(pattern, variables = new Set()) {
+    switch (pattern.type) {
+      case 'group':
+        pattern.patterns.forEach(p => SparqlEngine.#inScope(p, variables));
+        break;
+      case 'bgp':
+        for (const triple of pattern.triples) {
+          for (const term of [triple.subject, triple.predicate, triple.object]) {
+            if (term.termType === 'Variable') {
+              variables.add(term.value);
+            }
+          }
+        }
+        break;
+      case 'optional':
+        SparqlEngine.#inScope(pattern.pattern, variables);
+        break;
+      case 'union':
+        SparqlEngine.#inScope(pattern.left, variables);
+        SparqlEngine.#inScope(pattern.right, variables);
+        break;
+      case 'graph':
+        if (pattern.name.termType === 'Variable') {
+          variables.add(pattern.name.value);
+        }
+        SparqlEngine.#inScope(pattern.pattern, variables);
+        break;
+      case 'bind':
+        variables.add(pattern.variable);
+        break;
+      case 'values':
+        pattern.variables.forEach(name => variables.add(name));
+        break;
+      case 'subquery': {
+        const { query } = pattern;
+        const projected = query.variables === '*' ? SparqlEngine.#inScope(query.where) : query.variables.map(item => item.variable);
+        projected.forEach(name => variables.add(name));
+        break;
+      }
+    }
+    return [...variables];
+  }
+
+  #solutionKey(solution) {
+    return Object.keys(solution).sort().map(name => `${name}=${termToString(solution[name])}`).join('\u0000');
+  }
+
+  #toJson(term) {
+    if (term.termType === 'NamedNode') {
+      return { type: 'uri', value: term.value };
+    }
+    if (term.termType === 'BlankNode') {
+      return { type: 'bnode', value: term.value };
+    }
+    if (term.language) {
+      return { type: 'literal', 'xml:lang': term.language, value: term.value };
+    }
+    if (term.datatype.value === XSD_STRING) {
+      return { type: 'literal', value: term.value };
+    }
+    return { type: 'literal', datatype: term.datatype.value, value: term.value };
+  }
+
+  // Graph patterns
+
+  #evaluate(pattern, solutions, context) {
+    switch (pattern.type) {
+      case 'group':
+        return this.#evaluateGroup(pattern, solutions, context);
+      case 'bgp':
+        return pattern.triples.reduce(
+          (current, triple) => current.flatMap(solution => this.#matchTriple(triple, solution, context)),
+          solutions
+        );
+      case 'optional':
+        return solutions.flatMap(solution => {
+          const extended = this.#evaluate(pattern.pattern, [solution], context);
+          return extended.length > 0 ? extended : [solution];
+        });
+      case 'union':
+        return solutions.flatMap(solution => [
+          ...this.#evaluate(pattern.left, [solution], context),
+          ...this.#evaluate(pattern.right, [solution], context)
+        ]);
+      case 'bind':
+        return solutions.map(solution => {
+          if (solution[pattern.variable]) {
+            throw new Error(`Variable ?${pattern.variable} is already bound before BIND`);
+          }
+          const value = this.#tryEvaluate(pattern.expression, solution, context);
+          return value ? { ...solution, [pattern.variable]: value } : solution;
+        });
+      case 'minus': {
+        const excluded = this.#evaluate(pattern.pattern, [{}], context);
+        return solutions.filter(solution => !excluded.some(other =>
+          Object.keys(other).some(name => solution[name]) && this.#compatible(solution, other)));
+      }
+      case 'graph':
+        return this.#evaluateGraph(pattern, solutions, context);
+      case 'values':
+        return this.#join(solutions, this.#valuesSolutions(pattern));
+      case 'subquery':
+        return this.#join(solutions, this.#solve(pattern.query, {}, { ...context, group: null }).solutions);
+      default:
+        throw new Error(`Unsupported graph pattern "${pattern.type}"`);
+    }
+  }
+
+  #evaluateGroup(group, solutions, context) {
+    const filters = group.patterns.filter(p => p.type === 'filter');
+    let current = solutions;
+
+    for (const pattern of group.patterns) {
+      if (pattern.type !== 'filter') {
+        current = this.#evaluate(pattern, current, context);
+      }
+    }
+
+    // Filters apply to the whole group regardless of their position
+    return current.filter(solution => filters.every(filter => {
+      const value = this.#tryEvaluate(filter.expression, solution, context);
+      return value !== null && this.#effectiveBooleanValue(value, true);
+    }));
+  }
+
+  #evaluateGraph({ name, pattern }, solutions, context) {
+    const named = this.#namedGraphs(context);
+
+    return solutions.flatMap(solution => {
+      const bound = name.termType === 'Variable' ? solution[name.value] : name;
+      const graphs = bound ? named.filter(graph => termEquals(graph, bound)) : named;
+
+      return graphs.flatMap(graph => {
+        const start = name.termType === 'Variable' ? { ...solution, [name.value]: graph } : solution;
+        return this.#evaluate(pattern, [start], { ...context, graph });
+      });
+    });
+  }
+
+  #namedGraphs({ dataset }) {
+    if (dataset) {
+      return dataset.named;
+    }
+    if (typeof this.#source.graphs !== 'function') {
+      return [];
+    }
+    return this.#source.graphs().filter(graph => graph.termType !== 'DefaultGraph');
+  }
+
+  /**
+   * Matches a triple pattern in the active graph
+   * The default graph is the RDF merge of its graphs, so a triple stored in
+   * several graphs matches once
+   * @private
+   */
+  #match(subject, predicate, object, { graph, dataset }) {
+    if (graph) {
+      return this.#source.match(subject, predicate, object, graph);
+    }
+
+    const graphs = dataset ? dataset.default : this.#unionDefaultGraph ? null : [defaultGraph()];
+    const quads = graphs
+      ? graphs.flatMap(g => this.#source.match(subject, predicate, object, g))
+      : this.#source.match(subject, predicate, object);
+    if ((graphs ? graphs.length : this.#source.graphs?.().length ?? 1) <= 1) {
+      return quads;
+    }
+
+    const unique = new Map();
+    for (const q of quads) {
+      unique.set(`${termToString(q.subject)} ${termToString(q.predicate)} ${termToString(q.object)}`, q);
+    }
+    return [...unique.values()];
+  }
+
+  #join(left, right) {
+    return left.flatMap(a => right.filter(b => this.#compatible(a, b)).map(b => ({ ...a, ...b })));
+  }
+
+  #compatible(a, b) {
+    return Object.keys(b).every(name => !a[name] || termEquals(a[name], b[name]));
+  }
+
+  #valuesSolutions({ variables, rows }) {
+    return rows.map(row => Object.fromEntries(
+      variables.flatMap((name, i) => row[i] ? [[name, row[i]]] : [])
+    ));
+  }
+
+  #matchTriple(triple, solution, context) {
+    const resolve = term => {
+      const name = this.#variableName(term);
+      return name === null ? term : solution[name] || null;
+    };
+
+    const subject = resolve(triple.subject);
+    const object = resolve(triple.object);
+    const isPath = triple.predicate.type === 'path';
+    const matches = isPath
+      ? this.#evaluatePath(triple.predicate, subject, object, context).map(([s, o]) => ({ subject: s, object: o }))
+      : this.#match(subject, resolve(triple.predicate), object, context);
+    const positions = isPath ? ['subject', 'object'] : ['subject', 'predicate', 'object'];
+    const results = [];
+
+    for (const q of matches) {
+      const extended = { ...solution };
+      let consistent = true;
+
+      for (const [patternTerm, dataTerm] of positions.map(position => [triple[position], q[position]])) {
+        const name = this.#variableName(patternTerm);
+        if (name === null) {
+          continue;
+        }
+        if (extended[name] && !termEquals(extended[name], dataTerm)) {
+          consistent = false;
+          break;
+        }
+        extended[name] = dataTerm;
+      }
+
+      if (consistent) {
+        results.push(extended);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Evaluates a property path between two terms (null when unbound)
+   * @private
+   * @returns {Array<Array<Object>>} [subject, object] pairs
+   */
+  #evaluatePath(path, subject, object, context) {
+    if (path.type !== 'path') {
+      return this.#match(subject, path, object, context).map(q => [q.subject, q.object]);
+    }
+
+    switch (path.pathType) {
+      case '^':
+        return this.#evaluatePath(path.items[0], object, subject, context).map(([s, o]) => [o, s]);
+      case '|':
+        return path.items.flatMap(item => this.#evaluatePath(item, subject, object, context));
+      case '/': {
+        const [first, ...rest] = path.items;
+        const tail = rest.length === 1 ? rest[0] : { type: 'path', pathType: '/', items: rest };
+        return this.#evaluatePath(first, subject, null, context).flatMap(([s, middle]) =>
+          this.#evaluatePath(tail, middle, object, context).map(([, o]) => [s, o]));
+      }
+      case '!': {
+        const forward = path.items.filter(item => !item.inverse).map(item => item.iri);
+        const inverse = path.items.filter(item => item.inverse).map(item => item.iri);
+        const allowed = (excluded, q) => !excluded.some(iri => termEquals(iri, q.predicate));
+        const pairs = [];
+
+        if (forward.length > 0 || inverse.length === 0) {
+          pairs.push(...this.#match(subject, null, object, context)
+            .filter(q => allowed(forward, q)).map(q => [q.subject, q.object]));
+        }
+        if (inverse.length > 0) {
+          pairs.push(...this.#match(object, null, subject, context)
+            .filter(q => allowed(inverse, q)).map(q => [q.object, q.subject]));
+        }
+        return pairs;
+      }
+      default:
+        return this.#evaluateClosure(path, subject, object, context);
+    }
+  }
+
+  /**
+   * ?, * and + paths: distinct nodes reachable from a start node
+   * @private
+   */
+  #evaluateClosure(path, subject, object, context) {
+    const [item] = path.items;
+    const reach = (start, reverse) => {
+      const seen = new Map(path.pathType === '+' ? [] : [[termToString(start), start]]);
+      let frontier = [start];
+
+      while (frontier.length > 0) {
+        const next = [];
+        for (const node of frontier) {
+          const targets = reverse
+            ? this.#evaluatePath(item, null, node, context).map(([s]) => s)
+            : this.#evaluatePath(item, node, null, context).map(([, o]) => o);
+          for (const target of targets) {
+            const key = termToString(target);
+            if (!seen.has(key)) {
+              seen.set(key, target);
+              next.push(target);
+            }
+          }
+        }
+        frontier = path.pathType === '?' ? [] : next;
+      }
+      return [...seen.values()];
+    };
+
+    if (subject) {
+      return reach(subject, false).filter(o => !object || termEquals(o, object)).map(o => [subject, o]);
+    }
+    if (object) {
+      return reach(object, true).map(s => [s, object]);
+    }
+
+    const nodes = new Map();
+    for (const q of this.#match(null, null, null, context)) {
+      nodes.set(termToString(q.subject), q.subject);
+      nodes.set(termToString(q.object), q.object);
+    }
+    return [...nodes.values()].flatMap(node => reach(node, false).map(o => [node, o]));
+  }
+
+  #conciseBoundedDescription(resources, context) {
+    const results = new Map();
+    const visited = new Set();
+    const queue = [...resources];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const key = termToString(node);
+      if (visited.has(key)) {
+        continue;
+      }
+      visited.add(key);
+
+      for (const q of this.#match(node, null, null, context)) {
+        results.set(`${key} ${termToString(q.predicate)} ${termToString(q.object)}`, quad(q.subject, q.predicate, q.object));
+        if (q.object.termType === 'BlankNode') {
+          queue.push(q.object);
+        }
+      }
+    }
+
+    return [...results.values()];
+  }
+
+  /**
+   * Variables and query blank nodes both bind to data terms
+   * @private
+   */
+  #variableName(term) {
+    if (term.termType === 'Variable') {
+      return term.value;
+    }
+    if (term.termType === 'BlankNode') {
+      return `_:${term.value}`;
+    }
+    return null;
+  }
+
+  /**
+   * Instantiates a template once per solution, skipping triples that come
+   * out unbound or invalid. Template triples may carry a graph (update
+   * templates); the others are placed in the given graph
+   * @private
+   */
+  #instantiate(template, solutions, graph) {
+    const results = new Map();
+
+    for (const solution of solutions) {
+      const fresh = new Map();
+      const resolve = term => {
+        if (term.termType === 'Variable') {
+          return solution[term.value] || null;
+        }
+        if (term.termType === 'BlankNode') {
+          if (!fresh.has(term.value)) {
+            fresh.set(term.value, blankNode(`c${this.#blankNodeCount++}`));
+          }
+          return fresh.get(term.value);
+        }
+        return term;
+      };
+
+      for (const triple of template) {
+        const subject = resolve(triple.subject);
+        const predicate = resolve(triple.predicate);
+        const object = resolve(triple.object);
+        const target = triple.graph ? resolve(triple.graph) : graph;
+
+        if (!subject || !predicate || !object ||
+            subject.termType === 'Literal' || predicate.termType !== 'NamedNode' ||
+            (triple.graph && target?.termType !== 'NamedNode')) {
+          continue;
+        }
+
+        const result = quad(subject, predicate, object, target);
+        const key = `${termToString(subject)} ${termToString(predicate)} ${termToString(object)}`;
+        results.set(target ? `${key} ${termToString(target)}` : key, result);
+      }
+    }
+
+    return [...results.values()];
+  }
+
+  // Expressions
+
+  #tryEvaluate(expression, solution, context) {
+    try {
+      return this.#evaluateExpression(expression, solution, context);
+    } catch (error) {
+      if (error instanceof ExpressionError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  #evaluateExpression(expression, solution, context) {
+    switch (expression.type) {
+      case 'term':
+        if (expression.term.termType === 'Variable') {
+          return this.#lookup(solution, expression.term.value);
+        }
+        return expression.term;
+      case 'variable':
+        return this.#lookup(solution, expression.name);
+      case 'operation':
+        return this.#operation(expression, solution, context);
+      case 'call':
+        return this.#call(expression, solution, context);
+      case 'exists': {
+        const found = this.#evaluate(expression.pattern, [solution], context).length > 0;
+        return this.#boolean(expression.negated ? !found : found);
+      }
+      case 'aggregate':
+        return this.#aggregate(expression, context);
+      default:
+        throw new Error(`Unsupported expression "${expression.type}"`);
+    }
+  }
+
+  #lookup(solution, name) {
+    const value = solution[name];
+    if (!value) {
+      throw new ExpressionError(`Unbound variable ?${name}`);
+    }
+    return value;
+  }
+
+  #operation({ operator, args }, solution, context) {
+    const evaluate = arg => this.#evaluateExpression(arg, solution, context);
+
+    if (operator === '||' || operator === '&&') {
+      // Logical operators tolerate an error on one side (SPARQL 17.2)
+      const results = args.map(arg => {
+        try {
+          return this.#effectiveBooleanValue(evaluate(arg));
+        } catch (error) {
+          if (error instanceof ExpressionError) {
+            return error;
+          }
+          throw error;
+        }
+      });
+      const [a, b] = results;
+      if (operator === '||') {
+        if (a === true || b === true) {
+          return TRUE;
+        }
+      } else if (a === false || b === false) {
+        return FALSE;
+      }
+      const failed = results.find(r => r instanceof ExpressionError);
+      if (failed) {
+        throw failed;
+      }
+      return operator === '||' ? FALSE : TRUE;
+    }
+
+    if (operator === '!') {
+      return this.#boolean(!this.#effectiveBooleanValue(evaluate(args[0])));
+    }
+    if (operator === 'UMINUS') {
+      const value = evaluate(args[0]);
+      return this.#numeric(-this.#number(value), value.datatype.value);
+    }
+    if (operator === 'in' || operator === 'notin') {
+      const value = evaluate(args[0]);
+      const found = args.slice(1).some(arg => this.#equals(value, evaluate(arg)));
+      return this.#boolean(operator === 'in' ? found : !found);
+    }
+
+    const left = evaluate(args[0]);
+    const right = evaluate(args[1]);
+
+    switch (operator) {
+      case '=':
+        return this.#boolean(this.#equals(left, right));
+      case '!=':
+        return this.#boolean(!this.#equals(left, right));
+      case '<':
+        return this.#boolean(this.#compare(left, right) < 0);
+      case '>':
+        return this.#boolean(this.#compare(left, right) > 0);
+      case '<=':
+        return this.#boolean(this.#compare(left, right) <= 0);
+      case '>=':
+        return this.#boolean(this.#compare(left, right) >= 0);
+      case '+':
+      case '-':
+      case '*':
+      case '/':
+        return this.#arithmetic(operator, left, right);
+      default:
+        throw new Error(`Unsupported operator "${operator}"`);
+    }
+  }
+
+  #arithmetic(operator, left, right) {
+    const a = this.#number(left);
+    const b = this.#number(right);
+    let datatype = this.#promote(left.datatype.value, right.datatype.value);
+
+    let value;
+    switch (operator) {
+      case '+': value = a + b; break;
+      case '-': value = a - b; break;
+      case '*': value = a * b; break;
+      case '/':
+        if (b === 0 && datatype !== XSD_DOUBLE && datatype !== XSD_FLOAT) {
+          throw new ExpressionError('Division by zero');
+        }
+        value = a / b;
+        if (datatype === XSD_INTEGER) {
+          datatype = XSD_DECIMAL;
+        }
+        break;
+    }
+    return this.#numeric(value, datatype);
+  }
+
+  #call({ name, args }, solution, context) {
+    // Functional forms that must not evaluate every argument eagerly
+    if (name === 'BOUND') {
+      return this.#boolean(Boolean(solution[args[0].name ?? args[0].term?.value]));
+    }
+    if (name === 'IF') {
+      const condition = this.#effectiveBooleanValue(this.#evaluateExpression(args[0], solution, context));
+      return this.#evaluateExpression(args[condition ? 1 : 2], solution, context);
+    }
+    if (name === 'COALESCE') {
+      for (const arg of args) {
+        const value = this.#tryEvaluate(arg, solution, context);
+        if (value) {
+          return value;
+        }
+      }
+      throw new ExpressionError('COALESCE: no bound argument');
+    }
+
+    const values = args.map(arg => this.#evaluateExpression(arg, solution, context));
+    const fn = this.#functions(context.now)[name];
+    if (!fn) {
+      if (name.startsWith(XSD)) {
+        return this.#cast(name, values[0]);
+      }
+      throw new Error(`Unsupported function "${name}"`);
+    }
+    return fn(...values);
+  }
+
+  /**
+   * Set functions over the solutions of the current group (SPARQL 18.5.1)
+   * @private
+   */
+  #aggregate({ name, distinct, expression, separator }, context) {
+    if (!context.group) {
+      throw new Error(`${name} is only allowed in grouped queries`);
+    }
+
+    const inner = { ...context, group: null };
+    let values = expression === null
+      ? context.group
+      : context.group.map(solution => this.#tryEvaluate(expression, solution, inner)).filter(Boolean);
+
+    if (distinct) {
+      const keyOf = value => expression === null ? this.#solutionKey(value) : termToString(value);
+      values = [...new Map(values.map(value => [keyOf(value), value])).values()];
+    }
+
+    switch (name) {
+      case 'COUNT':
+        return this.#numeric(values.length, XSD_INTEGER);
+      case 'SUM':
+        return values.reduce((sum, value) => this.#arithmetic('+', sum, value), ZERO);
+      case 'AVG':
+        return values.length === 0
+          ? ZERO
+          : this.#arithmetic('/', values.reduce((sum, value) => this.#arithmetic('+', sum, value), ZERO),
+            this.#numeric(values.length, XSD_INTEGER));
+      case 'MIN':
+      case 'MAX':
+        if (values.length === 0) {
+          throw new ExpressionError(`${name} of an empty group`);
+        }
+        return values.reduce((best, value) => {
+          const comparison = this.#orderCompare(value, best);
+          return (name === 'MIN' ? comparison < 0 : comparison > 0) ? value : best;
+        });
+      case 'SAMPLE':
+        if (values.length === 0) {
+          throw new ExpressionError('SAMPLE of an empty group');
+        }
+        return values[0];
+      case 'GROUP_CONCAT':
+        return literal(values.map(value => value.value).join(separator));
+      default:
+        throw new Error(`Unsupported aggregate "${name}"`);
+    }
+  }
+
+  /**
+   * Built-in function table (SPARQL 1.1 section 17.4)
+   * @private
+   */
+  #functions(now) {
+    const str = term => {
+      if (term.termType === 'BlankNode') {
+        throw new ExpressionError('STR of a blank node');
+      }
+      return term.value;
+    };
+    const stringArg = term => {
+      if (term.termType !== 'Literal' || ![XSD_STRING, RDF_LANGSTRING].includes(term.datatype.value)) {
+        throw new ExpressionError('Expected a string literal');
+      }
+      return term.value;
+    };
+    // String results keep the language tag of their first argument
+    const sameKind = (source, value) => source.language ? literal(value, source.language) : literal(value);
+    const datePart = (term, index) => {
+      const match = DATE_PARTS.exec(term.termType === 'Literal' ? term.value : '');
+      if (!match || match[index] === undefined) {
+        throw new ExpressionError('Expected an xsd:date or xsd:dateTime');
+      }
+      return match[index];
+    };
+    const hash = algorithm => term => literal(createHash(algorithm).update(stringArg(term)).digest('hex'));
+
+    return {
+      STR: term => literal(str(term)),
+      LANG: term => {
+        if (term.termType !== 'Literal') {
+          throw new ExpressionError('LANG of a non-literal');
+        }
+        return literal(term.language);
+      },
+      DATATYPE: term => {
+        if (term.termType !== 'Literal') {
+          throw new ExpressionError('DATATYPE of a non-literal');
+        }
+        return term.datatype;
+      },
+      IRI: term => namedNode(str(term)),
+      URI: term => namedNode(str(term)),
+      BNODE: label => blankNode(label ? `b_${str(label)}` : `f${this.#blankNodeCount++}`),
+      STRLEN: term => this.#numeric([...stringArg(term)].length, XSD_INTEGER),
+      UCASE: term => sameKind(term, stringArg(term).toUpperCase()),
+      LCASE: term => sameKind(term, stringArg(term).toLowerCase()),
+      SUBSTR: (term, start, length) => {
+        const chars = [...stringArg(term)];
+        const from = Math.round(this.#number(start)) - 1;
+        const to = length ? from + Math.round(this.#number(length)) : chars.length;
+        return sameKind(term, chars.slice(Math.max(from, 0), Math.max(to, 0)).join(''));
+      },
+      CONCAT: (...terms) => {
+        const languages = new Set(terms.map(term => term.language));
+        const value = terms.map(stringArg).join('');
+        return languages.size === 1 && terms[0]?.language ? literal(value, terms[0].language) : literal(value);
+      },
+      CONTAINS: (a, b) => this.#boolean(stringArg(a).includes(stringArg(b))),
+      STRSTARTS: (a, b) => this.#boolean(stringArg(a).startsWith(stringArg(b))),
+      STRENDS: (a, b) => this.#boolean(stringArg(a).endsWith(stringArg(b))),
+      STRBEFORE: (a, b) => {
+        const index = stringArg(a).indexOf(stringArg(b));
+        return index === -1 ? literal('') : sameKind(a, a.value.slice(0, index));
+      },
+      STRAFTER: (a, b) => {
+        const index = stringArg(a).indexOf(stringArg(b));
+        return index === -1 ? literal('') : sameKind(a, a.value.slice(index + b.value.length));
+      },
+      ENCODE_FOR_URI: term => literal(encodeURIComponent(str(term))),
+      REGEX: (term, pattern, flags) =>
+        this.#boolean(new RegExp(stringArg(pattern), flags ? stringArg(flags) : '').test(stringArg(term))),
+      REPLACE: (term, pattern, replacement, flags) => sameKind(term, stringArg(term).replace(
+        new RegExp(stringArg(pattern), `g${flags ? stringArg(flags) : ''}`),
+        stringArg(replacement)
+      )),
+      LANGMATCHES: (tag, range) => {
+        const t = str(tag).toLowerCase();
+        const r = str(range).toLowerCase();
+        return this.#boolean(r === '*' ? t !== '' : t === r || t.startsWith(`${r}-`));
+      },
+      STRLANG: (term, language) => literal(stringArg(term), str(language)),
+      STRDT: (term, datatype) => literal(stringArg(term), namedNode(datatype.value)),
+      SAMETERM: (a, b) => this.#boolean(termEquals(a, b)),
+      ISIRI: term => this.#boolean(term.termType === 'NamedNode'),
+      ISURI: term => this.#boolean(term.termType === 'NamedNode'),
+      ISBLANK: term => this.#boolean(term.termType === 'BlankNode'),
+      ISLITERAL: term => this.#boolean(term.termType === 'Literal'),
+      ISNUMERIC: term => this.#boolean(this.#isNumeric(term)),
+      ABS: term => this.#numeric(Math.abs(this.#number(term)), term.datatype.value),
+      CEIL: term => this.#numeric(Math.ceil(this.#number(term)), term.datatype.value),
+      FLOOR: term => this.#numeric(Math.floor(this.#number(term)), term.datatype.value),
+      ROUND: term => this.#numeric(Math.round(this.#number(term)), term.datatype.value),
+      RAND: () => this.#numeric(Math.random(), XSD_DOUBLE),
+      NOW: () => now,
+      YEAR: term => this.#numeric(parseInt(datePart(term, 1), 10), XSD_INTEGER),
+      MONTH: term => this.#numeric(parseInt(datePart(term, 2), 10), XSD_INTEGER),
+      DAY: term => this.#numeric(parseInt(datePart(term, 3), 10), XSD_INTEGER),
+      HOURS: term => this.#numeric(parseInt(datePart(term, 4), 10), XSD_INTEGER),
+      MINUTES: term => this.#numeric(parseInt(datePart(term, 5), 10), XSD_INTEGER),
+      SECONDS: term => this.#numeric(Number(datePart(term, 6)), XSD_DECIMAL),
+      TZ: term => {
+        const match = DATE_PARTS.exec(term.value);
+        return literal(match?.[7] || '');
+      },
+      UUID: () => namedNode(`urn:uuid:${randomUUID()}`),
+      STRUUID: () => literal(randomUUID()),
+      MD5: hash('md5'),
+      SHA1: hash('sha1'),
+      SHA256: hash('sha256'),
+      SHA384: hash('sha384'),
+      SHA512: hash('sha512')
+    };
+  }
+
+  #cast(datatype, term) {
+    if (term.termType !== 'Literal' && datatype !== XSD_STRING) {
+      throw new ExpressionError(`Cannot cast ${term.termType} to ${datatype}`);
+    }
+    const value = term.value;
+
+    switch (datatype) {
+      case XSD_STRING:
+        if (term.termType === 'BlankNode') {
+          throw new ExpressionError('Cannot cast a blank node to xsd:string');
+        }
+        return literal(value);
+      case XSD_BOOLEAN:
+        if (this.#isNumeric(term)) {
+          return this.#boolean(Number(value) !== 0);
+        }
+        if (!['true', 'false', '1', '0'].includes(value)) {
+          throw new ExpressionError(`Cannot cast "${value}" to xsd:boolean`);
+        }
+        return this.#boolean(value === 'true' || value === '1');
+      case XSD_INTEGER: {
+        const number = term.datatype.value === XSD_BOOLEAN ? (value === 'true' ? 1 : 0) : Number(value);
+        if (!Number.isFinite(number) || (!this.#isNumeric(term) && !/^[+-]?\d+$/.test(value) && term.datatype.value !== XSD_BOOLEAN)) {
+          throw new ExpressionError(`Cannot cast "${value}" to xsd:integer`);
+        }
+        return this.#numeric(Math.trunc(number), XSD_INTEGER);
+      }
+      case XSD_DECIMAL:
+      case XSD_FLOAT:
+      case XSD_DOUBLE: {
+        const number = term.datatype.value === XSD_BOOLEAN ? (value === 'true' ? 1 : 0) : Number(value);
+        if (Number.isNaN(number) && value !== 'NaN') {
+          throw new ExpressionError(`Cannot cast "${value}" to ${datatype}`);
+        }
+        return this.#numeric(number, datatype);
+      }
+      case XSD_DATE:
+      case XSD_DATETIME: {
+        const match = DATE_PARTS.exec(value);
+        if (!match) {
+          throw new ExpressionError(`Cannot cast "${value}" to ${datatype}`);
+        }
+        return datatype === XSD_DATE
+          ? literal(`${match[1]}-${match[2]}-${match[3]}${match[7] || ''}`, XSD_DATE)
+          : literal(match[4] ? value : `${match[1]}-${match[2]}-${match[3]}T00:00:00${match[7] || ''}`, XSD_DATETIME);
+      }
+      default:
+        return literal(value, datatype);
+    }
+  }
+
+  // Value helpers
+
+  #boolean(value) {
+    return value ? TRUE : FALSE;
+  }
+
+  #isNumeric(term) {
+    return term.termType === 'Literal' &&
+      (NUMERIC_RANK.has(term.datatype.value) || INTEGER_TYPES.has(term.datatype.value));
+  }
+
+  #number(term) {
+    if (!this.#isNumeric(term)) {
+      throw new ExpressionError(`Expected a numeric literal but got ${termToString(term)}`);
+    }
+    const value = Number(term.value);
+    if (Number.isNaN(value) && term.value !== 'NaN') {
+      throw new ExpressionError(`Invalid numeric literal "${term.value}"`);
+    }
+    return value;
+  }
+
+  #promote(a, b) {
+    const rank = type => NUMERIC_RANK.get(INTEGER_TYPES.has(type) ? XSD_INTEGER : type);
+    return rank(a) >= rank(b) ? (INTEGER_TYPES.has(a) ? XSD_INTEGER : a) : (INTEGER_TYPES.has(b) ? XSD_INTEGER : b);
+  }
+
+  #numeric(value, datatype) {
+    if (INTEGER_TYPES.has(datatype)) {
+      return literal(String(Math.trunc(value)), XSD_INTEGER);
+    }
+    if (datatype === XSD_DECIMAL && Number.isInteger(value)) {
+      return literal(`${value}.0`, XSD_DECIMAL);
+    }
+    return literal(String(value), datatype);
+  }
+
+  #effectiveBooleanValue(term, lenient = false) {
+    if (term.termType === 'Literal') {
+      const type = term.datatype.value;
+      if (type === XSD_BOOLEAN) {
+        return term.value === 'true' || term.value === '1';
+      }
+      if (type === XSD_STRING || type === RDF_LANGSTRING) {
+        return term.value.length > 0;
+      }
+      if (this.#isNumeric(term)) {
+        const value = Number(term.value);
+        return !Number.isNaN(value) && value !== 0;
+      }
+    }
+    if (lenient) {
+      return false;
+    }
+    throw new ExpressionError(`No effective boolean value for ${termToString(term)}`);
+  }
+
+  #equals(a, b) {
+    if (a.termType === 'Literal' && b.termType === 'Literal') {
+      const comparison = this.#tryCompare(a, b);
+      if (comparison !== null) {
+        return comparison === 0;
+      }
+    }
+    return termEquals(a, b);
+  }
+
+  #compare(a, b) {
+    const comparison = this.#tryCompare(a, b);
+    if (comparison === null) {
+      throw new ExpressionError(`Cannot compare ${termToString(a)} with ${termToString(b)}`);
+    }
+    return comparison;
+  }
+
+  #tryCompare(a, b) {
+    if (a.termType !== 'Literal' || b.termType !== 'Literal') {
+      return null;
+    }
+    if (this.#isNumeric(a) && this.#isNumeric(b)) {
+      return Number(a.value) - Number(b.value);
+    }
+
+    const typeA = a.datatype.value;
+    const typeB = b.datatype.value;
+    const isDate = type => type === XSD_DATE || type === XSD_DATETIME;
+
+    if (isDate(typeA) && isDate(typeB)) {
+      return Date.parse(a.value) - Date.parse(b.value);
+    }
+    if (typeA === typeB && (typeA === XSD_STRING || typeA === XSD_BOOLEAN ||
+        (typeA === RDF_LANGSTRING && a.language === b.language))) {
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    }
+    return null;
+  }
+}
@@ -0,0 +1,1132 @@
+/**
+ * SparqlParser Class
+ * Parses SPARQL queries and update requests into a small algebra consumed
+ * by SparqlEngine
+ *
+ * @class SparqlParser
+ * @version 1.0.0
+ */
+
+import { NS, namedNode, blankNode, literal, variable, termEquals } from './rdf-terms.js';
+
+const RDF_TYPE = `${NS.rdf}type`;
+const RDF_FIRST = `${NS.rdf}first`;
+const RDF_REST = `${NS.rdf}rest`;
+const RDF_NIL = `${NS.rdf}nil`;
+
+const TOKEN_PATTERNS = [
+  ['ws', /^(?:\s+|#[^\n]*)/],
+  ['iri', /^<([^<>"{}|^`\\\s]*)>/],
+  ['string', /^("""(?:[^"\\]|\\.|"(?!""))*"""|'''(?:[^'\\]|\\.|'(?!''))*'''|"(?:[^"\\\n\r]|\\.)*"|'(?:[^'\\\n\r]|\\.)*')/],
+  ['var', /^[?$]([A-Za-z0-9_\u00B7\u00C0-\uFFFF]+)/],
+  ['bnode', /^_:([A-Za-z0-9_\-.]*[A-Za-z0-9_-])/],
+  ['langtag', /^@([A-Za-z]+(?:-[A-Za-z0-9]+)*)/],
+  ['number', /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?|^[0-9]+\.(?:[eE][+-]?[0-9]+)?/],
+  ['pname', /^([A-Za-z][A-Za-z0-9_\-.]*)?:((?:[A-Za-z0-9_:%-]|\\.|\.(?=[A-Za-z0-9_:%-]))*)/],
+  ['name', /^[A-Za-z_][A-Za-z0-9_]*/],
+  ['punct', /^(?:\^\^|&&|\|\||!=|<=|>=|[{}()[\].;,*+\-/!=<>^|?])/]
+];
+
+const AGGREGATES = new Set(['COUNT', 'SUM', 'MIN', 'MAX', 'AVG', 'SAMPLE', 'GROUP_CONCAT']);
+
+// Keywords that end a GROUP BY, HAVING or ORDER BY condition list
+const CLAUSE_KEYWORDS = new Set(['GROUP', 'HAVING', 'ORDER', 'LIMIT', 'OFFSET', 'VALUES']);
+
+const STRING_ESCAPES = {
+  t: '\t', b: '\b', n: '\n', r: '\r', f: '\f', '"': '"', "'": "'", '\\': '\\'
+};
+
+export class SparqlParser {
+  #tokens = [];
+  #pos = 0;
+  #prefixes = {};
+  #base = '';
+  #blankNodeCount = 0;
+
+  /**
+   * Parses a SPARQL query
+   *
+   * @param {string} query - SPARQL query string
+   * @returns {Object} Parsed query
+   * @throws {Error} If the query is not valid or uses unsupported syntax
+   */
+  parse(query) {
+    this.#tokens = this.#tokenize(query);
+    this.#pos = 0;
+    this.#prefixes = {};
+    this.#base = '';
+
+    this.#prologue();
+
+    let parsed;
+    if (this.#acceptKeyword('SELECT')) {
+      parsed = this.#selectQuery();
+    } else if (this.#acceptKeyword('CONSTRUCT')) {
+      parsed = this.#constructQuery();
+    } else if (this.#acceptKeyword('ASK')) {
+      parsed = this.#askQuery();
+    } else if (this.#acceptKeyword('DESCRIBE')) {
+      parsed = this.#describeQuery();
+    } else {
+      this.#error(`Unsupported query form "${this.#peek()?.value ?? 'end of input'}"`);
+    }
+
+    if (this.#acceptKeyword('VALUES')) {
+      parsed.values = this.#dataBlock();
+    }
+
+    if (this.#pos < this.#tokens.length) {
+      this.#error(`Unexpected "${this.#peek().value}"`);
+    }
+
+    return { ...parsed, prefixes: { ...this.#prefixes } };
+  }
+
+  /**
+   * Parses a SPARQL query in one call
+   *
+   * @param {string} query - SPARQL query string
+   * @returns {Object} Parsed query
+   */
+  static parse(query) {
+    return new SparqlParser().parse(query);
+  }
+
+  /**
+   * Parses a SPARQL update request
+   * Operations are separated by ";" and may each declare prefixes. LOAD is
+   * not supported
+   *
+   * @param {string} request - SPARQL update request
+   * @returns {Object} Parsed request as { type: 'update', operations, prefixes }
+   * @throws {Error} If the request is not valid or uses unsupported syntax
+   */
+  parseUpdate(request) {
+    this.#tokens = this.#tokenize(request);
+    this.#pos = 0;
+    this.#prefixes = {};
+    this.#base = '';
+
+    const operations = [];
+    do {
+      this.#prologue();
+      if (this.#pos >= this.#tokens.length) {
+        break;
+      }
+      operations.push(this.#updateOperation());
+    } while (this.#accept(';'));
+
+    if (this.#pos < this.#tokens.length) {
+      this.#error(`Unexpected "${this.#peek().value}"`);
+    }
+
+    return { type: 'update', operations, prefixes: { ...this.#prefixes } };
+  }
+
+  /**
+   * Parses a SPARQL update request in one call
+   *
+   * @param {string} request - SPARQL update request
+   * @returns {Object} Parsed request
+   */
+  static parseUpdate(request) {
+    return new SparqlParser().parseUpdate(request);
+  }
+
+  // Tokenizer
+
+  #tokenize(text) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+
+    while (pos < text.length) {
+      const rest = text.slice(pos);
+      let matched = false;
+
+      for (const [type, pattern] of TOKEN_PATTERNS) {
+        const match = pattern.exec(rest);
+        if (!match || match[0].length === 0) {
+          continue;
+        }
+        if (type !== 'ws') {
+          tokens.push({ type, value: match[0], match, line });
+        }
+        line += (match[0].match(/\n/g) || []).length;
+        pos += match[0].length;
+        matched = true;
+        break;
+      }
+
+      if (!matched) {
+        throw new Error(`SPARQL parse error at line ${line}: Unexpected character "${text[pos]}"`);
+      }
+    }
+
+    return tokens;
+  }
+
+  // Token helpers
+
+  #peek(offset = 0) {
+    return this.#tokens[this.#pos + offset];
+  }
+
+  #next() {
+    const token = this.#tokens[this.#pos++];
+    if (!token) {
+      this.#error('Unexpected end of query');
+    }
+    return token;
+  }
+
+  #isKeyword(keyword, offset = 0) {
+    const token = this.#peek(offset);
+    return token?.type === 'name' && token.value.toUpperCase() === keyword;
+  }
+
+  #acceptKeyword(keyword) {
+    if (this.#isKeyword(keyword)) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  #expectKeyword(keyword) {
+    if (!this.#acceptKeyword(keyword)) {
+      this.#error(`Expected ${keyword}`);
+    }
+  }
+
+  #isPunct(value, offset = 0) {
+    const token = this.#peek(offset);
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  #accept(value) {
+    if (this.#isPunct(value)) {
+      this.#pos++;
+      return true;
+    }
+    return false;
+  }
+
+  #expect(value) {
+    if (!this.#accept(value)) {
+      this.#error(`Expected "${value}"`);
+    }
+  }
+
+  #error(message) {
+    const token = this.#peek() || this.#tokens[this.#tokens.length - 1];
+    const location = token ? ` at line ${token.line}` : '';
+    throw new Error(`SPARQL parse error${location}: ${message}`);
+  }
+
+  // Prologue and query forms
+
+  #prologue() {
+    for (;;) {
+      if (this.#acceptKeyword('PREFIX')) {
+        const token = this.#next();
+        if (token.type !== 'pname' || token.match[2] !== '') {
+          this.#error('Expected prefix name');
+        }
+        this.#prefixes[token.match[1] || ''] = this.#iriToken(this.#next());
+      } else if (this.#acceptKeyword('BASE')) {
+        this.#base = this.#iriToken(this.#next());
+      } else {
+        return;
+      }
+    }
+  }
+
+  #selectQuery() {
+    const query = { type: 'query', queryType: 'SELECT', ...this.#selectClause() };
+    query.dataset = this.#datasetClauses();
+    this.#acceptKeyword('WHERE');
+    query.where = this.#groupGraphPattern();
+    return { ...query, ...this.#solutionModifiers() };
+  }
+
+  #selectClause() {
+    const distinct = this.#acceptKeyword('DISTINCT');
+    const reduced = !distinct && this.#acceptKeyword('REDUCED');
+    if (this.#accept('*')) {
+      return { distinct, reduced, variables: '*' };
+    }
+
+    const variables = [];
+    for (;;) {
+      if (this.#peek()?.type === 'var') {
+        variables.push({ variable: this.#variable() });
+      } else if (this.#accept('(')) {
+        const expression = this.#expression();
+        this.#expectKeyword('AS');
+        variables.push({ variable: this.#variable(), expression });
+        this.#expect(')');
+      } else {
+        break;
+      }
+    }
+
+    if (variables.length === 0) {
+      this.#error('Expected variables or "*" after SELECT');
+    }
+    return { distinct, reduced, variables };
+  }
+
+  #constructQuery() {
+    let template;
+    let where;
+    let dataset;
+
+    if (this.#isPunct('{')) {
+      template = this.#constructTemplate();
+      dataset = this.#datasetClauses();
+      this.#acceptKeyword('WHERE');
+      where = this.#groupGraphPattern();
+    } else {
+      // CONSTRUCT WHERE { ... } short form: the pattern is also the template
+      dataset = this.#datasetClauses();
+      this.#expectKeyword('WHERE');
+      this.#expect('{');
+      template = this.#triplesBlock();
+      this.#expect('}');
+      where = { type: 'group', patterns: [{ type: 'bgp', triples: template }] };
+    }
+
+    return { type: 'query', queryType: 'CONSTRUCT', template, dataset, where, ...this.#solutionModifiers() };
+  }
+
+  #askQuery() {
+    const dataset = this.#datasetClauses();
+    this.#acceptKeyword('WHERE');
+    const where = this.#groupGraphPattern();
+    return { type: 'query', queryType: 'ASK', dataset, where, ...this.#solutionModifiers() };
+  }
+
+  #describeQuery() {
+    let terms = '*';
+    if (!this.#accept('*')) {
+      terms = [];
+      while (['var', 'iri', 'pname'].includes(this.#peek()?.type)) {
+        terms.push(this.#varOrTerm());
+      }
+      if (terms.length === 0) {
+        this.#error('Expected variables, IRIs or "*" after DESCRIBE');
+      }
+    }
+
+    const dataset = this.#datasetClauses();
+    const where = this.#acceptKeyword('WHERE') || this.#isPunct('{') ? this.#groupGraphPattern() : null;
+    return { type: 'query', queryType: 'DESCRIBE', terms, dataset, where, ...this.#solutionModifiers() };
+  }
+
+  // Update operations
+
+  #updateOperation() {
+    if (this.#acceptKeyword('INSERT')) {
+      if (this.#acceptKeyword('DATA')) {
+        return { updateType: 'insertData', quads: this.#quadData() };
+      }
+      return this.#modify(null, null);
+    }
+    if (this.#acceptKeyword('DELETE')) {
+      if (this.#acceptKeyword('DATA')) {
+        return { updateType: 'deleteData', quads: this.#quadData(true) };
+      }
+      if (this.#acceptKeyword('WHERE')) {
+        // DELETE WHERE { ... } short form: the pattern is also the template
+        const quads = this.#quadPattern(true);
+        return { updateType: 'modify', with: null, delete: quads, insert: [], using: null, where: this.#quadsToGroup(quads) };
+      }
+      return this.#modify(null, this.#quadPattern(true));
+    }
+    if (this.#acceptKeyword('WITH')) {
+      const graph = namedNode(this.#iriToken(this.#next()));
+      if (this.#acceptKeyword('DELETE')) {
+        return this.#modify(graph, this.#quadPattern(true));
+      }
+      this.#expectKeyword('INSERT');
+      return this.#modify(graph, null);
+    }
+
+    for (const updateType of ['CLEAR', 'DROP', 'CREATE']) {
+      if (this.#acceptKeyword(updateType)) {
+        const silent = this.#acceptKeyword('SILENT');
+        const target = updateType === 'CREATE' ? this.#graphRef(false) : this.#graphRefAll();
+        return { updateType: updateType.toLowerCase(), silent, target };
+      }
+    }
+    for (const updateType of ['ADD', 'MOVE', 'COPY']) {
+      if (this.#acceptKeyword(updateType)) {
+        const silent = this.#acceptKeyword('SILENT');
+        const source = this.#graphOrDefault();
+        this.#expectKeyword('TO');
+        return { updateType: updateType.toLowerCase(), silent, source, target: this.#graphOrDefault() };
+      }
+    }
+    if (this.#isKeyword('LOAD')) {
+      this.#error('LOAD is not supported');
+    }
+    return this.#error(`Unsupported update operation "${this.#peek()?.value ?? 'end of input'}"`);
+  }
+
+  /**
+   * DELETE/INSERT ... WHERE, after WITH and the DELETE template have been read;
+   * expects the INSERT keyword to have been consumed when there is no DELETE
+   * @private
+   */
+  #modify(graph, deleteQuads) {
+    let insertQuads = [];
+    if (deleteQuads === null) {
+      insertQuads = this.#quadPattern(false);
+    } else if (this.#acceptKeyword('INSERT')) {
+      insertQuads = this.#quadPattern(false);
+    }
+
+    let using = null;
+    while (this.#acceptKeyword('USING')) {
+      using ??= { default: [], named: [] };
+      const graphs = this.#acceptKeyword('NAMED') ? using.named : using.default;
+      graphs.push(namedNode(this.#iriToken(this.#next())));
+    }
+
+    this.#expectKeyword('WHERE');
+    return {
+      updateType: 'modify',
+      with: graph,
+      delete: deleteQuads ?? [],
+      insert: insertQuads,
+      using,
+      where: this.#groupGraphPattern()
+    };
+  }
+
+  /**
+   * Triple templates, optionally inside GRAPH blocks; GRAPH blocks set each triple's graph
+   * @private
+   */
+  #quadPattern(isDelete) {
+    this.#expect('{');
+    const quads = [];
+
+    for (;;) {
+      if (this.#acceptKeyword('GRAPH')) {
+        const graph = this.#varOrTerm();
+        if (graph.termType !== 'Variable' && graph.termType !== 'NamedNode') {
+          this.#error('Expected variable or IRI after GRAPH');
+        }
+        quads.push(...this.#constructTemplate().map(triple => ({ ...triple, graph })));
+      } else if (this.#startsTerm()) {
+        quads.push(...this.#triplesBlock());
+      } else if (!this.#accept('.')) {
+        break;
+      }
+    }
+    this.#expect('}');
+
+    for (const q of quads) {
+      if (q.predicate.type === 'path') {
+        this.#error('Property paths are not allowed in update templates');
+      }
+      if (isDelete && [q.subject, q.object].some(term => term.termType === 'BlankNode')) {
+        this.#error('Blank nodes are not allowed in DELETE templates');
+      }
+    }
+    return quads;
+  }
+
+  /**
+   * Quad template without variables, for INSERT DATA and DELETE DATA
+   * @private
+   */
+  #quadData(isDelete = false) {
+    const quads = this.#quadPattern(isDelete);
+    const hasVariable = q => [q.subject, q.predicate, q.object, q.graph].some(term => term?.termType === 'Variable');
+    if (quads.some(hasVariable)) {
+      this.#error('Variables are not allowed in INSERT DATA and DELETE DATA');
+    }
+    return quads;
+  }
+
+  /**
+   * The group graph pattern matching a DELETE WHERE template
+   * @private
+   */
+  #quadsToGroup(quads) {
+    const patterns = [];
+    for (const q of quads) {
+      const last = patterns[patterns.length - 1];
+      const { graph, ...triple } = q;
+      if (last && (last.type === 'graph' ? graph && termEquals(last.name, graph) : !graph)) {
+        (last.type === 'graph' ? last.pattern.patterns[0] : last).triples.push(triple);
+      } else if (graph) {
+        patterns.push({ type: 'graph', name: graph, pattern: { type: 'group', patterns: [{ type: 'bgp', triples: [triple] }] } });
+      } else {
+        patterns.push({ type: 'bgp', triples: [triple] });
+      }
+    }
+    return { type: 'group', patterns };
+  }
+
+  /**
+   * GRAPH <iri> or DEFAULT (returned as null); the GRAPH keyword is optional
+   * @private
+   */
+  #graphOrDefault() {
+    if (this.#acceptKeyword('DEFAULT')) {
+      return null;
+    }
+    return this.#graphRef(true);
+  }
+
+  #graphRef(optionalKeyword) {
+    if (!this.#acceptKeyword('GRAPH') && !optionalKeyword) {
+      this.#error('Expected GRAPH');
+    }
+    return namedNode(this.#iriToken(this.#next()));
+  }
+
+  /**
+   * GRAPH <iri>, DEFAULT, NAMED or ALL; keywords are returned as strings
+   * @private
+   */
+  #graphRefAll() {
+    for (const keyword of ['DEFAULT', 'NAMED', 'ALL']) {
+      if (this.#acceptKeyword(keyword)) {
+        return keyword;
+      }
+    }
+    return this.#graphRef(false);
+  }
+
+  /**
+   * FROM and FROM NAMED clauses; null when the query uses the store's own dataset
+   * @private
+   */
+  #datasetClauses() {
+    const dataset = { default: [], named: [] };
+    while (this.#acceptKeyword('FROM')) {
+      const graphs = this.#acceptKeyword('NAMED') ? dataset.named : dataset.default;
+      graphs.push(namedNode(this.#iriToken(this.#next())));
+    }
+    return dataset.default.length > 0 || dataset.named.length > 0 ? dataset : null;
+  }
+
+  #solutionModifiers() {
+    const modifiers = {};
+
+    if (this.#isKeyword('GROUP') && this.#isKeyword('BY', 1)) {
+      this.#pos += 2;
+      modifiers.group = [];
+      do {
+        modifiers.group.push(this.#groupCondition());
+      } while (this.#startsCondition());
+    }
+    if (this.#acceptKeyword('HAVING')) {
+      modifiers.having = [];
+      do {
+        modifiers.having.push(this.#constraint());
+      } while (this.#startsCondition());
+    }
+    if (this.#isKeyword('ORDER') && this.#isKeyword('BY', 1)) {
+      this.#pos += 2;
+      modifiers.order = [];
+      do {
+        modifiers.order.push(this.#orderCondition());
+      } while (this.#startsCondition() || this.#isKeyword('ASC') || this.#isKeyword('DESC'));
+    }
+
+    for (;;) {
+      if (modifiers.limit === undefined && this.#acceptKeyword('LIMIT')) {
+        modifiers.limit = this.#integer();
+      } else if (modifiers.offset === undefined && this.#acceptKeyword('OFFSET')) {
+        modifiers.offset = this.#integer();
+      } else {
+        return modifiers;
+      }
+    }
+  }
+
+  #startsCondition() {
+    const token = this.#peek();
+    if (!token) {
+      return false;
+    }
+    if (token.type === 'name') {
+      return !CLAUSE_KEYWORDS.has(token.value.toUpperCase());
+    }
+    return this.#isPunct('(') || token.type === 'var' ||
+      ((token.type === 'iri' || token.type === 'pname') && this.#isPunct('(', 1));
+  }
+
+  #groupCondition() {
+    if (this.#accept('(')) {
+      const expression = this.#expression();
+      const variable = this.#acceptKeyword('AS') ? this.#variable() : undefined;
+      this.#expect(')');
+      return { expression, variable };
+    }
+    return { expression: this.#primaryExpression() };
+  }
+
+  #orderCondition() {
+    if (this.#isKeyword('ASC') || this.#isKeyword('DESC')) {
+      const descending = this.#next().value.toUpperCase() === 'DESC';
+      return { expression: this.#brackettedExpression(), descending };
+    }
+    return { expression: this.#constraint(), descending: false };
+  }
+
+  #integer() {
+    const token = this.#next();
+    if (token.type !== 'number' || !/^\d+$/.test(token.value)) {
+      this.#pos--;
+      this.#error('Expected a non-negative integer');
+    }
+    return parseInt(token.value, 10);
+  }
+
+  #variable() {
+    const token = this.#next();
+    if (token.type !== 'var') {
+      this.#pos--;
+      this.#error(`Expected variable but found "${token.value}"`);
+    }
+    return token.match[1];
+  }
+
+  /**
+   * VALUES ?x { ... } or VALUES (?x ?y) { (...) ... }; UNDEF becomes null
+   * @private
+   */
+  #dataBlock() {
+    const variables = [];
+    const rows = [];
+
+    if (this.#peek()?.type === 'var') {
+      variables.push(this.#variable());
+      this.#expect('{');
+      while (!this.#accept('}')) {
+        rows.push([this.#dataValue()]);
+      }
+    } else {
+      this.#expect('(');
+      while (!this.#accept(')')) {
+        variables.push(this.#variable());
+      }
+      this.#expect('{');
+      while (!this.#accept('}')) {
+        this.#expect('(');
+        const row = [];
+        while (!this.#accept(')')) {
+          row.push(this.#dataValue());
+        }
+        if (row.length !== variables.length) {
+          this.#error(`VALUES row has ${row.length} values for ${variables.length} variables`);
+        }
+        rows.push(row);
+      }
+    }
+
+    return { type: 'values', variables, rows };
+  }
+
+  #dataValue() {
+    if (this.#acceptKeyword('UNDEF')) {
+      return null;
+    }
+    const term = this.#varOrTerm();
+    if (term.termType === 'Variable' || term.termType === 'BlankNode') {
+      this.#pos--;
+      this.#error('VALUES accepts only IRIs, literals and UNDEF');
+    }
+    return term;
+  }
+
+  #constructTemplate() {
+    this.#expect('{');
+    const triples = this.#triplesBlock();
+    this.#expect('}');
+    return triples;
+  }
+
+  // Graph patterns
+
+  #groupGraphPattern() {
+    this.#expect('{');
+    const patterns = [];
+
+    if (this.#acceptKeyword('SELECT')) {
+      const query = this.#selectQuery();
+      if (this.#acceptKeyword('VALUES')) {
+        query.values = this.#dataBlock();
+      }
+      this.#expect('}');
+      return { type: 'group', patterns: [{ type: 'subquery', query }] };
+    }
+
+    while (!this.#accept('}')) {
+      if (this.#acceptKeyword('FILTER')) {
+        patterns.push({ type: 'filter', expression: this.#constraint() });
+      } else if (this.#acceptKeyword('BIND')) {
+        this.#expect('(');
+        const expression = this.#expression();
+        this.#expectKeyword('AS');
+        const variable = this.#variable();
+        this.#expect(')');
+        patterns.push({ type: 'bind', variable, expression });
+      } else if (this.#acceptKeyword('OPTIONAL')) {
+        patterns.push({ type: 'optional', pattern: this.#groupGraphPattern() });
+      } else if (this.#acceptKeyword('MINUS')) {
+        patterns.push({ type: 'minus', pattern: this.#groupGraphPattern() });
+      } else if (this.#acceptKeyword('GRAPH')) {
+        const name = this.#varOrTerm();
+        if (name.termType !== 'Variable' && name.termType !== 'NamedNode') {
+          this.#error('Expected variable or IRI after GRAPH');
+        }
+        patterns.push({ type: 'graph', name, pattern: this.#groupGraphPattern() });
+      } else if (this.#acceptKeyword('VALUES')) {
+        patterns.push(this.#dataBlock());
+      } else if (this.#isKeyword('SERVICE')) {
+        this.#error('SERVICE is not supported');
+      } else if (this.#isPunct('{')) {
+        let pattern = this.#groupGraphPattern();
+        while (this.#acceptKeyword('UNION')) {
+          pattern = { type: 'union', left: pattern, right: this.#groupGraphPattern() };
+        }
+        patterns.push(pattern);
+      } else if (this.#accept('.')) {
+        continue;
+      } else {
+        const triples = this.#triplesBlock();
+        if (triples.length === 0) {
+          this.#error(`Unexpected "${this.#peek()?.value ?? 'end of input'}" in graph pattern`);
+        }
+        patterns.push({ type: 'bgp', triples });
+      }
+    }
+
+    return { type: 'group', patterns };
+  }
+
+  #triplesBlock() {
+    const triples = [];
+
+    while (this.#startsTerm()) {
+      const subject = this.#isPunct('[') || this.#isPunct('(')
+        ? this.#nodeWithProperties(triples)
+        : this.#varOrTerm();
+
+      if (!this.#isPunct('.') && !this.#isPunct('}')) {
+        this.#propertyList(subject, triples);
+      }
+      if (!this.#accept('.')) {
+        break;
+      }
+    }
+
+    return triples;
+  }
+
+  #startsTerm() {
+    const token = this.#peek();
+    if (!token) {
+      return false;
+    }
+    if (['iri', 'pname', 'var', 'bnode', 'string', 'number'].includes(token.type)) {
+      return true;
+    }
+    if (token.type === 'name') {
+      return ['TRUE', 'FALSE'].includes(token.value.toUpperCase());
+    }
+    return this.#isPunct('[') || this.#isPunct('(') || this.#isPunct('-') || this.#isPunct('+');
+  }
+
+  #propertyList(subject, triples) {
+    for (;;) {
+      const predicate = this.#verb();
+      for (;;) {
+        const object = this.#isPunct('[') || this.#isPunct('(')
+          ? this.#nodeWithProperties(triples)
+          : this.#varOrTerm();
+        triples.push({ subject, predicate, object });
+        if (!this.#accept(',')) {
+          break;
+        }
+      }
+
+      if (!this.#accept(';')) {
+        return;
+      }
+      while (this.#accept(';'));
+      if (this.#isPunct('.') || this.#isPunct('}') || this.#isPunct(']')) {
+        return;
+      }
+    }
+  }
+
+  #verb() {
+    if (this.#peek()?.type === 'var') {
+      return this.#varOrTerm();
+    }
+    return this.#path();
+  }
+
+  // Property paths: a plain IRI stays a NamedNode, anything else becomes
+  // { type: 'path', pathType: '|' | '/' | '^' | '*' | '+' | '?' | '!', items }
+
+  #path() {
+    const items = [this.#pathSequence()];
+    while (this.#accept('|')) {
+      items.push(this.#pathSequence());
+    }
+    return items.length === 1 ? items[0] : { type: 'path', pathType: '|', items };
+  }
+
+  #pathSequence() {
+    const items = [this.#pathEltOrInverse()];
+    while (this.#accept('/')) {
+      items.push(this.#pathEltOrInverse());
+    }
+    return items.length === 1 ? items[0] : { type: 'path', pathType: '/', items };
+  }
+
+  #pathEltOrInverse() {
+    if (this.#accept('^')) {
+      return { type: 'path', pathType: '^', items: [this.#pathElt()] };
+    }
+    return this.#pathElt();
+  }
+
+  #pathElt() {
+    const primary = this.#pathPrimary();
+    for (const modifier of ['*', '+', '?']) {
+      if (this.#accept(modifier)) {
+        return { type: 'path', pathType: modifier, items: [primary] };
+      }
+    }
+    return primary;
+  }
+
+  #pathPrimary() {
+    if (this.#accept('(')) {
+      const path = this.#path();
+      this.#expect(')');
+      return path;
+    }
+    if (this.#accept('!')) {
+      return this.#negatedPropertySet();
+    }
+    return this.#pathIri();
+  }
+
+  #pathIri() {
+    const token = this.#next();
+    if (token.type === 'name' && token.value === 'a') {
+      return namedNode(RDF_TYPE);
+    }
+    return namedNode(this.#iriToken(token));
+  }
+
+  #negatedPropertySet() {
+    const member = () => {
+      const inverse = this.#accept('^');
+      return { inverse, iri: this.#pathIri() };
+    };
+    const items = [];
+
+    if (this.#accept('(')) {
+      if (!this.#accept(')')) {
+        do {
+          items.push(member());
+        } while (this.#accept('|'));
+        this.#expect(')');
+      }
+    } else {
+      items.push(member());
+    }
+    return { type: 'path', pathType: '!', items };
+  }
+
+  #nodeWithProperties(triples) {
+    if (this.#accept('(')) {
+      const items = [];
+      while (!this.#accept(')')) {
+        items.push(this.#isPunct('[') || this.#isPunct('(') ? this.#nodeWithProperties(triples) : this.#varOrTerm());
+      }
+      let head = namedNode(RDF_NIL);
+      for (let i = items.length - 1; i >= 0; i--) {
+        const node = this.#freshBlankNode();
+        triples.push({ subject: node, predicate: namedNode(RDF_FIRST), object: items[i] });
+        triples.push({ subject: node, predicate: namedNode(RDF_REST), object: head });
+        head = node;
+      }
+      return head;
+    }
+
+    this.#expect('[');
+    const node = this.#freshBlankNode();
+    if (!this.#isPunct(']')) {
+      this.#propertyList(node, triples);
+    }
+    this.#expect(']');
+    return node;
+  }
+
+  #freshBlankNode() {
+    return blankNode(`q${this.#blankNodeCount++}`);
+  }
+
+  #varOrTerm() {
+    const token = this.#next();
+    switch (token.type) {
+      case 'var':
+        return variable(token.match[1]);
+      case 'iri':
+      case 'pname':
+        return namedNode(this.#iriToken(token));
+      case 'bnode':
+        return blankNode(`b_${token.match[1]}`);
+      case 'string':
+        return this.#literalFromString(token);
+      case 'number':
+        return this.#numericLiteral(token.value);
+      case 'name':
+        if (['TRUE', 'FALSE'].includes(token.value.toUpperCase())) {
+          return literal(token.value.toLowerCase(), `${NS.xsd}boolean`);
+        }
+        break;
+      case 'punct':
+        if ((token.value === '-' || token.value === '+') && this.#peek()?.type === 'number') {
+          return this.#numericLiteral(token.value + this.#next().value);
+        }
+        break;
+    }
+    this.#pos--;
+    return this.#error(`Unexpected "${token.value}"`);
+  }
+
+  #iriToken(token) {
+    if (token.type === 'iri') {
+      const iri = token.match[1];
+      if (this.#base && !/^[A-Za-z][A-Za-z0-9+.-]*:/.test(iri)) {
+        return new URL(iri, this.#base).href;
+      }
+      return iri;
+    }
+    if (token.type === 'pname') {
+      const prefix = token.match[1] || '';
+      if (!(prefix in this.#prefixes)) {
+        this.#error(`Undefined prefix "${prefix}:"`);
+      }
+      return this.#prefixes[prefix] + token.match[2].replace(/\\(.)/g, '$1');
+    }
+    return this.#error(`Expected IRI but found "${token.value}"`);
+  }
+
+  #literalFromString(token) {
+    const raw = token.value;
+    const quote = raw.startsWith('"""') || raw.startsWith("'''") ? 3 : 1;
+    const value = raw.slice(quote, raw.length - quote).replace(/\\(u[0-9A-Fa-f]{4}|U[0-9A-Fa-f]{8}|.)/g, (_, escape) => {
+      if (escape.length > 1) {
+        return String.fromCodePoint(parseInt(escape.slice(1), 16));
+      }
+      if (!(escape in STRING_ESCAPES)) {
+        this.#error(`Invalid escape sequence "\\${escape}"`);
+      }
+      return STRING_ESCAPES[escape];
+    });
+
+    if (this.#peek()?.type === 'langtag') {
+      return literal(value, this.#next().match[1]);
+    }
+    if (this.#accept('^^')) {
+      return literal(value, this.#iriToken(this.#next()));
+    }
+    return literal(value);
+  }
+
+  #numericLiteral(text) {
+    if (/[eE]/.test(text)) {
+      return literal(text, `${NS.xsd}double`);
+    }
+    if (text.includes('.')) {
+      return literal(text, `${NS.xsd}decimal`);
+    }
+    return literal(text, `${NS.xsd}integer`);
+  }
+
+  // Expressions
+
+  #constraint() {
+    if (this.#isPunct('(')) {
+      return this.#brackettedExpression();
+    }
+    return this.#primaryExpression();
+  }
+
+  #brackettedExpression() {
+    this.#expect('(');
+    const expression = this.#expression();
+    this.#expect(')');
+    return expression;
+  }
+
+  #expression() {
+    let left = this.#conditionalAnd();
+    while (this.#accept('||')) {
+      left = { type: 'operation', operator: '||', args: [left, this.#conditionalAnd()] };
+    }
+    return left;
+  }
+
+  #conditionalAnd() {
+    let left = this.#relational();
+    while (this.#accept('&&')) {
+      left = { type: 'operation', operator: '&&', args: [left, this.#relational()] };
+    }
+    return left;
+  }
+
+  #relational() {
+    const left = this.#additive();
+    for (const operator of ['=', '!=', '<=', '>=', '<', '>']) {
+      if (this.#accept(operator)) {
+        return { type: 'operation', operator, args: [left, this.#additive()] };
+      }
+    }
+    if (this.#isKeyword('NOT') && this.#isKeyword('IN', 1)) {
+      this.#pos += 2;
+      return { type: 'operation', operator: 'notin', args: [left, ...this.#expressionList()] };
+    }
+    if (this.#acceptKeyword('IN')) {
+      return { type: 'operation', operator: 'in', args: [left, ...this.#expressionList()] };
+    }
+    return left;
+  }
+
+  #additive() {
+    let left = this.#multiplicative();
+    for (;;) {
+      if (this.#accept('+')) {
+        left = { type: 'operation', operator: '+', args: [left, this.#multiplicative()] };
+      } else if (this.#accept('-')) {
+        left = { type: 'operation', operator: '-', args: [left, this.#multiplicative()] };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  #multiplicative() {
+    let left = this.#unary();
+    for (;;) {
+      if (this.#accept('*')) {
+        left = { type: 'operation', operator: '*', args: [left, this.#unary()] };
+      } else if (this.#accept('/')) {
+        left = { type: 'operation', operator: '/', args: [left, this.#unary()] };
+      } else {
+        return left;
+      }
+    }
+  }
+
+  #unary() {
+    if (this.#accept('!')) {
+      return { type: 'operation', operator: '!', args: [this.#unary()] };
+    }
+    if (this.#accept('-')) {
+      return { type: 'operation', operator: 'UMINUS', args: [this.#unary()] };
+    }
+    if (this.#accept('+')) {
+      return this.#unary();
+    }
+    return this.#primaryExpression();
+  }
+
+  #primaryExpression() {
+    const token = this.#peek();
+    if (!token) {
+      this.#error('Unexpected end of query in expression');
+    }
+
+    if (this.#isPunct('(')) {
+      return this.#brackettedExpression();
+    }
+    if (token.type === 'var') {
+      this.#pos++;
+      return { type: 'variable', name: token.match[1] };
+    }
+    if (token.type === 'name' && !['TRUE', 'FALSE'].includes(token.value.toUpperCase())) {
+      this.#pos++;
+      const name = token.value.toUpperCase();
+      if (name === 'EXISTS') {
+        return { type: 'exists', negated: false, pattern: this.#groupGraphPattern() };
+      }
+      if (name === 'NOT') {
+        this.#expectKeyword('EXISTS');
+        return { type: 'exists', negated: true, pattern: this.#groupGraphPattern() };
+      }
+      if (AGGREGATES.has(name)) {
+        return this.#aggregate(name);
+      }
+      return { type: 'call', name, args: this.#argList() };
+    }
+    if ((token.type === 'iri' || token.type === 'pname') && this.#isPunct('(', 1)) {
+      this.#pos++;
+      return { type: 'call', name: this.#iriToken(token), args: this.#argList() };
+    }
+    return { type: 'term', term: this.#varOrTerm() };
+  }
+
+  #aggregate(name) {
+    this.#expect('(');
+    const distinct = this.#acceptKeyword('DISTINCT');
+    // COUNT(*) counts solutions rather than values
+    const expression = name === 'COUNT' && this.#accept('*') ? null : this.#expression();
+    let separator = ' ';
+
+    if (name === 'GROUP_CONCAT' && this.#accept(';')) {
+      this.#expectKeyword('SEPARATOR');
+      this.#expect('=');
+      const token = this.#next();
+      if (token.type !== 'string') {
+        this.#pos--;
+        this.#error('Expected a string after SEPARATOR =');
+      }
+      separator = this.#literalFromString(token).value;
+    }
+    this.#expect(')');
+    return { type: 'aggregate', name, distinct, expression, separator };
+  }
+
+  #argList() {
+    this.#expect('(');
+    const args = [];
+    if (this.#accept(')')) {
+      return args;
+    }
+    do {
+      args.push(this.#expression());
+    } while (this.#accept(','));
+    this.#expect(')');
+    return args;
+  }
+
+  #expressionList() {
+    this.#expect('(');
+    const list = [];
+    if (this.#accept(')')) {
+      return list;
+    }
+    do {
+      list.push(this.#expression());
+    } while (this.#accept(','));
+    this.#expect(')');
+    return list;
+  }
+}
@@ -0,0 +1,523 @@
+/**
+ * SparqlProtocolConnector Class
+ * Connector for any SPARQL 1.1 Protocol / Graph Store Protocol server
+ * Every endpoint URL is given explicitly, so no server URL layout is assumed.
+ * Failures are raised as the errors in triple-store-errors.js: ConnectionError
+ * or TimeoutError when no response arrives, HttpError (AuthError,
+ * SparqlSyntaxError) for error responses
+ *
+ * @class SparqlProtocolConnector
+ * @version 1.0.0
+ */
+
+import { TripleStoreConnector } from './triple-store-connector.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { HttpClient } from './http-client.js';
+import { BasicAuth } from './auth-providers.js';
+import { ConnectorMetrics } from './connector-metrics.js';
+import { DebugLogger } from './debug-logger.js';
+import { TurtleParser } from './turtle-parser.js';
+import { TurtleWriter } from './turtle-writer.js';
+import { SparqlResultsParser } from './sparql-results-parser.js';
+import { HttpError, TripleStoreError } from './triple-store-errors.js';
+import { quad } from './rdf-terms.js';
+
+export class SparqlProtocolConnector extends TripleStoreConnector {
+  #queryEndpoint;
+  #updateEndpoint;
+  #gspEndpoint;
+  #headers;
+  #http;
+  #metrics;
+
+  /**
+   * Creates a new SparqlProtocolConnector instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {string} config.queryEndpoint - SPARQL query endpoint URL
+   * @param {string} [config.updateEndpoint] - SPARQL update endpoint URL (read-only if omitted)
+   * @param {string} [config.gspEndpoint] - Graph Store Protocol endpoint URL
+   * @param {string} [config.username] - Username for authentication
+   * @param {string} [config.password] - Password for authentication
+   * @param {AuthProvider} [config.auth] - Auth provider (see auth-providers.js); replaces username/password
+   * @param {Object} [config.dispatcher] - fetch() dispatcher, e.g. an undici Agent with a client
+   *   certificate (see HttpClient)
+   * @param {number} [config.timeout=60000] - Per-attempt request timeout in milliseconds (0 disables it)
+   * @param {number} [config.retries=3] - Retries on connection errors and 502/503/504 responses
+   * @param {number} [config.retryDelay=500] - First retry delay in milliseconds, doubled on each retry
+   * @param {number} [config.maxRetryDelay=10000] - Upper bound of the retry delay in milliseconds
+   * @param {Array<Object>} [config.interceptors=[]] - Request interceptors (see HttpClient.use)
+   * @param {boolean|Object} [config.debug=false] - Log every request; an object configures the DebugLogger
+   */
+  constructor({ queryEndpoint, updateEndpoint, gspEndpoint, username, password, auth, dispatcher,
+    timeout, retries, retryDelay, maxRetryDelay, interceptors = [], debug = false } = {}) {
+    super();
+    if (!queryEndpoint) {
+      throw new Error('queryEndpoint is required');
+    }
+
+    this.#queryEndpoint = queryEndpoint;
+    this.#updateEndpoint = updateEndpoint || null;
+    this.#gspEndpoint = gspEndpoint || null;
+    this.#metrics = new ConnectorMetrics();
+    this.#http = new HttpClient({
+      timeout,
+      retries,
+      retryDelay,
+      maxRetryDelay,
+      auth: auth ?? (username && password ? new BasicAuth({ username, password }) : null),
+      dispatcher,
+      interceptors: [
+        this.#metrics,
+        ...(debug ? [new DebugLogger(debug === true ? {} : debug)] : []),
+        ...interceptors
+      ]
+    });
+
+    // Set up headers
+    this.#headers = {
+      'Content-Type': 'application/sparql-query',
+      'Accept': 'application/sparql-results+json'
+    };
+  }
+
+  /**
+   * Gets the SPARQL query endpoint URL
+   * @returns {string} Query endpoint URL
+   */
+  get queryEndpoint() {
+    return this.#queryEndpoint;
+  }
+
+  /**
+   * Gets the SPARQL update endpoint URL
+   * @returns {string|null} Update endpoint URL
+   */
+  get updateEndpoint() {
+    return this.#updateEndpoint;
+  }
+
+  /**
+   * Gets the Graph Store Protocol endpoint URL
+   * @returns {string|null} GSP endpoint URL
+   */
+  get gspEndpoint() {
+    return this.#gspEndpoint;
+  }
+
+  /**
+   * Gets the GSP (Graph Store Protocol) URL of a graph
+   * @param {string} [graph] - Optional graph name
+   * @returns {string} GSP URL (?graph= for named graphs, ?default otherwise)
+   * @throws {Error} If no GSP endpoint is configured
+   */
+  getGspEndpoint(graph) {
+    if (!this.#gspEndpoint) {
+      throw new Error('No Graph Store Protocol endpoint configured');
+    }
+    const separator = this.#gspEndpoint.includes('?') ? '&' : '?';
+    if (graph) {
+      return `${this.#gspEndpoint}${separator}graph=${encodeURIComponent(graph)}`;
+    }
+    return `${this.#gspEndpoint}${separator}default`;
+  }
+
+  /**
+   * Gets the client sending this connector's HTTP requests
+   * @returns {HttpClient} HTTP client (timeout and retry defaults)
+   */
+  get http() {
+    return this.#http;
+  }
+
+  /**
+   * Adds a request interceptor (see HttpClient.use)
+   * @param {Object} interceptor - Object with onRequest, onResponse and/or onError hooks
+   * @returns {Function} Removes the interceptor again
+   */
+  use(interceptor) {
+    return this.#http.use(interceptor);
+  }
+
+  /**
+   * Gets request counts, bytes and latency histograms per operation
+   * (query, update, construct, ...) since creation or the last resetMetrics()
+   * @returns {Object} Metrics snapshot (see ConnectorMetrics.snapshot)
+   */
+  getMetrics() {
+    return this.#metrics.snapshot();
+  }
+
+  /**
+   * Discards the collected metrics
+   */
+  resetMetrics() {
+    this.#metrics.reset();
+  }
+
+  /**
+   * Executes a SPARQL SELECT query
+   *
+   * @param {string} query - SPARQL SELECT query
+   * @param {Object} [params={}] - Values bound to query variables (see SparqlTemplate)
+   * @param {Object} [options={}] - Request options (timeout, retries, signal; see HttpClient.request)
+   * @returns {Promise<Object>} Query results
+   */
+  async query(query, params = {}, options = {}) {
+    const body = SparqlTemplate.bind(query, params);
+
+    const response = await this.#http.request(this.#queryEndpoint, {
+      method: 'POST',
+      headers: this.#headers,
+      body
+    }, { operation: 'query', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Query failed', response, this.#queryEndpoint);
+    }
+
+    return SparqlProtocolConnector.#json(response, 'Query failed');
+  }
+
+  /**
+   * Executes a SPARQL SELECT query, parsing the solutions as they arrive
+   * The timeout covers waiting for the response; options.signal also stops the download
+   *
+   * @param {string} query - SPARQL SELECT query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} Solutions in results.bindings form
+   *
+   * @example
+   * for await (const binding of connector.selectStream('SELECT ?s WHERE { ?s ?p ?o }')) {
+   *   console.log(binding.s.value);
+   * }
+   */
+  async *selectStream(query, params = {}, options = {}) {
+    const body = SparqlTemplate.bind(query, params);
+
+    const response = await this.#http.stream(this.#queryEndpoint, {
+      method: 'POST',
+      headers: this.#headers,
+      body
+    }, { operation: 'selectStream', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Query failed', response, this.#queryEndpoint);
+    }
+
+    yield* new SparqlResultsParser().parseStream(response.body);
+  }
+
+  /**
+   * Executes a SPARQL CONSTRUCT query
+   *
+   * @param {string} query - SPARQL CONSTRUCT query
+   * @param {string} [format='text/turtle'] - Output format
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<string>} RDF data in requested format
+   */
+  async construct(query, format = 'text/turtle', params = {}, options = {}) {
+    const body = SparqlTemplate.bind(query, params);
+
+    const response = await this.#http.request(this.#queryEndpoint, {
+      method: 'POST',
+      headers: {
+        ...this.#headers,
+        'Content-Type': 'application/sparql-query',
+        'Accept': format
+      },
+      body
+    }, { operation: 'construct', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Construct query failed', response, this.#queryEndpoint);
+    }
+
+    return response.body;
+  }
+
+  /**
+   * Executes a SPARQL CONSTRUCT query, parsing N-Triples as they arrive
+   *
+   * @param {string} query - SPARQL CONSTRUCT query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} Constructed triples as quads in the default graph
+   */
+  async *constructStream(query, params = {}, options = {}) {
+    const body = SparqlTemplate.bind(query, params);
+
+    const response = await this.#http.stream(this.#queryEndpoint, {
+      method: 'POST',
+      headers: {
+        ...this.#headers,
+        'Content-Type': 'application/sparql-query',
+        'Accept': 'application/n-triples'
+      },
+      body
+    }, { operation: 'constructStream', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Construct query failed', response, this.#queryEndpoint);
+    }
+
+    yield* new TurtleParser({ format: 'application/n-triples' }).parseStream(response.body);
+  }
+
+  /**
+   * Executes a SPARQL ASK query
+   *
+   * @param {string} query - SPARQL ASK query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<boolean>} Query result
+   */
+  async ask(query, params = {}, options = {}) {
+    const body = SparqlTemplate.bind(query, params);
+
+    const response = await this.#http.request(this.#queryEndpoint, {
+      method: 'POST',
+      headers: this.#headers,
+      body
+    }, { operation: 'ask', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Ask query failed', response, this.#queryEndpoint);
+    }
+
+    return SparqlProtocolConnector.#json(response, 'Ask query failed').boolean;
+  }
+
+  /**
+   * Executes a SPARQL UPDATE query (INSERT, DELETE, etc.)
+   * Updates are not assumed to be idempotent: they are only retried when the
+   * connection failed before the request was sent, unless options.idempotent is true
+   *
+   * @param {string} update - SPARQL UPDATE query
+   * @param {Object} [params={}] - Values bound to update variables
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<void>}
+   * @throws {Error} If no update endpoint is configured
+   */
+  async update(update, params = {}, options = {}) {
+    if (!this.#updateEndpoint) {
+      throw new Error('No SPARQL update endpoint configured');
+    }
+    const body = SparqlTemplate.bind(update, params);
+
+    const response = await this.#http.request(this.#updateEndpoint, {
+      method: 'POST',
+      headers: {
+        ...this.#headers,
+        'Content-Type': 'application/sparql-update'
+      },
+      body
+    }, { operation: 'update', idempotent: false, ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Update failed', response, this.#updateEndpoint);
+    }
+  }
+
+  /**
+   * Inserts RDF data using Graph Store Protocol
+   * POST appends (and copies blank nodes), so it is retried like an update
+   *
+   * @param {string} data - RDF data (Turtle, RDF/XML, etc.)
+   * @param {string} [contentType='text/turtle'] - Content type of the data
+   * @param {string} [graph] - Optional graph name
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<void>}
+   */
+  async insert(data, contentType = 'text/turtle', graph, options = {}) {
+    const endpoint = this.getGspEndpoint(graph);
+
+    const response = await this.#http.request(endpoint, {
+      method: 'POST',
+      headers: {
+        ...this.#headers,
+        'Content-Type': contentType
+      },
+      body: data
+    }, { operation: 'insert', idempotent: false, ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Insert failed', response, endpoint);
+    }
+  }
+
+  /**
+   * Retrieves all triples from a graph
+   *
+   * @param {string} [graph] - Optional graph name
+   * @param {string} [format='text/turtle'] - Output format
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<string>} RDF data
+   */
+  async retrieve(graph, format = 'text/turtle', options = {}) {
+    const endpoint = this.getGspEndpoint(graph);
+
+    const response = await this.#http.request(endpoint, {
+      method: 'GET',
+      headers: {
+        ...this.#headers,
+        'Accept': format
+      }
+    }, { operation: 'retrieve', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Retrieve failed', response, endpoint);
+    }
+
+    return response.body;
+  }
+
+  /**
+   * Retrieves all triples from a graph, parsing N-Triples as they arrive
+   *
+   * @param {string} [graph] - Optional graph name
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} The graph's triples as quads in the default graph
+   */
+  async *retrieveStream(graph, options = {}) {
+    const endpoint = this.getGspEndpoint(graph);
+
+    const response = await this.#http.stream(endpoint, {
+      method: 'GET',
+      headers: {
+        ...this.#headers,
+        'Accept': 'application/n-triples'
+      }
+    }, { operation: 'retrieveStream', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Retrieve failed', response, endpoint);
+    }
+
+    yield* new TurtleParser({ format: 'application/n-triples' }).parseStream(response.body);
+  }
+
+  /**
+   * Deletes all triples from a graph
+   *
+   * @param {string} [graph] - Optional graph name
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<void>}
+   */
+  async clear(graph, options = {}) {
+    const endpoint = this.getGspEndpoint(graph);
+
+    const response = await this.#http.request(endpoint, {
+      method: 'DELETE',
+      headers: this.#headers
+    }, { operation: 'clear', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Clear failed', response, endpoint);
+    }
+  }
+
+  /**
+   * Replaces the content of a graph in one request (Graph Store Protocol PUT)
+   * Model instances are sent as N-Triples and marked clean afterwards
+   *
+   * @param {string} [graph] - Optional graph name
+   * @param {string|Array<Object>} data - RDF data, or instances with toQuads() or toTurtle()
+   * @param {string} [contentType='text/turtle'] - Content type of string data
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<void>}
+   */
+  async replaceGraph(graph, data, contentType = 'text/turtle', options = {}) {
+    const endpoint = this.getGspEndpoint(graph);
+    const instances = Array.isArray(data) ? data : null;
+    if (instances) {
+      const quads = instances.flatMap(instance => TurtleWriter.quadsOf(instance))
+        .map(q => quad(q.subject, q.predicate, q.object));
+      data = TurtleWriter.write(quads, { format: 'application/n-triples' });
+      contentType = 'application/n-triples';
+    }
+
+    const response = await this.#http.request(endpoint, {
+      method: 'PUT',
+      headers: {
+        ...this.#headers,
+        'Content-Type': contentType
+      },
+      body: data
+    }, { operation: 'replaceGraph', ...options });
+
+    if (!response.ok) {
+      throw HttpError.from('Replace graph failed', response, endpoint);
+    }
+    instances?.forEach(instance => instance.markClean?.());
+  }
+
+  /**
+   * Checks whether a named graph exists (Graph Store Protocol HEAD)
+   *
+   * @param {string} graph - Graph IRI
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<boolean>} True if the store has the graph
+   */
+  async graphExists(graph, options = {}) {
+    if (!graph) {
+      throw new Error('A graph IRI is required');
+    }
+    const endpoint = this.getGspEndpoint(graph);
+
+    const response = await this.#http.request(endpoint, {
+      method: 'HEAD',
+      headers: this.#headers
+    }, { operation: 'graphExists', ...options });
+
+    if (response.status === 404) {
+      return false;
+    }
+    if (!response.ok) {
+      throw HttpError.from('Graph lookup failed', response, endpoint);
+    }
+    return true;
+  }
+
+  /**
+   * Checks if the query endpoint answers a trivial ASK query
+   * Not retried unless options.retries says so
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<boolean>} True if the endpoint is accessible
+   */
+  async ping(options = {}) {
+    try {
+      const response = await this.#http.request(this.#queryEndpoint, {
+        method: 'POST',
+        headers: this.#headers,
+        body: 'ASK {}'
+      }, { operation: 'ping', retries: 0, ...options });
+      return response.ok;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the connector
+   */
+  toString() {
+    return `${this.constructor.name} { ${this.#queryEndpoint} }`;
+  }
+
+  /**
+   * Parses a JSON response body
+   * @private
+   */
+  static #json(response, operation) {
+    try {
+      return JSON.parse(response.body);
+    } catch (error) {
+      throw new TripleStoreError(`${operation}: invalid JSON response`, { cause: error });
+    }
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * SparqlResultsParser Class
+ * Incremental reader for SPARQL 1.1 Query Results JSON
+ * (https://www.w3.org/TR/sparql11-results-json/)
+ * Each solution of results.bindings is yielded as soon as its closing brace
+ * arrives, so the result set is never held in memory as a whole
+ *
+ * @class SparqlResultsParser
+ * @version 1.0.0
+ */
+
+export class SparqlResultsParser {
+  #vars = null;
+
+  /**
+   * Gets the projected variables from head.vars
+   * Servers send the head first, so it is known once the first solution arrives
+   * @returns {Array<string>|null} Variable names, or null if not read yet
+   */
+  get vars() {
+    return this.#vars;
+  }
+
+  /**
+   * Parses a results document as it arrives
+   *
+   * @param {AsyncIterable<string>|Iterable<string>} chunks - Document text in pieces
+   * @returns {AsyncGenerator<Object>} Solutions in results.bindings form,
+   *   e.g. { name: { type: 'literal', value: 'Jane' } }
+   * @throws {Error} If the document is not valid JSON or ends early
+   */
+  async *parseStream(chunks) {
+    this.#vars = null;
+
+    const stack = [];     // Open containers: { array, key, expectKey }
+    let inString = false;
+    let escaped = false;
+    let key = null;       // Text of the object key being read, if any
+    let capture = null;   // { vars, depth, text } of the value being collected
+
+    for await (const chunk of chunks) {
+      let start = 0;
+      for (let i = 0; i < chunk.length; i++) {
+        const ch = chunk[i];
+
+        if (inString) {
+          if (escaped) {
+            escaped = false;
+          } else if (ch === '\\') {
+            escaped = true;
+          } else if (ch === '"') {
+            inString = false;
+            continue;
+          }
+          if (key !== null) {
+            key += ch;
+          }
+          continue;
+        }
+
+        const top = stack[stack.length - 1];
+        switch (ch) {
+          case '"':
+            inString = true;
+            key = !capture && top && !top.array && top.expectKey ? '' : null;
+            break;
+          case ':':
+            if (key !== null) {
+              top.key = key;
+              top.expectKey = false;
+              key = null;
+            }
+            break;
+          case ',':
+            if (top && !top.array) {
+              top.expectKey = true;
+            }
+            break;
+          case '{':
+          case '[':
+            if (!capture && SparqlResultsParser.#isCaptured(stack, ch)) {
+              capture = { vars: ch === '[', depth: stack.length, text: '' };
+              start = i;
+            }
+            stack.push({ array: ch === '[', key: null, expectKey: ch === '{' });
+            break;
+          case '}':
+          case ']':
+            if (!top || top.array !== (ch === ']')) {
+              throw new Error(`SPARQL JSON results parse error: unexpected "${ch}"`);
+            }
+            stack.pop();
+            if (capture && stack.length === capture.depth) {
+              const value = SparqlResultsParser.#json(capture.text + chunk.slice(start, i + 1));
+              const vars = capture.vars;
+              capture = null;
+              if (vars) {
+                this.#vars = value;
+              } else {
+                yield value;
+              }
+            }
+            break;
+        }
+      }
+      if (capture) {
+        capture.text += chunk.slice(start);
+      }
+    }
+
+    if (stack.length > 0 || inString) {
+      throw new Error('SPARQL JSON results parse error: unexpected end of input');
+    }
+  }
+
+  /**
+   * Checks whether a value opening here is a solution or head.vars
+   * @private
+   */
+  static #isCaptured(stack, ch) {
+    if (ch === '{') {
+      return stack.length === 3 && stack[0].key === 'results' && stack[1].key === 'bindings' && stack[2].array;
+    }
+    return stack.length === 2 && stack[0].key === 'head' && stack[1].key === 'vars';
+  }
+
+  /**
+   * Parses one collected value
+   * @private
+   */
+  static #json(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`SPARQL JSON results parse error: ${error.message}`, { cause: error });
+    }
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * SparqlTemplate Class
+ * Injection-safe parameter binding for SPARQL queries and updates
+ * Placeholders are ordinary variables (?name or $name); bound values are
+ * serialized as validated IRIs or escaped literals, so a value can never end
+ * an IRI, a string or a group pattern early. Variables that a query projects
+ * (SELECT, GROUP BY, ORDER BY) or assigns (AS) cannot be bound
+ *
+ * @class SparqlTemplate
+ * @version 1.0.0
+ */
+
+import { NS, namedNode, literal } from './rdf-terms.js';
+import { TurtleWriter } from './turtle-writer.js';
+
+const XSD = NS.xsd;
+
+// Tokens that may contain "?" or "$" without being variables
+const SKIPPED = [
+  /^<[^<>"{}|^`\\\s]*>/,
+  /^("""(?:[^"\\]|\\.|"(?!""))*"""|'''(?:[^'\\]|\\.|'(?!''))*'''|"(?:[^"\\\n\r]|\\.)*"|'(?:[^'\\\n\r]|\\.)*')/,
+  /^#[^\n]*/
+];
+
+const VARIABLE = /^[?$]([A-Za-z0-9_·À-￿]+)/;
+const ABSOLUTE_IRI = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+const PREFIX_NAME = /^([A-Za-z][A-Za-z0-9_.-]*)?$/;
+const PROLOGUE = /^(?:\s+|#[^\n]*|PREFIX\s+[^\s:]*:\s*<[^<>]*>|BASE\s+<[^<>]*>)*/i;
+const VARIABLE_NAME = /^[A-Za-z0-9_·À-￿]+$/;
+const WORD = /^[A-Za-z][A-Za-z0-9_-]*/;
+
+// Keywords that start or end the clauses in which a bound variable would be invalid SPARQL
+const CLAUSES = new Map([
+  ['SELECT', 'SELECT'], ['GROUP', 'GROUP BY'], ['ORDER', 'ORDER BY'],
+  ['WHERE', null], ['FROM', null], ['HAVING', null], ['LIMIT', null], ['OFFSET', null], ['VALUES', null]
+]);
+
+const writer = new TurtleWriter();
+
+export class SparqlTemplate {
+  /**
+   * Replaces the variables named in params by their values
+   *
+   * @param {string} template - SPARQL query or update
+   * @param {Object} [params={}] - Values by variable name: RDF terms (namedNode,
+   *   literal), or strings, numbers, booleans and Dates (bound as literals)
+   * @returns {string} Query with every parameter bound
+   * @throws {Error} If a value is not a valid IRI or literal, a parameter
+   *   does not appear in the template, or it is projected or assigned there
+   */
+  static bind(template, params = {}) {
+    const names = Object.keys(params);
+    if (names.length === 0) {
+      return template;
+    }
+
+    const values = new Map(names.map(name => [name, SparqlTemplate.serialize(params[name], name)]));
+    const used = new Set();
+    let result = '';
+    let pos = 0;
+    let clause = null; // Clause listing variables, at parenthesis depth 0
+    let depth = 0;
+    let assigned = false; // After AS
+
+    while (pos < template.length) {
+      const rest = template.slice(pos);
+      const skipped = SKIPPED.map(pattern => pattern.exec(rest)).find(Boolean);
+      if (skipped) {
+        result += skipped[0];
+        pos += skipped[0].length;
+        continue;
+      }
+
+      const variable = VARIABLE.exec(rest);
+      if (variable) {
+        const name = variable[1];
+        const target = assigned ? 'AS' : depth === 0 && clause;
+        if (values.has(name) && target) {
+          throw new Error(`Parameter ?${name} cannot be bound: it appears in ${target}`);
+        }
+        assigned = false;
+        if (values.has(name)) {
+          result += values.get(name);
+          used.add(name);
+        } else {
+          result += variable[0];
+        }
+        pos += variable[0].length;
+        continue;
+      }
+
+      const word = WORD.exec(rest);
+      if (word && !/[\w:.@-]/.test(template[pos - 1] ?? '') && rest[word[0].length] !== ':') {
+        const keyword = word[0].toUpperCase();
+        if (CLAUSES.has(keyword)) {
+          clause = CLAUSES.get(keyword);
+          depth = 0;
+        }
+        assigned = keyword === 'AS';
+        result += word[0];
+        pos += word[0].length;
+        continue;
+      }
+
+      const ch = template[pos++];
+      if (ch === '{' || ch === '}') {
+        clause = null;
+      } else if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+      }
+      result += ch;
+    }
+
+    const unused = names.filter(name => !used.has(name));
+    if (unused.length > 0) {
+      throw new Error(`Parameter ?${unused[0]} does not appear in the query`);
+    }
+    return result;
+  }
+
+  /**
+   * Serializes a parameter value in SPARQL syntax
+   *
+   * @param {*} value - RDF term, string, number, boolean or Date
+   * @param {string} [name='value'] - Parameter name for error messages
+   * @returns {string} SPARQL term
+   * @throws {Error} If the value cannot be bound safely
+   */
+  static serialize(value, name = 'value') {
+    const term = SparqlTemplate.#toTerm(value, name);
+
+    if (term.termType === 'NamedNode') {
+      if (!ABSOLUTE_IRI.test(term.value)) {
+        throw new Error(`Parameter ?${name}: <${term.value}> is not an absolute IRI`);
+      }
+      try {
+        return writer.iri(term.value, false);
+      } catch (error) {
+        throw new Error(`Parameter ?${name}: ${error.message}`);
+      }
+    }
+    if (term.termType === 'Literal') {
+      if (term.language && !/^[A-Za-z]+(-[A-Za-z0-9]+)*$/.test(term.language)) {
+        throw new Error(`Parameter ?${name}: invalid language tag "${term.language}"`);
+      }
+      return writer.literal(term);
+    }
+    throw new Error(`Parameter ?${name}: ${term.termType} terms cannot be bound`);
+  }
+
+  /**
+   * Checks that a SPARQL fragment is a self-contained group pattern body
+   * Braces outside IRIs, strings and comments must balance without ever
+   * closing the enclosing group
+   *
+   * @param {string} pattern - Graph pattern inserted between { and }
+   * @returns {string} The pattern
+   * @throws {Error} If the pattern could escape its enclosing group
+   */
+  static checkGroupPattern(pattern) {
+    let depth = 0;
+    let pos = 0;
+
+    while (pos < pattern.length) {
+      const rest = pattern.slice(pos);
+      const skipped = SKIPPED.map(p => p.exec(rest)).find(Boolean);
+      if (skipped) {
+        pos += skipped[0].length;
+        continue;
+      }
+      if (/^["']/.test(rest)) {
+        throw new Error('Graph pattern contains an unterminated string');
+      }
+
+      const ch = pattern[pos++];
+      if (ch === '{') {
+        depth++;
+      } else if (ch === '}' && --depth < 0) {
+        throw new Error('Graph pattern closes a group it did not open');
+      }
+    }
+
+    if (depth !== 0) {
+      throw new Error('Graph pattern leaves a group open');
+    }
+    return pattern;
+  }
+
+  /**
+   * Builds PREFIX declarations from a prefix map
+   *
+   * @param {Object} [prefixes={}] - Namespace IRIs by prefix
+   * @returns {string} PREFIX lines
+   * @throws {Error} If a prefix name or namespace IRI is invalid
+   */
+  static prefixes(prefixes = {}) {
+    return Object.entries(prefixes).map(([prefix, namespace]) => {
+      if (!PREFIX_NAME.test(prefix)) {
+        throw new Error(`Invalid prefix name "${prefix}"`);
+      }
+      return `PREFIX ${prefix}: ${SparqlTemplate.serialize(namedNode(namespace), prefix)}\n`;
+    }).join('');
+  }
+
+  /**
+   * Wraps a SELECT query as a subquery and selects one page of its results
+   * With keyset, the page starts after a value of that variable (compared as
+   * strings) instead of skipping rows with OFFSET
+   *
+   * @param {string} query - SPARQL SELECT query (with parameters already bound)
+   * @param {Object} page - Page options
+   * @param {Array<string>} [page.orderBy=[]] - Variables giving a stable order
+   * @param {string} [page.keyset] - Variable to page on instead of OFFSET
+   * @param {string} [page.after] - Last keyset value of the previous page
+   * @param {number} page.limit - Maximum number of rows
+   * @param {number} [page.offset=0] - Rows to skip
+   * @returns {string} Paged query
+   * @throws {Error} If a variable name is invalid
+   */
+  static page(query, { orderBy = [], keyset, after, limit, offset = 0 }) {
+    for (const name of keyset ? [keyset] : orderBy) {
+      if (!VARIABLE_NAME.test(name)) {
+        throw new Error(`Invalid variable name "${name}"`);
+      }
+    }
+
+    const prologue = PROLOGUE.exec(query)[0];
+    const filter = keyset && after !== undefined
+      ? `\n  FILTER(STR(?${keyset}) > ${SparqlTemplate.serialize(String(after), keyset)})`
+      : '';
+    const order = keyset ? `STR(?${keyset})` : orderBy.map(name => `?${name}`).join(' ');
+
+    return `${prologue}SELECT * WHERE {\n  {\n${query.slice(prologue.length)}\n  }${filter}\n}\n` +
+      `${order ? `ORDER BY ${order}\n` : ''}LIMIT ${limit}${offset > 0 ? `\nOFFSET ${offset}` : ''}`;
+  }
+
+  /**
+   * Converts a parameter value to an RDF term
+   * @private
+   */
+  static #toTerm(value, name) {
+    if (value === null || value === undefined) {
+      throw new Error(`Parameter ?${name} has no value`);
+    }
+    if (typeof value === 'object' && typeof value.termType === 'string') {
+      return value;
+    }
+    if (typeof value === 'string') {
+      return literal(value);
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) {
+        throw new Error(`Parameter ?${name}: ${value} is not a finite number`);
+      }
+      return literal(String(value), Number.isInteger(value) ? `${XSD}integer` : `${XSD}double`);
+    }
+    if (typeof value === 'boolean') {
+      return literal(String(value), `${XSD}boolean`);
+    }
+    if (value instanceof Date && !Number.isNaN(value.getTime())) {
+      return literal(value.toISOString(), `${XSD}dateTime`);
+    }
+    throw new Error(`Parameter ?${name}: cannot bind ${typeof value} values`);
+  }
+}
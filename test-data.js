@@ -109,7 +109,26 @@ ex:JaneDoe a ex:Person ;
 ex:JohnSmith a ex:Person ;
     ex:firstName "John" ;
     ex:lastName "Smith" ;
-    ex:birthDate "1985-06-15"^^xsd:date .`
+    ex:birthDate "1985-06-15"^^xsd:date .`,
+
+  // Same data as Fuseki might return it: @base, full IRIs, rdf:type, other prefix names
+  irregularPeople: `@base <http://example.com/ex> .
+PREFIX p: <http://example.com/ex#>
+@prefix rdf: <http://www.w3.org/1999/02/22-rdf-syntax-ns#> .
+
+# First person uses a relative IRI and rdf:type
+<#JaneDoe> rdf:type p:Person ;
+    p:firstName 'Jane' ;   # single quotes
+    p:lastName "Doe" ;
+    p:birthDate "2000-01-01"^^<http://www.w3.org/2001/XMLSchema#date> .
+
+<http://example.com/ex#MaryOBrien>
+    a <http://example.com/ex#Person> ;
+    p:firstName "Mary \\"Molly\\"" ;
+    p:lastName """O'Brien""" ;
+    p:birthDate "1990-03-17"^^<http://www.w3.org/2001/XMLSchema#date> ;
+    p:note """Two
+lines""" .`
 };
 
 /**
@@ -6,15 +6,47 @@
  * @version 1.0.0
  */
 
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
 import { Person } from './person.js';
 import { TransformedPerson } from './transformed-person.js';
 import { DataModel } from './data-model.js';
 import { FusekiConnector, createLocalConnector } from './fuseki-connector.js';
+import { FusekiAdmin } from './fuseki-admin.js';
+import { FusekiStubServer } from './fuseki-stub-server.js';
+import { TripleStoreConnector } from './triple-store-connector.js';
+import { SparqlProtocolConnector } from './sparql-protocol-connector.js';
+import { ShaclValidator } from './shacl-validator.js';
+import { ValidationReport } from './validation-report.js';
+import { TurtleParser } from './turtle-parser.js';
+import { TurtleWriter } from './turtle-writer.js';
+import { JsonLdProcessor } from './json-ld.js';
+import { QuadStore } from './quad-store.js';
+import { namedNode, blankNode, literal, quad, defaultGraph, fromLiteral } from './rdf-terms.js';
+import { ShaclRuleEngine } from './shacl-rules.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { select } from './query-builder.js';
+import { HttpClient } from './http-client.js';
+import { AuthProvider, BasicAuth, BearerAuth, HeaderAuth, DigestAuth } from './auth-providers.js';
+import { ConnectorMetrics } from './connector-metrics.js';
+import { DebugLogger } from './debug-logger.js';
+import {
+  TripleStoreError,
+  ConnectionError,
+  TimeoutError,
+  HttpError,
+  AuthError,
+  SparqlSyntaxError
+} from './triple-store-errors.js';
+import { SparqlParser } from './sparql-parser.js';
+import { SparqlResultsParser } from './sparql-results-parser.js';
 import {
   samplePersonData,
   sampleTransformedData,
   sampleTurtle,
   sampleJsonLd,
+  sampleQueries,
   invalidData,
   referenceDate,
   expectedAges,
@@ -258,12 +290,80 @@ runner.test('Person: Import from Turtle', () => {
   assert.equals(person.birthDateISO, '2000-01-01');
 });
 
+runner.test('Person: Import from Turtle with full IRIs and @base', () => {
+  const person = Person.fromTurtle(sampleTurtle.irregularPeople);
+  assert.equals(person.uri, 'http://example.com/ex#JaneDoe');
+  assert.equals(person.firstName, 'Jane');
+  assert.equals(person.birthDateISO, '2000-01-01');
+});
+
+runner.test('Person: Import every person from Turtle', () => {
+  const people = Person.fromTurtleAll(sampleTurtle.irregularPeople);
+  assert.equals(people.length, 2);
+  assert.equals(people[1].uri, 'http://example.com/ex#MaryOBrien');
+  assert.equals(people[1].firstName, 'Mary "Molly"');
+  assert.equals(people[1].lastName, "O'Brien");
+  assert.equals(Person.fromTurtleAll(sampleTurtle.multiplePeople).length, 2);
+});
+
+runner.test('Person: Throw error for Turtle without a person', () => {
+  assert.throws(() => Person.fromTurtle('@prefix ex: <http://example.com/ex#> . ex:a ex:b ex:c .'));
+});
+
 runner.test('Person: Import from JSON-LD', () => {
   const person = Person.fromJsonLd(sampleJsonLd.person);
   assert.equals(person.firstName, 'Jane');
   assert.equals(person.lastName, 'Doe');
 });
 
+runner.test('Person: Import expanded and @graph JSON-LD', () => {
+  const expanded = Person.fromJsonLd(JsonLdProcessor.expand(sampleJsonLd.person));
+  assert.equals(expanded.birthDateISO, '2000-01-01');
+
+  const people = Person.fromJsonLdAll({
+    '@context': { p: 'http://example.com/ex#' },
+    '@graph': [
+      { '@id': 'p:JaneDoe', '@type': 'p:Person', 'p:firstName': 'Jane', 'p:lastName': 'Doe', 'p:birthDate': '2000-01-01' },
+      { '@id': 'http://example.com/ex#JohnSmith', '@type': 'http://example.com/ex#Person',
+        'http://example.com/ex#firstName': 'John', 'http://example.com/ex#lastName': 'Smith',
+        'http://example.com/ex#birthDate': '1985-12-25' }
+    ]
+  });
+  assert.deepEquals(people.map(person => person.uri), ['http://example.com/ex#JaneDoe', 'http://example.com/ex#JohnSmith']);
+  assert.throws(() => Person.fromJsonLd({ '@id': 'http://example.com/ex#Nobody' }));
+});
+
+runner.test('Person: Track changes made through setters', () => {
+  const person = new Person(samplePersonData.janeDoe);
+  assert.true(person.isDirty);
+  assert.equals(person.getChanges().inserted.length, 4);
+
+  person.markClean();
+  assert.false(person.isDirty);
+  person.lastName = 'Smith';
+  person.firstName = 'Jane';
+
+  const { inserted, deleted } = person.getChanges();
+  assert.deepEquals(inserted.map(q => q.object.value), ['Smith']);
+  assert.deepEquals(deleted.map(q => q.object.value), ['Doe']);
+});
+
+runner.test('Person: Convert typed literals when reading quads', () => {
+  const person = Person.fromTurtle(`
+    @prefix ex: <http://example.com/ex#> .
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    ex:JaneDoe a ex:Person ; ex:firstName "Jane" ; ex:lastName "Doe" ;
+      ex:birthDate "1990-05-15+02:00"^^xsd:date .
+  `);
+  assert.equals(person.birthDateISO, '1990-05-15');
+
+  const xsd = 'http://www.w3.org/2001/XMLSchema#';
+  assert.equals(fromLiteral(literal('+035', `${xsd}integer`)), 35);
+  assert.equals(fromLiteral(literal('0', `${xsd}boolean`)), false);
+  assert.equals(fromLiteral(literal('2024-02-30', `${xsd}date`)), '2024-02-30');
+  assert.equals(fromLiteral(literal('2024-01-02T03:04:05Z', `${xsd}dateTime`)).getTime(), Date.UTC(2024, 0, 2, 3, 4, 5));
+});
+
 // ====================
 // TransformedPerson Class Tests
 // ====================
@@ -357,6 +457,658 @@ runner.test('TransformedPerson: Import from Turtle', () => {
   assert.equals(person.age, 26);
 });
 
+// ====================
+// TurtleParser Tests
+// ====================
+
+runner.test('TurtleParser: Parse strings, escapes and literals', () => {
+  const quads = TurtleParser.parse(`@prefix : <http://example.com/> .
+:s :p "tab\\there \\u00E9" , 'single' , '''long
+text''' , "hello"@EN-GB , 42 , -1.5 , 1e3 , false .`);
+
+  assert.deepEquals(quads.map(q => q.object.value), ['tab\there é', 'single', 'long\ntext', 'hello', '42', '-1.5', '1e3', 'false']);
+  assert.equals(quads[3].object.language, 'en-gb');
+  assert.equals(quads[6].object.datatype.value, 'http://www.w3.org/2001/XMLSchema#double');
+});
+
+runner.test('TurtleParser: Resolve relative IRIs against @base', () => {
+  const parser = new TurtleParser({ baseIRI: 'http://example.com/a/b' });
+  const quads = parser.parse(`<c> <#p> <../d> .
+BASE <http://other.org/x/>
+<y> <z> "v" .`);
+
+  assert.equals(quads[0].subject.value, 'http://example.com/a/c');
+  assert.equals(quads[0].predicate.value, 'http://example.com/a/b#p');
+  assert.equals(quads[0].object.value, 'http://example.com/d');
+  assert.equals(quads[1].subject.value, 'http://other.org/x/y');
+  assert.equals(parser.baseIRI, 'http://other.org/x/');
+});
+
+runner.test('TurtleParser: Report line and column of syntax errors', () => {
+  let message = null;
+  try {
+    TurtleParser.parse('@prefix ex: <http://example.com/ex#> .\nex:a ex:b <not an iri> .');
+  } catch (error) {
+    message = error.message;
+  }
+  assert.equals(message, 'Turtle parse error at line 2, column 15: Invalid character in IRI <not >');
+});
+
+runner.test('TurtleParser: Parse N-Quads and TriG graphs', () => {
+  const nquads = new TurtleParser({ format: 'application/n-quads' }).parse(
+    '<http://ex.org/s> <http://ex.org/p> "o"@en <http://ex.org/g> . # comment\n<http://ex.org/s> <http://ex.org/p> _:b1 .\n');
+  assert.equals(nquads.length, 2);
+  assert.equals(nquads[0].graph.value, 'http://ex.org/g');
+  assert.equals(nquads[1].graph.termType, 'DefaultGraph');
+  assert.throws(() => new TurtleParser({ format: 'nt' }).parse('<s> <http://ex.org/p> "o" .'));
+
+  const trig = TurtleParser.parse(`@prefix ex: <http://ex.org/> .
+ex:a ex:p 1 .
+GRAPH ex:g1 { ex:b ex:p 2 }
+ex:g2 { ex:c ex:p 3 . }`, { format: 'application/trig' });
+  assert.deepEquals(trig.map(q => q.graph.value), ['', 'http://ex.org/g1', 'http://ex.org/g2']);
+});
+
+runner.test('TurtleParser: Parse N-Triples streams chunk by chunk', async () => {
+  const text = '<http://ex.org/s> <http://ex.org/p> _:b1 .\n_:b1 <http://ex.org/p> "a\\nb" .\n<http://ex.org/s> <http://ex.org/q> "c" .';
+  const quads = [];
+  for await (const q of new TurtleParser({ format: 'application/n-triples' }).parseStream(text.match(/[^]{1,7}/g))) {
+    quads.push(q);
+  }
+
+  assert.equals(quads.length, 3);
+  assert.equals(quads[0].object.value, quads[1].subject.value, 'Blank node labels span chunks');
+  assert.equals(quads[1].object.value, 'a\nb');
+
+  let message = null;
+  try {
+    for await (const q of new TurtleParser({ format: 'application/n-triples' }).parseStream(text.slice(0, -2).match(/[^]{1,7}/g))) {
+      assert.notNull(q);
+    }
+  } catch (error) {
+    message = error.message;
+  }
+  assert.true(message.startsWith('N-Triples parse error at line 3,'), message);
+
+  await assert.asyncThrows(async () => {
+    for await (const q of new TurtleParser().parseStream([text])) {
+      assert.notNull(q);
+    }
+  });
+});
+
+// ====================
+// TurtleWriter Tests
+// ====================
+
+runner.test('TurtleWriter: Escape strings that would break Turtle', () => {
+  const person = new Person({
+    firstName: 'Mary "Molly"',
+    lastName: 'O\'Brien\\\n. ex:evil a ex:Admin',
+    birthDate: '1990-03-17'
+  });
+
+  const turtle = person.toTurtle(true);
+  assert.true(turtle.includes('ex:firstName "Mary \\"Molly\\""'));
+
+  const parsed = Person.fromTurtle(turtle);
+  assert.equals(parsed.firstName, person.firstName);
+  assert.equals(parsed.lastName, person.lastName);
+  assert.equals(TurtleParser.parse(turtle).length, 4);
+});
+
+runner.test('TurtleWriter: Fall back to full IRIs', () => {
+  const outside = new Person({ ...samplePersonData.janeDoe, uri: 'http://other.org/people/jane' });
+  assert.true(outside.toTurtle().includes('<http://other.org/people/jane> a ex:Person'));
+
+  const illegal = new Person({ ...samplePersonData.janeDoe, uri: 'http://example.com/ex#Jane.' });
+  assert.true(illegal.toTurtle().includes('<http://example.com/ex#Jane.> a ex:Person'));
+  assert.equals(Person.fromTurtle(illegal.toTurtle()).uri, 'http://example.com/ex#Jane.');
+
+  assert.throws(() => new TurtleWriter().iri('http://example.com/has space'));
+});
+
+runner.test('TurtleWriter: Nest blank nodes and abbreviate literals', () => {
+  const quads = TurtleParser.parse(`@prefix ex: <http://example.com/ex#> .
+ex:a ex:count 3 ; ex:ratio 0.5 ; ex:flag true ; ex:label "x"@en ;
+    ex:child [ ex:name "inner" ] .`);
+
+  const turtle = TurtleWriter.write(quads, { prefixes: { ex: 'http://example.com/ex#' }, includePrefix: false });
+  assert.equals(turtle, `ex:a ex:count 3 ;
+    ex:ratio 0.5 ;
+    ex:flag true ;
+    ex:label "x"@en ;
+    ex:child [
+        ex:name "inner"
+    ] .`);
+});
+
+runner.test('TurtleWriter: Write N-Triples, N-Quads and TriG', () => {
+  const quads = TurtleParser.parse(`@prefix ex: <http://example.com/ex#> .
+ex:b ex:name "line\\nbreak" .
+GRAPH ex:g { ex:a ex:count 3 ; ex:child [ ex:name "inner"@en ] }`, { format: 'trig' });
+
+  const ntriples = TurtleWriter.write(quads, { format: 'application/n-triples' });
+  assert.equals(ntriples.split('\n')[0], '<http://example.com/ex#a> <http://example.com/ex#child> _:b0 .');
+  assert.true(ntriples.includes('"3"^^<http://www.w3.org/2001/XMLSchema#integer> .'));
+  assert.true(ntriples.includes('"line\\nbreak" .'));
+
+  const nquads = TurtleWriter.write(quads, { format: 'application/n-quads' });
+  assert.true(nquads.includes('"inner"@en <http://example.com/ex#g> .'));
+  assert.deepEquals(new TurtleParser({ format: 'n-quads' }).parse(nquads).map(q => q.graph.value).sort(),
+    ['', 'http://example.com/ex#g', 'http://example.com/ex#g', 'http://example.com/ex#g']);
+
+  const trig = TurtleWriter.write(quads, { prefixes: { ex: 'http://example.com/ex#' }, format: 'trig', includePrefix: false });
+  assert.equals(trig, `ex:b ex:name "line\\nbreak" .
+
+ex:g {
+    ex:a ex:count 3 ;
+        ex:child [
+            ex:name "inner"@en
+        ] .
+}`);
+  assert.throws(() => new TurtleWriter({ format: 'application/rdf+xml' }));
+});
+
+// ====================
+// JsonLdProcessor Tests
+// ====================
+
+runner.test('JsonLdProcessor: Expand and compact round-trip', () => {
+  const context = {
+    '@vocab': 'http://ex.org/',
+    '@language': 'en',
+    knows: { '@type': '@id' },
+    tags: { '@container': '@list' },
+    label: { '@container': '@language' },
+    parent: { '@reverse': 'http://ex.org/child' }
+  };
+  const expanded = JsonLdProcessor.expand({
+    '@context': context,
+    '@id': 'http://ex.org/a',
+    knows: 'http://ex.org/b',
+    tags: ['x', 2],
+    label: { en: 'Hi', fr: 'Salut' },
+    parent: { '@id': 'http://ex.org/p' }
+  });
+
+  assert.deepEquals(expanded[0]['http://ex.org/knows'], [{ '@id': 'http://ex.org/b' }]);
+  assert.deepEquals(expanded[0]['http://ex.org/tags'], [{ '@list': [{ '@value': 'x', '@language': 'en' }, { '@value': 2 }] }]);
+  assert.deepEquals(expanded[0]['@reverse'], { 'http://ex.org/child': [{ '@id': 'http://ex.org/p' }] });
+
+  const compacted = JsonLdProcessor.compact(expanded, context);
+  assert.equals(compacted.knows, 'http://ex.org/b');
+  assert.deepEquals(compacted.label, { en: 'Hi', fr: 'Salut' });
+  assert.deepEquals(JsonLdProcessor.expand(compacted)[0]['http://ex.org/tags'], expanded[0]['http://ex.org/tags']);
+  assert.deepEquals(JsonLdProcessor.compact(JsonLdProcessor.expand(compacted), context), compacted);
+});
+
+runner.test('JsonLdProcessor: Flatten into a @graph', () => {
+  const flattened = JsonLdProcessor.flatten({
+    '@context': { ex: 'http://ex.org/' },
+    '@id': 'ex:a',
+    'ex:child': { 'ex:name': 'inner' }
+  }, { ex: 'http://ex.org/' });
+
+  assert.deepEquals(flattened['@graph'], [
+    { '@id': '_:b0', 'ex:name': 'inner' },
+    { '@id': 'ex:a', 'ex:child': { '@id': '_:b0' } }
+  ]);
+});
+
+runner.test('JsonLdProcessor: Convert to and from RDF', () => {
+  const quads = JsonLdProcessor.toRdf({
+    '@context': { ex: 'http://ex.org/', items: { '@id': 'ex:items', '@container': '@list' } },
+    '@id': 'ex:g',
+    '@graph': [{ '@id': 'ex:s', items: [1, 2.5, true] }]
+  });
+  assert.true(quads.every(q => q.graph.value === 'http://ex.org/g'));
+  assert.deepEquals(quads.filter(q => q.predicate.value.endsWith('#first')).map(q => q.object.value), ['1', '2.5E0', 'true']);
+
+  const expanded = JsonLdProcessor.fromRdf(quads);
+  assert.equals(expanded[0]['@id'], 'http://ex.org/g');
+  assert.deepEquals(expanded[0]['@graph'][0]['http://ex.org/items'][0]['@list'].map(v => v['@value']), ['1', '2.5E0', 'true']);
+});
+
+runner.test('JsonLdProcessor: Resolve contexts only from local documents', () => {
+  const document = { '@context': 'http://example.com/contexts/person.jsonld', '@id': 'http://example.com/ex#A', name: 'A' };
+  assert.throws(() => JsonLdProcessor.expand(document));
+
+  const processor = new JsonLdProcessor({
+    documents: { 'http://example.com/contexts/person.jsonld': { '@context': { name: 'http://example.com/ex#name' } } }
+  });
+  assert.deepEquals(processor.expand(document)[0]['http://example.com/ex#name'], [{ '@value': 'A' }]);
+});
+
+// ====================
+// QuadStore Tests
+// ====================
+
+const EX = 'http://example.com/ex#';
+
+runner.test('QuadStore: Add, dedupe and delete quads', () => {
+  const store = new QuadStore();
+  const q = quad(namedNode(`${EX}a`), namedNode(`${EX}knows`), namedNode(`${EX}b`));
+
+  assert.true(store.add(q));
+  assert.false(store.add(q));
+  assert.true(store.has(q));
+  assert.equals(store.size, 1);
+  assert.true(store.delete(q));
+  assert.false(store.has(q));
+  assert.equals(store.size, 0);
+  assert.equals(store.graphs().length, 0);
+});
+
+runner.test('QuadStore: Match any triple pattern across graphs', () => {
+  const g1 = namedNode(`${EX}g1`);
+  const g2 = namedNode(`${EX}g2`);
+  const [a, b, c, knows, name] = ['a', 'b', 'c', 'knows', 'name'].map(local => namedNode(`${EX}${local}`));
+  const store = new QuadStore([
+    quad(a, knows, b, g1),
+    quad(b, knows, c, g1),
+    quad(a, name, literal('A'), g2),
+    quad(a, knows, b)
+  ]);
+
+  assert.equals(store.size, 4);
+  assert.equals(store.match(a).length, 3);
+  assert.equals(store.match(a, null, null, g1).length, 1);
+  assert.equals(store.match(null, knows).length, 3);
+  assert.equals(store.match(null, null, b).length, 2);
+  assert.equals(store.match(a, null, b).length, 2);
+  assert.equals(store.match(null, knows, c)[0].subject.value, `${EX}b`);
+  assert.equals(store.object(a, `${EX}name`).value, 'A');
+  assert.deepEquals(store.subjects(`${EX}knows`, b).map(s => s.value), [`${EX}a`, `${EX}a`]);
+  assert.equals(store.graphs().length, 3);
+});
+
+runner.test('QuadStore: Remove matches and whole graphs', () => {
+  const graph = namedNode(`${EX}g`);
+  const [a, b, p] = ['a', 'b', 'p'].map(local => namedNode(`${EX}${local}`));
+  const store = new QuadStore([quad(a, p, b, graph), quad(b, p, a, graph), quad(a, p, a)]);
+
+  assert.equals(store.removeMatches(a, p), 2);
+  assert.equals(store.size, 1);
+  assert.equals(store.deleteGraph(graph), 1);
+  assert.equals(store.size, 0);
+  assert.equals(store.match().length, 0);
+});
+
+runner.test('QuadStore: Person is a view over the store it is attached to', () => {
+  const store = new QuadStore();
+  const graph = namedNode(`${EX}people`);
+  const person = new Person(samplePersonData.janeDoe);
+  const subject = namedNode(person.uri);
+
+  person.attach(store, graph);
+  assert.equals(store.match(subject, null, null, graph).length, 4);
+
+  person.lastName = 'Roe';
+  assert.equals(store.object(subject, `${EX}lastName`, graph).value, 'Roe');
+  assert.equals(store.match(subject, namedNode(`${EX}lastName`)).length, 1);
+
+  person.attach();
+  assert.equals(store.size, 0);
+  assert.equals(person.lastName, 'Roe');
+});
+
+// ====================
+// ShaclValidator Tests
+// ====================
+
+const shapesFile = new URL('./person-transformation-shacl.ttl', import.meta.url);
+
+runner.test('ShaclValidator: Load shapes from file', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  assert.true(validator.hasShapesFor('http://example.com/ex#Person'));
+  assert.true(validator.hasShapesFor('http://example.com/ns/Class#Person'));
+  assert.false(validator.hasShapesFor('http://example.com/ex#Unknown'));
+});
+
+runner.test('ShaclValidator: Valid Person conforms', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  const report = validator.validateInstance(new Person(samplePersonData.janeDoe));
+  assert.true(report.conforms);
+  assert.equals(report.results.length, 0);
+});
+
+runner.test('ShaclValidator: Report minCount and datatype violations', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  const report = validator.validate(`
+    @prefix ex: <http://example.com/ex#> .
+    ex:JaneDoe a ex:Person ;
+        ex:firstName "Jane" ;
+        ex:birthDate "2000-01-01" .
+  `);
+  assert.false(report.conforms);
+
+  const components = report.results.map(r => r.sourceConstraintComponent.value).sort();
+  assert.deepEquals(components, [
+    'http://www.w3.org/ns/shacl#DatatypeConstraintComponent',
+    'http://www.w3.org/ns/shacl#MinCountConstraintComponent'
+  ]);
+
+  const minCount = report.results.find(r => r.sourceConstraintComponent.value.endsWith('MinCountConstraintComponent'));
+  assert.equals(minCount.resultPath.value, 'http://example.com/ex#lastName');
+  assert.equals(minCount.focusNode.value, 'http://example.com/ex#JaneDoe');
+});
+
+runner.test('ShaclValidator: Check birth dates against the current date', () => {
+  // Later than the shapes file's reference date but already past: valid, as in the constructor
+  const person = new Person({ ...samplePersonData.janeDoe, birthDate: '2026-05-01' });
+  assert.true(person.validate().valid, person.validate().errors.join('; '));
+
+  const tomorrow = new Date(Date.now() + 86400000).toISOString().split('T')[0];
+  const report = ShaclValidator.fromFile(shapesFile).validate(`
+    @prefix ex: <http://example.com/ex#> .
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    ex:JaneDoe a ex:Person ;
+        ex:firstName "Jane" ;
+        ex:lastName "Doe" ;
+        ex:birthDate "${tomorrow}"^^xsd:date .
+  `);
+  assert.equals(report.results.length, 1);
+  assert.equals(report.results[0].sourceConstraintComponent.value, 'http://www.w3.org/ns/shacl#SPARQLConstraintComponent');
+  assert.equals(report.results[0].value.value, tomorrow);
+  assert.equals(report.errors[0], `ex:birthDate: Birth date "${tomorrow}" is not in the past`);
+});
+
+runner.test('ShaclValidator: Report pattern and range violations with sh:message', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  const report = validator.validate(`
+    @prefix ex: <http://example.com/ex#> .
+    @prefix Person: <http://example.com/ns/Person#> .
+    @prefix Class: <http://example.com/ns/Class#> .
+    Person:JaneDoe a Class:Person ;
+        ex:firstName "Jane" ;
+        ex:lastName "Doe" ;
+        Person:fullName "Jane-Marie Doe" ;
+        Person:age 200 .
+  `);
+  assert.equals(report.results.length, 2);
+  assert.true(report.results.some(r => r.resultMessage === "Full name must be in format 'FirstName LastName'"));
+  assert.true(report.results.some(r => r.value.value === '200'));
+});
+
+runner.test('ShaclValidator: Evaluate property paths and logical constraints', () => {
+  const validator = new ShaclValidator({ shapes: `
+    @prefix sh: <http://www.w3.org/ns/shacl#> .
+    @prefix ex: <http://example.com/ex#> .
+    ex:FriendShape a sh:NodeShape ;
+        sh:targetNode ex:JaneDoe ;
+        sh:property [
+            sh:path ( ex:knows ex:lastName ) ;
+            sh:in ( "Smith" "Johnson" ) ;
+        ] ;
+        sh:property [
+            sh:path [ sh:inversePath ex:knows ] ;
+            sh:minCount 1 ;
+        ] .
+  ` });
+
+  const report = validator.validate(`
+    @prefix ex: <http://example.com/ex#> .
+    ex:JaneDoe ex:knows ex:JohnSmith, ex:BobWilliams .
+    ex:JohnSmith ex:lastName "Smith" .
+    ex:BobWilliams ex:lastName "Williams" .
+  `);
+  assert.equals(report.results.length, 2);
+  assert.true(report.results.some(r => r.value?.value === 'Williams'));
+  assert.true(report.results.some(r => r.sourceConstraintComponent.value.endsWith('MinCountConstraintComponent')));
+});
+
+runner.test('ValidationReport: Person.validate returns a SHACL report', () => {
+  const report = new Person(samplePersonData.janeDoe).validate();
+  assert.true(report instanceof ValidationReport);
+  assert.true(report.conforms);
+  assert.equals(report.toJSON().results.length, 0);
+});
+
+runner.test('ValidationReport: Serialize results to Turtle', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  const report = validator.validate(`
+    @prefix ex: <http://example.com/ex#> .
+    @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+    ex:JaneDoe a ex:Person ;
+        ex:firstName "Jane" ;
+        ex:birthDate "2000-01-01"^^xsd:date .
+  `);
+
+  const turtle = report.toTurtle();
+  assert.true(turtle.includes('sh:conforms false'));
+  assert.true(turtle.includes('sh:focusNode ex:JaneDoe'));
+  assert.true(turtle.includes('sh:resultPath ex:lastName'));
+  assert.true(turtle.includes('sh:sourceConstraintComponent sh:MinCountConstraintComponent'));
+  assert.true(turtle.includes('sh:resultSeverity sh:Violation'));
+
+  const quads = TurtleParser.parse(turtle);
+  const types = quads.filter(q => q.object.value === 'http://www.w3.org/ns/shacl#ValidationResult');
+  assert.equals(types.length, 1);
+});
+
+runner.test('ValidationReport: Serialize results to JSON-LD', () => {
+  const validator = ShaclValidator.fromFile(shapesFile);
+  const report = validator.validateInstance(new TransformedPerson({
+    firstName: 'Anne-Marie',
+    lastName: 'Smith',
+    fullName: 'Anne-Marie Smith',
+    age: 30
+  }));
+
+  const jsonLd = report.toJsonLd();
+  assert.equals(jsonLd['@type'], 'sh:ValidationReport');
+  assert.false(jsonLd['sh:conforms']);
+  assert.equals(jsonLd['sh:result'].length, 1);
+
+  const result = jsonLd['sh:result'][0];
+  assert.equals(result['sh:focusNode']['@id'], 'Person:Anne-MarieSmith');
+  assert.equals(result['sh:value'], 'Anne-Marie Smith');
+  assert.equals(result['sh:sourceConstraintComponent']['@id'], 'sh:PatternConstraintComponent');
+});
+
+// ====================
+// SparqlEngine Tests
+// ====================
+
+const sparqlData = `
+  @prefix ex: <http://example.com/ex#> .
+  ex:a ex:knows ex:b ; ex:age 30 ; ex:name "A" .
+  ex:b ex:knows ex:c ; ex:age 40 ; ex:name "B"@en .
+  ex:c ex:age 50 ; ex:address [ ex:city "Springfield" ] .
+  ex:g { ex:a ex:likes ex:c ; ex:age 30 . }
+`;
+const sparqlEngine = () => new SparqlEngine({ source: TurtleParser.parse(sparqlData, { format: 'application/trig' }) });
+const sparqlPrefix = 'PREFIX ex: <http://example.com/ex#>\n';
+const column = (results, name) => results.results.bindings.map(binding => binding[name]?.value);
+
+runner.test('SparqlEngine: SELECT returns SPARQL JSON results', () => {
+  const results = sparqlEngine().select(`${sparqlPrefix}
+    SELECT ?s ?name WHERE { ?s ex:name ?name } ORDER BY ?s`);
+
+  assert.deepEquals(results.head, { vars: ['s', 'name'] });
+  assert.deepEquals(results.results.bindings, [
+    { s: { type: 'uri', value: 'http://example.com/ex#a' }, name: { type: 'literal', value: 'A' } },
+    { s: { type: 'uri', value: 'http://example.com/ex#b' }, name: { type: 'literal', 'xml:lang': 'en', value: 'B' } }
+  ]);
+});
+
+runner.test('SparqlEngine: Aggregates, GROUP BY, HAVING and solution modifiers', () => {
+  const engine = sparqlEngine();
+
+  // ex:a ex:age 30 is in two graphs but counts once in the default graph
+  const totals = engine.select(`${sparqlPrefix}
+    SELECT (COUNT(*) AS ?n) (SUM(?age) AS ?sum) (AVG(?age) AS ?avg) (MAX(?age) AS ?max)
+    WHERE { ?s ex:age ?age }`).results.bindings[0];
+  assert.deepEquals([totals.n.value, totals.sum.value, totals.avg.value, totals.max.value], ['3', '120', '40.0', '50']);
+
+  const grouped = engine.select(`${sparqlPrefix}
+    SELECT ?s (GROUP_CONCAT(?v; SEPARATOR="|") AS ?values)
+    WHERE { ?s ex:name|ex:age ?v } GROUP BY ?s HAVING (COUNT(?v) > 1) ORDER BY DESC(?s)`);
+  assert.deepEquals(column(grouped, 'values'), ['B|40', 'A|30']);
+
+  const page = engine.select(`${sparqlPrefix}
+    SELECT DISTINCT ?s WHERE { ?s ex:age ?age } ORDER BY ?age LIMIT 2 OFFSET 1`);
+  assert.deepEquals(column(page, 's'), ['http://example.com/ex#b', 'http://example.com/ex#c']);
+});
+
+runner.test('SparqlEngine: Property paths, MINUS, EXISTS, VALUES and GRAPH', () => {
+  const engine = sparqlEngine();
+  const select = query => engine.select(`${sparqlPrefix}${query}`);
+
+  assert.deepEquals(column(select('SELECT ?o WHERE { ex:a ex:knows+ ?o } ORDER BY ?o'), 'o'),
+    ['http://example.com/ex#b', 'http://example.com/ex#c']);
+  assert.deepEquals(column(select('SELECT ?s WHERE { ?s ex:knows/ex:knows ex:c }'), 's'), ['http://example.com/ex#a']);
+  assert.deepEquals(column(select('SELECT ?s WHERE { ex:c ^ex:knows ?s }'), 's'), ['http://example.com/ex#b']);
+  assert.deepEquals(column(select('SELECT ?s WHERE { ?s ex:age ?age MINUS { ?s ex:knows ex:c } } ORDER BY ?s'), 's'),
+    ['http://example.com/ex#a', 'http://example.com/ex#c']);
+  assert.deepEquals(column(select('SELECT ?s WHERE { ?s ex:age ?age FILTER NOT EXISTS { ?s ex:knows ?x } }'), 's'),
+    ['http://example.com/ex#c']);
+  assert.deepEquals(column(select('SELECT ?s WHERE { VALUES ?age { 40 50 } ?s ex:age ?age }'), 's'),
+    ['http://example.com/ex#b', 'http://example.com/ex#c']);
+  assert.deepEquals(column(select('SELECT ?g ?o WHERE { GRAPH ?g { ex:a ex:likes ?o } }'), 'g'), ['http://example.com/ex#g']);
+  assert.deepEquals(column(select('SELECT * WHERE { { SELECT ?s WHERE { ?s ex:age ?age } ORDER BY DESC(?age) LIMIT 1 } }'), 's'),
+    ['http://example.com/ex#c']);
+});
+
+runner.test('SparqlEngine: ASK, CONSTRUCT and DESCRIBE', () => {
+  const engine = sparqlEngine();
+
+  assert.true(engine.ask(`${sparqlPrefix}ASK { ex:a ex:knows* ex:c }`));
+  assert.deepEquals(engine.execute(`${sparqlPrefix}ASK { ex:c ex:knows ?x }`), { head: {}, boolean: false });
+  assert.equals(engine.construct(`${sparqlPrefix}CONSTRUCT WHERE { ?s ex:knows ?o }`).length, 2);
+
+  // The concise bounded description follows blank nodes
+  const description = engine.describe(`${sparqlPrefix}DESCRIBE ex:c`);
+  assert.equals(description.length, 3);
+  assert.true(description.some(q => q.object.value === 'Springfield'));
+});
+
+runner.test('SparqlEngine: Execute update requests', () => {
+  const store = new QuadStore(TurtleParser.parse(sparqlData, { format: 'application/trig' }));
+  const engine = new SparqlEngine({ source: store, unionDefaultGraph: false });
+  const update = request => engine.update(`${sparqlPrefix}${request}`);
+
+  assert.deepEquals(update('INSERT DATA { ex:d ex:age 60 . GRAPH ex:h { ex:d ex:name "D" } }'), { inserted: 2, deleted: 0 });
+  assert.deepEquals(update('WITH ex:g DELETE { ?s ex:age ?age } INSERT { ?s ex:age 31 } WHERE { ?s ex:age ?age }'),
+    { inserted: 1, deleted: 1 });
+  assert.true(engine.ask(`${sparqlPrefix}ASK { GRAPH ex:g { ex:a ex:age 31 } }`));
+  assert.true(engine.ask(`${sparqlPrefix}ASK { ex:a ex:age 30 }`));
+
+  // Without the union default graph, named graphs are only seen through GRAPH
+  assert.false(engine.ask(`${sparqlPrefix}ASK { ex:a ex:likes ?o }`));
+  update('DELETE WHERE { ?s ex:age 60 } ; COPY GRAPH ex:g TO GRAPH ex:copy ; MOVE GRAPH ex:h TO DEFAULT ; DROP GRAPH ex:g');
+  assert.deepEquals(store.graphs().map(graph => graph.value).sort(), ['', 'http://example.com/ex#copy']);
+  assert.true(engine.ask(`${sparqlPrefix}ASK { ex:d ex:name "D" }`));
+  assert.false(engine.ask(`${sparqlPrefix}ASK { ex:d ex:age 60 }`));
+
+  update('CLEAR ALL');
+  assert.equals(store.size, 0);
+  assert.throws(() => SparqlParser.parseUpdate('INSERT DATA { ?s ex:p 1 }'));
+  assert.throws(() => SparqlParser.parseUpdate('DELETE DATA { _:b <http://example.com/ex#p> 1 }'));
+  assert.throws(() => new SparqlEngine({ source: { match: () => [] } }).update('CLEAR ALL'));
+});
+
+runner.test('SparqlEngine: Reject unsupported syntax', () => {
+  assert.throws(() => SparqlParser.parse('SELECT ?s WHERE { SERVICE <http://example.com/sparql> { ?s ?p ?o } }'));
+  assert.throws(() => SparqlParser.parse('LOAD <http://example.com/data.ttl>'));
+  assert.throws(() => sparqlEngine().select('SELECT (COUNT(*) AS ?s) WHERE { ?s ?p ?o } GROUP BY ?s'));
+});
+
+// ====================
+// ShaclRuleEngine Tests
+// ====================
+
+runner.test('ShaclRuleEngine: Load SPARQL rules from shapes file', () => {
+  const rules = new ShaclRuleEngine({ shapes: ShaclValidator.fromFile(shapesFile) });
+  assert.deepEquals(rules.rules.map(rule => rule.name), [
+    'TransformPersonURI',
+    'CopyFirstName',
+    'CopyLastName',
+    'GenerateFullName',
+    'CalculateAge'
+  ]);
+});
+
+runner.test('ShaclRuleEngine: Execute rules in-process', () => {
+  const rules = new ShaclRuleEngine({ shapes: ShaclValidator.fromFile(shapesFile) });
+  const person = new Person(samplePersonData.johnSmith);
+  const quads = rules.execute(person.toTurtle(true), { referenceDate });
+
+  const transformed = TransformedPerson.fromQuads(quads);
+  assert.equals(transformed.uri, 'http://example.com/ns/Person#JohnSmith');
+  assert.equals(transformed.fullName, 'John Smith');
+  assert.equals(transformed.age, expectedAges.johnSmith);
+});
+
+runner.test('ShaclRuleEngine: New rule in shapes graph takes effect', () => {
+  const shapes = `@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix ex: <http://example.com/ex#> .
+
+ex:InitialsShape a sh:NodeShape ;
+    sh:targetClass ex:Person ;
+    sh:rule [
+        a sh:SPARQLRule ;
+        sh:construct """
+            PREFIX ex: <http://example.com/ex#>
+            CONSTRUCT { $this ex:initials ?initials . }
+            WHERE {
+                $this ex:firstName ?first ; ex:lastName ?last .
+                BIND(CONCAT(SUBSTR(?first, 1, 1), SUBSTR(?last, 1, 1)) AS ?initials)
+            }
+        """
+    ] .`;
+  const rules = new ShaclRuleEngine({ shapes });
+  const quads = rules.execute(new Person(samplePersonData.janeDoe).toTurtle(true));
+
+  assert.equals(quads.length, 1);
+  assert.equals(quads[0].predicate.value, 'http://example.com/ex#initials');
+  assert.equals(quads[0].object.value, 'JD');
+});
+
+runner.test('ShaclRuleEngine: Push rules down to a connector', async () => {
+  const queries = [];
+  const connector = {
+    async construct(query, format) {
+      queries.push(query);
+      assert.equals(format, 'application/n-triples');
+      return '<http://example.com/ns/Person#JaneDoe> <http://example.com/ns/Person#age> "26"^^<http://www.w3.org/2001/XMLSchema#integer> .\n';
+    }
+  };
+
+  const rules = ShaclRuleEngine.getDefault();
+  const quads = await rules.executeRemote(connector, { referenceDate });
+  assert.equals(queries.length, 5);
+  assert.true(queries.every(query => query.includes('?this a/<http://www.w3.org/2000/01/rdf-schema#subClassOf>* <http://example.com/ex#Person>')));
+  assert.true(queries.every(query => query.includes('VALUES ?referenceDate { "2026-01-10"^^<http://www.w3.org/2001/XMLSchema#date> }')));
+  assert.equals(quads.length, 1);
+
+  // $this is the same variable as ?this, so it is not rewritten and strings mentioning it stay intact
+  queries.length = 0;
+  const labels = new ShaclRuleEngine({ shapes: `@prefix sh: <http://www.w3.org/ns/shacl#> .
+    <http://example.com/ex#LabelShape> sh:targetClass <http://example.com/ex#Person> ;
+      sh:rule [ a sh:SPARQLRule ; sh:construct "CONSTRUCT { $this <http://example.com/ex#note> 'costs $this much' } WHERE { }" ] .` });
+  await labels.executeRemote(connector);
+  assert.true(queries[0].includes(`CONSTRUCT { $this <http://example.com/ex#note> 'costs $this much' }`));
+
+  // Focus nodes are serialized as checked IRIs; blank nodes cannot be named remotely
+  queries.length = 0;
+  await rules.executeRemote(connector, { focusNodes: [namedNode('http://example.com/ex#Jane%20Doe')] });
+  assert.true(queries[0].includes('VALUES ?this { <http://example.com/ex#Jane%20Doe> }'));
+  await assert.asyncThrows(() => rules.executeRemote(connector, { focusNodes: [blankNode('b0')] }));
+  await assert.asyncThrows(() => rules.executeRemote(connector, { focusNodes: [namedNode('http://example.com/x> } DROP ALL {')] }));
+});
+
+runner.test('ShaclRuleEngine: Run rules on the stub server', async () => {
+  await withFuseki(async connector => {
+    await connector.save(new Person(samplePersonData.johnSmith));
+    const quads = await ShaclRuleEngine.getDefault().executeRemote(connector, { referenceDate });
+    const transformed = TransformedPerson.fromQuads(quads);
+    assert.equals(transformed.fullName, 'John Smith');
+    assert.equals(transformed.age, expectedAges.johnSmith);
+  });
+});
+
 // ====================
 // DataModel Class Tests
 // ====================
@@ -376,6 +1128,22 @@ runner.test('DataModel: Create Person instance', () => {
   assert.equals(instances.length, 1);
 });
 
+runner.test('DataModel: Creating an instance with a tracked URI replaces it', () => {
+  DataModel.clearAll();
+  const first = DataModel.create('Person', samplePersonData.janeDoe);
+  const second = DataModel.create('Person', { ...samplePersonData.janeDoe, lastName: 'Roe' });
+
+  assert.equals(DataModel.getInstances('Person').length, 1);
+  assert.equals(DataModel.findByUri('Person', first.uri), second);
+  assert.equals(DataModel.getStore().match(namedNode(first.uri), namedNode('http://example.com/ex#lastName')).length, 1);
+
+  // The replaced instance is detached: it keeps its values but no longer writes to the store
+  first.firstName = 'Janet';
+  assert.equals(first.lastName, 'Doe');
+  assert.equals(second.firstName, 'Jane');
+  assert.false(DataModel.exportToTurtle('Person').includes('Janet'));
+});
+
 runner.test('DataModel: Transform Person to TransformedPerson', () => {
   DataModel.clearAll();
   const person = DataModel.create('Person', samplePersonData.janeDoe);
@@ -420,6 +1188,38 @@ runner.test('DataModel: Find by URI', () => {
   const person = DataModel.findByUri('Person', samplePersonData.janeDoe.uri);
   assert.notNull(person);
   assert.equals(person.firstName, 'Jane');
+  assert.isNull(DataModel.findByUri('Person', 'http://example.com/ex#Nobody'));
+  assert.throws(() => DataModel.findByUri('Unknown', person.uri));
+});
+
+runner.test('DataModel: Instances are views over the shared quad store', () => {
+  DataModel.clearAll();
+  const person = DataModel.create('Person', samplePersonData.janeDoe);
+  const store = DataModel.getStore();
+  const graph = namedNode(DataModel.getGraphName('Person'));
+
+  assert.equals(store.match(namedNode(person.uri), null, null, graph).length, 4);
+
+  person.lastName = 'Roe';
+  assert.true(DataModel.exportToTurtle('Person').includes('ex:lastName "Roe"'));
+  assert.false(DataModel.exportToTurtle('Person').includes('"Doe"'));
+
+  // Re-importing the same URI replaces the tracked instance
+  DataModel.importFromJSON('Person', [samplePersonData.janeDoe]);
+  assert.equals(DataModel.getInstances('Person').length, 1);
+  assert.equals(DataModel.findByUri('Person', person.uri).lastName, 'Doe');
+  assert.equals(store.match(namedNode(person.uri), namedNode('http://example.com/ex#lastName')).length, 1);
+});
+
+runner.test('DataModel: Validate tracked instances against the store', () => {
+  DataModel.clearAll();
+  const person = DataModel.create('Person', samplePersonData.janeDoe);
+  assert.true(DataModel.validateInstance('Person', person).conforms);
+
+  person.birthDate = 'not-a-date';
+  const report = DataModel.validateInstance('Person', person);
+  assert.false(report.conforms);
+  assert.true(report.results.every(result => result.focusNode.value === person.uri));
 });
 
 runner.test('DataModel: Validate instance', () => {
@@ -430,6 +1230,37 @@ runner.test('DataModel: Validate instance', () => {
   assert.true(result.valid);
 });
 
+runner.test('DataModel: Validate instance against SHACL shapes by default', () => {
+  DataModel.clearAll();
+  const transformed = DataModel.create('TransformedPerson', {
+    firstName: 'Anne-Marie',
+    lastName: 'Smith',
+    fullName: 'Anne-Marie Smith',
+    age: 30
+  });
+
+  const result = DataModel.validateInstance('TransformedPerson', transformed);
+  assert.false(result.valid);
+  assert.equals(result.errors.length, 1);
+  assert.equals(result.results[0].resultPath.value, 'http://example.com/ns/Person#fullName');
+});
+
+runner.test('DataModel: Build combined validation report', () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.create('TransformedPerson', {
+    firstName: 'Anne-Marie',
+    lastName: 'Smith',
+    fullName: 'Anne-Marie Smith',
+    age: 30
+  });
+
+  const report = DataModel.getValidationReport();
+  assert.false(report.conforms);
+  assert.equals(report.results.length, 1);
+  assert.true(DataModel.getValidationReport('Person').conforms);
+});
+
 runner.test('DataModel: Export to JSON', () => {
   DataModel.clearAll();
   DataModel.create('Person', samplePersonData.janeDoe);
@@ -448,6 +1279,17 @@ runner.test('DataModel: Export to Turtle', () => {
   assert.true(turtle.includes('ex:JaneDoe a ex:Person'));
 });
 
+runner.test('DataModel: Export mixed classes as one Turtle document', () => {
+  DataModel.clearAll();
+  const person = DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.transform(person, 'TransformedPerson', { referenceDate });
+
+  const turtle = DataModel.exportToTurtle();
+  assert.true(turtle.includes('@prefix Class: <http://example.com/ns/Class#> .'));
+  assert.equals(TransformedPerson.fromTurtle(turtle).age, expectedAges.janeDoe);
+  assert.equals(Person.fromTurtle(turtle).uri, person.uri);
+});
+
 runner.test('DataModel: Import from JSON', () => {
   DataModel.clearAll();
   const data = [samplePersonData.janeDoe, samplePersonData.johnSmith];
@@ -457,6 +1299,93 @@ runner.test('DataModel: Import from JSON', () => {
   assert.equals(DataModel.getInstances('Person').length, 2);
 });
 
+runner.test('DataModel: Import from Turtle', () => {
+  DataModel.clearAll();
+
+  const instances = DataModel.importFromTurtle('Person', sampleTurtle.irregularPeople);
+  assert.equals(instances.length, 2);
+  assert.equals(DataModel.getInstances('Person').length, 2);
+  assert.equals(DataModel.findByUri('Person', 'http://example.com/ex#MaryOBrien').lastName, "O'Brien");
+});
+
+runner.test('DataModel: Export each class to its own named graph', () => {
+  DataModel.clearAll();
+  const person = DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.transform(person, 'TransformedPerson', { referenceDate });
+
+  const nquads = DataModel.exportTo('application/n-quads');
+  const graphs = new Set(new TurtleParser({ format: 'n-quads' }).parse(nquads).map(q => q.graph.value));
+  assert.deepEquals([...graphs].sort(), [DataModel.getGraphName('Person'), DataModel.getGraphName('TransformedPerson')]);
+
+  const trig = DataModel.exportTo('application/trig');
+  assert.true(trig.includes('ex:Person {\n    ex:JaneDoe a ex:Person ;'));
+  const ntriples = DataModel.exportTo('application/n-triples');
+  assert.false(ntriples.includes('<http://example.com/ex#Person> <http://example.com/ex#Person> .'));
+  assert.throws(() => DataModel.exportTo('application/ld+json'));
+});
+
+runner.test('DataModel: Import from N-Triples, N-Quads and TriG', () => {
+  for (const mediaType of ['application/n-triples', 'application/n-quads', 'application/trig']) {
+    DataModel.clearAll();
+    const person = DataModel.create('Person', samplePersonData.janeDoe);
+    DataModel.transform(person, 'TransformedPerson', { referenceDate });
+    const exported = DataModel.exportTo(mediaType);
+
+    DataModel.clearAll();
+    const instances = DataModel.importFrom(mediaType, exported);
+    assert.equals(instances.length, 2);
+    assert.equals(DataModel.findByUri('Person', person.uri).lastName, person.lastName);
+    assert.equals(DataModel.getInstances('TransformedPerson')[0].age, expectedAges.janeDoe);
+  }
+
+  DataModel.clearAll();
+  assert.equals(DataModel.importFrom('text/turtle', sampleTurtle.irregularPeople, { className: 'Person' }).length, 2);
+});
+
+runner.test('DataModel: Export and import a JSON-LD @graph document', () => {
+  DataModel.clearAll();
+  const person = DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.transform(person, 'TransformedPerson', { referenceDate });
+
+  const jsonLd = DataModel.exportToJsonLd();
+  assert.equals(jsonLd['@context'].age['@id'], 'Person:age');
+  assert.deepEquals(jsonLd['@graph'].map(node => node['@type']), ['ex:Person', 'Class:Person']);
+  assert.equals(jsonLd['@graph'][0].birthDate, '2000-01-01');
+
+  DataModel.clearAll();
+  const instances = DataModel.importFromJsonLd(JSON.stringify(jsonLd));
+  assert.equals(instances.length, 2);
+  assert.equals(DataModel.getInstances('TransformedPerson')[0].age, expectedAges.janeDoe);
+});
+
+runner.test('DataModel: Run the sample SPARQL queries locally', () => {
+  DataModel.clearAll();
+  const jane = DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.create('Person', samplePersonData.johnSmith);
+  DataModel.transform(jane, 'TransformedPerson', { referenceDate });
+
+  const people = DataModel.query(sampleQueries.selectAllPeople);
+  assert.deepEquals(people.head.vars, ['person', 'firstName', 'lastName', 'birthDate']);
+  assert.equals(people.results.bindings.length, 2);
+  const janeRow = people.results.bindings.find(row => row.person.value === jane.uri);
+  assert.deepEquals(janeRow.birthDate, {
+    type: 'literal',
+    datatype: 'http://www.w3.org/2001/XMLSchema#date',
+    value: '2000-01-01'
+  });
+
+  const transformed = DataModel.query(sampleQueries.selectAllTransformedPeople);
+  assert.equals(transformed.results.bindings[0].fullName.value, 'Jane Doe');
+
+  assert.true(DataModel.ask(sampleQueries.askPersonExists));
+  assert.deepEquals(DataModel.query(sampleQueries.askPersonExists), { head: {}, boolean: true });
+
+  const constructed = Person.fromTurtleAll(DataModel.construct(sampleQueries.constructPerson));
+  assert.equals(constructed.length, 2);
+  assert.true(DataModel.describe(`DESCRIBE <${jane.uri}>`, 'application/n-triples').includes('"Jane"'));
+  assert.throws(() => DataModel.query(sampleQueries.constructPerson));
+});
+
 runner.test('DataModel: Get statistics', () => {
   DataModel.clearAll();
   DataModel.create('Person', samplePersonData.janeDoe);
@@ -474,6 +1403,7 @@ runner.test('DataModel: Clear instances', () => {
   
   const instances = DataModel.getInstances('Person');
   assert.equals(instances.length, 0);
+  assert.equals(DataModel.getStore().match(null, null, null, namedNode(DataModel.getGraphName('Person'))).length, 0);
 });
 
 // ====================
@@ -490,12 +1420,12 @@ runner.test('FusekiConnector: Create instance', () => {
 });
 
 runner.test('FusekiConnector: Create local connector', () => {
-  const connector = createLocalConnector('test');
+  const connector = createLocalConnector('test', {}, {});
   assert.equals(connector.queryEndpoint, 'http://localhost:3030/test/query');
 });
 
 runner.test('FusekiConnector: Get GSP endpoint', () => {
-  const connector = createLocalConnector('test');
+  const connector = createLocalConnector('test', {}, {});
   const endpoint = connector.getGspEndpoint('http://example.com/graph');
   assert.true(endpoint.includes('graph=http%3A%2F%2Fexample.com%2Fgraph'));
 });
@@ -508,35 +1438,1423 @@ runner.test('FusekiConnector: Throw error for missing dataset', () => {
   assert.throws(() => new FusekiConnector({ baseUrl: 'http://localhost:3030' }));
 });
 
-// Note: The following tests require a running Fuseki server
-// They are commented out but can be enabled for integration testing
+runner.test('FusekiConnector: Is a SPARQL Protocol connector with a separate admin client', () => {
+  const connector = createLocalConnector('test', {}, {});
+  assert.true(connector instanceof SparqlProtocolConnector);
+  assert.true(connector instanceof TripleStoreConnector);
+  assert.equals(connector.gspEndpoint, 'http://localhost:3030/test/data');
+  assert.true(connector.admin instanceof FusekiAdmin);
+  assert.equals(connector.admin.adminEndpoint, 'http://localhost:3030/$');
+  assert.equals(connector.getStats, undefined);
+});
 
-/*
-runner.test('FusekiConnector: Ping server', async () => {
-  const connector = createLocalConnector('test');
-  const isAlive = await connector.ping();
-  assert.true(isAlive, 'Server should be accessible');
+runner.test('FusekiAdmin: Create, back up and delete datasets', async () => {
+  const datasets = new Map();
+  const requests = [];
+  let polls = 0;
+
+  await withServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      requests.push(`${req.method} ${url.pathname}${url.search}`);
+      const json = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(data === undefined ? '' : JSON.stringify(data));
+      };
+      const name = decodeURIComponent(url.pathname.split('/')[3] ?? '');
+
+      if (req.method === 'POST' && url.pathname === '/$/datasets') {
+        const form = new URLSearchParams(body);
+        if (datasets.has(form.get('dbName'))) {
+          return json(409);
+        }
+        datasets.set(form.get('dbName'), true);
+        return json(200);
+      }
+      if (url.pathname.startsWith('/$/datasets/')) {
+        if (!datasets.has(name)) {
+          return json(404);
+        }
+        if (req.method === 'DELETE') {
+          datasets.delete(name);
+          return json(200);
+        }
+        if (req.method === 'POST') {
+          datasets.set(name, url.searchParams.get('state') === 'active');
+          return json(200);
+        }
+        return json(200, {
+          'ds.name': `/${name}`,
+          'ds.state': datasets.get(name),
+          'ds.services': [{ 'srv.type': 'query', 'srv.endpoints': ['query', 'sparql'] }]
+        });
+      }
+      if (req.method === 'POST' && /^\/\$\/(backup|compact)\//.test(url.pathname)) {
+        return json(200, { taskId: '7', requestId: 1 });
+      }
+      if (url.pathname === '/$/tasks/7') {
+        polls++;
+        return json(200, polls < 3
+          ? { task: 'Backup', taskId: '7', started: '2026-01-10T10:00:00Z' }
+          : { task: 'Backup', taskId: '7', started: '2026-01-10T10:00:00Z', finished: '2026-01-10T10:00:05Z', success: true });
+      }
+      if (url.pathname === '/$/tasks/8') {
+        return json(200, { task: 'Compact', taskId: '8', started: '2026-01-10T11:00:00Z', finished: '2026-01-10T11:00:01Z' });
+      }
+      if (url.pathname === '/$/tasks') {
+        return json(200, [{ task: 'Compact', taskId: '6', started: '2026-01-10T09:00:00Z', finished: '2026-01-10T09:01:00Z', success: false }]);
+      }
+      json(404);
+    });
+  }, async url => {
+    const admin = new FusekiAdmin({ baseUrl: url, dataset: 'people', retryDelay: 1 });
+
+    const created = await admin.createDataset('people', { type: 'tdb2' });
+    assert.deepEquals(created, { name: 'people', active: true, services: [{ type: 'query', endpoints: ['query', 'sparql'] }] });
+    const conflict = await rejection(() => admin.createDataset('people'));
+    assert.true(conflict instanceof HttpError);
+    assert.equals(conflict.status, 409);
+    await assert.asyncThrows(() => admin.createDataset('other', { type: 'disk' }));
+
+    assert.true((await admin.reloadDataset()).active);
+    assert.true(requests.includes('POST /$/datasets/people?state=offline'));
+
+    const started = await admin.backup();
+    assert.equals(started.id, '7');
+    assert.isNull(started.success);
+    const finished = await admin.waitForTask(started.id, { interval: 1 });
+    assert.true(finished.success);
+    assert.equals(finished.finished.toISOString(), '2026-01-10T10:00:05.000Z');
+
+    await admin.compact('people', { deleteOld: true });
+    assert.true(requests.includes('POST /$/compact/people?deleteOld=true'));
+
+    // Servers that do not report success: a finished task is not a failed one
+    const unreported = await admin.waitForTask('8', { interval: 1 });
+    assert.isNull(unreported.success);
+
+    const [failed] = await admin.listTasks();
+    assert.false(failed.success);
+
+    await admin.deleteDataset('people');
+    assert.equals((await rejection(() => admin.getDataset())).status, 404);
+  });
 });
 
-runner.test('FusekiConnector: Insert and retrieve', async () => {
-  const connector = createLocalConnector('test');
-  await connector.clear();
-  
-  const person = new Person(samplePersonData.janeDoe);
-  await connector.save(person);
-  
-  const retrieved = await connector.getPerson(person.uri);
-  assert.notNull(retrieved);
-  assert.equals(retrieved.firstName, 'Jane');
+// ====================
+// TripleStoreConnector Tests
+// ====================
+
+runner.test('TripleStoreConnector: Cannot be instantiated directly', () => {
+  assert.throws(() => new TripleStoreConnector());
 });
 
-runner.test('FusekiConnector: SPARQL query', async () => {
-  const connector = createLocalConnector('test');
-  const query = `SELECT * WHERE { ?s ?p ?o } LIMIT 10`;
-  const results = await connector.query(query);
-  assert.notNull(results);
+runner.test('TripleStoreConnector: Helpers run on any implementation', async () => {
+  // A backend only has to implement the protocol operations (see LocalConnector)
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  const connector = new LocalConnector();
+
+  const person = await connector.getPerson(samplePersonData.janeDoe.uri);
+  assert.equals(person.lastName, 'Doe');
+  assert.deepEquals(await connector.findByType('http://example.com/ex#Person'), [samplePersonData.janeDoe.uri]);
+  // Operations a backend leaves out fail
+  await assert.asyncThrows(() => TripleStoreConnector.prototype.update.call(connector, 'CLEAR DEFAULT'));
+});
+
+runner.test('TripleStoreConnector: Helpers bind values instead of splicing them', async () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  const connector = new LocalConnector();
+
+  await assert.asyncThrows(() => connector.getPerson('http://example.com/x> ?p ?o } #'));
+  await assert.asyncThrows(() => connector.findByType('http://example.com/ex#Person> . ?s ?p ?o'));
+
+  const results = await connector.findByPattern('?s ex:lastName ?name', { ex: 'http://example.com/ex#' },
+    { name: literal('Doe') });
+  assert.equals(results.results.bindings.length, 1);
+  await assert.asyncThrows(() => connector.findByPattern('?s ?p ?o } INSERT DATA { ?s ?p ?o'));
+  await assert.asyncThrows(() => connector.findByPattern('?s ?p ?o', { 'ex: <http://x/> SELECT': 'http://x/' }));
+});
+
+runner.test('TripleStoreConnector: Paginate SELECT queries', async () => {
+  DataModel.clearAll();
+  Object.values(samplePersonData).forEach(data => DataModel.create('Person', data));
+  const connector = new LocalConnector();
+  const uris = Object.values(samplePersonData).map(data => data.uri).sort();
+
+  assert.deepEquals(await connector.findByType('http://example.com/ex#Person', { pageSize: 2 }), uris);
+  assert.equals(connector.queries.length, 3);
+  assert.true(connector.queries[1].includes('FILTER(STR(?subject) > "http://example.com/ex#BobWilliams")'));
+  assert.false(connector.queries.some(query => query.includes('OFFSET')));
+
+  connector.queries = [];
+  assert.equals((await connector.findByType('http://example.com/ex#Person', { pageSize: 2, maxResults: 3 })).length, 3);
+  assert.true(connector.queries[1].includes('LIMIT 1'));
+
+  connector.queries = [];
+  const results = await connector.findByPattern('?s ex:firstName ?name', { ex: 'http://example.com/ex#' }, {},
+    { pageSize: 4 });
+  assert.deepEquals(results.head.vars, ['s', 'name']);
+  assert.deepEquals(results.results.bindings.map(b => b.name.value), ['Alice', 'Bob', 'Carol', 'Jane', 'John']);
+  assert.equals(connector.queries.length, 2);
+  assert.true(connector.queries[1].includes('ORDER BY ?s ?name\nLIMIT 4\nOFFSET 4'));
+
+  const pages = [];
+  for await (const page of connector.paginate('SELECT ?name WHERE { ?s <http://example.com/ex#lastName> ?name }', {
+    pageSize: 3,
+    orderBy: ['name']
+  })) {
+    pages.push(page.map(b => b.name.value));
+  }
+  assert.deepEquals(pages, [['Brown', 'Doe', 'Johnson'], ['Smith', 'Williams']]);
+
+  await assert.asyncThrows(() => connector.paginate('SELECT * {}', { pageSize: 0 }).next());
+});
+
+runner.test('TripleStoreConnector: Load tracked instances', async () => {
+  // Serves CONSTRUCT queries from a separate graph, as a remote store would
+  class GraphConnector extends LocalConnector {
+    #engine = new SparqlEngine({ source: new TurtleParser({ format: 'application/trig' }).parse(`
+      @prefix ex: <http://example.com/ex#> .
+      @prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
+      @prefix Person: <http://example.com/ns/Person#> .
+      @prefix Class: <http://example.com/ns/Class#> .
+      ex:JaneDoe a ex:Person ; ex:firstName "Jane" ; ex:lastName "Doe" ; ex:birthDate "2000-01-01"^^xsd:date .
+      ex:JohnSmith a ex:Person ; ex:firstName "John" ; ex:lastName "Smith" ; ex:birthDate "1985-06-15"^^xsd:date .
+      <http://example.com/graphs/people> {
+        Person:JaneDoe a Class:Person ; ex:firstName "Jane" ; ex:lastName "Doe" ;
+          Person:fullName "Jane Doe" ; Person:age "25"^^xsd:integer .
+      }
+    `) });
+
+    async construct(query, format, params) {
+      return TurtleWriter.write(this.#engine.construct(SparqlTemplate.bind(query, params)), { format });
+    }
+  }
+
+  DataModel.clearAll();
+  const connector = new GraphConnector();
+
+  const jane = await connector.load('Person', samplePersonData.janeDoe.uri);
+  assert.true(jane instanceof Person);
+  assert.true(jane.birthDate instanceof Date);
+  assert.equals(DataModel.findByUri('Person', jane.uri), jane);
+  assert.isNull(await connector.load('Person', 'http://example.com/ex#Nobody'));
+
+  assert.equals((await connector.loadAll('Person')).length, 2);
+  const page = await connector.loadAll('Person', { limit: 1, offset: 1 });
+  assert.deepEquals(page.map(person => person.uri), [samplePersonData.johnSmith.uri]);
+
+  const [transformed] = await connector.loadAll('TransformedPerson', { graph: 'http://example.com/graphs/people' });
+  assert.equals(transformed.age, 25);
+  await assert.asyncThrows(() => connector.loadAll('Person', { limit: -1 }));
+  await assert.asyncThrows(() => connector.load('Unknown', samplePersonData.janeDoe.uri));
+});
+
+runner.test('TripleStoreConnector: Upsert and delete replace the subject\'s triples', async () => {
+  const connector = new LocalConnector();
+  const person = new Person(samplePersonData.janeDoe);
+  person.lastName = 'Smith';
+
+  await connector.upsert(person, 'http://example.com/graphs/people');
+  const [upsert] = connector.updates;
+  assert.true(upsert.startsWith('WITH <http://example.com/graphs/people>\nDELETE { ?s ?p ?o }\nWHERE {\n' +
+    '  VALUES ?s { <http://example.com/ex#JaneDoe> }\n  ?s ?p ?o\n} ;\n' +
+    'INSERT DATA {\nGRAPH <http://example.com/graphs/people> {\n'));
+  assert.true(upsert.includes('<http://example.com/ex#JaneDoe> <http://example.com/ex#lastName> "Smith" .'));
+  assert.false(upsert.includes('"Doe"'));
+
+  await connector.saveAll([person, new Person(samplePersonData.johnSmith)]);
+  assert.true(connector.updates[1].includes('VALUES ?s { <http://example.com/ex#JaneDoe> <http://example.com/ex#JohnSmith> }'));
+  await connector.saveAll([]);
+  assert.equals(connector.updates.length, 2);
+
+  await connector.delete(person);
+  assert.equals(connector.updates[2], 'DELETE { <http://example.com/ex#JaneDoe> ?p ?o }\nWHERE { <http://example.com/ex#JaneDoe> ?p ?o }');
+  await assert.asyncThrows(() => connector.delete('http://example.com/ex#x> ?p ?o } #'));
+  await assert.asyncThrows(() => connector.upsert({ toTurtle: () => '' }));
+});
+
+runner.test('TripleStoreConnector: Bulk load in chunks and resume after failures', async () => {
+  class FlakyConnector extends LocalConnector {
+    inserts = [];
+    failing = new Set([2]);
+    active = 0;
+    maxActive = 0;
+
+    async insert(data, contentType, graph) {
+      const index = this.inserts.length;
+      this.inserts.push({ data, contentType, graph });
+      this.maxActive = Math.max(this.maxActive, ++this.active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      this.active--;
+      if (this.failing.delete(index)) {
+        throw new Error('Service unavailable');
+      }
+    }
+  }
+
+  function* people(count) {
+    for (let i = 0; i < count; i++) {
+      yield new Person({ uri: `http://example.com/ex#P${i}`, firstName: `P${i}`, lastName: 'Bulk', birthDate: '2000-01-01' });
+    }
+  }
+
+  const connector = new FlakyConnector();
+  const progress = [];
+  const report = await connector.bulkLoad(people(10), {
+    chunkSize: 3,
+    graph: 'http://example.com/graphs/bulk',
+    onProgress: event => progress.push(event)
+  });
+
+  assert.equals(connector.inserts.length, 3, 'No chunk is started after a failure');
+  assert.equals(connector.inserts[0].contentType, 'application/n-triples');
+  assert.equals(connector.inserts[0].graph, 'http://example.com/graphs/bulk');
+  assert.true(connector.inserts[1].data.startsWith('<http://example.com/ex#P3> '));
+  assert.equals(report.chunks, 2);
+  assert.equals(report.instances, 6);
+  assert.equals(report.failed.length, 1);
+  assert.equals(report.failed[0].chunk, 2);
+  assert.equals(report.failed[0].error.message, 'Service unavailable');
+  assert.equals(report.resumeFrom, 2);
+  assert.deepEquals(progress.map(event => event.ok), [true, true, false]);
+
+  const resumed = await connector.bulkLoad(people(10), { chunkSize: 3, resumeFrom: report.resumeFrom, concurrency: 2 });
+  assert.equals(resumed.resumeFrom, null);
+  assert.equals(resumed.instances, 4);
+  assert.equals(connector.inserts.length, 5);
+  assert.true(connector.inserts[3].data.startsWith('<http://example.com/ex#P6> '));
+  assert.equals(connector.maxActive, 2);
+
+  await assert.asyncThrows(() => connector.bulkLoad([], { chunkSize: 0 }));
+});
+
+runner.test('TripleStoreConnector: Manage named graphs', async () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.create('TransformedPerson', sampleTransformedData.janeDoe);
+  const connector = new LocalConnector();
+  const personGraph = DataModel.getGraphName('Person');
+
+  assert.deepEquals(await connector.listGraphs(), [personGraph, DataModel.getGraphName('TransformedPerson')].sort());
+  assert.true(await connector.graphExists(personGraph));
+  assert.false(await connector.graphExists('http://example.com/graphs/none'));
+  assert.equals(await connector.graphSize(personGraph), 4);
+  assert.equals(await connector.graphSize('http://example.com/graphs/none'), 0);
+  await assert.asyncThrows(() => connector.graphExists());
+
+  await connector.copyGraph('http://example.com/graphs/a', null);
+  await connector.moveGraph('http://example.com/graphs/a', 'http://example.com/graphs/b', { silent: true });
+  assert.deepEquals(connector.updates, [
+    'COPY GRAPH <http://example.com/graphs/a> TO DEFAULT',
+    'MOVE SILENT GRAPH <http://example.com/graphs/a> TO GRAPH <http://example.com/graphs/b>'
+  ]);
+  await assert.asyncThrows(() => connector.replaceGraph('http://example.com/graphs/a', ''));
+});
+
+runner.test('DataModel: Save classes to their default graphs', async () => {
+  DataModel.clearAll();
+  const connector = new LocalConnector();
+  const people = 'http://example.com/graphs/people';
+  try {
+    DataModel.setSaveGraph('Person', people);
+    DataModel.setSaveGraph('TransformedPerson', DataModel.getGraphName('TransformedPerson'));
+    assert.equals(DataModel.getClassMetadata('Person').saveGraph, people);
+    assert.throws(() => DataModel.setSaveGraph('Person', 'people'));
+    assert.throws(() => DataModel.setSaveGraph('Person', true));
+
+    const jane = DataModel.create('Person', samplePersonData.janeDoe);
+    const transformed = DataModel.create('TransformedPerson', sampleTransformedData.janeDoe);
+    assert.equals(DataModel.getSaveGraph(jane), people);
+    assert.isNull(DataModel.getSaveGraph({ uri: 'http://example.com/x' }));
+
+    await connector.upsert(jane);
+    assert.true(connector.updates[0].startsWith(`WITH <${people}>`));
+    await connector.upsert(jane, null);
+    assert.true(connector.updates[1].startsWith('DELETE'));
+
+    await connector.saveAll([jane, transformed]);
+    const operations = connector.updates[2].split(' ;\n');
+    assert.equals(operations.length, 4, 'A DELETE and an INSERT DATA per graph');
+    assert.true(operations[2].startsWith(`WITH <${DataModel.getGraphName('TransformedPerson')}>`));
+    assert.true(operations[3].startsWith(`INSERT DATA {\nGRAPH <${DataModel.getGraphName('TransformedPerson')}>`));
+
+    await connector.load('Person', jane.uri);
+    assert.true(connector.constructs[0].includes(`GRAPH <${people}>`));
+
+    jane.lastName = 'Smith';
+    transformed.lastName = 'Smith';
+    await DataModel.sync(connector);
+    const sync = connector.updates[3];
+    assert.true(sync.includes(`GRAPH <${people}> {\n<http://example.com/ex#JaneDoe> <http://example.com/ex#lastName> "Smith" .`));
+    assert.true(sync.includes(`GRAPH <${DataModel.getGraphName('TransformedPerson')}> {`));
+  } finally {
+    DataModel.setSaveGraph('Person', null);
+    DataModel.setSaveGraph('TransformedPerson', null);
+  }
+});
+
+runner.test('SparqlProtocolConnector: Replace graphs and check that they exist', async () => {
+  const graphs = new Map([['http://example.com/graphs/a', '<http://ex.org/s> <http://ex.org/p> "o" .\n']]);
+  await withServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      const graph = new URL(req.url, 'http://localhost').searchParams.get('graph');
+      if (req.method === 'PUT') {
+        graphs.set(graph, `${req.headers['content-type']}|${body}`);
+        res.writeHead(201);
+      } else {
+        res.writeHead(graphs.has(graph) ? 200 : 404);
+      }
+      res.end();
+    });
+  }, async url => {
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, gspEndpoint: url });
+    assert.true(await connector.graphExists('http://example.com/graphs/a'));
+    assert.false(await connector.graphExists('http://example.com/graphs/b'));
+
+    const jane = new Person(samplePersonData.janeDoe);
+    await connector.replaceGraph('http://example.com/graphs/b', [jane]);
+    assert.true(graphs.get('http://example.com/graphs/b').startsWith('application/n-triples|<http://example.com/ex#JaneDoe> '));
+    assert.false(jane.isDirty);
+
+    await connector.replaceGraph('http://example.com/graphs/b', '@prefix ex: <http://ex.org/> . ex:s ex:p ex:o .');
+    assert.true(graphs.get('http://example.com/graphs/b').startsWith('text/turtle|@prefix'));
+  });
+});
+
+runner.test('SparqlProtocolConnector: Use explicit endpoints', () => {
+  const connector = new SparqlProtocolConnector({
+    queryEndpoint: 'https://example.com/sparql',
+    updateEndpoint: 'https://example.com/sparql/update',
+    gspEndpoint: 'https://example.com/rdf-graph-store?dataset=people'
+  });
+
+  assert.equals(connector.queryEndpoint, 'https://example.com/sparql');
+  assert.equals(connector.updateEndpoint, 'https://example.com/sparql/update');
+  assert.equals(connector.getGspEndpoint(), 'https://example.com/rdf-graph-store?dataset=people&default');
+  assert.equals(connector.getGspEndpoint('http://example.com/g'),
+    'https://example.com/rdf-graph-store?dataset=people&graph=http%3A%2F%2Fexample.com%2Fg');
+  assert.throws(() => new SparqlProtocolConnector({}));
+});
+
+runner.test('SparqlProtocolConnector: Read-only endpoints reject writes', async () => {
+  const connector = new SparqlProtocolConnector({ queryEndpoint: 'https://example.com/sparql' });
+  assert.isNull(connector.updateEndpoint);
+  await assert.asyncThrows(() => connector.update('CLEAR DEFAULT'));
+  await assert.asyncThrows(() => connector.retrieve());
+});
+
+runner.test('DataModel: Sync sends only changed triples', async () => {
+  DataModel.clearAll();
+  const connector = new LocalConnector();
+  const jane = DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.create('Person', samplePersonData.johnSmith);
+
+  const first = await DataModel.sync(connector);
+  assert.equals(first.inserted.length, 8);
+  assert.equals(first.changed.length, 2);
+  assert.true(connector.updates[0].startsWith('INSERT DATA {\n'));
+
+  const idle = await DataModel.sync(connector);
+  assert.equals(connector.updates.length, 1);
+  assert.equals(idle.unchanged.length, 2);
+
+  jane.lastName = 'Smith';
+  const report = await DataModel.sync(connector, { graph: 'http://example.com/graphs/people' });
+  assert.deepEquals(report.changed, [jane.uri]);
+  assert.deepEquals(report.unchanged, [samplePersonData.johnSmith.uri]);
+  assert.equals(connector.updates[1], [
+    'DELETE DATA {',
+    'GRAPH <http://example.com/graphs/people> {',
+    '<http://example.com/ex#JaneDoe> <http://example.com/ex#lastName> "Doe" .',
+    '}} ;',
+    'INSERT DATA {',
+    'GRAPH <http://example.com/graphs/people> {',
+    '<http://example.com/ex#JaneDoe> <http://example.com/ex#lastName> "Smith" .',
+    '}}'
+  ].join('\n'));
+  assert.false(jane.isDirty);
+});
+
+// ====================
+// SparqlTemplate Tests
+// ====================
+
+runner.test('SparqlTemplate: Bind IRIs, literals and plain values', () => {
+  const query = SparqlTemplate.bind('SELECT ?p WHERE { $s ?p ?name . FILTER(?age > ?min) }', {
+    s: namedNode('http://example.com/people/jane'),
+    name: literal('Jane', 'en'),
+    min: 18
+  });
+
+  assert.equals(query, 'SELECT ?p WHERE { <http://example.com/people/jane> ?p "Jane"@en . FILTER(?age > 18) }');
+  assert.equals(SparqlTemplate.serialize(true), 'true');
+  assert.equals(SparqlTemplate.serialize(new Date('2024-01-02T03:04:05Z')),
+    '"2024-01-02T03:04:05.000Z"^^<http://www.w3.org/2001/XMLSchema#dateTime>');
+});
+
+runner.test('SparqlTemplate: Escape literals', () => {
+  const query = SparqlTemplate.bind('SELECT * WHERE { ?s ?p ?name }', {
+    name: 'Doe" } ; DROP ALL ; #\n'
+  });
+
+  assert.equals(query, 'SELECT * WHERE { ?s ?p "Doe\\" } ; DROP ALL ; #\\n" }');
+  assert.equals(SparqlParser.parse(query).where.patterns[0].triples[0].object.value, 'Doe" } ; DROP ALL ; #\n');
+});
+
+runner.test('SparqlTemplate: Reject unsafe or unknown parameters', () => {
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { s: namedNode('http://example.com/a> ?p ?o } #') }));
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { s: namedNode('relative') }));
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { s: blankNode('b0') }));
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { o: literal('x', 'en"} #') }));
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { missing: 1 }));
+  assert.throws(() => SparqlTemplate.bind('ASK { ?s ?p ?o }', { o: NaN }));
+});
+
+runner.test('SparqlTemplate: Reject parameters that are projected or assigned', () => {
+  const jane = namedNode('http://example.com/people/jane');
+  assert.throws(() => SparqlTemplate.bind('SELECT ?s WHERE { ?s ?p ?o }', { s: jane }));
+  assert.throws(() => SparqlTemplate.bind('SELECT ?p (COUNT(?o) AS ?n) WHERE { ?s ?p ?o }', { n: 1 }));
+  assert.throws(() => SparqlTemplate.bind('SELECT * WHERE { ?s ?p ?o BIND(STR(?o) AS ?label) }', { label: 'x' }));
+  assert.throws(() => SparqlTemplate.bind('SELECT ?p WHERE { ?s ?p ?o } GROUP BY ?p ?s', { s: jane }));
+  assert.throws(() => SparqlTemplate.bind('SELECT * WHERE { { SELECT ?s WHERE { ?s ?p ?o } } }', { s: jane }));
+
+  // Inside expressions, in patterns and in prefixed names the variable can still be bound
+  const query = 'PREFIX ex: <http://example.com/>\nSELECT ?p (COUNT(?o) AS ?n) WHERE { ?s ex:where ?o ; ?p ?o } GROUP BY ?p ORDER BY DESC(?n)';
+  assert.equals(SparqlTemplate.bind(query, { s: jane }),
+    'PREFIX ex: <http://example.com/>\nSELECT ?p (COUNT(?o) AS ?n) WHERE { <http://example.com/people/jane> ex:where ?o ; ?p ?o } GROUP BY ?p ORDER BY DESC(?n)');
+  assert.true(SparqlTemplate.bind('SELECT (STR(?s) AS ?iri) WHERE { ?s ?p ?o }', { s: jane }).startsWith('SELECT (STR(<http'));
+});
+
+runner.test('SparqlTemplate: Leave strings, IRIs and comments untouched', () => {
+  const template = 'ASK { ?s <http://example.com/q?s=1> "?s" . # ?s\n ?s ?p ?o }';
+  const query = SparqlTemplate.bind(template, { s: namedNode('http://example.com/a') });
+
+  assert.equals(query, 'ASK { <http://example.com/a> <http://example.com/q?s=1> "?s" . # ?s\n <http://example.com/a> ?p ?o }');
+});
+
+runner.test('SparqlTemplate: Check group patterns', () => {
+  assert.equals(SparqlTemplate.checkGroupPattern('?s ?p ?o . OPTIONAL { ?s ?q "}" }'), '?s ?p ?o . OPTIONAL { ?s ?q "}" }');
+  assert.throws(() => SparqlTemplate.checkGroupPattern('?s ?p ?o } DELETE WHERE { ?s ?p ?o'));
+  assert.throws(() => SparqlTemplate.checkGroupPattern('{ ?s ?p ?o'));
+  assert.throws(() => SparqlTemplate.checkGroupPattern('?s ?p "unterminated } '));
+});
+
+runner.test('DataModel: Query with parameters', () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+
+  const params = { person: namedNode(samplePersonData.janeDoe.uri), name: 'Jane' };
+  assert.true(DataModel.ask('PREFIX ex: <http://example.com/ex#> ASK { ?person ex:firstName ?name }', params));
+  assert.false(DataModel.ask('PREFIX ex: <http://example.com/ex#> ASK { ?person ex:firstName ?name }',
+    { ...params, name: 'Jane" || true || "' }));
+});
+
+// ====================
+// QueryBuilder Tests
+// ====================
+
+runner.test('DataModel: Class metadata lists shape properties', () => {
+  const metadata = DataModel.getClassMetadata('TransformedPerson');
+  assert.deepEquals(Object.keys(metadata.properties), ['firstName', 'lastName', 'fullName', 'age']);
+  assert.deepEquals(metadata.properties.age, {
+    path: 'http://example.com/ns/Person#age',
+    datatype: 'http://www.w3.org/2001/XMLSchema#integer',
+    minCount: 1,
+    maxCount: 1
+  });
+});
+
+runner.test('QueryBuilder: Compile to SPARQL', () => {
+  const query = select('Person').where('lastName', 'Doe').orderBy('birthDate').limit(10).toSparql();
+
+  assert.equals(query, [
+    'SELECT ?uri ?firstName ?lastName ?birthDate',
+    'WHERE {',
+    '  ?uri a <http://example.com/ex#Person> .',
+    '  ?uri <http://example.com/ex#firstName> ?firstName .',
+    '  ?uri <http://example.com/ex#lastName> ?lastName .',
+    '  ?uri <http://example.com/ex#birthDate> ?birthDate .',
+    '  FILTER(?lastName = "Doe")',
+    '}',
+    'ORDER BY ASC(?birthDate)',
+    'LIMIT 10'
+  ].join('\n'));
+});
+
+runner.test('QueryBuilder: Run over DataModel and local graphs', async () => {
+  DataModel.clearAll();
+  for (const data of Object.values(samplePersonData)) {
+    DataModel.create('Person', data);
+  }
+
+  const rows = await select('Person', ['firstName'])
+    .where('birthDate', '>=', new Date('1990-01-01'))
+    .orderBy('birthDate', 'desc')
+    .execute();
+  assert.deepEquals(rows.map(row => row.firstName), ['Carol', 'Jane', 'Alice']);
+
+  const local = await select('Person').where('lastName', 'in', ['Doe', 'Smith']).orderBy('uri')
+    .execute(DataModel.getStore());
+  assert.deepEquals(local.map(row => row.uri), [samplePersonData.janeDoe.uri, samplePersonData.johnSmith.uri]);
+  assert.equals(local[0].birthDate, '2000-01-01');
+});
+
+runner.test('QueryBuilder: Run against a connector', async () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.transform(DataModel.getInstances('Person')[0], 'TransformedPerson', { referenceDate: new Date('2025-06-01') });
+
+  const rows = await select('TransformedPerson').where('age', 25).execute(new LocalConnector());
+  assert.equals(rows.length, 1);
+  assert.equals(rows[0].fullName, 'Jane Doe');
+});
+
+runner.test('QueryBuilder: Reject unknown names and unsafe values', () => {
+  assert.throws(() => select('Unknown'));
+  assert.throws(() => select('Person').where('nickname', 'J'));
+  assert.throws(() => select('Person').where('lastName', 'like', 'D'));
+  assert.throws(() => select('Person').orderBy('lastName', 'sideways'));
+  assert.throws(() => select('Person').limit(-1));
+  assert.throws(() => select('Person').where('uri', 'http://example.com/a> ?p ?o').toSparql());
+  assert.true(select('Person').where('lastName', 'contains', 'Doe") || true || ("').toSparql()
+    .includes('CONTAINS(STR(?lastName), "Doe\\") || true || (\\"")'));
+});
+
+// ====================
+// HttpClient Tests
+// ====================
+
+/**
+ * Runs a test against a throwaway local HTTP server
+ */
+async function withServer(handler, run) {
+  const server = createServer(handler);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    return await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+/**
+ * Connector over DataModel's tracked instances: SELECT and ASK queries run on
+ * them, updates and CONSTRUCT queries are only recorded (with parameters bound)
+ */
+class LocalConnector extends TripleStoreConnector {
+  queries = [];
+  updates = [];
+  constructs = [];
+
+  async query(query, params) {
+    this.queries.push(query);
+    return DataModel.query(query, params);
+  }
+
+  async ask(query, params) {
+    return DataModel.ask(query, params);
+  }
+
+  async update(update, params) {
+    this.updates.push(SparqlTemplate.bind(update, params));
+  }
+
+  async construct(query, format, params) {
+    this.constructs.push(SparqlTemplate.bind(query, params));
+    return '';
+  }
+}
+
+runner.test('HttpClient: Retry 502/503/504 with backoff', async () => {
+  let hits = 0;
+  await withServer((req, res) => {
+    hits++;
+    res.writeHead(hits < 3 ? 503 : 200);
+    res.end(hits < 3 ? 'busy' : '{"boolean":true}');
+  }, async url => {
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, retryDelay: 1 });
+    assert.true(await connector.ask('ASK {}'));
+    assert.equals(hits, 3);
+
+    hits = 0;
+    await assert.asyncThrows(() => connector.ask('ASK {}', {}, { retries: 1 }));
+    assert.equals(hits, 2);
+  });
+});
+
+runner.test('HttpClient: Do not retry updates unsafely', async () => {
+  let hits = 0;
+  await withServer((req, res) => {
+    hits++;
+    res.writeHead(502);
+    res.end();
+  }, async url => {
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, updateEndpoint: url, retryDelay: 1 });
+    await assert.asyncThrows(() => connector.update('CLEAR DEFAULT'));
+    assert.equals(hits, 1);
+
+    await assert.asyncThrows(() => connector.update('CLEAR DEFAULT', {}, { idempotent: true, retries: 2 }));
+    assert.equals(hits, 4);
+  });
+
+  // A refused connection never reached the server, so even updates are retried
+  const client = new HttpClient({ retries: 2, retryDelay: 40 });
+  let refusedUrl;
+  await withServer(() => {}, async url => {
+    refusedUrl = url;
+  });
+  const started = Date.now();
+  await assert.asyncThrows(() => client.request(refusedUrl, { method: 'POST' }, { idempotent: false }));
+  assert.true(Date.now() - started >= 40 + 80, 'Expected two backoff delays');
+});
+
+runner.test('HttpClient: Time out and abort requests', async () => {
+  let hits = 0;
+  await withServer(() => {
+    hits++; // Never answers
+  }, async url => {
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, timeout: 50, retryDelay: 1 });
+    const started = Date.now();
+    try {
+      await connector.query('SELECT * WHERE { ?s ?p ?o }');
+      assert.true(false, 'Expected a timeout');
+    } catch (error) {
+      assert.true(error.message.includes('timed out after 50ms'));
+    }
+    assert.equals(hits, 1);
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(new Error('Cancelled by caller')), 20);
+    try {
+      await connector.query('SELECT * WHERE { ?s ?p ?o }', {}, { timeout: 0, signal: controller.signal });
+      assert.true(false, 'Expected an abort');
+    } catch (error) {
+      assert.true(error.message.includes('Cancelled by caller'));
+    }
+    assert.true(Date.now() - started < 2000);
+  });
+
+  assert.throws(() => new HttpClient({ timeout: -1 }));
+});
+
+runner.test('HttpClient: Run interceptors once per request', async () => {
+  const traces = [];
+  const events = [];
+  let hits = 0;
+  await withServer((req, res) => {
+    hits++;
+    traces.push(req.headers['x-trace']);
+    res.writeHead(hits === 1 ? 503 : 200);
+    res.end(hits === 1 ? '' : 'hello');
+  }, async url => {
+    const client = new HttpClient({
+      retryDelay: 1,
+      interceptors: [{ onRequest: request => { request.headers['X-Trace'] = 'abc'; } }]
+    });
+    const remove = client.use({
+      onRequest: request => events.push(['request', request.operation, request.method]),
+      onResponse: (response, request) => events.push(['response', request.operation, response.status, response.bytes, response.attempts]),
+      onError: error => events.push(['error', error.name])
+    });
+
+    const response = await client.request(url, { method: 'POST', body: 'x' }, { operation: 'test' });
+    assert.equals(response.body, 'hello');
+    assert.deepEquals(traces, ['abc', 'abc']);
+    assert.deepEquals(events, [['request', 'test', 'POST'], ['response', 'test', 200, 5, 2]]);
+
+    // Streamed bodies are reported once they have been read
+    events.length = 0;
+    const streamed = await client.stream(url, {}, { operation: 'stream' });
+    assert.equals(events.length, 1);
+    assert.equals((await collect(streamed.body)).join(''), 'hello');
+    assert.deepEquals(events[1], ['response', 'stream', 200, 5, 1]);
+
+    remove();
+    events.length = 0;
+    await client.request(url);
+    assert.equals(events.length, 0);
+    assert.equals(client.interceptors.length, 1);
+  });
+
+  // No response at all: onError with the attempts made
+  let refusedUrl;
+  await withServer(() => {}, async url => {
+    refusedUrl = url;
+  });
+  const failures = [];
+  const client = new HttpClient({ retries: 1, retryDelay: 1 });
+  client.use({ onError: (error, request, { attempts }) => failures.push([error.name, attempts]) });
+  await assert.asyncThrows(() => client.request(refusedUrl));
+  assert.deepEquals(failures, [['ConnectionError', 2]]);
+
+  assert.throws(() => client.use({ onResponse: 'not a function' }));
+});
+
+// ====================
+// Auth Tests
+// ====================
+
+runner.test('Auth: Send basic credentials and custom headers with every request', async () => {
+  const seen = [];
+  await withServer((req, res) => {
+    seen.push([req.method, req.headers['authorization'], req.headers['x-api-key']]);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(req.url.startsWith('/$/') ? '{"datasets":[]}' : '{"boolean":true}');
+  }, async url => {
+    await new SparqlProtocolConnector({ queryEndpoint: url, username: 'admin', password: 'pw' }).ask('ASK {}');
+    await new FusekiAdmin({ baseUrl: url, username: 'admin', password: 'pw' }).listDatasets();
+
+    const requests = [];
+    const auth = new HeaderAuth(async request => {
+      requests.push(request);
+      return { 'X-Api-Key': `key-${requests.length}` };
+    });
+    await new SparqlProtocolConnector({ queryEndpoint: url, updateEndpoint: url, auth }).update('CLEAR DEFAULT');
+    assert.deepEquals(requests, [{ url, method: 'POST' }]);
+  });
+
+  const basic = `Basic ${Buffer.from('admin:pw').toString('base64')}`;
+  assert.deepEquals(seen, [['POST', basic, undefined], ['GET', basic, undefined], ['POST', undefined, 'key-1']]);
+  assert.throws(() => new BasicAuth({ username: 'admin' }));
+  assert.throws(() => new HttpClient({ auth: {} }));
+});
+
+runner.test('Auth: Refresh bearer tokens on expiry and after a 401', async () => {
+  let valid = 'token-1';
+  let updates = 0;
+  await withServer((req, res) => {
+    if (req.headers['authorization'] !== `Bearer ${valid}`) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Bearer' });
+      return res.end();
+    }
+    updates += req.url.includes('update') ? 1 : 0;
+    res.writeHead(200);
+    res.end('{"boolean":true}');
+  }, async url => {
+    let refreshes = 0;
+    const auth = new BearerAuth({
+      token: 'token-1',
+      refresh: async () => {
+        refreshes++;
+        await HttpClient.sleep(5);
+        return { token: valid, expiresIn: 3600 };
+      }
+    });
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, updateEndpoint: `${url}/update`, auth });
+    assert.true(await connector.ask('ASK {}'));
+    assert.equals(refreshes, 0);
+
+    // The server revokes the token; the update is resent once with a new one
+    valid = 'token-2';
+    await connector.update('CLEAR DEFAULT');
+    assert.equals(updates, 1);
+    assert.equals(refreshes, 1);
+
+    // Concurrent requests share one refresh of an expired token
+    const expiring = new BearerAuth({ token: 'old', expiresAt: Date.now() - 1, refresh: () => { refreshes++; return valid; } });
+    const shared = new SparqlProtocolConnector({ queryEndpoint: url, auth: expiring });
+    await Promise.all([shared.ask('ASK {}'), shared.ask('ASK {}')]);
+    assert.equals(refreshes, 2);
+
+    const fixed = new SparqlProtocolConnector({ queryEndpoint: url, auth: new BearerAuth({ token: 'token-1' }) });
+    assert.true((await rejection(() => fixed.ask('ASK {}'))) instanceof AuthError);
+  });
+});
+
+runner.test('Auth: Answer HTTP Digest challenges', async () => {
+  const md5 = text => createHash('md5').update(text).digest('hex');
+  const authorizations = [];
+  await withServer((req, res) => {
+    const header = req.headers['authorization'] ?? '';
+    authorizations.push(header);
+    const fields = Object.fromEntries([...header.matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)].map(m => [m[1], m[2] ?? m[3]]));
+    const ha1 = md5('admin:fuseki:secret');
+    const ha2 = md5(`${req.method}:${req.url}`);
+    const expected = md5(`${ha1}:n1:${fields.nc}:${fields.cnonce}:auth:${ha2}`);
+    if (!header.startsWith('Digest ') || fields.response !== expected || fields.uri !== req.url) {
+      res.writeHead(401, { 'WWW-Authenticate': 'Digest realm="fuseki", nonce="n1", qop="auth,auth-int", opaque="o1"' });
+      return res.end();
+    }
+    res.writeHead(200);
+    res.end('{"boolean":true}');
+  }, async url => {
+    const connector = new SparqlProtocolConnector({
+      queryEndpoint: `${url}/ds/query`,
+      auth: new DigestAuth({ username: 'admin', password: 'secret' })
+    });
+    assert.true(await connector.ask('ASK {}'));
+    assert.true(await connector.ask('ASK {}'));
+    assert.equals(authorizations.length, 3);
+    assert.equals(authorizations[0], '');
+    assert.true(authorizations[2].includes('nc=00000002'));
+    assert.true(authorizations[2].includes('opaque="o1"'));
+
+    const wrong = new SparqlProtocolConnector({
+      queryEndpoint: url,
+      auth: new DigestAuth({ username: 'admin', password: 'wrong' })
+    });
+    assert.equals((await rejection(() => wrong.ask('ASK {}'))).status, 401);
+  });
+});
+
+runner.test('Auth: Read credentials from environment variables', () => {
+  assert.isNull(AuthProvider.fromEnv('FUSEKI', {}));
+  assert.true(AuthProvider.fromEnv('FUSEKI', { FUSEKI_USERNAME: 'admin', FUSEKI_PASSWORD: 'pw' }) instanceof BasicAuth);
+  assert.true(AuthProvider.fromEnv('STORE', { STORE_USERNAME: 'admin', STORE_PASSWORD: 'pw', STORE_AUTH: 'Digest' }) instanceof DigestAuth);
+  assert.true(AuthProvider.fromEnv('FUSEKI', { FUSEKI_TOKEN: 'abc' }) instanceof BearerAuth);
+  assert.throws(() => AuthProvider.fromEnv('FUSEKI', { FUSEKI_AUTH: 'bearer' }));
+  assert.throws(() => AuthProvider.fromEnv('FUSEKI', { FUSEKI_AUTH: 'kerberos' }));
+
+  const connector = createLocalConnector('people', {}, { FUSEKI_URL: 'http://fuseki.internal:3030', FUSEKI_TOKEN: 'abc' });
+  assert.equals(connector.queryEndpoint, 'http://fuseki.internal:3030/people/query');
+  assert.true(connector.http.auth instanceof BearerAuth);
+
+  // Explicit credentials win, and the environment's are not even read
+  const env = { FUSEKI_TOKEN: 'abc', FUSEKI_AUTH: 'kerberos' };
+  const basic = createLocalConnector('people', { username: 'admin', password: 'pw' }, env);
+  assert.true(basic.http.auth instanceof BasicAuth);
+  const bearer = new BearerAuth({ token: 'xyz' });
+  assert.equals(createLocalConnector('people', { auth: bearer }, env).http.auth, bearer);
+  assert.throws(() => createLocalConnector('people', {}, env));
+});
+
+runner.test('Auth: Send requests through a custom dispatcher', async () => {
+  const seen = [];
+  // Stands in for an undici Agent holding a client certificate; it fails every request after recording it
+  const dispatcher = {
+    dispatch(options, handler) {
+      seen.push(`${options.method} ${options.origin}${options.path}`);
+      handler.onError(new Error('blocked'));
+      return true;
+    }
+  };
+  const connector = new FusekiConnector({ baseUrl: 'https://fuseki.example.com', dataset: 'test', dispatcher, retries: 0 });
+  assert.true(await rejection(() => connector.ask('ASK {}')) instanceof ConnectionError);
+  assert.false(await connector.admin.ping());
+  assert.deepEquals(seen, ['POST https://fuseki.example.com/test/query', 'GET https://fuseki.example.com/$/ping']);
+  assert.throws(() => new FusekiConnector({ baseUrl: 'https://fuseki.example.com', dataset: 'test', dispatcher: {} }));
+});
+
+// ====================
+// Error Tests
+// ====================
+
+/**
+ * Returns the error a promise rejects with
+ */
+async function rejection(fn) {
+  try {
+    await fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected async function to throw an error');
+}
+
+runner.test('Errors: Classify error responses', async () => {
+  const responses = {
+    '/syntax': [400, 'Parse error: \nEncountered " "}" "} "" at line 1, column 24.\nWas expecting one of: ...'],
+    '/bad': [400, 'Bad request'],
+    '/auth': [401, 'Unauthorized'],
+    '/forbidden': [403, ''],
+    '/broken': [500, 'Internal error']
+  };
+  await withServer((req, res) => {
+    const [status, body] = responses[req.url];
+    res.writeHead(status);
+    res.end(body);
+  }, async url => {
+    const query = path => new SparqlProtocolConnector({ queryEndpoint: `${url}${path}`, retries: 0 })
+      .query('SELECT * WHERE { ?s ?p ?o }}');
+
+    const syntax = await rejection(() => query('/syntax'));
+    assert.true(syntax instanceof SparqlSyntaxError);
+    assert.true(syntax instanceof HttpError);
+    assert.true(syntax instanceof TripleStoreError);
+    assert.equals(syntax.name, 'SparqlSyntaxError');
+    assert.equals(syntax.status, 400);
+    assert.equals(syntax.line, 1);
+    assert.equals(syntax.column, 24);
+    assert.equals(syntax.url, `${url}/syntax`);
+    assert.true(syntax.body.startsWith('Parse error'));
+
+    const bad = await rejection(() => query('/bad'));
+    assert.equals(bad.constructor, HttpError);
+
+    assert.true(await rejection(() => query('/auth')) instanceof AuthError);
+    assert.true(await rejection(() => query('/forbidden')) instanceof AuthError);
+
+    const broken = await rejection(() => query('/broken'));
+    assert.equals(broken.constructor, HttpError);
+    assert.equals(broken.status, 500);
+    assert.equals(broken.body, 'Internal error');
+  });
+});
+
+runner.test('Errors: Keep the original error as cause', async () => {
+  let refusedUrl;
+  await withServer(() => {}, async url => {
+    refusedUrl = url;
+  });
+  const connector = new SparqlProtocolConnector({ queryEndpoint: refusedUrl, retries: 0 });
+  const refused = await rejection(() => connector.ask('ASK {}'));
+  assert.true(refused instanceof ConnectionError);
+  assert.false(refused instanceof TimeoutError);
+  assert.equals(refused.code, 'ECONNREFUSED');
+  assert.notNull(refused.cause);
+
+  await withServer((req, res) => {
+    if (req.url === '/json') {
+      res.end('not json');
+    }
+  }, async url => {
+    const timedOut = await rejection(() => new FusekiAdmin({ baseUrl: url, timeout: 30, retries: 0 }).listDatasets());
+    assert.true(timedOut instanceof TimeoutError);
+    assert.true(timedOut instanceof ConnectionError);
+    assert.equals(timedOut.timeout, 30);
+
+    const invalid = await rejection(() => new SparqlProtocolConnector({ queryEndpoint: `${url}/json` }).query('SELECT * {}'));
+    assert.equals(invalid.constructor, TripleStoreError);
+    assert.true(invalid.cause instanceof SyntaxError);
+  });
+});
+
+// ====================
+// Streaming Tests
+// ====================
+
+/**
+ * Collects the values of an async iterable
+ */
+async function collect(iterable) {
+  const values = [];
+  for await (const value of iterable) {
+    values.push(value);
+  }
+  return values;
+}
+
+runner.test('Streaming: Parse SPARQL JSON results incrementally', async () => {
+  const document = JSON.stringify({
+    head: { vars: ['s', 'label'] },
+    results: {
+      bindings: [
+        { s: { type: 'uri', value: 'http://ex.org/a' }, label: { type: 'literal', value: 'say "}]" \\ {' } },
+        { s: { type: 'bnode', value: 'b0' } }
+      ]
+    }
+  }, null, 1);
+
+  const parser = new SparqlResultsParser();
+  const bindings = await collect(parser.parseStream(document.match(/[^]{1,3}/g)));
+  assert.deepEquals(parser.vars, ['s', 'label']);
+  assert.equals(bindings.length, 2);
+  assert.equals(bindings[0].label.value, 'say "}]" \\ {');
+  assert.equals(bindings[1].s.type, 'bnode');
+
+  assert.equals((await collect(parser.parseStream(['{"head":{"vars":[]},"results":{"bindings":[]}}']))).length, 0);
+  await assert.asyncThrows(() => collect(parser.parseStream([document.slice(0, -20)])));
+});
+
+runner.test('Streaming: Stream results from the endpoint', async () => {
+  const ntriples = '<http://ex.org/a> <http://ex.org/p> "1" .\n<http://ex.org/b> <http://ex.org/p> "2" .\n';
+  let closed = 0;
+  await withServer(async (req, res) => {
+    res.on('close', () => closed++);
+    if (req.url.startsWith('/bad')) {
+      res.writeHead(400);
+      res.end('Parse error: Encountered "x" at line 1, column 1.');
+      return;
+    }
+    res.writeHead(200);
+    if (req.method === 'GET') {
+      res.end(ntriples);
+      return;
+    }
+    if (req.headers.accept === 'application/n-triples') {
+      res.write(ntriples.slice(0, 30));
+      setTimeout(() => res.end(ntriples.slice(30)), 20);
+      return;
+    }
+    // An endless SELECT result, written one solution at a time
+    res.write('{"head":{"vars":["n"]},"results":{"bindings":[');
+    let n = 0;
+    const timer = setInterval(() => res.write(`${n ? ',' : ''}{"n":{"type":"literal","value":"${n++}"}}`), 5);
+    res.on('close', () => clearInterval(timer));
+  }, async url => {
+    const connector = new SparqlProtocolConnector({ queryEndpoint: url, gspEndpoint: url, timeout: 1000 });
+
+    const values = [];
+    for await (const binding of connector.selectStream('SELECT ?n WHERE { ?s ?p ?n }')) {
+      values.push(binding.n.value);
+      if (values.length === 3) {
+        break;
+      }
+    }
+    assert.deepEquals(values, ['0', '1', '2']);
+
+    const constructed = await collect(connector.constructStream('CONSTRUCT WHERE { ?s ?p ?o }'));
+    assert.deepEquals(constructed.map(q => q.subject.value), ['http://ex.org/a', 'http://ex.org/b']);
+
+    const retrieved = await collect(connector.retrieveStream('http://ex.org/g'));
+    assert.equals(retrieved[1].object.value, '2');
+
+    const bad = new SparqlProtocolConnector({ queryEndpoint: `${url}/bad` });
+    try {
+      await collect(bad.selectStream('SELECT * WHERE { x }'));
+      assert.true(false, 'Expected a syntax error');
+    } catch (error) {
+      assert.true(error instanceof SparqlSyntaxError);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.true(closed >= 1, 'Breaking out of the loop closes the response');
+  });
+});
+
+runner.test('Streaming: Fall back to buffered results', async () => {
+  DataModel.clearAll();
+  DataModel.create('Person', samplePersonData.janeDoe);
+  DataModel.create('Person', samplePersonData.johnSmith);
+
+  const bindings = await collect(new LocalConnector().selectStream(
+    'SELECT ?name WHERE { ?s <http://example.com/ex#firstName> ?name } ORDER BY ?name'));
+  assert.deepEquals(bindings.map(b => b.name.value), ['Jane', 'John']);
+});
+
+// ====================
+// Fuseki Stub Server Tests
+// ====================
+
+/**
+ * Runs a test against a fresh FusekiStubServer with a 'test' dataset
+ */
+async function withFuseki(run, options) {
+  const stub = new FusekiStubServer(options);
+  await stub.start();
+  try {
+    return await run(stub.connector('test', { retries: 0 }), stub);
+  } finally {
+    await stub.stop();
+  }
+}
+
+runner.test('FusekiConnector: Ping server', async () => {
+  await withFuseki(async connector => {
+    const isAlive = await connector.ping();
+    assert.true(isAlive, 'Server should be accessible');
+  });
+});
+
+runner.test('FusekiConnector: Insert and retrieve', async () => {
+  await withFuseki(async connector => {
+    await connector.clear();
+
+    const person = new Person(samplePersonData.janeDoe);
+    await connector.save(person);
+
+    const retrieved = await connector.getPerson(person.uri);
+    assert.notNull(retrieved);
+    assert.equals(retrieved.firstName, 'Jane');
+  });
+});
+
+runner.test('FusekiConnector: Loading a tracked instance refreshes it in place', async () => {
+  await withFuseki(async connector => {
+    DataModel.clearAll();
+    const jane = DataModel.create('Person', samplePersonData.janeDoe);
+    await DataModel.sync(connector);
+    await connector.update(`PREFIX ex: <http://example.com/ex#>
+      DELETE { ?s ex:lastName ?o } INSERT { ?s ex:lastName "Roe" } WHERE { ?s ex:lastName ?o }`);
+
+    assert.equals(await connector.load('Person', jane.uri), jane);
+    assert.equals(jane.lastName, 'Roe');
+    assert.false(jane.isDirty);
+    assert.deepEquals(await connector.loadAll('Person'), [jane]);
+    assert.equals(DataModel.findByUri('Person', jane.uri), jane);
+
+    // Edits after loading still reach the store
+    jane.lastName = 'Smith';
+    const report = await DataModel.sync(connector);
+    assert.deepEquals(report.changed, [jane.uri]);
+    assert.true(await connector.ask('ASK { ?s <http://example.com/ex#lastName> "Smith" }'));
+    assert.false(await connector.ask('ASK { ?s <http://example.com/ex#lastName> "Roe" }'));
+  });
+});
+
+runner.test('FusekiConnector: SPARQL query', async () => {
+  await withFuseki(async connector => {
+    await connector.save(new Person(samplePersonData.janeDoe));
+    const query = `SELECT * WHERE { ?s ?p ?o } LIMIT 10`;
+    const results = await connector.query(query);
+    assert.notNull(results);
+    assert.deepEquals(results.head.vars, ['s', 'p', 'o']);
+    assert.equals(results.results.bindings.length, 4);
+  });
+});
+
+runner.test('FusekiConnector: Find instances in their save graph', async () => {
+  DataModel.clearAll();
+  const people = 'http://example.com/graphs/people';
+  await withFuseki(async connector => {
+    try {
+      DataModel.setSaveGraph('Person', people);
+      const jane = DataModel.create('Person', samplePersonData.janeDoe);
+      await connector.upsert(jane);
+      assert.equals(await connector.graphSize(), 0);
+
+      assert.deepEquals(await connector.findByType('http://example.com/ex#Person'), [jane.uri]);
+      assert.deepEquals(await connector.findByType('http://example.com/ex#Person', { graph: null }), []);
+
+      const pattern = '?s ex:lastName ?name';
+      const prefixes = { ex: 'http://example.com/ex#' };
+      const found = await connector.findByPattern(pattern, prefixes, {}, { className: 'Person' });
+      assert.deepEquals(found.results.bindings.map(b => b.name.value), ['Doe']);
+      assert.deepEquals(found.head.vars, ['s', 'name']);
+      assert.equals((await connector.findByPattern(pattern, prefixes)).results.bindings.length, 0);
+      assert.equals((await connector.findByPattern(pattern, prefixes, {}, { graph: people })).results.bindings.length, 1);
+
+      const rows = await select('Person').where('lastName', 'Doe').execute(connector);
+      assert.deepEquals(rows.map(row => row.uri), [jane.uri]);
+      assert.equals((await select('Person').execute(connector, { graph: null })).length, 0);
+      assert.equals((await select('Person').execute()).length, 1, 'Locally every class graph is queried');
+    } finally {
+      DataModel.setSaveGraph('Person', null);
+    }
+  });
+});
+
+runner.test('FusekiConnector: Update, load and sync against the stub server', async () => {
+  DataModel.clearAll();
+  await withFuseki(async connector => {
+    const jane = DataModel.create('Person', samplePersonData.janeDoe);
+    await connector.saveAll([jane, DataModel.create('Person', samplePersonData.johnSmith)]);
+    assert.deepEquals(await connector.findByType('http://example.com/ex#Person'),
+      ['http://example.com/ex#JaneDoe', 'http://example.com/ex#JohnSmith']);
+
+    jane.lastName = 'Smith';
+    const report = await DataModel.sync(connector);
+    assert.deepEquals(report.changed, [jane.uri]);
+    assert.equals((await connector.load('Person', jane.uri)).lastName, 'Smith');
+    assert.true(await connector.ask('ASK { ?s <http://example.com/ex#lastName> "Smith" }'));
+    jane.firstName = 'Janet';
+    await connector.saveAll([jane]);
+    assert.equals(await connector.graphSize(), 8, 'saveAll() replaces the triples it sends');
+    assert.equals((await connector.load('Person', jane.uri)).firstName, 'Janet');
+
+    await connector.delete(jane);
+    assert.isNull(await connector.load('Person', jane.uri));
+    assert.equals(await connector.graphSize(), 4);
+
+    const error = await rejection(() => connector.update('INSERT DTA { }'));
+    assert.true(error instanceof SparqlSyntaxError);
+  });
+});
+
+runner.test('FusekiConnector: Manage graphs on the stub server', async () => {
+  await withFuseki(async (connector, stub) => {
+    const people = 'http://example.com/graphs/people';
+    const archive = 'http://example.com/graphs/archive';
+
+    await connector.replaceGraph(people, [new Person(samplePersonData.janeDoe)]);
+    assert.true(await connector.graphExists(people));
+    assert.false(await connector.graphExists(archive));
+    assert.equals(await connector.graphSize(), 0);
+
+    await connector.copyGraph(people, archive);
+    await connector.insert('<http://example.com/ex#x> <http://example.com/ex#p> "x" .', 'application/n-triples', archive);
+    assert.deepEquals(await connector.listGraphs(), [archive, people]);
+    assert.equals(await connector.graphSize(archive), 5);
+
+    await connector.moveGraph(archive, null);
+    assert.deepEquals(await connector.listGraphs(), [people]);
+    assert.equals(stub.store('test').match(null, null, null, defaultGraph()).length, 5);
+
+    const quads = await collect(connector.retrieveStream(people));
+    assert.equals(quads.length, 4);
+    await connector.clear(people);
+    const missing = await rejection(() => connector.clear(people));
+    assert.equals(missing.status, 404);
+  });
+});
+
+runner.test('FusekiAdmin: Manage datasets on the stub server', async () => {
+  await withFuseki(async (connector, stub) => {
+    const admin = connector.admin;
+    assert.deepEquals(await admin.listDatasets(), ['test']);
+
+    const created = await admin.createDataset('people', { type: 'tdb2' });
+    assert.deepEquals(created.services.map(service => service.type), ['query', 'update', 'gsp-rw']);
+    assert.equals((await rejection(() => admin.createDataset('people'))).status, 409);
+    await stub.connector('people', { retries: 0 }).save(new Person(samplePersonData.janeDoe));
+    assert.equals(stub.store('people').size, 4);
+
+    await assert.asyncThrows(() => connector.query('SELEC'));
+    const stats = await admin.getStats('test');
+    assert.equals(stats.datasets['/test'].RequestsBad, 1);
+    assert.equals(stats.datasets['/test'].endpoints.query.Requests, 1);
+
+    await admin.deleteDataset('people');
+    assert.deepEquals(stub.datasets, ['test']);
+    assert.equals((await rejection(() => admin.getDataset('people'))).status, 404);
+  });
+});
+
+runner.test('FusekiAdmin: Reload toggles the dataset offline and back', async () => {
+  await withFuseki(async (connector, stub) => {
+    await connector.save(new Person(samplePersonData.janeDoe));
+    const sent = [];
+    let offlineStatus = null;
+    connector.admin.use({
+      onRequest: async request => {
+        if (!request.operation.startsWith('admin:')) {
+          return;
+        }
+        const { search } = new URL(request.url);
+        sent.push(`${request.method} ${search}`);
+        if (search === '?state=active') {
+          offlineStatus = (await rejection(() => connector.ask('ASK { ?s ?p ?o }'))).status;
+        }
+      }
+    });
+
+    const dataset = await connector.admin.reloadDataset();
+    assert.deepEquals(sent, ['POST ?state=offline', 'POST ?state=active', 'GET ']);
+    assert.equals(offlineStatus, 503);
+    assert.true(dataset.active);
+
+    // Nothing is reloaded: the data stays and queries work again
+    assert.equals(stub.store('test').size, 4);
+    assert.true(await connector.ask('ASK { ?s ?p ?o }'));
+  });
+});
+
+runner.test('FusekiAdmin: Interceptors added to connector.http see admin requests', async () => {
+  await withFuseki(async connector => {
+    const operations = [];
+    const remove = connector.http.use({ onRequest: request => operations.push(request.operation) });
+    assert.true(await connector.ping());
+    await connector.admin.listDatasets();
+    await connector.ask('ASK {}');
+    assert.deepEquals(operations, ['admin:ping', 'admin:datasets', 'ask']);
+    assert.equals(connector.getMetrics().operations['admin:ping'].requests, 1);
+
+    remove();
+    await connector.admin.listDatasets();
+    assert.equals(operations.length, 3);
+  });
+});
+
+runner.test('FusekiAdmin: Reload retries making the dataset active and reports when it stays offline', async () => {
+  await withFuseki(async connector => {
+    let failures = 1;
+    let attempts = 0;
+    connector.admin.use({
+      onRequest: request => {
+        if (request.url.endsWith('?state=active')) {
+          attempts++;
+          if (failures-- > 0) {
+            throw new Error('Connection reset');
+          }
+        }
+      }
+    });
+
+    assert.true((await connector.admin.reloadDataset()).active);
+    assert.equals(attempts, 2);
+
+    failures = 2;
+    const error = await rejection(() => connector.admin.reloadDataset());
+    assert.true(error instanceof TripleStoreError);
+    assert.true(error.message.includes('dataset "test" is still offline'));
+    assert.equals(error.cause.message, 'Connection reset');
+    assert.false((await connector.admin.getDataset()).active);
+  });
+});
+
+// ====================
+// Metrics and Logging Tests
+// ====================
+
+runner.test('ConnectorMetrics: Count requests and latencies per operation', async () => {
+  await withFuseki(async connector => {
+    await connector.save(new Person(samplePersonData.janeDoe));
+    await connector.query('SELECT * WHERE { ?s ?p ?o }');
+    await connector.query('SELECT ?s WHERE { ?s ?p ?o }');
+    await assert.asyncThrows(() => connector.query('SELEC'));
+    assert.true(await connector.ping());
+
+    const { since, operations } = connector.getMetrics();
+    assert.true(since instanceof Date);
+    assert.deepEquals(Object.keys(operations).sort(), ['admin:ping', 'insert', 'query']);
+
+    const query = operations.query;
+    assert.equals(query.requests, 3);
+    assert.equals(query.errors, 1);
+    assert.equals(query.bytesSent, Buffer.byteLength('SELECT * WHERE { ?s ?p ?o }SELECT ?s WHERE { ?s ?p ?o }SELEC'));
+    assert.true(query.bytesReceived > 0);
+    assert.true(query.latency.min <= query.latency.mean && query.latency.mean <= query.latency.max);
+    const counts = query.latency.buckets.map(bucket => bucket.count);
+    assert.true(counts.every((count, i) => i === 0 || count >= counts[i - 1]), 'Buckets should be cumulative');
+    assert.deepEquals(query.latency.buckets.at(-1), { le: Infinity, count: 3 });
+
+    connector.resetMetrics();
+    assert.deepEquals(connector.getMetrics().operations, {});
+  });
+
+  const metrics = new ConnectorMetrics({ buckets: [10, 100] });
+  metrics.onResponse({ ok: true, bytes: 2, duration: 50 }, { operation: 'query', body: 'abc' });
+  metrics.onError(new Error('refused'), { method: 'GET' }, { duration: 5, attempts: 1 });
+  const { operations } = metrics.snapshot();
+  assert.deepEquals(operations.query.latency.buckets, [{ le: 10, count: 0 }, { le: 100, count: 1 }, { le: Infinity, count: 1 }]);
+  assert.equals(operations.query.bytesSent, 3);
+  assert.equals(operations.GET.errors, 1);
+  assert.throws(() => new ConnectorMetrics({ buckets: [100, 10] }));
+});
+
+runner.test('DebugLogger: Log requests with pretty-printed SPARQL', async () => {
+  assert.equals(
+    DebugLogger.formatSparql('PREFIX ex: <http://ex.org/#> SELECT ?s WHERE { ?s a ex:P ; ex:name "a { b . }" . OPTIONAL { ?s ex:age ?a } } LIMIT 5'),
+    [
+      'PREFIX ex: <http://ex.org/#>',
+      'SELECT ?s',
+      'WHERE {',
+      '  ?s a ex:P ; ex:name "a { b . }" .',
+      '  OPTIONAL {',
+      '    ?s ex:age ?a',
+      '  }',
+      '}',
+      'LIMIT 5'
+    ].join('\n'));
+
+  await withFuseki(async connector => {
+    const lines = [];
+    const remove = connector.use(new DebugLogger({ log: line => lines.push(line) }));
+    await connector.ask('ASK { ?s ?p ?o }');
+    assert.equals(lines.length, 2);
+    assert.true(lines[0].startsWith('→ ask POST ') && lines[0].endsWith('\nASK {\n  ?s ?p ?o\n}'));
+    assert.true(/^← ask POST .*: 200 OK in [\d.]+ms, \d+ bytes$/.test(lines[1]), lines[1]);
+
+    await assert.asyncThrows(() => connector.query('SELEC'));
+    assert.true(lines[3].includes(': 400 ') && lines[3].includes('\n'), 'Expected the error body');
+    remove();
+
+    // With a threshold only slow requests are logged, together with their query
+    const slow = [];
+    connector.use(new DebugLogger({ log: line => slow.push(line), slowThreshold: 60000 }));
+    await connector.query('SELECT * WHERE { ?s ?p ?o }');
+    assert.equals(slow.length, 0);
+    assert.equals(lines.length, 4);
+  });
 });
-*/
 
 // ====================
 // Integration Tests
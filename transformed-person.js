@@ -7,13 +7,50 @@
  * @version 1.0.0
  */
 
+import { NS, namedNode, literal, quad, defaultGraph, fromLiteral, diffQuads } from './rdf-terms.js';
+import { JsonLdProcessor } from './json-ld.js';
+import { QuadStore } from './quad-store.js';
+import { ShaclRuleEngine } from './shacl-rules.js';
+import { ShaclValidator } from './shacl-validator.js';
+import { TripleIndex } from './triple-index.js';
+import { TurtleParser } from './turtle-parser.js';
+import { TurtleWriter } from './turtle-writer.js';
+
+// Prefixes used when serializing to Turtle
+const PREFIXES = {
+  Person: NS.Person,
+  Class: NS.Class,
+  ex: NS.ex,
+  xsd: NS.xsd
+};
+
+const RDF_TYPE = `${NS.rdf}type`;
+const FIRST_NAME = `${NS.ex}firstName`;
+const LAST_NAME = `${NS.ex}lastName`;
+const FULL_NAME = `${NS.Person}fullName`;
+const AGE = `${NS.Person}age`;
+
+// JSON-LD context used by toJsonLd() and when reading JSON-LD without its own context
+const CONTEXT = {
+  Person: NS.Person,
+  Class: NS.Class,
+  ex: NS.ex,
+  xsd: NS.xsd,
+  firstName: 'ex:firstName',
+  lastName: 'ex:lastName',
+  fullName: 'Person:fullName',
+  age: { '@id': 'Person:age', '@type': 'xsd:integer' }
+};
+
 export class TransformedPerson {
-  // Private fields
+  // Private fields; property values live as triples in #store
   #uri;
-  #firstName;
-  #lastName;
-  #fullName;
-  #age;
+  #store = new QuadStore();
+  #graph = defaultGraph();
+  // Quads at the last sync with a triple store (null until synced) and
+  // whether a setter ran since then
+  #baseline = null;
+  #dirty = true;
 
   /**
    * Creates a new TransformedPerson instance
@@ -44,16 +81,18 @@ export class TransformedPerson {
     // Set URI (generate if not provided)
     this.#uri = uri || this.#generateUri(firstName, lastName);
 
-    // Set properties
-    this.#firstName = firstName.trim();
-    this.#lastName = lastName.trim();
-    this.#fullName = fullName.trim();
-    this.#age = age;
-
     // Validate fullName consistency
-    if (this.#fullName !== `${this.#firstName} ${this.#lastName}`) {
-      throw new Error(`fullName "${this.#fullName}" must match "firstName lastName" ("${this.#firstName} ${this.#lastName}")`);
+    const expected = `${firstName.trim()} ${lastName.trim()}`;
+    if (fullName.trim() !== expected) {
+      throw new Error(`fullName "${fullName.trim()}" must match "firstName lastName" ("${expected}")`);
     }
+
+    // Set properties
+    this.#store.add(quad(namedNode(this.#uri), namedNode(RDF_TYPE), namedNode(`${NS.Class}Person`)));
+    this.#set(FIRST_NAME, literal(firstName.trim()));
+    this.#set(LAST_NAME, literal(lastName.trim()));
+    this.#set(FULL_NAME, literal(expected));
+    this.#set(AGE, literal(String(age), `${NS.xsd}integer`));
   }
 
   /**
@@ -64,7 +103,9 @@ export class TransformedPerson {
    * @returns {string} Generated URI in Person: namespace
    */
   #generateUri(firstName, lastName) {
-    const localName = `${firstName}${lastName}`.replace(/\s+/g, '');
+    const localName = `${firstName}${lastName}`
+      .replace(/\s+/g, '')
+      .replace(/[<>"{}|^`\\#%/?]/g, ch => encodeURIComponent(ch));
     return `http://example.com/ns/Person#${localName}`;
   }
 
@@ -91,7 +132,7 @@ export class TransformedPerson {
    * @returns {string} First name
    */
   get firstName() {
-    return this.#firstName;
+    return this.#value(FIRST_NAME);
   }
 
   /**
@@ -99,7 +140,7 @@ export class TransformedPerson {
    * @returns {string} Last name
    */
   get lastName() {
-    return this.#lastName;
+    return this.#value(LAST_NAME);
   }
 
   /**
@@ -107,7 +148,7 @@ export class TransformedPerson {
    * @returns {string} Full name
    */
   get fullName() {
-    return this.#fullName;
+    return this.#value(FULL_NAME);
   }
 
   /**
@@ -115,7 +156,7 @@ export class TransformedPerson {
    * @returns {number} Age in years
    */
   get age() {
-    return this.#age;
+    return Number(this.#value(AGE));
   }
 
   // Setters
@@ -130,8 +171,8 @@ export class TransformedPerson {
     if (!value || typeof value !== 'string' || value.trim().length === 0) {
       throw new Error('firstName must be a non-empty string');
     }
-    this.#firstName = value.trim();
-    this.#fullName = `${this.#firstName} ${this.#lastName}`;
+    this.#set(FIRST_NAME, literal(value.trim()));
+    this.#set(FULL_NAME, literal(`${this.firstName} ${this.lastName}`));
   }
 
   /**
@@ -144,8 +185,8 @@ export class TransformedPerson {
     if (!value || typeof value !== 'string' || value.trim().length === 0) {
       throw new Error('lastName must be a non-empty string');
     }
-    this.#lastName = value.trim();
-    this.#fullName = `${this.#firstName} ${this.#lastName}`;
+    this.#set(LAST_NAME, literal(value.trim()));
+    this.#set(FULL_NAME, literal(`${this.firstName} ${this.lastName}`));
   }
 
   /**
@@ -160,13 +201,13 @@ export class TransformedPerson {
     }
     
     const trimmed = value.trim();
-    const expected = `${this.#firstName} ${this.#lastName}`;
+    const expected = `${this.firstName} ${this.lastName}`;
     
     if (trimmed !== expected) {
       throw new Error(`fullName "${trimmed}" must match "firstName lastName" ("${expected}")`);
     }
     
-    this.#fullName = trimmed;
+    this.#set(FULL_NAME, literal(trimmed));
   }
 
   /**
@@ -178,51 +219,92 @@ export class TransformedPerson {
     if (typeof value !== 'number' || value < 0 || value > 150) {
       throw new Error('age must be a number between 0 and 150');
     }
-    this.#age = value;
+    this.#set(AGE, literal(String(value), `${NS.xsd}integer`));
   }
 
   /**
-   * Validates the transformed person data against SHACL constraints
-   * @returns {Object} Validation result { valid: boolean, errors: string[] }
+   * Moves the transformed person's triples into a quad store and reads them from there
+   * DataModel attaches tracked instances so that they are views over its store;
+   * without arguments the instance is detached into a private store
+   *
+   * @param {QuadStore} [store] - Store to keep the triples in
+   * @param {Object} [graph] - Graph to keep the triples in (defaults to the default graph)
    */
-  validate() {
-    const errors = [];
+  attach(store = new QuadStore(), graph = defaultGraph()) {
+    const subject = namedNode(this.#uri);
+    const quads = this.#store.match(subject, null, null, this.#graph);
+
+    this.#store.removeMatches(subject, null, null, this.#graph);
+    store.removeMatches(subject, null, null, graph);
+    store.addAll(quads.map(q => quad(q.subject, q.predicate, q.object, graph)));
+    this.#store = store;
+    this.#graph = graph;
+  }
 
-    // Check firstName
-    if (!this.#firstName || this.#firstName.length === 0) {
-      errors.push('firstName is required and must be non-empty');
-    }
+  #value(predicate) {
+    return this.#store.object(namedNode(this.#uri), predicate, this.#graph)?.value;
+  }
 
-    // Check lastName
-    if (!this.#lastName || this.#lastName.length === 0) {
-      errors.push('lastName is required and must be non-empty');
-    }
+  #set(predicate, object) {
+    const subject = namedNode(this.#uri);
+    this.#store.removeMatches(subject, namedNode(predicate), null, this.#graph);
+    this.#store.add(quad(subject, namedNode(predicate), object, this.#graph));
+    this.#dirty = true;
+  }
 
-    // Check fullName
-    if (!this.#fullName || this.#fullName.length < 3) {
-      errors.push('fullName is required and must be at least 3 characters');
-    }
+  /**
+   * Checks whether a setter changed the transformed person since the last sync
+   * New instances are dirty until they are first synced
+   * @returns {boolean} True if the transformed person may differ from the triple store
+   */
+  get isDirty() {
+    return this.#dirty;
+  }
 
-    // Check fullName pattern
-    const namePattern = /^[A-Za-z]+ [A-Za-z]+$/;
-    if (!namePattern.test(this.#fullName)) {
-      errors.push('fullName must be in format "FirstName LastName"');
+  /**
+   * Gets the triples to add and remove to bring the triple store up to date
+   *
+   * @returns {Object} { inserted, deleted } quads; everything is inserted for
+   *   an instance that was never synced
+   */
+  getChanges() {
+    if (!this.#dirty) {
+      return { inserted: [], deleted: [] };
     }
+    return diffQuads(this.#baseline ?? [], this.toQuads());
+  }
 
-    // Check fullName consistency
-    if (this.#fullName !== `${this.#firstName} ${this.#lastName}`) {
-      errors.push(`fullName "${this.#fullName}" must match "firstName lastName"`);
-    }
+  /**
+   * Records the current triples as what the triple store holds
+   * Called after the transformed person is saved to, loaded from or synced with a store
+   */
+  markClean() {
+    this.#baseline = this.toQuads();
+    this.#dirty = false;
+  }
 
-    // Check age
-    if (typeof this.#age !== 'number' || this.#age < 0 || this.#age > 150) {
-      errors.push('age must be a number between 0 and 150');
-    }
+  /**
+   * Validates the transformed person data against the SHACL shapes targeting Class:Person
+   * The fullName/firstName/lastName consistency is enforced by the constructor and setters
+   * @returns {ValidationReport} SHACL validation report (also exposes valid/errors)
+   */
+  validate() {
+    return ShaclValidator.getDefault().validateInstance(this);
+  }
 
-    return {
-      valid: errors.length === 0,
-      errors
-    };
+  /**
+   * Converts the transformed person to RDF quads
+   * @returns {Array<Object>} Quads describing the transformed person
+   */
+  toQuads() {
+    const subject = namedNode(this.#uri);
+    return [
+      quad(subject, namedNode(RDF_TYPE), namedNode(`${NS.Class}Person`)),
+      quad(subject, namedNode(FIRST_NAME), literal(this.firstName)),
+      quad(subject, namedNode(LAST_NAME), literal(this.lastName)),
+      quad(subject, namedNode(FULL_NAME), literal(this.fullName)),
+      quad(subject, namedNode(AGE), literal(String(this.age), `${NS.xsd}integer`))
+    ];
   }
 
   /**
@@ -231,20 +313,7 @@ export class TransformedPerson {
    * @returns {string} Turtle RDF representation
    */
   toTurtle(includePrefix = true) {
-    const prefix = includePrefix 
-      ? `@prefix Person: <http://example.com/ns/Person#> .
-@prefix Class: <http://example.com/ns/Class#> .
-@prefix ex: <http://example.com/ex#> .
-@prefix xsd: <http://www.w3.org/2001/XMLSchema#> .
-
-`
-      : '';
-
-    return `${prefix}Person:${this.localName} a Class:Person ;
-    ex:firstName "${this.#firstName}" ;
-    ex:lastName "${this.#lastName}" ;
-    Person:fullName "${this.#fullName}" ;
-    Person:age ${this.#age} .`;
+    return TurtleWriter.write(this.toQuads(), { prefixes: PREFIXES, includePrefix });
   }
 
   /**
@@ -253,22 +322,13 @@ export class TransformedPerson {
    */
   toJsonLd() {
     return {
-      '@context': {
-        Person: 'http://example.com/ns/Person#',
-        Class: 'http://example.com/ns/Class#',
-        ex: 'http://example.com/ex#',
-        xsd: 'http://www.w3.org/2001/XMLSchema#',
-        firstName: 'ex:firstName',
-        lastName: 'ex:lastName',
-        fullName: 'Person:fullName',
-        age: { '@id': 'Person:age', '@type': 'xsd:integer' }
-      },
+      '@context': TransformedPerson.jsonLdContext,
       '@id': this.#uri,
       '@type': 'Class:Person',
-      firstName: this.#firstName,
-      lastName: this.#lastName,
-      fullName: this.#fullName,
-      age: this.#age
+      firstName: this.firstName,
+      lastName: this.lastName,
+      fullName: this.fullName,
+      age: this.age
     };
   }
 
@@ -280,35 +340,75 @@ export class TransformedPerson {
     return {
       uri: this.#uri,
       localName: this.localName,
-      firstName: this.#firstName,
-      lastName: this.#lastName,
-      fullName: this.#fullName,
-      age: this.#age
+      firstName: this.firstName,
+      lastName: this.lastName,
+      fullName: this.fullName,
+      age: this.age
     };
   }
 
+  /**
+   * Gets the prefixes used when serializing instances to Turtle
+   * @returns {Object} Map of prefix name to namespace IRI
+   */
+  static get prefixes() {
+    return { ...PREFIXES };
+  }
+
+  /**
+   * Gets the JSON-LD context of the class
+   * @returns {Object} JSON-LD context
+   */
+  static get jsonLdContext() {
+    return structuredClone(CONTEXT);
+  }
+
   /**
    * Creates a TransformedPerson instance from a Person instance
+   * Runs the sh:SPARQLRule transformations of ex:PersonTransformationShape
    * @param {Person} person - Source Person instance
-   * @param {Date} [referenceDate=new Date()] - Reference date for age calculation
+   * @param {Date} [referenceDate=new Date()] - Reference date for age calculation ($referenceDate in rules)
+   * @param {ShaclRuleEngine} [rules=ShaclRuleEngine.getDefault()] - Rule engine to execute
+   * @returns {TransformedPerson} New TransformedPerson instance
+   * @throws {Error} If the rules do not produce a complete Class:Person
+   */
+  static fromPerson(person, referenceDate = new Date(), rules = ShaclRuleEngine.getDefault()) {
+    const quads = rules.execute(person.toQuads(), {
+      referenceDate,
+      focusNodes: [namedNode(person.uri)]
+    });
+    return TransformedPerson.fromQuads(quads);
+  }
+
+  /**
+   * Creates a TransformedPerson instance from RDF quads
+   * @param {Array<Object>|TripleIndex} quads - Quads describing a Class:Person
+   * @param {string} [uri] - Subject to read (defaults to the first Class:Person)
    * @returns {TransformedPerson} New TransformedPerson instance
+   * @throws {Error} If no Class:Person is found or a required property is missing
    */
-  static fromPerson(person, referenceDate = new Date()) {
-    // Transform URI from ex: to Person: namespace
-    const transformedUri = person.uri.replace(
-      'http://example.com/ex#',
-      'http://example.com/ns/Person#'
-    );
+  static fromQuads(quads, uri) {
+    const graph = TripleIndex.from(quads);
+    const subject = uri ? namedNode(uri) : TransformedPerson.#subjects(graph)[0];
+    if (!subject) {
+      throw new Error('No Class:Person found in quads');
+    }
 
+    const age = graph.object(subject, AGE);
     return new TransformedPerson({
-      uri: transformedUri,
-      firstName: person.firstName,
-      lastName: person.lastName,
-      fullName: person.fullName,
-      age: person.getAge(referenceDate)
+      uri: subject.value,
+      firstName: graph.object(subject, FIRST_NAME)?.value,
+      lastName: graph.object(subject, LAST_NAME)?.value,
+      fullName: graph.object(subject, FULL_NAME)?.value,
+      age: age && fromLiteral(age)
     });
   }
 
+  static #subjects(graph) {
+    return graph.subjects(RDF_TYPE, namedNode(`${NS.Class}Person`))
+      .filter(subject => subject.termType === 'NamedNode');
+  }
+
   /**
    * Creates a TransformedPerson instance from a plain JavaScript object
    * @param {Object} obj - Object with person properties
@@ -326,44 +426,61 @@ export class TransformedPerson {
 
   /**
    * Creates a TransformedPerson instance from Turtle RDF string
+   * Returns the first Class:Person in the document
    * @param {string} turtle - Turtle RDF string
+   * @param {Object} [options] - Parser options (e.g. baseIRI)
    * @returns {TransformedPerson} New TransformedPerson instance
-   * @throws {Error} If parsing fails
+   * @throws {Error} If parsing fails or the document contains no Class:Person
    */
-  static fromTurtle(turtle) {
-    // Simple parser for the specific format
-    const uriMatch = turtle.match(/Person:(\w+)\s+a\s+Class:Person/);
-    const firstNameMatch = turtle.match(/ex:firstName\s+"([^"]+)"/);
-    const lastNameMatch = turtle.match(/ex:lastName\s+"([^"]+)"/);
-    const fullNameMatch = turtle.match(/Person:fullName\s+"([^"]+)"/);
-    const ageMatch = turtle.match(/Person:age\s+(\d+)/);
-
-    if (!uriMatch || !firstNameMatch || !lastNameMatch || !fullNameMatch || !ageMatch) {
-      throw new Error('Invalid Turtle format');
+  static fromTurtle(turtle, options) {
+    const graph = new TripleIndex(TurtleParser.parse(turtle, options));
+    const [subject] = TransformedPerson.#subjects(graph);
+    if (!subject) {
+      throw new Error('No Class:Person found in Turtle');
     }
+    return TransformedPerson.fromQuads(graph, subject.value);
+  }
 
-    return new TransformedPerson({
-      uri: `http://example.com/ns/Person#${uriMatch[1]}`,
-      firstName: firstNameMatch[1],
-      lastName: lastNameMatch[1],
-      fullName: fullNameMatch[1],
-      age: parseInt(ageMatch[1], 10)
-    });
+  /**
+   * Creates a TransformedPerson instance for every Class:Person in a Turtle document
+   * @param {string} turtle - Turtle RDF string (e.g. FusekiConnector.retrieve() output)
+   * @param {Object} [options] - Parser options (e.g. baseIRI)
+   * @returns {Array<TransformedPerson>} New TransformedPerson instances, in document order
+   * @throws {Error} If parsing fails or a person is incomplete
+   */
+  static fromTurtleAll(turtle, options) {
+    const graph = new TripleIndex(TurtleParser.parse(turtle, options));
+    return TransformedPerson.#subjects(graph).map(subject => TransformedPerson.fromQuads(graph, subject.value));
   }
 
   /**
    * Creates a TransformedPerson instance from JSON-LD
-   * @param {Object} jsonLd - JSON-LD object
-   * @returns {TransformedPerson} New TransformedPerson instance
+   * Accepts compacted, expanded and flattened documents, @graph documents and
+   * full IRIs as keys; documents without a context are read with the class context
+   * @param {Object|Array|string} jsonLd - JSON-LD document
+   * @param {Object} [options] - JsonLdProcessor options (documents, base, expandContext)
+   * @returns {TransformedPerson} New TransformedPerson instance (the first Class:Person)
+   * @throws {Error} If the document is invalid or contains no Class:Person
    */
-  static fromJsonLd(jsonLd) {
-    return new TransformedPerson({
-      uri: jsonLd['@id'],
-      firstName: jsonLd.firstName,
-      lastName: jsonLd.lastName,
-      fullName: jsonLd.fullName,
-      age: jsonLd.age
-    });
+  static fromJsonLd(jsonLd, options) {
+    const [person] = TransformedPerson.fromJsonLdAll(jsonLd, options);
+    if (!person) {
+      throw new Error('No Class:Person found in JSON-LD');
+    }
+    return person;
+  }
+
+  /**
+   * Creates a TransformedPerson instance for every Class:Person in a JSON-LD document
+   * @param {Object|Array|string} jsonLd - JSON-LD document
+   * @param {Object} [options] - JsonLdProcessor options (documents, base, expandContext)
+   * @returns {Array<TransformedPerson>} New TransformedPerson instances, ordered by URI
+   * @throws {Error} If the document is invalid
+   */
+  static fromJsonLdAll(jsonLd, options = {}) {
+    const document = typeof jsonLd === 'string' ? JSON.parse(jsonLd) : jsonLd;
+    const graph = new TripleIndex(JsonLdProcessor.toRdf(document, { expandContext: CONTEXT, ...options }));
+    return TransformedPerson.#subjects(graph).map(subject => TransformedPerson.fromQuads(graph, subject.value));
   }
 
   /**
@@ -371,6 +488,6 @@ export class TransformedPerson {
    * @returns {string} String representation of the person
    */
   toString() {
-    return `TransformedPerson { ${this.#fullName}, age ${this.#age} }`;
+    return `TransformedPerson { ${this.fullName}, age ${this.age} }`;
   }
 }
@@ -0,0 +1,130 @@
+/**
+ * TripleIndex Class
+ * Read-only subject/object index over a list of quads
+ * Shared by the SHACL validator, the rules engine and the SPARQL engine
+ *
+ * @class TripleIndex
+ * @version 1.0.0
+ */
+
+import { termEquals, termToString } from './rdf-terms.js';
+import { QuadStore } from './quad-store.js';
+
+export class TripleIndex {
+  #quads;
+  #bySubject = new Map();
+  #byObject = new Map();
+
+  /**
+   * Creates a new TripleIndex instance
+   * @param {Array<Object>} quads - Quads to index
+   */
+  constructor(quads) {
+    this.#quads = quads;
+
+    for (const q of quads) {
+      const s = termToString(q.subject);
+      const o = termToString(q.object);
+      if (!this.#bySubject.has(s)) {
+        this.#bySubject.set(s, []);
+      }
+      if (!this.#byObject.has(o)) {
+        this.#byObject.set(o, []);
+      }
+      this.#bySubject.get(s).push(q);
+      this.#byObject.get(o).push(q);
+    }
+  }
+
+  /**
+   * Wraps quads in an index unless they are already indexed
+   *
+   * @param {TripleIndex|QuadStore|Array<Object>} data - Index, store or quads
+   * @returns {TripleIndex|QuadStore} Index over the data
+   */
+  static from(data) {
+    return data instanceof TripleIndex || data instanceof QuadStore ? data : new TripleIndex(data);
+  }
+
+  /**
+   * Gets all indexed quads
+   * @returns {Array<Object>} Quads
+   */
+  get quads() {
+    return this.#quads;
+  }
+
+  /**
+   * Gets the number of indexed quads
+   * @returns {number} Quad count
+   */
+  get size() {
+    return this.#quads.length;
+  }
+
+  /**
+   * Finds quads matching a pattern; null or undefined terms match anything
+   *
+   * @param {Object} [subject] - Subject term
+   * @param {Object} [predicate] - Predicate term
+   * @param {Object} [object] - Object term
+   * @returns {Array<Object>} Matching quads
+   */
+  match(subject, predicate, object) {
+    let candidates = this.#quads;
+    if (subject) {
+      candidates = this.#bySubject.get(termToString(subject)) || [];
+    } else if (object) {
+      candidates = this.#byObject.get(termToString(object)) || [];
+    }
+
+    return candidates.filter(q =>
+      (!predicate || termEquals(q.predicate, predicate)) &&
+      (!object || termEquals(q.object, object)));
+  }
+
+  /**
+   * Gets the objects of a subject/predicate pair
+   *
+   * @param {Object} subject - Subject term
+   * @param {string} predicate - Predicate IRI
+   * @returns {Array<Object>} Object terms
+   */
+  objects(subject, predicate) {
+    const quads = this.#bySubject.get(termToString(subject)) || [];
+    return quads.filter(q => q.predicate.value === predicate).map(q => q.object);
+  }
+
+  /**
+   * Gets the first object of a subject/predicate pair
+   *
+   * @param {Object} subject - Subject term
+   * @param {string} predicate - Predicate IRI
+   * @returns {Object|undefined} Object term
+   */
+  object(subject, predicate) {
+    return this.objects(subject, predicate)[0];
+  }
+
+  /**
+   * Gets the subjects of a predicate/object pair
+   *
+   * @param {string} predicate - Predicate IRI
+   * @param {Object} object - Object term
+   * @returns {Array<Object>} Subject terms
+   */
+  subjects(predicate, object) {
+    const quads = this.#byObject.get(termToString(object)) || [];
+    return quads.filter(q => q.predicate.value === predicate).map(q => q.subject);
+  }
+
+  /**
+   * Gets the predicates used by a subject
+   *
+   * @param {Object} subject - Subject term
+   * @returns {Array<Object>} Predicate terms (may contain duplicates)
+   */
+  predicates(subject) {
+    return (this.#bySubject.get(termToString(subject)) || []).map(q => q.predicate);
+  }
+}
@@ -0,0 +1,834 @@
+/**
+ * TripleStoreConnector Class
+ * Abstract contract for SPARQL triple stores
+ * Subclasses implement the protocol operations (query, construct, ask, update,
+ * insert, retrieve, clear, replaceGraph, ping); the model-level helpers below are built on
+ * them and work with any backend
+ * Query methods take an optional params object whose values are bound to
+ * query variables by SparqlTemplate; the helpers never splice values into
+ * query strings. Protocol operations also take a trailing options object for
+ * per-call request settings (timeout, retries, signal)
+ *
+ * @class TripleStoreConnector
+ * @version 1.0.0
+ */
+
+import { DataModel } from './data-model.js';
+import { TurtleWriter } from './turtle-writer.js';
+import { TurtleParser } from './turtle-parser.js';
+import { SparqlTemplate } from './sparql-template.js';
+import { SparqlEngine } from './sparql-engine.js';
+import { namedNode, quad } from './rdf-terms.js';
+
+export class TripleStoreConnector {
+  /**
+   * Creates a new TripleStoreConnector instance
+   * @throws {Error} If instantiated directly
+   */
+  constructor() {
+    if (new.target === TripleStoreConnector) {
+      throw new Error('TripleStoreConnector is abstract; use SparqlProtocolConnector or FusekiConnector');
+    }
+  }
+
+  /**
+   * Executes a SPARQL SELECT query
+   *
+   * @abstract
+   * @param {string} query - SPARQL SELECT query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {Promise<Object>} Results in application/sparql-results+json form
+   */
+  async query() {
+    throw this.#notImplemented('query');
+  }
+
+  /**
+   * Executes a SPARQL CONSTRUCT query
+   *
+   * @abstract
+   * @param {string} query - SPARQL CONSTRUCT query
+   * @param {string} [format='text/turtle'] - Output format
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {Promise<string>} RDF data in requested format
+   */
+  async construct() {
+    throw this.#notImplemented('construct');
+  }
+
+  /**
+   * Executes a SPARQL ASK query
+   *
+   * @abstract
+   * @param {string} query - SPARQL ASK query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @returns {Promise<boolean>} Query result
+   */
+  async ask() {
+    throw this.#notImplemented('ask');
+  }
+
+  /**
+   * Executes a SPARQL UPDATE request
+   *
+   * @abstract
+   * @param {string} update - SPARQL UPDATE request
+   * @param {Object} [params={}] - Values bound to update variables
+   * @returns {Promise<void>}
+   */
+  async update() {
+    throw this.#notImplemented('update');
+  }
+
+  /**
+   * Adds RDF data to a graph (Graph Store Protocol POST)
+   *
+   * @abstract
+   * @param {string} data - RDF data
+   * @param {string} [contentType='text/turtle'] - Content type of the data
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @returns {Promise<void>}
+   */
+  async insert() {
+    throw this.#notImplemented('insert');
+  }
+
+  /**
+   * Retrieves all triples of a graph (Graph Store Protocol GET)
+   *
+   * @abstract
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @param {string} [format='text/turtle'] - Output format
+   * @returns {Promise<string>} RDF data
+   */
+  async retrieve() {
+    throw this.#notImplemented('retrieve');
+  }
+
+  /**
+   * Deletes all triples of a graph (Graph Store Protocol DELETE)
+   *
+   * @abstract
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    throw this.#notImplemented('clear');
+  }
+
+  /**
+   * Replaces the content of a graph in one request (Graph Store Protocol PUT)
+   *
+   * @abstract
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @param {string|Array<Object>} data - RDF data, or model instances
+   * @param {string} [contentType='text/turtle'] - Content type of string data
+   * @returns {Promise<void>}
+   */
+  async replaceGraph() {
+    throw this.#notImplemented('replaceGraph');
+  }
+
+  /**
+   * Checks if the store is accessible
+   *
+   * @abstract
+   * @returns {Promise<boolean>} True if the store answers
+   */
+  async ping() {
+    throw this.#notImplemented('ping');
+  }
+
+  /**
+   * Streams the solutions of a SPARQL SELECT query
+   * This default buffers query(); SparqlProtocolConnector parses the response
+   * as it arrives
+   *
+   * @param {string} query - SPARQL SELECT query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} Solutions in results.bindings form
+   */
+  async *selectStream(query, params = {}, options = {}) {
+    const results = await this.query(query, params, options);
+    yield* results.results.bindings;
+  }
+
+  /**
+   * Streams the triples of a SPARQL CONSTRUCT query
+   * This default buffers construct()
+   *
+   * @param {string} query - SPARQL CONSTRUCT query
+   * @param {Object} [params={}] - Values bound to query variables
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} Constructed triples as quads
+   */
+  async *constructStream(query, params = {}, options = {}) {
+    const data = await this.construct(query, 'application/n-triples', params, options);
+    yield* TurtleParser.parse(data, { format: 'application/n-triples' });
+  }
+
+  /**
+   * Streams the triples of a graph
+   * This default buffers retrieve()
+   *
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @param {Object} [options={}] - Request options
+   * @returns {AsyncGenerator<Object>} The graph's triples as quads
+   */
+  async *retrieveStream(graph, options = {}) {
+    const data = await this.retrieve(graph, 'application/n-triples', options);
+    yield* TurtleParser.parse(data, { format: 'application/n-triples' });
+  }
+
+  /**
+   * Lists the named graphs that hold at least one triple
+   *
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<Array<string>>} Graph IRIs, sorted
+   */
+  async listGraphs(options = {}) {
+    const results = await this.query('SELECT DISTINCT ?graph WHERE { GRAPH ?graph { ?s ?p ?o } } ORDER BY ?graph', {}, options);
+    return results.results.bindings.map(binding => binding.graph.value);
+  }
+
+  /**
+   * Checks whether a named graph holds any triples
+   *
+   * @param {string} graph - Graph IRI
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<boolean>} True if the graph is not empty
+   */
+  async graphExists(graph, options = {}) {
+    return this.ask('ASK { GRAPH ?graph { ?s ?p ?o } }', { graph: TripleStoreConnector.#graphIri(graph) }, options);
+  }
+
+  /**
+   * Counts the triples in a graph
+   *
+   * @param {string} [graph] - Graph IRI (default graph if omitted)
+   * @param {Object} [options={}] - Request options
+   * @returns {Promise<number>} Number of triples
+   */
+  async graphSize(graph, options = {}) {
+    const results = graph
+      ? await this.query('SELECT (COUNT(*) AS ?triples) WHERE { GRAPH ?graph { ?s ?p ?o } }', { graph: namedNode(graph) }, options)
+      : await this.query('SELECT (COUNT(*) AS ?triples) WHERE { ?s ?p ?o }', {}, options);
+    return Number(results.results.bindings[0]?.triples?.value ?? 0);
+  }
+
+  /**
+   * Copies a graph over another one (SPARQL COPY); the target's previous
+   * content is dropped
+   *
+   * @param {string|null} source - Source graph IRI (null for the default graph)
+   * @param {string|null} target - Target graph IRI (null for the default graph)
+   * @param {Object} [options={}] - Request options
+   * @param {boolean} [options.silent=false] - Do not fail if the source graph does not exist
+   * @returns {Promise<void>}
+   */
+  async copyGraph(source, target, { silent = false, ...options } = {}) {
+    await this.update(TripleStoreConnector.#graphOperation('COPY', source, target, silent), {}, options);
+  }
+
+  /**
+   * Moves a graph over another one (SPARQL MOVE); the source is dropped and
+   * the target's previous content is replaced
+   *
+   * @param {string|null} source - Source graph IRI (null for the default graph)
+   * @param {string|null} target - Target graph IRI (null for the default graph)
+   * @param {Object} [options={}] - Request options
+   * @param {boolean} [options.silent=false] - Do not fail if the source graph does not exist
+   * @returns {Promise<void>}
+   */
+  async moveGraph(source, target, { silent = false, ...options } = {}) {
+    await this.update(TripleStoreConnector.#graphOperation('MOVE', source, target, silent), {}, options);
+  }
+
+  /**
+   * Saves an object with toTurtle method to the store
+   * Like the other save methods, it writes to the class's
+   * DataModel.getSaveGraph() when no graph is given
+   *
+   * @param {Object} object - Object with toTurtle() method
+   * @param {string|null} [graph] - Graph name (null for the default graph)
+   * @returns {Promise<void>}
+   */
+  async save(object, graph) {
+    if (!object.toTurtle) {
+      throw new Error('Object must have a toTurtle() method');
+    }
+
+    const turtle = object.toTurtle(true);
+    await this.insert(turtle, 'text/turtle', TripleStoreConnector.#graphOf(object, graph));
+  }
+
+  /**
+   * Saves multiple model instances, replacing what the store holds about them
+   * Like upsert(), but one request covers the whole batch; the instances are
+   * marked clean afterwards (see DataModel.sync())
+   *
+   * @param {Array<Object>} objects - Instances with a uri and toQuads() or toTurtle()
+   * @param {string|null} [graph] - Graph name (each class's default graph if omitted)
+   * @returns {Promise<void>}
+   * @throws {Error} If an object has no uri or cannot be converted to RDF
+   */
+  async saveAll(objects, graph) {
+    if (objects.some(obj => !obj.toQuads && !obj.toTurtle)) {
+      throw new Error('All objects must have a toTurtle() method');
+    }
+    if (objects.length === 0) {
+      return;
+    }
+
+    const groups = TripleStoreConnector.#groupByGraph(objects, graph);
+    await this.update([...groups].map(([target, instances]) => this.#replaceRequest(instances, target)).join(' ;\n'));
+    objects.forEach(object => object.markClean?.());
+  }
+
+  /**
+   * Loads many instances in chunks, one N-Triples POST per chunk
+   * Instances are read lazily, so iterables larger than memory can be loaded;
+   * at most `concurrency` chunks are held at a time. Chunks are appended like
+   * save(), not replaced like saveAll(). After a failure no new chunks are
+   * started (unless continueOnError); the report's resumeFrom can be passed
+   * back, with the same iterable and chunkSize, to continue after the last
+   * chunk known to be loaded. Chunks re-sent this way only duplicate triples
+   * with blank nodes
+   *
+   * @param {Iterable<Object>|AsyncIterable<Object>} instances - Objects with toQuads() or toTurtle()
+   * @param {Object} [options={}] - Loading options, plus request options for insert()
+   * @param {number} [options.chunkSize=1000] - Instances per request
+   * @param {string|null} [options.graph] - Graph IRI (each class's default graph if omitted)
+   * @param {number} [options.concurrency=1] - Chunks sent in parallel
+   * @param {Function} [options.onProgress] - Called after each chunk with
+   *   { chunk, ok, chunks, instances, triples, failed }
+   * @param {number} [options.resumeFrom=0] - Index of the first chunk to send
+   * @param {boolean} [options.continueOnError=false] - Keep sending after a chunk fails
+   * @returns {Promise<Object>} { chunks, instances, triples, failed: [{ chunk, instances, error }],
+   *   resumeFrom } counting loaded data; resumeFrom is null when everything was loaded
+   * @throws {Error} If an option is invalid or an instance cannot be converted to RDF
+   *
+   * @example
+   * let report = await connector.bulkLoad(people, { chunkSize: 5000, concurrency: 4 });
+   * if (report.resumeFrom !== null) {
+   *   report = await connector.bulkLoad(people, { chunkSize: 5000, resumeFrom: report.resumeFrom });
+   * }
+   */
+  async bulkLoad(instances, {
+    chunkSize = 1000,
+    graph,
+    concurrency = 1,
+    onProgress,
+    resumeFrom = 0,
+    continueOnError = false,
+    ...options
+  } = {}) {
+    for (const [name, value, min] of [['chunkSize', chunkSize, 1], ['concurrency', concurrency, 1], ['resumeFrom', resumeFrom, 0]]) {
+      if (!Number.isInteger(value) || value < min) {
+        throw new Error(`${name} must be an integer of at least ${min}`);
+      }
+    }
+
+    const report = { chunks: 0, instances: 0, triples: 0, failed: [], resumeFrom: null };
+    const loaded = new Set();
+    const pending = new Set();
+    let stopped = false;
+
+    const send = async (index, chunk) => {
+      const groups = [...TripleStoreConnector.#groupByGraph(chunk, graph)].map(([target, instances]) => [
+        target,
+        instances.flatMap(instance => TurtleWriter.quadsOf(instance)).map(q => quad(q.subject, q.predicate, q.object))
+      ]);
+      let ok = true;
+      try {
+        for (const [target, quads] of groups) {
+          await this.insert(TurtleWriter.write(quads, { format: 'application/n-triples' }), 'application/n-triples', target, options);
+        }
+        loaded.add(index);
+        report.chunks++;
+        report.instances += chunk.length;
+        report.triples += groups.reduce((count, [, quads]) => count + quads.length, 0);
+      } catch (error) {
+        ok = false;
+        report.failed.push({ chunk: index, instances: chunk.length, error });
+        stopped = !continueOnError;
+      }
+      onProgress?.({ chunk: index, ok, chunks: report.chunks, instances: report.instances, triples: report.triples, failed: report.failed.length });
+    };
+
+    let index = 0;
+    for await (const chunk of TripleStoreConnector.#chunks(instances, chunkSize)) {
+      if (stopped) {
+        break;
+      }
+      if (index < resumeFrom) {
+        index++;
+        continue;
+      }
+      const task = send(index++, chunk).finally(() => pending.delete(task));
+      pending.add(task);
+      if (pending.size >= concurrency) {
+        await Promise.race(pending);
+      }
+    }
+    await Promise.all(pending);
+
+    if (report.failed.length > 0) {
+      report.failed.sort((a, b) => a.chunk - b.chunk);
+      let next = resumeFrom;
+      while (loaded.has(next)) {
+        next++;
+      }
+      report.resumeFrom = next;
+    }
+    return report;
+  }
+
+  /**
+   * Inserts or replaces a model instance
+   * Every triple with the instance's URI as subject is deleted and the
+   * instance's current triples are inserted, in one DELETE/WHERE ; INSERT DATA request
+   *
+   * @param {Object} instance - Instance with a uri and toQuads() or toTurtle()
+   * @param {string|null} [graph] - Graph name (the class's default graph if omitted)
+   * @returns {Promise<void>}
+   * @throws {Error} If the instance has no uri or cannot be converted to RDF
+   */
+  async upsert(instance, graph) {
+    await this.update(this.#replaceRequest([instance], TripleStoreConnector.#graphOf(instance, graph)));
+    instance.markClean?.();
+  }
+
+  /**
+   * Deletes every triple with the instance's URI as subject
+   *
+   * @param {Object|string} instance - Instance with a uri, or the URI itself
+   * @param {string|null} [graph] - Graph name (for instances, the class's default graph if omitted)
+   * @returns {Promise<void>}
+   */
+  async delete(instance, graph) {
+    const uri = typeof instance === 'string' ? instance : instance?.uri;
+    if (!uri) {
+      throw new Error('Cannot delete an instance without a uri');
+    }
+
+    const target = typeof instance === 'string' ? graph : TripleStoreConnector.#graphOf(instance, graph);
+    await this.update(`${this.#with(target)}DELETE { ?s ?p ?o }\nWHERE { ?s ?p ?o }`, { s: namedNode(uri) });
+  }
+
+  /**
+   * Loads one instance of a registered class
+   * The subject's triples are fetched with CONSTRUCT and hydrated through
+   * DataModel, so the instance is tracked (and clean, see DataModel.sync())
+   * and its literals are converted to JavaScript values (xsd:date to Date,
+   * xsd:integer to number, ...)
+   *
+   * @param {string} className - Name of a registered class
+   * @param {string} uri - Instance URI
+   * @param {Object} [options={}] - Load options
+   * @param {string|null} [options.graph] - Graph to read from (the class's default graph if omitted)
+   * @returns {Promise<Object|null>} Tracked instance, or null if the store has none; an instance
+   *   that was already tracked is refreshed in place and returned
+   * @throws {Error} If the class is not registered or has no rdfType
+   */
+  async load(className, uri, { graph } = {}) {
+    const instances = await this.#load(className, '?s a ?type ; ?p ?o .', { s: namedNode(uri) }, graph);
+    return instances[0] ?? null;
+  }
+
+  /**
+   * Loads every instance of a registered class
+   * With limit or offset, instances are paged in URI order
+   *
+   * @param {string} className - Name of a registered class
+   * @param {Object} [options={}] - Load options
+   * @param {string|null} [options.graph] - Graph to read from (the class's default graph if omitted)
+   * @param {number} [options.limit] - Maximum number of instances
+   * @param {number} [options.offset] - Number of instances to skip
+   * @returns {Promise<Array<Object>>} Tracked instances (already tracked ones refreshed in place)
+   * @throws {Error} If the class is not registered or has no rdfType
+   */
+  async loadAll(className, { graph, limit, offset } = {}) {
+    if (limit === undefined && offset === undefined) {
+      return this.#load(className, '?s a ?type ; ?p ?o .', {}, graph);
+    }
+
+    for (const [name, value] of Object.entries({ limit, offset })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`${name} must be a non-negative integer`);
+      }
+    }
+    const page = [limit !== undefined && `LIMIT ${limit}`, offset !== undefined && `OFFSET ${offset}`]
+      .filter(Boolean).join(' ');
+    return this.#load(className, `{ SELECT ?s WHERE { ?s a ?type . } ORDER BY ?s ${page} } ?s ?p ?o .`, {}, graph);
+  }
+
+  /**
+   * Runs a SELECT query page by page
+   * Each page is a separate request: the query is wrapped as a subquery with a
+   * stable ORDER BY and LIMIT/OFFSET, so servers that cap result sizes still
+   * return everything. With options.keyset, a page starts after the previous
+   * page's last value of that variable instead of using OFFSET; this stays
+   * fast on deep pages but needs a different IRI or literal in every row
+   *
+   * @param {string} query - SPARQL SELECT query
+   * @param {Object} [options={}] - Paging options, plus request options for query()
+   * @param {Object} [options.params={}] - Values bound to query variables
+   * @param {number} [options.pageSize=1000] - Maximum rows per request
+   * @param {number} [options.maxResults=Infinity] - Stop after this many rows
+   * @param {Array<string>} [options.orderBy] - Variables giving a stable order
+   *   (default: all projected variables)
+   * @param {string} [options.keyset] - Variable to page on instead of OFFSET
+   * @returns {AsyncGenerator<Array<Object>>} Non-empty pages of solutions in results.bindings form
+   * @throws {Error} If the sizes are invalid, or orderBy is omitted and the
+   *   projected variables cannot be determined
+   *
+   * @example
+   * for await (const page of connector.paginate('SELECT ?s WHERE { ?s a ?type }', {
+   *   params: { type: namedNode(EX.Person) }, keyset: 's', pageSize: 500
+   * })) {
+   *   console.log(page.length);
+   * }
+   */
+  async *paginate(query, { params = {}, pageSize = 1000, maxResults = Infinity, orderBy, keyset, ...options } = {}) {
+    if (!Number.isInteger(pageSize) || pageSize < 1) {
+      throw new Error('pageSize must be a positive integer');
+    }
+    if (maxResults !== Infinity && (!Number.isInteger(maxResults) || maxResults < 0)) {
+      throw new Error('maxResults must be a non-negative integer');
+    }
+
+    const bound = SparqlTemplate.bind(query, params);
+    if (!keyset && !orderBy) {
+      try {
+        orderBy = SparqlEngine.projection(bound);
+      } catch (error) {
+        throw new Error(`Cannot determine the variables to order pages by; pass options.orderBy (${error.message})`);
+      }
+    }
+
+    let count = 0;
+    let after;
+    while (count < maxResults) {
+      const limit = Math.min(pageSize, maxResults - count);
+      const page = SparqlTemplate.page(bound, keyset ? { keyset, after, limit } : { orderBy, limit, offset: count });
+      const bindings = (await this.query(page, {}, options)).results.bindings;
+
+      if (bindings.length > 0) {
+        yield bindings;
+      }
+      if (bindings.length < limit) {
+        return;
+      }
+      count += bindings.length;
+      if (keyset) {
+        after = bindings[bindings.length - 1][keyset]?.value;
+        if (after === undefined) {
+          throw new Error(`Keyset variable ?${keyset} is not bound`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds objects of a specific RDF type
+   * Subjects are fetched in pages (keyset pagination on the subject IRI). For
+   * the rdfType of a registered class, the class's save graph is searched
+   *
+   * @param {string} rdfType - RDF type URI
+   * @param {Object} [options={}] - Paging and request options
+   * @param {string|null} [options.graph] - Graph to search (the save graph of the class with
+   *   this rdfType if omitted; null for the default graph)
+   * @param {number} [options.pageSize=1000] - Maximum subjects per request
+   * @param {number} [options.maxResults=Infinity] - Stop after this many subjects
+   * @returns {Promise<Array>} Array of subject URIs, in IRI order
+   */
+  async findByType(rdfType, { graph = TripleStoreConnector.#typeGraph(rdfType), ...options } = {}) {
+    const query = `
+      SELECT DISTINCT ?subject
+      WHERE {
+        ${TripleStoreConnector.#inGraph('?subject a ?type .', graph)}
+        FILTER(isIRI(?subject))
+      }
+    `;
+
+    const subjects = [];
+    for await (const page of this.paginate(query, { ...options, params: { type: namedNode(rdfType) }, keyset: 'subject' })) {
+      subjects.push(...page.map(binding => binding.subject.value));
+    }
+    return subjects;
+  }
+
+  /**
+   * Finds objects matching a SPARQL pattern
+   * The pattern must be a self-contained group pattern; values should be
+   * passed as params rather than written into it. Solutions are fetched in
+   * pages ordered by all of the pattern's variables
+   *
+   * @param {string} pattern - SPARQL graph pattern
+   * @param {Object} [prefixes={}] - PREFIX declarations
+   * @param {Object} [params={}] - Values bound to pattern variables
+   * @param {Object} [options={}] - Paging and request options (pageSize,
+   *   maxResults, orderBy; see paginate())
+   * @param {string} [options.className] - Match the pattern in this class's save graph
+   * @param {string|null} [options.graph] - Graph to match the pattern in (overrides className)
+   * @returns {Promise<Object>} Query results
+   * @throws {Error} If the pattern could escape the WHERE clause
+   */
+  async findByPattern(pattern, prefixes = {}, params = {}, { className, graph, ...options } = {}) {
+    const target = graph === undefined && className ? DataModel.getSaveGraph(className) : graph;
+    const query = `
+      ${SparqlTemplate.prefixes(prefixes)}
+      SELECT *
+      WHERE {
+        ${TripleStoreConnector.#inGraph(SparqlTemplate.checkGroupPattern(pattern), target)}
+      }
+    `;
+
+    const bindings = [];
+    for await (const page of this.paginate(query, { ...options, params })) {
+      bindings.push(...page);
+    }
+
+    let vars;
+    try {
+      vars = SparqlEngine.projection(SparqlTemplate.bind(query, params));
+    } catch (error) {
+      vars = [...new Set(bindings.flatMap(Object.keys))];
+    }
+    return { head: { vars }, results: { bindings } };
+  }
+
+  /**
+   * Retrieves a Person by URI
+   *
+   * @param {string} uri - Person URI
+   * @returns {Promise<Object|null>} Person data or null if not found
+   */
+  async getPerson(uri) {
+    const query = `
+      PREFIX ex: <http://example.com/ex#>
+      PREFIX xsd: <http://www.w3.org/2001/XMLSchema#>
+
+      SELECT ?firstName ?lastName ?birthDate
+      WHERE {
+        ?person a ex:Person ;
+                ex:firstName ?firstName ;
+                ex:lastName ?lastName ;
+                ex:birthDate ?birthDate .
+      }
+    `;
+
+    const results = await this.query(query, { person: namedNode(uri) });
+
+    if (results.results.bindings.length === 0) {
+      return null;
+    }
+
+    const binding = results.results.bindings[0];
+    return {
+      uri,
+      firstName: binding.firstName.value,
+      lastName: binding.lastName.value,
+      birthDate: binding.birthDate.value
+    };
+  }
+
+  /**
+   * Retrieves a TransformedPerson by URI
+   *
+   * @param {string} uri - Person URI
+   * @returns {Promise<Object|null>} TransformedPerson data or null if not found
+   */
+  async getTransformedPerson(uri) {
+    const query = `
+      PREFIX Person: <http://example.com/ns/Person#>
+      PREFIX Class: <http://example.com/ns/Class#>
+      PREFIX ex: <http://example.com/ex#>
+
+      SELECT ?firstName ?lastName ?fullName ?age
+      WHERE {
+        ?person a Class:Person ;
+                ex:firstName ?firstName ;
+                ex:lastName ?lastName ;
+                Person:fullName ?fullName ;
+                Person:age ?age .
+      }
+    `;
+
+    const results = await this.query(query, { person: namedNode(uri) });
+
+    if (results.results.bindings.length === 0) {
+      return null;
+    }
+
+    const binding = results.results.bindings[0];
+    return {
+      uri,
+      firstName: binding.firstName.value,
+      lastName: binding.lastName.value,
+      fullName: binding.fullName.value,
+      age: parseInt(binding.age.value, 10)
+    };
+  }
+
+  /**
+   * Executes a batch of SPARQL updates as one request
+   *
+   * @param {Array<string>} updates - Array of SPARQL UPDATE queries
+   * @param {Object} [params={}] - Values bound to variables of the combined request
+   * @returns {Promise<void>}
+   */
+  async batchUpdate(updates, params = {}) {
+    const combinedUpdate = updates.join(';\n');
+    await this.update(combinedUpdate, params);
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the connector
+   */
+  toString() {
+    return `${this.constructor.name} {}`;
+  }
+
+  /**
+   * Builds a DELETE/WHERE ; INSERT DATA request replacing the instances' subjects
+   * The triples are not an INSERT template, which would be instantiated once
+   * per existing triple of every subject
+   * @private
+   */
+  #replaceRequest(instances, graph) {
+    const subjects = instances.map(instance => {
+      if (!instance?.uri) {
+        throw new Error('Cannot save an instance without a uri');
+      }
+      return SparqlTemplate.serialize(namedNode(instance.uri), 's');
+    });
+    const quads = instances.flatMap(instance => TurtleWriter.quadsOf(instance))
+      .map(q => quad(q.subject, q.predicate, q.object));
+    const triples = TurtleWriter.write(quads, { format: 'application/n-triples' });
+    const data = graph ? `GRAPH ${SparqlTemplate.serialize(namedNode(graph), 'graph')} {\n${triples}}` : triples;
+
+    return `${this.#with(graph)}DELETE { ?s ?p ?o }
+WHERE {
+  VALUES ?s { ${[...new Set(subjects)].join(' ')} }
+  ?s ?p ?o
+} ;
+INSERT DATA {
+${data}}`;
+  }
+
+  /**
+   * Scopes an update to a graph
+   * @private
+   */
+  #with(graph) {
+    return graph ? `WITH ${SparqlTemplate.serialize(namedNode(graph), 'graph')}\n` : '';
+  }
+
+  /**
+   * Fetches ?s ?p ?o for the subjects matched by a pattern and hydrates them
+   * @private
+   */
+  async #load(className, pattern, params, graph = DataModel.getSaveGraph(className)) {
+    const { rdfType } = DataModel.getClassMetadata(className);
+    if (!rdfType) {
+      throw new Error(`Class "${className}" has no rdfType to load`);
+    }
+
+    const where = graph ? `GRAPH ?graph { ${pattern} }` : pattern;
+    const data = await this.construct(`CONSTRUCT { ?s ?p ?o } WHERE { ${where} }`, 'application/n-triples', {
+      ...params,
+      type: namedNode(rdfType),
+      ...(graph && { graph: namedNode(graph) })
+    });
+    const instances = DataModel.importFrom('application/n-triples', data, { className, refresh: true });
+    instances.forEach(instance => instance.markClean?.());
+    return instances;
+  }
+
+  /**
+   * Validates a graph IRI argument
+   * @private
+   */
+  static #graphIri(graph) {
+    if (!graph) {
+      throw new Error('A graph IRI is required');
+    }
+    return namedNode(graph);
+  }
+
+  /**
+   * Builds a COPY or MOVE operation
+   * @private
+   */
+  static #graphOperation(operation, source, target, silent) {
+    const ref = graph => graph ? `GRAPH ${SparqlTemplate.serialize(namedNode(graph), 'graph')}` : 'DEFAULT';
+    return `${operation}${silent ? ' SILENT' : ''} ${ref(source)} TO ${ref(target)}`;
+  }
+
+  /**
+   * Resolves the graph an instance is written to
+   * @private
+   */
+  static #graphOf(instance, graph) {
+    return graph === undefined ? DataModel.getSaveGraph(instance) : graph;
+  }
+
+  /**
+   * Gets the save graph of the registered class with an rdfType
+   * @private
+   */
+  static #typeGraph(rdfType) {
+    const className = DataModel.getRegisteredClasses().find(name => DataModel.getClassMetadata(name).rdfType === rdfType);
+    return className ? DataModel.getSaveGraph(className) : null;
+  }
+
+  /**
+   * Wraps a group pattern in GRAPH <graph> { } when a graph is given
+   * @private
+   */
+  static #inGraph(pattern, graph) {
+    return graph ? `GRAPH ${SparqlTemplate.serialize(namedNode(graph), 'graph')} { ${pattern} }` : pattern;
+  }
+
+  /**
+   * Groups instances by the graph they are written to
+   * @private
+   */
+  static #groupByGraph(instances, graph) {
+    const groups = new Map();
+    for (const instance of instances) {
+      const target = TripleStoreConnector.#graphOf(instance, graph) ?? null;
+      if (!groups.has(target)) {
+        groups.set(target, []);
+      }
+      groups.get(target).push(instance);
+    }
+    return groups;
+  }
+
+  /**
+   * Groups the values of a (possibly async) iterable into arrays
+   * @private
+   */
+  static async *#chunks(iterable, size) {
+    let chunk = [];
+    for await (const value of iterable) {
+      chunk.push(value);
+      if (chunk.length === size) {
+        yield chunk;
+        chunk = [];
+      }
+    }
+    if (chunk.length > 0) {
+      yield chunk;
+    }
+  }
+
+  #notImplemented(method) {
+    return new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * Triple Store Errors
+ * Error hierarchy raised by the connectors, HttpClient and FusekiAdmin
+ *
+ *   TripleStoreError
+ *   ├── ConnectionError      network failure (code: ECONNREFUSED, ...)
+ *   │   └── TimeoutError     no complete response within the timeout
+ *   └── HttpError            non-2xx response (status, statusText, body, url)
+ *       ├── AuthError        401 / 403
+ *       └── SparqlSyntaxError  query or update rejected by the parser (line, column)
+ *
+ * The underlying error, if any, is kept as cause
+ *
+ * @module triple-store-errors
+ * @version 1.0.0
+ */
+
+/**
+ * Base class of every triple store failure
+ */
+export class TripleStoreError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = new.target.name;
+  }
+}
+
+/**
+ * The server could not be reached or the connection broke
+ */
+export class ConnectionError extends TripleStoreError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error options
+   * @param {string} [options.code] - Socket error code (e.g. ECONNREFUSED)
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { code, cause } = {}) {
+    super(message, { cause });
+    this.code = code ?? null;
+  }
+}
+
+/**
+ * No complete response arrived within the timeout
+ */
+export class TimeoutError extends ConnectionError {
+  /**
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(timeout, { cause } = {}) {
+    super(`Request timed out after ${timeout}ms`, { code: 'ETIMEDOUT', cause });
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+export class HttpError extends TripleStoreError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} response - Response details
+   * @param {number} response.status - HTTP status code
+   * @param {string} [response.statusText] - HTTP status text
+   * @param {string} [response.body] - Response body
+   * @param {string} [response.url] - Request URL
+   * @param {Object} [options] - Error options
+   * @param {*} [options.cause] - Underlying error
+   */
+  constructor(message, { status, statusText = '', body = '', url = null }, options) {
+    super(message, options);
+    this.status = status;
+    this.statusText = statusText;
+    this.body = body;
+    this.url = url;
+  }
+
+  /**
+   * Creates the most specific error for a failed response
+   *
+   * @param {string} operation - What failed, e.g. 'Query failed'
+   * @param {Object} response - { status, statusText, body } of the response
+   * @param {string} [url] - Request URL
+   * @returns {HttpError} HttpError, AuthError or SparqlSyntaxError
+   */
+  static from(operation, response, url) {
+    const details = { status: response.status, statusText: response.statusText, body: response.body, url };
+    const message = `${operation}: ${response.status} ${response.statusText}${response.body ? ` - ${response.body}` : ''}`;
+
+    if (response.status === 401 || response.status === 403) {
+      return new AuthError(message, details);
+    }
+    if (response.status === 400 && SparqlSyntaxError.matches(response.body)) {
+      return new SparqlSyntaxError(message, details);
+    }
+    return new HttpError(message, details);
+  }
+}
+
+/**
+ * The server refused the credentials (401) or the operation (403)
+ */
+export class AuthError extends HttpError {}
+
+/**
+ * The server could not parse the query or update
+ * line and column come from messages such as Jena's
+ * "Encountered ... at line 3, column 12." (null when not reported)
+ */
+export class SparqlSyntaxError extends HttpError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} response - Response details (see HttpError)
+   * @param {Object} [options] - Error options
+   */
+  constructor(message, response, options) {
+    super(message, response, options);
+    const position = /line (\d+), column (\d+)/i.exec(response.body ?? '');
+    this.line = position ? Number(position[1]) : null;
+    this.column = position ? Number(position[2]) : null;
+  }
+
+  /**
+   * Checks whether a 400 response body reports a parse error
+   *
+   * @param {string} body - Response body
+   * @returns {boolean} True for parser messages
+   */
+  static matches(body = '') {
+    return /parse error|syntax error|lexical error|encountered .* at line \d+/i.test(body);
+  }
+}
@@ -0,0 +1,865 @@
+/**
+ * TurtleParser Class
+ * Parses Turtle 1.1 documents (https://www.w3.org/TR/turtle/) into RDF/JS-style quads
+ * Also reads the related TriG, N-Triples and N-Quads formats
+ * Used to load the SHACL shapes graph and instance data at runtime
+ *
+ * @class TurtleParser
+ * @version 1.0.0
+ */
+
+import { NS, namedNode, blankNode, literal, quad, defaultGraph } from './rdf-terms.js';
+
+const RDF_TYPE = `${NS.rdf}type`;
+const RDF_FIRST = `${NS.rdf}first`;
+const RDF_REST = `${NS.rdf}rest`;
+const RDF_NIL = `${NS.rdf}nil`;
+
+const ESCAPES = {
+  t: '\t',
+  b: '\b',
+  n: '\n',
+  r: '\r',
+  f: '\f',
+  '"': '"',
+  "'": "'",
+  '\\': '\\'
+};
+
+// Character classes from the Turtle 1.1 grammar (section 6.5)
+const PN_CHARS_BASE = 'A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF' +
+  '\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}';
+const PN_CHARS_U = `${PN_CHARS_BASE}_`;
+const PN_CHARS = `${PN_CHARS_U}\\-0-9\\u00B7\\u0300-\\u036F\\u203F-\\u2040`;
+const PLX = "%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%]";
+const PN_PREFIX = `[${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?`;
+const PN_LOCAL = `(?:[${PN_CHARS_U}:0-9]|${PLX})(?:(?:[${PN_CHARS}.:]|${PLX})*(?:[${PN_CHARS}:]|${PLX}))?`;
+
+// PN_CHARS includes combining marks by design (Turtle grammar)
+const PREFIXED_NAME = new RegExp(`(${PN_PREFIX})?:(${PN_LOCAL})?`, 'uy');
+const PREFIX_NAMESPACE = new RegExp(`(${PN_PREFIX})?:`, 'uy');
+const BLANK_NODE_LABEL = new RegExp(`_:([${PN_CHARS_U}0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?)`, 'uy');
+const PLAIN_LOCAL_NAME = new RegExp(`^(?:[${PN_CHARS_U}:0-9](?:[${PN_CHARS}.:]*[${PN_CHARS}:])?)?$`, 'u');
+const LANGTAG = /@([a-zA-Z]+(?:-[a-zA-Z0-9]+)*)/y;
+const NUMBER = /[+-]?(?:\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+|\d*\.\d+|\d+)/y;
+const UCHAR = /\\u([0-9A-Fa-f]{4})|\\U([0-9A-Fa-f]{8})/y;
+
+// Supported RDF media types and their display names
+export const RDF_FORMATS = {
+  'text/turtle': 'Turtle',
+  'application/trig': 'TriG',
+  'application/n-triples': 'N-Triples',
+  'application/n-quads': 'N-Quads'
+};
+
+const FORMAT_ALIASES = {
+  turtle: 'text/turtle',
+  ttl: 'text/turtle',
+  trig: 'application/trig',
+  'n-triples': 'application/n-triples',
+  ntriples: 'application/n-triples',
+  nt: 'application/n-triples',
+  'n-quads': 'application/n-quads',
+  nquads: 'application/n-quads',
+  nq: 'application/n-quads'
+};
+
+/**
+ * Normalizes a media type or format name to one of RDF_FORMATS
+ *
+ * @param {string} [format='text/turtle'] - Media type (parameters are ignored) or short name
+ * @returns {string} Canonical media type
+ * @throws {Error} If the format is not supported
+ */
+export function normalizeFormat(format = 'text/turtle') {
+  const type = format.split(';')[0].trim().toLowerCase();
+  const normalized = FORMAT_ALIASES[type] ?? type;
+  if (!(normalized in RDF_FORMATS)) {
+    throw new Error(`Unsupported RDF format "${format}"`);
+  }
+  return normalized;
+}
+
+/**
+ * Checks whether a string can be written as the local part of a prefixed name
+ * without escape sequences (Turtle PN_LOCAL)
+ *
+ * @param {string} local - Candidate local name
+ * @returns {boolean} True if "prefix:local" is a legal prefixed name
+ */
+export function isValidLocalName(local) {
+  return PLAIN_LOCAL_NAME.test(local);
+}
+
+/**
+ * Resolves an IRI reference against a base IRI (RFC 3986 section 5.2)
+ *
+ * @param {string} reference - IRI reference
+ * @param {string} base - Absolute base IRI
+ * @returns {string} Resolved IRI
+ */
+export function resolveIri(reference, base) {
+  if (!base || /^[A-Za-z][A-Za-z0-9+.-]*:/.test(reference)) {
+    return reference;
+  }
+
+  const parse = iri => {
+    const match = /^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(iri);
+    return { scheme: match[1], authority: match[2], path: match[3], query: match[4], fragment: match[5] };
+  };
+  const b = parse(base);
+  const r = parse(reference);
+  const target = { scheme: b.scheme, fragment: r.fragment };
+
+  if (r.authority !== undefined) {
+    Object.assign(target, { authority: r.authority, path: removeDotSegments(r.path), query: r.query });
+  } else if (r.path === '') {
+    Object.assign(target, { authority: b.authority, path: b.path, query: r.query ?? b.query });
+  } else {
+    let path;
+    if (r.path.startsWith('/')) {
+      path = r.path;
+    } else if (b.authority !== undefined && b.path === '') {
+      path = `/${r.path}`;
+    } else {
+      path = b.path.slice(0, b.path.lastIndexOf('/') + 1) + r.path;
+    }
+    Object.assign(target, { authority: b.authority, path: removeDotSegments(path), query: r.query });
+  }
+
+  return `${target.scheme}:` +
+    (target.authority !== undefined ? `//${target.authority}` : '') +
+    target.path +
+    (target.query !== undefined ? `?${target.query}` : '') +
+    (target.fragment !== undefined ? `#${target.fragment}` : '');
+}
+
+function removeDotSegments(path) {
+  const output = [];
+  let input = path;
+
+  while (input.length > 0) {
+    if (input.startsWith('../')) {
+      input = input.slice(3);
+    } else if (input.startsWith('./')) {
+      input = input.slice(2);
+    } else if (input.startsWith('/./')) {
+      input = input.slice(2);
+    } else if (input === '/.') {
+      input = '/';
+    } else if (input.startsWith('/../')) {
+      input = input.slice(3);
+      output.pop();
+    } else if (input === '/..') {
+      input = '/';
+      output.pop();
+    } else if (input === '.' || input === '..') {
+      input = '';
+    } else {
+      const end = input.indexOf('/', input.startsWith('/') ? 1 : 0);
+      const segment = end === -1 ? input : input.slice(0, end);
+      output.push(segment);
+      input = input.slice(segment.length);
+    }
+  }
+
+  return output.join('');
+}
+
+export class TurtleParser {
+  #input = '';
+  #pos = 0;
+  #format;
+  #graph = defaultGraph();
+  #base;
+  #prefixes = {};
+  #quads = [];
+  #blankNodes = new Map();
+  #blankNodeCount = 0;
+  #lineOffset = 0;
+
+  /**
+   * Creates a new TurtleParser instance
+   *
+   * @param {Object} [options={}] - Parser options
+   * @param {Object} [options.prefixes] - Prefixes known before parsing starts
+   * @param {string} [options.baseIRI] - Base IRI for resolving relative IRIs
+   * @param {string} [options.format='text/turtle'] - Turtle, TriG, N-Triples or N-Quads media type
+   * @throws {Error} If the format is not supported
+   */
+  constructor({ prefixes = {}, baseIRI = '', format } = {}) {
+    this.#prefixes = { ...prefixes };
+    this.#base = baseIRI;
+    this.#format = normalizeFormat(format);
+  }
+
+  /**
+   * Gets the media type this parser reads
+   * @returns {string} Media type
+   */
+  get format() {
+    return this.#format;
+  }
+
+  /**
+   * Gets the prefixes declared so far
+   * @returns {Object} Map of prefix name to namespace IRI
+   */
+  get prefixes() {
+    return { ...this.#prefixes };
+  }
+
+  /**
+   * Gets the current base IRI (updated by @base / BASE)
+   * @returns {string} Base IRI
+   */
+  get baseIRI() {
+    return this.#base;
+  }
+
+  /**
+   * Parses a document
+   * Blank node labels are scoped to the document
+   *
+   * @param {string} input - Document in the parser's format
+   * @returns {Array<Object>} Parsed quads (Turtle and N-Triples use the default graph)
+   * @throws {Error} If the document is not valid
+   */
+  parse(input) {
+    this.#blankNodes = new Map();
+    this.#lineOffset = 0;
+    return this.#parseText(input);
+  }
+
+  /**
+   * Parses an N-Triples or N-Quads document as it arrives
+   * Complete lines are parsed as soon as they are received, so memory use
+   * depends on the chunk size rather than the document size. Blank node
+   * labels are scoped to the whole stream
+   *
+   * @param {AsyncIterable<string>|Iterable<string>} chunks - Document text in pieces
+   * @returns {AsyncGenerator<Object>} Parsed quads, in document order
+   * @throws {Error} If the format is not line-based or the document is not valid
+   */
+  async *parseStream(chunks) {
+    if (!this.#isLineBased()) {
+      throw new Error(`${RDF_FORMATS[this.#format]} cannot be parsed as a stream; use N-Triples or N-Quads`);
+    }
+    this.#blankNodes = new Map();
+    this.#lineOffset = 0;
+
+    let pending = '';
+    for await (const chunk of chunks) {
+      pending += chunk;
+      const end = pending.lastIndexOf('\n') + 1;
+      if (end > 0) {
+        const lines = pending.slice(0, end);
+        pending = pending.slice(end);
+        yield* this.#parseText(lines);
+        this.#lineOffset += lines.split('\n').length - 1;
+      }
+    }
+    yield* this.#parseText(pending);
+  }
+
+  /**
+   * Parses a Turtle document in one call
+   *
+   * @param {string} input - Turtle document
+   * @param {Object} [options] - Parser options
+   * @returns {Array<Object>} Parsed quads
+   */
+  static parse(input, options) {
+    return new TurtleParser(options).parse(input);
+  }
+
+  /**
+   * Parses complete statements, keeping the blank node scope
+   * @private
+   */
+  #parseText(input) {
+    this.#input = input;
+    this.#pos = 0;
+    this.#quads = [];
+    this.#graph = defaultGraph();
+
+    const lineBased = this.#isLineBased();
+    this.#skipWhitespace();
+    while (this.#pos < this.#input.length) {
+      if (lineBased) {
+        this.#lineStatement();
+      } else if (this.#format === 'application/trig') {
+        this.#trigStatement();
+      } else {
+        this.#statement();
+      }
+      this.#skipWhitespace();
+    }
+
+    return this.#quads;
+  }
+
+  /**
+   * Checks whether the format has one statement per line
+   * @private
+   */
+  #isLineBased() {
+    return this.#format === 'application/n-triples' || this.#format === 'application/n-quads';
+  }
+
+  // Grammar productions
+
+  #statement() {
+    if (this.#matchKeyword('@prefix', true)) {
+      this.#prefixDeclaration(true);
+      return;
+    }
+    if (this.#matchKeyword('@base', true)) {
+      this.#baseDeclaration(true);
+      return;
+    }
+    if (this.#peek() === '@') {
+      this.#error(`Unsupported directive "${/@[A-Za-z]*/.exec(this.#input.slice(this.#pos))[0]}"`);
+    }
+    if (this.#matchKeyword('PREFIX')) {
+      this.#prefixDeclaration(false);
+      return;
+    }
+    if (this.#matchKeyword('BASE')) {
+      this.#baseDeclaration(false);
+      return;
+    }
+
+    this.#triples();
+    this.#expect('.');
+  }
+
+  #trigStatement() {
+    if (this.#peek() === '@' || /^(PREFIX|BASE)\b/i.test(this.#input.slice(this.#pos, this.#pos + 7))) {
+      this.#statement();
+      return;
+    }
+    if (this.#matchKeyword('GRAPH')) {
+      this.#skipWhitespace();
+      this.#wrappedGraph(this.#graphLabel());
+      return;
+    }
+    if (this.#peek() === '{') {
+      this.#wrappedGraph(defaultGraph());
+      return;
+    }
+
+    // A labelled graph starts like a triple: "<g> { ... }" vs "<s> <p> <o> ."
+    const ch = this.#peek();
+    if (ch === '<' || (ch === '_' && this.#input[this.#pos + 1] === ':') || (ch === '[' && this.#isAnon()) ||
+        (ch !== '[' && ch !== '(')) {
+      const start = this.#pos;
+      const label = this.#graphLabel();
+      this.#skipWhitespace();
+      if (this.#peek() === '{') {
+        this.#wrappedGraph(label);
+        return;
+      }
+      this.#pos = start;
+    }
+    this.#statement();
+  }
+
+  #graphLabel() {
+    const ch = this.#peek();
+    if (ch === '<') {
+      return namedNode(this.#iriRef());
+    }
+    if (ch === '_' && this.#input[this.#pos + 1] === ':') {
+      return this.#blankNodeLabel();
+    }
+    if (ch === '[') {
+      return this.#anon();
+    }
+    return namedNode(this.#prefixedName());
+  }
+
+  #wrappedGraph(graph) {
+    this.#expect('{');
+    this.#graph = graph;
+    for (;;) {
+      this.#skipWhitespace();
+      if (this.#peek() === '}') {
+        break;
+      }
+      this.#triples();
+      this.#skipWhitespace();
+      if (this.#peek() === '.') {
+        this.#pos++;
+      } else if (this.#peek() !== '}') {
+        this.#error(`Expected "." or "}" but found "${this.#peek() ?? 'end of input'}"`);
+      }
+    }
+    this.#pos++;
+    this.#graph = defaultGraph();
+  }
+
+  #lineStatement() {
+    const subject = this.#peek() === '<' ? namedNode(this.#absoluteIri()) : this.#lineBlankNode();
+    this.#skipLineWhitespace();
+    if (this.#peek() !== '<') {
+      this.#error('Predicates must be IRIs');
+    }
+    const predicate = namedNode(this.#absoluteIri());
+    this.#skipLineWhitespace();
+
+    let object;
+    const ch = this.#peek();
+    if (ch === '<') {
+      object = namedNode(this.#absoluteIri());
+    } else if (ch === '"') {
+      object = this.#lineLiteral();
+    } else {
+      object = this.#lineBlankNode();
+    }
+    this.#skipLineWhitespace();
+
+    let graph = defaultGraph();
+    if (this.#format === 'application/n-quads' && this.#peek() !== '.') {
+      graph = this.#peek() === '<' ? namedNode(this.#absoluteIri()) : this.#lineBlankNode();
+      this.#skipLineWhitespace();
+    }
+
+    if (this.#peek() !== '.') {
+      this.#error(`Expected "." but found "${this.#peek() ?? 'end of input'}"`);
+    }
+    this.#pos++;
+    this.#skipLineWhitespace();
+    const end = this.#peek();
+    if (end !== undefined && end !== '\n' && end !== '\r') {
+      this.#error('Expected end of line after "."');
+    }
+    this.#quads.push(quad(subject, predicate, object, graph));
+  }
+
+  #absoluteIri() {
+    const iri = this.#iriRef();
+    if (!/^[A-Za-z][A-Za-z0-9+.-]*:/.test(iri)) {
+      this.#error(`Relative IRI <${iri}> is not allowed`);
+    }
+    return iri;
+  }
+
+  #lineBlankNode() {
+    if (this.#peek() !== '_' || this.#input[this.#pos + 1] !== ':') {
+      this.#error('Expected IRI or blank node');
+    }
+    return this.#blankNodeLabel();
+  }
+
+  #lineLiteral() {
+    if (this.#input.startsWith('"""', this.#pos)) {
+      this.#error('Long strings are not allowed');
+    }
+    const value = this.#string();
+    if (this.#peek() === '@') {
+      const match = this.#exec(LANGTAG);
+      if (!match) {
+        this.#error('Invalid language tag');
+      }
+      return literal(value, match[1]);
+    }
+    if (this.#input.startsWith('^^', this.#pos)) {
+      this.#pos += 2;
+      return literal(value, namedNode(this.#absoluteIri()));
+    }
+    return literal(value);
+  }
+
+  #skipLineWhitespace() {
+    while (this.#peek() === ' ' || this.#peek() === '\t') {
+      this.#pos++;
+    }
+    if (this.#peek() === '#') {
+      while (this.#pos < this.#input.length && this.#peek() !== '\n' && this.#peek() !== '\r') {
+        this.#pos++;
+      }
+    }
+  }
+
+  #prefixDeclaration(requireDot) {
+    this.#skipWhitespace();
+    const match = this.#exec(PREFIX_NAMESPACE);
+    if (!match) {
+      this.#error('Expected prefix name followed by ":"');
+    }
+    this.#skipWhitespace();
+    this.#prefixes[match[1] ?? ''] = this.#iriRef();
+    if (requireDot) {
+      this.#expect('.');
+    }
+  }
+
+  #baseDeclaration(requireDot) {
+    this.#skipWhitespace();
+    this.#base = this.#iriRef();
+    if (requireDot) {
+      this.#expect('.');
+    }
+  }
+
+  #triples() {
+    if (this.#peek() === '[' && !this.#isAnon()) {
+      const subject = this.#blankNodePropertyList();
+      this.#skipWhitespace();
+      if (this.#peek() !== '.') {
+        this.#predicateObjectList(subject);
+      }
+      return;
+    }
+
+    this.#predicateObjectList(this.#subject());
+  }
+
+  #subject() {
+    const ch = this.#peek();
+    if (ch === '<') {
+      return namedNode(this.#iriRef());
+    }
+    if (ch === '_' && this.#input[this.#pos + 1] === ':') {
+      return this.#blankNodeLabel();
+    }
+    if (ch === '[') {
+      return this.#anon();
+    }
+    if (ch === '(') {
+      return this.#collection();
+    }
+    if (ch === '"' || ch === "'" || /[0-9+\-.]/.test(ch ?? '')) {
+      this.#error('Literals are not allowed as subjects');
+    }
+    return namedNode(this.#prefixedName());
+  }
+
+  #predicateObjectList(subject) {
+    for (;;) {
+      this.#skipWhitespace();
+      const predicate = this.#verb();
+      this.#objectList(subject, predicate);
+
+      this.#skipWhitespace();
+      if (this.#peek() !== ';') {
+        return;
+      }
+      while (this.#peek() === ';') {
+        this.#pos++;
+        this.#skipWhitespace();
+      }
+      // A trailing ';' may be followed directly by the end of the statement
+      if (this.#peek() === '.' || this.#peek() === ']' || this.#pos >= this.#input.length) {
+        return;
+      }
+    }
+  }
+
+  #verb() {
+    if (this.#peek() === 'a' && /[\s<"'[_(#]/.test(this.#input[this.#pos + 1] || ' ')) {
+      this.#pos++;
+      return namedNode(RDF_TYPE);
+    }
+    if (this.#peek() === '<') {
+      return namedNode(this.#iriRef());
+    }
+    if (this.#peek() === '[' || this.#peek() === '(' || this.#peek() === '_' || this.#peek() === '"') {
+      this.#error('Predicates must be IRIs');
+    }
+    return namedNode(this.#prefixedName());
+  }
+
+  #objectList(subject, predicate) {
+    for (;;) {
+      this.#skipWhitespace();
+      const object = this.#object();
+      this.#quads.push(quad(subject, predicate, object, this.#graph));
+
+      this.#skipWhitespace();
+      if (this.#peek() !== ',') {
+        return;
+      }
+      this.#pos++;
+    }
+  }
+
+  #object() {
+    const ch = this.#peek();
+    if (ch === undefined) {
+      this.#error('Expected object but found end of input');
+    }
+    if (ch === '<') {
+      return namedNode(this.#iriRef());
+    }
+    if (ch === '[') {
+      return this.#isAnon() ? this.#anon() : this.#blankNodePropertyList();
+    }
+    if (ch === '(') {
+      return this.#collection();
+    }
+    if (ch === '_' && this.#input[this.#pos + 1] === ':') {
+      return this.#blankNodeLabel();
+    }
+    if (ch === '"' || ch === "'") {
+      return this.#rdfLiteral();
+    }
+    if (/[0-9+\-.]/.test(ch)) {
+      return this.#numericLiteral();
+    }
+    for (const keyword of ['true', 'false']) {
+      if (this.#matchKeyword(keyword, true)) {
+        return literal(keyword, `${NS.xsd}boolean`);
+      }
+    }
+    return namedNode(this.#prefixedName());
+  }
+
+  #isAnon() {
+    return /^\[[\x20\t\r\n]*\]/.test(this.#input.slice(this.#pos, this.#pos + 256));
+  }
+
+  #anon() {
+    this.#expect('[');
+    this.#expect(']');
+    return this.#freshBlankNode();
+  }
+
+  #blankNodePropertyList() {
+    this.#expect('[');
+    const node = this.#freshBlankNode();
+    this.#skipWhitespace();
+    this.#predicateObjectList(node);
+    this.#expect(']');
+    return node;
+  }
+
+  #collection() {
+    this.#expect('(');
+    const items = [];
+    this.#skipWhitespace();
+    while (this.#peek() !== ')') {
+      if (this.#pos >= this.#input.length) {
+        this.#error('Unterminated collection');
+      }
+      items.push(this.#object());
+      this.#skipWhitespace();
+    }
+    this.#pos++;
+
+    let head = namedNode(RDF_NIL);
+    const nodes = items.map(() => this.#freshBlankNode());
+    for (let i = items.length - 1; i >= 0; i--) {
+      this.#quads.push(quad(nodes[i], namedNode(RDF_FIRST), items[i], this.#graph));
+      this.#quads.push(quad(nodes[i], namedNode(RDF_REST), head, this.#graph));
+      head = nodes[i];
+    }
+    return head;
+  }
+
+  #freshBlankNode() {
+    return blankNode(`b${this.#blankNodeCount++}`);
+  }
+
+  #blankNodeLabel() {
+    const match = this.#exec(BLANK_NODE_LABEL);
+    if (!match) {
+      this.#error('Invalid blank node label');
+    }
+    if (!this.#blankNodes.has(match[1])) {
+      this.#blankNodes.set(match[1], blankNode(`l${this.#blankNodeCount++}_${match[1]}`));
+    }
+    return this.#blankNodes.get(match[1]);
+  }
+
+  #rdfLiteral() {
+    const value = this.#string();
+
+    if (this.#peek() === '@') {
+      const match = this.#exec(LANGTAG);
+      if (!match) {
+        this.#error('Invalid language tag');
+      }
+      return literal(value, match[1]);
+    }
+
+    if (this.#input.startsWith('^^', this.#pos)) {
+      this.#pos += 2;
+      const datatype = this.#peek() === '<' ? this.#iriRef() : this.#prefixedName();
+      return literal(value, namedNode(datatype));
+    }
+
+    return literal(value);
+  }
+
+  #string() {
+    const quote = this.#peek();
+    const long = this.#input.startsWith(quote.repeat(3), this.#pos);
+    const delimiter = long ? quote.repeat(3) : quote;
+    this.#pos += delimiter.length;
+
+    let value = '';
+    for (;;) {
+      if (this.#pos >= this.#input.length) {
+        this.#error('Unterminated string literal');
+      }
+      if (this.#input.startsWith(delimiter, this.#pos)) {
+        this.#pos += delimiter.length;
+        return value;
+      }
+
+      const ch = this.#input[this.#pos];
+      if (ch === '\\') {
+        value += this.#escape();
+      } else if (!long && (ch === '\n' || ch === '\r')) {
+        this.#error('Line break in single-line string literal');
+      } else {
+        value += ch;
+        this.#pos++;
+      }
+    }
+  }
+
+  #escape() {
+    const escaped = this.#input[this.#pos + 1];
+    if (escaped === 'u' || escaped === 'U') {
+      return this.#unicodeEscape();
+    }
+    if (!(escaped in ESCAPES)) {
+      this.#error(`Invalid escape sequence "\\${escaped ?? ''}"`);
+    }
+    this.#pos += 2;
+    return ESCAPES[escaped];
+  }
+
+  #unicodeEscape() {
+    const match = this.#exec(UCHAR);
+    if (!match) {
+      this.#error('Invalid \\u or \\U escape sequence');
+    }
+    const codePoint = parseInt(match[1] || match[2], 16);
+    if (codePoint > 0x10FFFF || (codePoint >= 0xD800 && codePoint <= 0xDFFF)) {
+      this.#error(`Invalid code point U+${codePoint.toString(16).toUpperCase()}`);
+    }
+    return String.fromCodePoint(codePoint);
+  }
+
+  #numericLiteral() {
+    const match = this.#exec(NUMBER);
+    if (!match) {
+      this.#error('Invalid numeric literal');
+    }
+    const text = match[0];
+
+    if (/[eE]/.test(text)) {
+      return literal(text, `${NS.xsd}double`);
+    }
+    if (text.includes('.')) {
+      return literal(text, `${NS.xsd}decimal`);
+    }
+    return literal(text, `${NS.xsd}integer`);
+  }
+
+  #iriRef() {
+    this.#expect('<');
+    let iri = '';
+    for (;;) {
+      const ch = this.#input[this.#pos];
+      if (ch === undefined) {
+        this.#error('Unterminated IRI');
+      }
+      if (ch === '>') {
+        this.#pos++;
+        break;
+      }
+      if (ch === '\\') {
+        const escaped = this.#unicodeEscape();
+        if (escaped <= ' ' || /[<>"{}|^`\\]/.test(escaped)) {
+          this.#error(`Escaped character "${escaped}" is not allowed in an IRI`);
+        }
+        iri += escaped;
+      } else if (ch <= ' ' || /[<"{}|^`]/.test(ch)) {
+        this.#error(`Invalid character in IRI <${iri}${ch}>`);
+      } else {
+        iri += ch;
+        this.#pos++;
+      }
+    }
+    return resolveIri(iri, this.#base);
+  }
+
+  #prefixedName() {
+    const match = this.#exec(PREFIXED_NAME);
+    if (!match) {
+      this.#error('Expected IRI, prefixed name or literal');
+    }
+
+    const prefix = match[1] ?? '';
+    if (!(prefix in this.#prefixes)) {
+      this.#pos -= match[0].length;
+      this.#error(`Undefined prefix "${prefix}:"`);
+    }
+    // Reserved-character escapes drop the backslash; %XX sequences are kept verbatim
+    const local = (match[2] ?? '').replace(/\\(.)/g, '$1');
+    return this.#prefixes[prefix] + local;
+  }
+
+  // Lexical helpers
+
+  #peek() {
+    return this.#input[this.#pos];
+  }
+
+  #exec(pattern) {
+    pattern.lastIndex = this.#pos;
+    const match = pattern.exec(this.#input);
+    if (match) {
+      this.#pos += match[0].length;
+    }
+    return match;
+  }
+
+  #expect(ch) {
+    this.#skipWhitespace();
+    if (this.#peek() !== ch) {
+      this.#error(`Expected "${ch}" but found "${this.#peek() ?? 'end of input'}"`);
+    }
+    this.#pos++;
+  }
+
+  #matchKeyword(keyword, caseSensitive = false) {
+    const candidate = this.#input.slice(this.#pos, this.#pos + keyword.length);
+    const next = this.#input[this.#pos + keyword.length] || ' ';
+    const matches = caseSensitive
+      ? candidate === keyword
+      : candidate.toUpperCase() === keyword.toUpperCase();
+    if (matches && !/[A-Za-z0-9_:]/.test(next)) {
+      this.#pos += keyword.length;
+      return true;
+    }
+    return false;
+  }
+
+  #skipWhitespace() {
+    for (;;) {
+      const ch = this.#input[this.#pos];
+      if (ch === '#') {
+        while (this.#pos < this.#input.length && this.#input[this.#pos] !== '\n' && this.#input[this.#pos] !== '\r') {
+          this.#pos++;
+        }
+      } else if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+        this.#pos++;
+      } else {
+        return;
+      }
+    }
+  }
+
+  #error(message) {
+    const consumed = this.#input.slice(0, this.#pos).split(/\r\n|\r|\n/);
+    const line = this.#lineOffset + consumed.length;
+    const column = consumed[consumed.length - 1].length + 1;
+    throw new Error(`${RDF_FORMATS[this.#format]} parse error at line ${line}, column ${column}: ${message}`);
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * TurtleWriter Class
+ * Serializes RDF/JS-style quads to Turtle 1.1, TriG, N-Triples or N-Quads
+ * Shared by the model classes, DataModel, FusekiConnector and ValidationReport
+ * so that every string is escaped and every IRI is written in a legal form
+ *
+ * @class TurtleWriter
+ * @version 1.0.0
+ */
+
+import { NS, defaultGraph, termToString } from './rdf-terms.js';
+import { TurtleParser, isValidLocalName, normalizeFormat } from './turtle-parser.js';
+
+const RDF_TYPE = `${NS.rdf}type`;
+const XSD = NS.xsd;
+
+const STRING_ESCAPES = {
+  '"': '\\"',
+  '\\': '\\\\',
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+  '\b': '\\b',
+  '\f': '\\f'
+};
+
+// Lexical forms that Turtle can write without quotes and datatype
+const SHORTHAND_LITERALS = {
+  [`${XSD}integer`]: /^[+-]?\d+$/,
+  [`${XSD}decimal`]: /^[+-]?\d*\.\d+$/,
+  [`${XSD}double`]: /^[+-]?(\d+\.\d*|\.\d+|\d+)[eE][+-]?\d+$/,
+  [`${XSD}boolean`]: /^(true|false)$/
+};
+
+const INDENT = '    ';
+
+export class TurtleWriter {
+  #prefixes;
+  #format;
+
+  /**
+   * Creates a new TurtleWriter instance
+   *
+   * @param {Object} [options={}] - Writer options
+   * @param {Object} [options.prefixes] - Map of prefix name to namespace IRI
+   * @param {string} [options.format='text/turtle'] - Turtle, TriG, N-Triples or N-Quads media type
+   * @throws {Error} If the format is not supported
+   */
+  constructor({ prefixes = {}, format } = {}) {
+    this.#prefixes = { ...prefixes };
+    this.#format = normalizeFormat(format);
+  }
+
+  /**
+   * Gets the media type this writer produces
+   * @returns {string} Media type
+   */
+  get format() {
+    return this.#format;
+  }
+
+  /**
+   * Gets the prefixes used for abbreviation
+   * @returns {Object} Map of prefix name to namespace IRI
+   */
+  get prefixes() {
+    return { ...this.#prefixes };
+  }
+
+  /**
+   * Serializes quads in one call
+   *
+   * @param {Array<Object>} quads - Quads to serialize
+   * @param {Object} [options] - Writer options plus includePrefix
+   * @returns {string} Serialized document
+   */
+  static write(quads, { prefixes, format, includePrefix } = {}) {
+    return new TurtleWriter({ prefixes, format }).write(quads, { includePrefix });
+  }
+
+  /**
+   * Gets the RDF quads of a model instance
+   * Uses toQuads() when available, otherwise parses toTurtle(true)
+   *
+   * @param {Object} instance - Object with toQuads() or toTurtle()
+   * @returns {Array<Object>} Quads describing the instance
+   * @throws {Error} If the instance cannot be converted to RDF
+   */
+  static quadsOf(instance) {
+    if (typeof instance.toQuads === 'function') {
+      return instance.toQuads();
+    }
+    if (typeof instance.toTurtle === 'function') {
+      return TurtleParser.parse(instance.toTurtle(true));
+    }
+    throw new Error('Instance must have a toQuads() or toTurtle() method');
+  }
+
+  /**
+   * Serializes several model instances as one Turtle document
+   * Prefixes are merged from each instance class's static prefixes getter
+   *
+   * @param {Array<Object>} instances - Objects with toQuads() or toTurtle()
+   * @param {Object} [options={}] - Serialization options
+   * @param {boolean} [options.includePrefix=true] - Include prefix declarations
+   * @returns {string} Turtle document
+   */
+  static writeInstances(instances, { includePrefix = true } = {}) {
+    const prefixes = Object.assign({}, ...instances.map(instance => instance.constructor?.prefixes));
+    const quads = instances.flatMap(instance => TurtleWriter.quadsOf(instance));
+    return new TurtleWriter({ prefixes }).write(quads, { includePrefix });
+  }
+
+  /**
+   * Serializes quads in the writer's format
+   * Turtle groups triples by subject and nests blank nodes used once as [ ... ];
+   * TriG does the same inside one block per named graph; N-Triples and N-Quads
+   * write one sorted, de-duplicated statement per line for stable diffs
+   *
+   * @param {Array<Object>} quads - Quads to serialize (Turtle and N-Triples ignore graph names)
+   * @param {Object} [options={}] - Serialization options
+   * @param {boolean} [options.includePrefix=true] - Include prefix declarations (Turtle/TriG)
+   * @returns {string} Serialized document
+   */
+  write(quads, { includePrefix = true } = {}) {
+    if (this.#format === 'application/n-triples' || this.#format === 'application/n-quads') {
+      return this.#lines(quads, this.#format === 'application/n-quads');
+    }
+
+    const context = { objectUses: this.#countObjectUses(quads), labels: new Map(), written: new Set() };
+    let body;
+
+    if (this.#format === 'application/trig') {
+      const graphs = new Map([['', { term: defaultGraph(), quads: [] }]]);
+      for (const q of quads) {
+        const key = q.graph?.termType === 'DefaultGraph' || !q.graph ? '' : termToString(q.graph);
+        if (!graphs.has(key)) {
+          graphs.set(key, { term: q.graph, quads: [] });
+        }
+        graphs.get(key).quads.push(q);
+      }
+
+      body = [...graphs.values()]
+        .filter(graph => graph.quads.length > 0)
+        .map(graph => {
+          const statements = this.#statements(graph.quads, context);
+          if (graph.term.termType === 'DefaultGraph') {
+            return statements;
+          }
+          const indented = statements.split('\n').map(line => line ? `${INDENT}${line}` : line).join('\n');
+          return `${this.#node(graph.term, context)} {\n${indented}\n}`;
+        })
+        .join('\n\n');
+    } else {
+      body = this.#statements(quads, context);
+    }
+
+    const prefix = includePrefix && Object.keys(this.#prefixes).length > 0
+      ? Object.entries(this.#prefixes)
+        .map(([name, iri]) => `@prefix ${name}: ${this.iri(iri, false)} .`)
+        .join('\n') + '\n\n'
+      : '';
+
+    return `${prefix}${body}`;
+  }
+
+  /**
+   * Serializes a single term
+   *
+   * @param {Object} term - NamedNode, BlankNode or Literal
+   * @returns {string} Turtle representation
+   */
+  term(term) {
+    switch (term.termType) {
+      case 'NamedNode':
+        return this.iri(term.value);
+      case 'BlankNode':
+        return `_:${this.#blankNodeLabel(term.value)}`;
+      case 'Literal':
+        return this.literal(term);
+      default:
+        throw new Error(`Cannot serialize ${term.termType} term to Turtle`);
+    }
+  }
+
+  /**
+   * Serializes an IRI as a prefixed name when legal, otherwise as <IRI>
+   *
+   * @param {string} iri - Absolute IRI
+   * @param {boolean} [abbreviate=true] - Try to use a prefixed name
+   * @returns {string} Prefixed name or IRIREF
+   * @throws {Error} If the IRI contains characters that cannot appear in an IRIREF
+   */
+  iri(iri, abbreviate = true) {
+    if (abbreviate) {
+      const compact = this.compact(iri);
+      if (compact) {
+        return compact;
+      }
+    }
+    if (/[\x20<>"{}|^`\\]/.test(iri) || [...iri].some(ch => ch < ' ')) {
+      throw new Error(`Cannot serialize invalid IRI <${iri}>`);
+    }
+    return `<${iri}>`;
+  }
+
+  /**
+   * Abbreviates an IRI to a prefixed name
+   *
+   * @param {string} iri - Absolute IRI
+   * @returns {string|null} Prefixed name, or null if no prefix yields a legal name
+   */
+  compact(iri) {
+    let best = null;
+    for (const [prefix, namespace] of Object.entries(this.#prefixes)) {
+      if (iri.startsWith(namespace) && isValidLocalName(iri.slice(namespace.length)) &&
+          (!best || namespace.length > best.namespace.length)) {
+        best = { prefix, namespace };
+      }
+    }
+    return best ? `${best.prefix}:${iri.slice(best.namespace.length)}` : null;
+  }
+
+  /**
+   * Serializes a literal, escaping its lexical form
+   *
+   * @param {Object} term - Literal term
+   * @returns {string} Turtle literal
+   */
+  literal(term) {
+    const datatype = term.datatype?.value ?? `${XSD}string`;
+    if (!term.language && SHORTHAND_LITERALS[datatype]?.test(term.value)) {
+      return term.value;
+    }
+
+    const quoted = `"${this.#escape(term.value)}"`;
+    if (term.language) {
+      return `${quoted}@${term.language}`;
+    }
+    if (datatype === `${XSD}string`) {
+      return quoted;
+    }
+    return `${quoted}^^${this.iri(datatype)}`;
+  }
+
+  #statements(quads, context) {
+    const subjects = new Map();
+
+    for (const q of quads) {
+      const key = termToString(q.subject);
+      if (!subjects.has(key)) {
+        subjects.set(key, { term: q.subject, predicates: new Map() });
+      }
+      const predicates = subjects.get(key).predicates;
+      if (!predicates.has(q.predicate.value)) {
+        predicates.set(q.predicate.value, []);
+      }
+      const objects = predicates.get(q.predicate.value);
+      if (!objects.some(o => termToString(o) === termToString(q.object))) {
+        objects.push(q.object);
+      }
+    }
+
+    context.subjects = subjects;
+    const statements = [];
+
+    for (const [key, entry] of subjects) {
+      const uses = context.objectUses.get(key) || 0;
+      // Nested blank nodes are written where they are referenced
+      if (entry.term.termType === 'BlankNode' && uses === 1) {
+        continue;
+      }
+      const subject = entry.term.termType === 'BlankNode' && uses === 0
+        ? '[]'
+        : this.#node(entry.term, context);
+      context.written.add(key);
+      statements.push(`${subject} ${this.#predicateObjectList(entry.predicates, context, 1)} .`);
+    }
+
+    // Blank nodes referenced once but only from themselves (cycles) still need a statement
+    for (const [key, entry] of subjects) {
+      if (!context.written.has(key)) {
+        context.written.add(key);
+        statements.push(`${this.#node(entry.term, context)} ${this.#predicateObjectList(entry.predicates, context, 1)} .`);
+      }
+    }
+
+    return statements.join('\n\n');
+  }
+
+  /**
+   * Counts how often each blank node is used as an object
+   * Blank nodes that occur in more than one graph are never nested
+   * @private
+   */
+  #countObjectUses(quads) {
+    const uses = new Map();
+    const graphs = new Map();
+    const seenIn = (term, graph) => {
+      if (term.termType !== 'BlankNode') {
+        return;
+      }
+      const key = termToString(term);
+      if (!graphs.has(key)) {
+        graphs.set(key, new Set());
+      }
+      graphs.get(key).add(graph?.value ?? '');
+    };
+    const seen = new Set();
+
+    for (const q of quads) {
+      const id = `${termToString(q.subject)} ${termToString(q.predicate)} ${termToString(q.object)} ${q.graph?.value ?? ''}`;
+      if (seen.has(id)) {
+        continue;
+      }
+      seen.add(id);
+      seenIn(q.subject, q.graph);
+      seenIn(q.object, q.graph);
+      if (q.object.termType === 'BlankNode') {
+        const key = termToString(q.object);
+        uses.set(key, (uses.get(key) || 0) + 1);
+      }
+    }
+    for (const [key, graphSet] of graphs) {
+      if (graphSet.size > 1) {
+        uses.set(key, Infinity);
+      }
+    }
+    return uses;
+  }
+
+  #lines(quads, withGraph) {
+    const lines = new Set();
+    for (const q of quads) {
+      const graph = withGraph && q.graph && q.graph.termType !== 'DefaultGraph'
+        ? ` ${this.#lineTerm(q.graph)}`
+        : '';
+      lines.add(`${this.#lineTerm(q.subject)} ${this.#lineTerm(q.predicate)} ${this.#lineTerm(q.object)}${graph} .`);
+    }
+    return [...lines].sort().map(line => `${line}\n`).join('');
+  }
+
+  #lineTerm(term) {
+    if (term.termType === 'NamedNode') {
+      return this.iri(term.value, false);
+    }
+    if (term.termType === 'BlankNode') {
+      return `_:${this.#blankNodeLabel(term.value)}`;
+    }
+    if (term.termType !== 'Literal') {
+      throw new Error(`Cannot serialize ${term.termType} term`);
+    }
+    const quoted = `"${this.#escape(term.value)}"`;
+    if (term.language) {
+      return `${quoted}@${term.language}`;
+    }
+    const datatype = term.datatype?.value ?? `${XSD}string`;
+    return datatype === `${XSD}string` ? quoted : `${quoted}^^${this.iri(datatype, false)}`;
+  }
+
+  #predicateObjectList(predicates, context, depth) {
+    const indent = INDENT.repeat(depth);
+    return [...predicates].map(([predicate, objects]) => {
+      const verb = predicate === RDF_TYPE ? 'a' : this.iri(predicate);
+      return `${verb} ${objects.map(o => this.#object(o, context, depth)).join(', ')}`;
+    }).join(` ;\n${indent}`);
+  }
+
+  #object(term, context, depth) {
+    const key = termToString(term);
+    const entry = context.subjects.get(key);
+
+    if (term.termType === 'BlankNode' && context.objectUses.get(key) === 1 && !context.written.has(key)) {
+      context.written.add(key);
+      if (!entry) {
+        return '[]';
+      }
+      const inner = INDENT.repeat(depth + 1);
+      return `[\n${inner}${this.#predicateObjectList(entry.predicates, context, depth + 1)}\n${INDENT.repeat(depth)}]`;
+    }
+    return this.#node(term, context);
+  }
+
+  #node(term, context) {
+    if (term.termType !== 'BlankNode') {
+      return this.term(term);
+    }
+    if (!context.labels.has(term.value)) {
+      context.labels.set(term.value, `b${context.labels.size}`);
+    }
+    return `_:${context.labels.get(term.value)}`;
+  }
+
+  #blankNodeLabel(value) {
+    return /^[A-Za-z0-9_]([A-Za-z0-9_.-]*[A-Za-z0-9_-])?$/.test(value)
+      ? value
+      : value.replace(/[^A-Za-z0-9_-]/g, '_');
+  }
+
+  #escape(value) {
+    let escaped = '';
+    for (const ch of value) {
+      if (STRING_ESCAPES[ch]) {
+        escaped += STRING_ESCAPES[ch];
+      } else if (ch < ' ' || ch === '\u007F') {
+        escaped += `\\u${ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}`;
+      } else {
+        escaped += ch;
+      }
+    }
+    return escaped;
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * ValidationReport / ValidationResult Classes
+ * W3C SHACL validation report model (sh:ValidationReport, sh:ValidationResult)
+ * with Turtle and JSON-LD serialization
+ *
+ * @module validation-report
+ * @version 1.0.0
+ */
+
+import { NS, namedNode, blankNode, literal, quad } from './rdf-terms.js';
+import { TurtleWriter } from './turtle-writer.js';
+
+const SH = NS.sh;
+const RDF_TYPE = `${NS.rdf}type`;
+
+/**
+ * A single SHACL validation result (sh:ValidationResult)
+ *
+ * @class ValidationResult
+ */
+export class ValidationResult {
+  #focusNode;
+  #resultPath;
+  #value;
+  #sourceShape;
+  #sourceConstraintComponent;
+  #resultSeverity;
+  #resultMessage;
+
+  /**
+   * Creates a new ValidationResult instance
+   *
+   * @param {Object} config - Configuration object
+   * @param {Object} config.focusNode - Focus node term
+   * @param {Object} [config.resultPath] - Property path term (property shapes only)
+   * @param {Object} [config.value] - Value node that caused the result
+   * @param {Object} config.sourceShape - Shape term that produced the result
+   * @param {Object} config.sourceConstraintComponent - Constraint component IRI term
+   * @param {Object} [config.resultSeverity] - Severity term (defaults to sh:Violation)
+   * @param {string} [config.resultMessage] - Human-readable message
+   */
+  constructor({
+    focusNode,
+    resultPath = null,
+    value = null,
+    sourceShape,
+    sourceConstraintComponent,
+    resultSeverity = namedNode(`${SH}Violation`),
+    resultMessage = ''
+  }) {
+    if (!focusNode) {
+      throw new Error('focusNode is required');
+    }
+    if (!sourceConstraintComponent) {
+      throw new Error('sourceConstraintComponent is required');
+    }
+
+    this.#focusNode = focusNode;
+    this.#resultPath = resultPath;
+    this.#value = value;
+    this.#sourceShape = sourceShape;
+    this.#sourceConstraintComponent = sourceConstraintComponent;
+    this.#resultSeverity = resultSeverity;
+    this.#resultMessage = resultMessage;
+  }
+
+  /**
+   * Gets the focus node
+   * @returns {Object} Focus node term
+   */
+  get focusNode() {
+    return this.#focusNode;
+  }
+
+  /**
+   * Gets the result path
+   * @returns {Object|null} Path term
+   */
+  get resultPath() {
+    return this.#resultPath;
+  }
+
+  /**
+   * Gets the offending value
+   * @returns {Object|null} Value term
+   */
+  get value() {
+    return this.#value;
+  }
+
+  /**
+   * Gets the shape that produced the result
+   * @returns {Object} Shape term
+   */
+  get sourceShape() {
+    return this.#sourceShape;
+  }
+
+  /**
+   * Gets the constraint component that produced the result
+   * @returns {Object} Constraint component IRI term
+   */
+  get sourceConstraintComponent() {
+    return this.#sourceConstraintComponent;
+  }
+
+  /**
+   * Gets the result severity
+   * @returns {Object} sh:Violation, sh:Warning or sh:Info
+   */
+  get resultSeverity() {
+    return this.#resultSeverity;
+  }
+
+  /**
+   * Gets the result message
+   * @returns {string} Message
+   */
+  get resultMessage() {
+    return this.#resultMessage;
+  }
+
+  /**
+   * Converts the result to RDF quads
+   * @param {Object} node - Blank node to use as the result's subject
+   * @returns {Array<Object>} Quads describing the result
+   */
+  toQuads(node) {
+    const quads = [
+      quad(node, namedNode(RDF_TYPE), namedNode(`${SH}ValidationResult`)),
+      quad(node, namedNode(`${SH}focusNode`), this.#focusNode)
+    ];
+
+    if (this.#resultPath) {
+      quads.push(quad(node, namedNode(`${SH}resultPath`), this.#resultPath));
+    }
+    if (this.#value) {
+      quads.push(quad(node, namedNode(`${SH}value`), this.#value));
+    }
+    if (this.#sourceShape) {
+      quads.push(quad(node, namedNode(`${SH}sourceShape`), this.#sourceShape));
+    }
+    quads.push(quad(node, namedNode(`${SH}sourceConstraintComponent`), this.#sourceConstraintComponent));
+    quads.push(quad(node, namedNode(`${SH}resultSeverity`), this.#resultSeverity));
+    if (this.#resultMessage) {
+      quads.push(quad(node, namedNode(`${SH}resultMessage`), literal(this.#resultMessage)));
+    }
+
+    return quads;
+  }
+
+  /**
+   * Converts the result to a plain JavaScript object
+   * @returns {Object} Plain object with term values
+   */
+  toJSON() {
+    return {
+      focusNode: this.#focusNode.value,
+      resultPath: this.#resultPath?.value ?? null,
+      value: this.#value?.value ?? null,
+      sourceShape: this.#sourceShape?.value ?? null,
+      sourceConstraintComponent: this.#sourceConstraintComponent.value,
+      resultSeverity: this.#resultSeverity.value,
+      resultMessage: this.#resultMessage
+    };
+  }
+}
+
+/**
+ * A SHACL validation report (sh:ValidationReport)
+ * Also exposes the legacy { valid, errors } shape for existing callers
+ *
+ * @class ValidationReport
+ */
+export class ValidationReport {
+  #results;
+  #prefixes;
+
+  /**
+   * Creates a new ValidationReport instance
+   *
+   * @param {Object} [config={}] - Configuration object
+   * @param {Array<ValidationResult|Object>} [config.results=[]] - Validation results
+   * @param {Object} [config.prefixes] - Prefixes used when serializing to Turtle/JSON-LD
+   */
+  constructor({ results = [], prefixes = {} } = {}) {
+    this.#results = results.map(result =>
+      result instanceof ValidationResult ? result : new ValidationResult(result));
+    this.#prefixes = { sh: SH, xsd: NS.xsd, ...prefixes };
+  }
+
+  /**
+   * Merges several reports into one
+   *
+   * @param {Array<ValidationReport>} reports - Reports to merge
+   * @returns {ValidationReport} Combined report
+   */
+  static merge(reports) {
+    const prefixes = Object.assign({}, ...reports.map(report => report.prefixes));
+    return new ValidationReport({
+      results: reports.flatMap(report => report.results),
+      prefixes
+    });
+  }
+
+  /**
+   * Gets whether the data conforms (no results of any severity)
+   * @returns {boolean} sh:conforms
+   */
+  get conforms() {
+    return this.#results.length === 0;
+  }
+
+  /**
+   * Gets the validation results
+   * @returns {Array<ValidationResult>} Results
+   */
+  get results() {
+    return [...this.#results];
+  }
+
+  /**
+   * Gets the prefixes used for serialization
+   * @returns {Object} Map of prefix name to namespace IRI
+   */
+  get prefixes() {
+    return { ...this.#prefixes };
+  }
+
+  /**
+   * Legacy alias for conforms
+   * @returns {boolean} True if the data conforms
+   */
+  get valid() {
+    return this.conforms;
+  }
+
+  /**
+   * Legacy list of result messages
+   * @returns {Array<string>} Result messages
+   */
+  get errors() {
+    return this.#results.map(result => result.resultMessage);
+  }
+
+  /**
+   * Converts the report to RDF quads
+   * @returns {Array<Object>} Quads describing the report and its results
+   */
+  toQuads() {
+    const report = blankNode('report');
+    const quads = [
+      quad(report, namedNode(RDF_TYPE), namedNode(`${SH}ValidationReport`)),
+      quad(report, namedNode(`${SH}conforms`), literal(String(this.conforms), `${NS.xsd}boolean`))
+    ];
+
+    this.#results.forEach((result, index) => {
+      const node = blankNode(`result${index}`);
+      quads.push(quad(report, namedNode(`${SH}result`), node));
+      quads.push(...result.toQuads(node));
+    });
+
+    return quads;
+  }
+
+  /**
+   * Converts the report to Turtle RDF format
+   * @param {boolean} [includePrefix=true] - Include prefix declarations
+   * @returns {string} Turtle RDF representation
+   */
+  toTurtle(includePrefix = true) {
+    return TurtleWriter.write(this.toQuads(), { prefixes: this.#prefixes, includePrefix });
+  }
+
+  /**
+   * Converts the report to JSON-LD format
+   * @returns {Object} JSON-LD representation
+   */
+  toJsonLd() {
+    return {
+      '@context': { ...this.#prefixes },
+      '@type': 'sh:ValidationReport',
+      'sh:conforms': this.conforms,
+      'sh:result': this.#results.map(result => {
+        const node = { '@type': 'sh:ValidationResult' };
+        for (const [predicate, term] of this.#resultProperties(result)) {
+          node[predicate] = this.#jsonLdTerm(term);
+        }
+        return node;
+      })
+    };
+  }
+
+  /**
+   * Converts the report to a plain JavaScript object
+   * @returns {Object} Plain object representation
+   */
+  toJSON() {
+    return {
+      conforms: this.conforms,
+      results: this.#results.map(result => result.toJSON())
+    };
+  }
+
+  /**
+   * String representation
+   * @returns {string} String representation of the report
+   */
+  toString() {
+    return `ValidationReport { conforms: ${this.conforms}, results: ${this.#results.length} }`;
+  }
+
+  #resultProperties(result) {
+    return [
+      ['sh:focusNode', result.focusNode],
+      ['sh:resultPath', result.resultPath],
+      ['sh:value', result.value],
+      ['sh:sourceShape', result.sourceShape],
+      ['sh:sourceConstraintComponent', result.sourceConstraintComponent],
+      ['sh:resultSeverity', result.resultSeverity],
+      ['sh:resultMessage', result.resultMessage ? literal(result.resultMessage) : null]
+    ].filter(([, term]) => term);
+  }
+
+  #compact(iri) {
+    for (const [prefix, namespace] of Object.entries(this.#prefixes)) {
+      const local = iri.slice(namespace.length);
+      if (iri.startsWith(namespace) && /^[A-Za-z_][A-Za-z0-9_-]*$/.test(local)) {
+        return `${prefix}:${local}`;
+      }
+    }
+    return null;
+  }
+
+  #jsonLdTerm(term) {
+    if (term.termType === 'NamedNode') {
+      return { '@id': this.#compact(term.value) || term.value };
+    }
+    if (term.termType === 'BlankNode') {
+      return { '@id': `_:${term.value}` };
+    }
+    if (term.language) {
+      return { '@value': term.value, '@language': term.language };
+    }
+    if (term.datatype.value === `${NS.xsd}string`) {
+      return term.value;
+    }
+    return { '@value': term.value, '@type': this.#compact(term.datatype.value) || term.datatype.value };
+  }
+}